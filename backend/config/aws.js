@@ -10,19 +10,25 @@ const logger = console; // Using console for logging
  * Assumes a cross-account role and returns temporary credentials
  * @param {string} roleArn - The ARN of the role to assume
  * @param {string} sessionName - The name for the session
+ * @param {Object} options - Assume role options
+ * @param {string} options.externalId - External ID the role's trust policy requires
+ * @param {number} options.durationSeconds - Session length (defaults to the role's setting)
+ * @param {string} options.region - STS region
  * @returns {Promise<Object>} - Temporary credentials
  */
-async function assumeRole(roleArn, sessionName = 'BedrockExpressSession') {
+async function assumeRole(roleArn, sessionName = 'BedrockExpressSession', { externalId, durationSeconds, region = config.aws.region } = {}) {
   try {
     logger.info(`Attempting to assume role: ${roleArn}`);
     
     // Create STS client
-    const stsClient = new STSClient({ region: config.aws.region });
+    const stsClient = new STSClient({ region });
     
     // Create command to assume role
     const assumeRoleCommand = new AssumeRoleCommand({
       RoleArn: roleArn,
-      RoleSessionName: sessionName
+      RoleSessionName: sessionName,
+      ...(externalId ? { ExternalId: externalId } : {}),
+      ...(durationSeconds ? { DurationSeconds: durationSeconds } : {})
     });
     
     const response = await stsClient.send(assumeRoleCommand);
@@ -91,7 +91,12 @@ module.exports = {
   // AWS configuration
   aws: {
     region: process.env.REGION || 'us-east-1',
-    customerCrossAccountRoleArn: process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN || ''
+    customerCrossAccountRoleArn: process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN || '',
+    customerCrossAccountExternalId: process.env.CUSTOMER_CROSS_ACCOUNT_EXTERNAL_ID || '', // Required when the role's trust policy checks sts:ExternalId
+    // Temporary credentials for assumed roles (see services/roleCredentials.js)
+    roleSessionDurationSeconds: parseInt(process.env.AWS_ROLE_SESSION_DURATION_SECONDS || '3600'),
+    credentialRefreshMarginSeconds: parseInt(process.env.AWS_CREDENTIAL_REFRESH_MARGIN_SECONDS || '600'), // Refresh this long before expiry
+    credentialRetrySeconds: parseInt(process.env.AWS_CREDENTIAL_RETRY_SECONDS || '30'), // Wait before retrying a failed refresh
   },
 
   // Amazon Bedrock settings
@@ -100,6 +105,144 @@ module.exports = {
     modelId: process.env.BEDROCK_MODEL_ID || 'us.anthropic.claude-3-5-sonnet-20241022-v2:0', // Using the same model ID as failed_attempt
     maxTokens: parseInt(process.env.MAX_TOKENS || '2048'),
     temperature: parseFloat(process.env.TEMPERATURE || '0.7'),
+    api: process.env.BEDROCK_API || 'invoke', // 'invoke' (InvokeModel) or 'converse' (Converse API)
+    provider: process.env.BEDROCK_PROVIDER || 'aws', // 'aws' (Amazon Bedrock) or 'local' (scripted stand-in, no AWS credentials needed)
+    // Local stand-in (see services/localBedrockProvider.js)
+    local: {
+      scriptPath: process.env.BEDROCK_LOCAL_SCRIPT || '', // JSON file of scripted responses, tried before the built-in directives
+      firstTokenDelayMs: parseInt(process.env.BEDROCK_LOCAL_FIRST_TOKEN_DELAY_MS || '300'),
+      chunkDelayMs: parseInt(process.env.BEDROCK_LOCAL_CHUNK_DELAY_MS || '40'),
+      chunkSize: parseInt(process.env.BEDROCK_LOCAL_CHUNK_SIZE || '16'), // Characters per streamed chunk, split at word boundaries
+      errorRate: parseFloat(process.env.BEDROCK_LOCAL_ERROR_RATE || '0'), // Share of requests failing with InternalServerException
+      throttleRate: parseFloat(process.env.BEDROCK_LOCAL_THROTTLE_RATE || '0'), // Share of requests failing with ThrottlingException
+      seed: parseInt(process.env.BEDROCK_LOCAL_SEED || '1'), // Same seed, same sequence of injected failures
+    },
+    // Retries for throttling and transient failures before the first token (see services/llmService.js)
+    retry: {
+      maxAttempts: parseInt(process.env.BEDROCK_RETRY_MAX_ATTEMPTS || '3'), // Attempts on the requested model before falling back
+      baseDelayMs: parseInt(process.env.BEDROCK_RETRY_BASE_DELAY_MS || '500'), // Doubled per retry, with jitter
+      maxDelayMs: parseInt(process.env.BEDROCK_RETRY_MAX_DELAY_MS || '8000'),
+    },
+    // Tried once each, in this order, when retries are used up
+    fallback: {
+      region: process.env.BEDROCK_FALLBACK_REGION || '', // Same model in another region; inference profile IDs (us.*) must exist there
+      modelId: process.env.BEDROCK_FALLBACK_MODEL_ID || '', // Secondary model, used while it is enabled
+    },
+  },
+
+  // Chat providers besides Amazon Bedrock (see services/chatProviders.js). A provider is offered to
+  // admins once configured here; admins then enable it and pick its models in the admin panel.
+  providers: {
+    // Any server speaking the OpenAI chat completions API, e.g. Ollama (http://localhost:11434/v1) or vLLM
+    openai: {
+      label: process.env.OPENAI_COMPAT_LABEL || 'OpenAI-compatible',
+      baseUrl: process.env.OPENAI_COMPAT_BASE_URL || '', // Unset: provider not configured
+      apiKeySecretName: process.env.OPENAI_COMPAT_API_KEY_SECRET || '', // Secrets Manager secret holding the API key
+      apiKey: process.env.OPENAI_COMPAT_API_KEY || '', // Used when no secret is named; local servers usually need none
+      models: (process.env.OPENAI_COMPAT_MODELS || '').split(',').map(model => model.trim()).filter(Boolean),
+      contextWindow: parseInt(process.env.OPENAI_COMPAT_CONTEXT_WINDOW || '8192'),
+      timeoutMs: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS || '120000'),
+    },
+    // The Anthropic API, called directly rather than through Bedrock
+    anthropic: {
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      apiKeySecretName: process.env.ANTHROPIC_API_KEY_SECRET || '', // Secrets Manager secret holding the API key
+      apiKey: process.env.ANTHROPIC_API_KEY || '', // Used when no secret is named; with neither, the provider is not configured
+      version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+      models: (process.env.ANTHROPIC_MODELS || 'claude-3-5-sonnet-latest,claude-3-5-haiku-latest').split(',').map(model => model.trim()).filter(Boolean),
+      contextWindow: parseInt(process.env.ANTHROPIC_CONTEXT_WINDOW || '200000'),
+      timeoutMs: parseInt(process.env.ANTHROPIC_TIMEOUT_MS || '120000'),
+    },
+    settingsRefreshSeconds: parseInt(process.env.PROVIDER_SETTINGS_REFRESH_SECONDS || '60'), // How often each instance reloads the admin's choices
+  },
+
+  // Assistant tool calling
+  tools: {
+    enabled: process.env.TOOLS_ENABLED !== 'false',
+    maxIterations: parseInt(process.env.TOOLS_MAX_ITERATIONS || '5'), // Model/tool round trips per reply
+  },
+
+  // Generation parameters sent with a message (or set by a persona) are clamped to these bounds
+  generation: {
+    temperature: {
+      min: parseFloat(process.env.GENERATION_TEMPERATURE_MIN || '0'),
+      max: parseFloat(process.env.GENERATION_TEMPERATURE_MAX || '1'),
+    },
+    topP: {
+      min: parseFloat(process.env.GENERATION_TOP_P_MIN || '0'),
+      max: parseFloat(process.env.GENERATION_TOP_P_MAX || '1'),
+    },
+    topK: {
+      min: parseInt(process.env.GENERATION_TOP_K_MIN || '1'),
+      max: parseInt(process.env.GENERATION_TOP_K_MAX || '500'),
+    },
+    maxTokens: {
+      min: parseInt(process.env.GENERATION_MAX_TOKENS_MIN || '1'),
+      max: parseInt(process.env.GENERATION_MAX_TOKENS_MAX || '8192'),
+    },
+    maxStopSequences: parseInt(process.env.GENERATION_MAX_STOP_SEQUENCES || '4'),
+    maxStopSequenceLength: parseInt(process.env.GENERATION_MAX_STOP_SEQUENCE_LENGTH || '50'), // Characters
+  },
+
+  // Token quotas per user, counting input + output tokens (0 = unlimited); organizations may set their own
+  quotas: {
+    dailyTokens: parseInt(process.env.QUOTA_DAILY_TOKENS || '0'),
+    monthlyTokens: parseInt(process.env.QUOTA_MONTHLY_TOKENS || '0'),
+  },
+
+  // Archived and deleted conversations; deleted ones stay in the trash until they are purged
+  conversations: {
+    trashRetentionDays: parseInt(process.env.CONVERSATION_TRASH_RETENTION_DAYS || '30'),
+    trashPurgeIntervalMinutes: parseInt(process.env.CONVERSATION_TRASH_PURGE_INTERVAL_MINUTES || '60'),
+    maxBulkSize: parseInt(process.env.CONVERSATION_MAX_BULK_SIZE || '100'),
+    maxTags: parseInt(process.env.CONVERSATION_MAX_TAGS || '50'),
+    maxTagsPerConversation: parseInt(process.env.CONVERSATION_MAX_TAGS_PER_CONVERSATION || '10'),
+  },
+
+  // Conversation import from our JSON export format
+  imports: {
+    maxFileBytes: parseInt(process.env.IMPORT_MAX_FILE_BYTES || String(20 * 1024 * 1024)),
+  },
+
+  // Files attached to chat messages, passed to the model as image/document content blocks
+  attachments: {
+    storage: process.env.ATTACHMENT_STORAGE || 'local', // 'local' (disk) or 's3' (S3 or any S3-compatible store)
+    localDir: process.env.ATTACHMENT_DIR || require('path').resolve(__dirname, '../uploads'),
+    s3: {
+      bucket: process.env.ATTACHMENT_S3_BUCKET || '',
+      region: process.env.ATTACHMENT_S3_REGION || process.env.REGION || 'us-east-1',
+      endpoint: process.env.ATTACHMENT_S3_ENDPOINT || undefined, // e.g. a MinIO URL
+      forcePathStyle: process.env.ATTACHMENT_S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.ATTACHMENT_S3_PREFIX || 'attachments/'
+    },
+    // Bedrock limits: 3.75 MB per image, 4.5 MB per document
+    maxImageBytes: parseInt(process.env.ATTACHMENT_MAX_IMAGE_BYTES || String(3.75 * 1024 * 1024)),
+    maxDocumentBytes: parseInt(process.env.ATTACHMENT_MAX_DOCUMENT_BYTES || String(4.5 * 1024 * 1024)),
+    maxPerMessage: parseInt(process.env.ATTACHMENT_MAX_PER_MESSAGE || '5'),
+    thumbnailSize: parseInt(process.env.ATTACHMENT_THUMBNAIL_SIZE || '256'), // Longest edge in pixels
+  },
+
+  // Knowledge bases: uploaded documents are chunked, embedded and searched with pgvector
+  knowledgeBases: {
+    embeddingProvider: process.env.KB_EMBEDDING_PROVIDER || 'bedrock', // 'bedrock' (Titan) or 'local' (hashing stub for tests and offline development)
+    embeddingModelId: process.env.KB_EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0',
+    dimensions: parseInt(process.env.KB_EMBEDDING_DIMENSIONS || '1024'), // Titan v2 supports 256, 512 or 1024
+    chunkSize: parseInt(process.env.KB_CHUNK_SIZE || '1000'), // Characters per chunk
+    chunkOverlap: parseInt(process.env.KB_CHUNK_OVERLAP || '150'),
+    topK: parseInt(process.env.KB_TOP_K || '5'), // Chunks added to the system prompt per reply
+    minScore: parseFloat(process.env.KB_MIN_SCORE || '0.2'), // Cosine similarity below which chunks are ignored
+    maxDocumentBytes: parseInt(process.env.KB_MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024)),
+  },
+
+  // Personas: saved system prompts with their own model and sampling settings
+  personas: {
+    maxSystemPromptLength: parseInt(process.env.PERSONA_MAX_PROMPT_LENGTH || '8000'), // Characters
+  },
+
+  // Organizations (tenants) and their settings (see services/organizationService.js)
+  organizations: {
+    cacheSeconds: parseInt(process.env.ORGANIZATION_CACHE_SECONDS || '60'), // How long another instance's edits take to apply
+    maxSystemPromptLength: parseInt(process.env.ORGANIZATION_MAX_PROMPT_LENGTH || '8000'), // Characters
   },
 
   // Chat settings
@@ -132,7 +275,10 @@ Format titles and major sections with headers even in narrative content, but kee
 - Bold and italic text
 - Links
 - Blockquotes`,
-    maxHistoryMessages: parseInt(process.env.MAX_HISTORY || '10'),
+    // Share of the model's context window the prompt may use (the rest is headroom for the reply)
+    contextBudgetRatio: parseFloat(process.env.CONTEXT_BUDGET_RATIO || '0.75'),
+    // Summarize turns that no longer fit into a pinned system note instead of silently dropping them
+    summarizeDroppedTurns: process.env.SUMMARIZE_DROPPED_TURNS === 'true',
     chunkSize: parseInt(process.env.CHUNK_SIZE || '500'),
   },
 
@@ -7,6 +7,9 @@ const redis = require('redis');
 const connectRedis = require('connect-redis');
 const config = require('./index');
 
+// Session middleware instance, kept so non-Express transports (WebSocket upgrades) can reuse it
+let sessionMiddleware = null;
+
 /**
  * Initialize Redis session store
  * @returns {Object} Configured Redis session store
@@ -112,7 +115,8 @@ async function configureSession(app, secret) {
     }
 
     // Apply session middleware
-    app.use(session(sessionConfig));
+    sessionMiddleware = session(sessionConfig);
+    app.use(sessionMiddleware);
     
     // Add middleware to ensure session is saved before redirects
     const originalRedirect = app.response.redirect;
@@ -139,4 +143,12 @@ async function configureSession(app, secret) {
   }
 }
 
-module.exports = { configureSession };
+/**
+ * Get the configured session middleware
+ * @returns {Function|null} express-session middleware, or null before configureSession has run
+ */
+function getSessionMiddleware() {
+  return sessionMiddleware;
+}
+
+module.exports = { configureSession, getSessionMiddleware };
@@ -0,0 +1,423 @@
+/**
+ * API v1 Controller
+ * Versioned REST API for scripts and integrations, authenticated with personal access tokens
+ * (see middleware/apiTokenAuth.js). Field names are snake_case.
+ *
+ * Only saved conversations owned by the token's user are reachable; temporary chats, other
+ * users' conversations and conversations in the trash answer 404. Messages go through the same pipeline as the chat page, so
+ * personas, knowledge bases, tools, quotas and usage accounting all apply.
+ */
+const { v4: uuidv4 } = require('uuid');
+const models = require('../models');
+const chatController = require('./chatController');
+const conversationService = require('../services/conversationService');
+const generationRegistry = require('../services/generationRegistry');
+const generationParams = require('../services/generationParams');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const modelErrors = require('../services/modelErrors');
+const modelRegistry = require('../services/modelRegistry');
+const organizationService = require('../services/organizationService');
+const usageService = require('../services/usageService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Shape a conversation row for the API
+ * @param {Object} conversation - Conversation row
+ * @returns {Object}
+ */
+function toApiConversation(conversation) {
+  return {
+    id: conversation.conversation_id,
+    title: conversation.title,
+    model_id: conversation.model_id || modelRegistry.getDefaultModelId(),
+    persona_id: conversation.persona_id,
+    knowledge_base_ids: conversation.knowledge_base_ids || [],
+    input_tokens: conversation.input_tokens,
+    output_tokens: conversation.output_tokens,
+    archived_at: conversation.archived_at,
+    pinned_at: conversation.pinned_at,
+    tag_ids: conversation.tag_ids || [],
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at
+  };
+}
+
+/**
+ * Shape a chat history message for the API
+ * @param {Object} message - Stored message
+ * @returns {Object}
+ */
+function toApiMessage(message) {
+  const apiMessage = {
+    id: message.id,
+    parent_id: message.parentId || null,
+    role: message.role,
+    content: message.content
+  };
+  if (message.attachments) apiMessage.attachments = message.attachments;
+  if (message.sources) apiMessage.sources = message.sources;
+  if (message.usage) apiMessage.usage = message.usage;
+  if (message.truncated) apiMessage.truncated = true;
+  return apiMessage;
+}
+
+/**
+ * Find a saved conversation owned by the token's user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+async function findOwnedConversation(req) {
+  return models.Conversation.findOne({
+    where: {
+      conversation_id: req.params.conversationId,
+      user_id: req.user.id,
+      is_temporary: false,
+      deleted_at: null
+    }
+  });
+}
+
+/**
+ * Send a JSON error in the API's format
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} error - Message
+ * @param {Object} extra - Additional fields (e.g. code, quota)
+ */
+function sendError(res, status, error, extra = {}) {
+  return res.status(status).json({ success: false, error, ...extra });
+}
+
+/**
+ * List the user's conversations, most recently updated first
+ * GET /api/v1/conversations?limit=&offset=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listConversations(req, res) {
+  try {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+    const { count, rows } = await models.Conversation.findAndCountAll({
+      where: { user_id: req.user.id, is_temporary: false, deleted_at: null },
+      attributes: { exclude: ['chat_history', 'message_tree'] },
+      order: [['updated_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return res.json({
+      success: true,
+      conversations: rows.map(toApiConversation),
+      total: count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('[API] Error listing conversations:', error);
+    return sendError(res, 500, 'Failed to list conversations');
+  }
+}
+
+/**
+ * Create an empty conversation
+ * POST /api/v1/conversations { title?, model_id?, persona_id?, knowledge_base_ids? }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createConversation(req, res) {
+  try {
+    const { title, model_id: modelId, persona_id: personaId, knowledge_base_ids: knowledgeBaseIds } = req.body;
+
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.trim().length > 200)) {
+      return sendError(res, 400, 'title must be a string of at most 200 characters');
+    }
+    const organization = await organizationService.getUserOrganization(req.user);
+    if (modelId !== undefined && !organizationService.isModelAllowed(organization, modelId)) {
+      return sendError(res, 400, 'Unknown model');
+    }
+    if (knowledgeBaseIds !== undefined && !Array.isArray(knowledgeBaseIds)) {
+      return sendError(res, 400, 'knowledge_base_ids must be an array');
+    }
+
+    const selectedPersona = await chatController.preparePersona(req.user, personaId);
+    if (selectedPersona.error) {
+      return sendError(res, selectedPersona.status, selectedPersona.error);
+    }
+    const persona = selectedPersona.persona || null;
+
+    const conversation = await models.Conversation.create({
+      conversation_id: uuidv4(),
+      user_id: req.user.id,
+      title: title ? title.trim() : null,
+      chat_history: [],
+      started_at: new Date(),
+      // The sidebar lists conversations by ended_at, so API conversations show up there too
+      ended_at: new Date(),
+      is_temporary: false,
+      model_id: modelId || (persona && persona.model_id) || organizationService.getDefaultModelId(organization),
+      knowledge_base_ids: knowledgeBaseIds ? await knowledgeBaseService.filterAccessibleIds(req.user, knowledgeBaseIds) : [],
+      persona_id: persona ? persona.id : null
+    });
+    console.log(`[API] User ${req.user.id} created conversation ${conversation.conversation_id} with token ${req.apiToken.id}`);
+
+    return res.status(201).json({ success: true, conversation: toApiConversation(conversation) });
+  } catch (error) {
+    console.error('[API] Error creating conversation:', error);
+    return sendError(res, 500, 'Failed to create conversation');
+  }
+}
+
+/**
+ * Fetch a conversation with the messages on its active branch
+ * GET /api/v1/conversations/:conversationId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getConversation(req, res) {
+  try {
+    const conversation = await findOwnedConversation(req);
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    const { chatHistory } = await chatController.loadConversationForUser(conversation.conversation_id, req.user.id);
+    const messages = (chatHistory || []).filter(msg => msg.role !== 'system');
+
+    return res.json({
+      success: true,
+      conversation: { ...toApiConversation(conversation), messages: messages.map(toApiMessage) }
+    });
+  } catch (error) {
+    console.error('[API] Error fetching conversation:', error);
+    return sendError(res, 500, 'Failed to fetch conversation');
+  }
+}
+
+/**
+ * Move a conversation to the trash, or with ?permanent=true delete it for good
+ * DELETE /api/v1/conversations/:conversationId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteConversation(req, res) {
+  try {
+    const permanent = req.query.permanent === 'true';
+    const conversation = await models.Conversation.findOne({
+      where: { conversation_id: req.params.conversationId, user_id: req.user.id, is_temporary: false }
+    });
+    // Trashed conversations are only reachable for a permanent delete
+    if (!conversation || (conversation.deleted_at && !permanent)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    const conversationId = conversation.conversation_id;
+    if (permanent && !conversation.deleted_at) {
+      await conversationService.applyAction(req.user.id, 'delete', [conversationId]);
+    }
+    await conversationService.applyAction(req.user.id, permanent ? 'purge' : 'delete', [conversationId]);
+    console.log(`[API] User ${req.user.id} ${permanent ? 'permanently deleted' : 'trashed'} conversation ${conversationId} with token ${req.apiToken.id}`);
+
+    return res.json({ success: true, deleted: conversationId, permanent });
+  } catch (error) {
+    console.error('[API] Error deleting conversation:', error);
+    return sendError(res, 500, 'Failed to delete conversation');
+  }
+}
+
+/**
+ * Send a message and generate the reply
+ * POST /api/v1/conversations/:conversationId/messages
+ *   { content, stream?, model_id?, persona_id?, knowledge_base_ids?, attachment_ids?,
+ *     temperature?, top_p?, top_k?, max_tokens?, stop_sequences? }
+ *
+ * With `stream: true` the reply arrives as server-sent events in the chat page's format
+ * ({ type: 'text', content } deltas, then a `[DONE]` event). Otherwise the response waits for
+ * the whole reply.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function sendMessage(req, res) {
+  try {
+    const conversation = await findOwnedConversation(req);
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+    const conversationId = conversation.conversation_id;
+
+    const {
+      content,
+      stream = false,
+      model_id: modelId,
+      persona_id: personaId,
+      knowledge_base_ids: knowledgeBaseIds,
+      attachment_ids: attachmentIds
+    } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim() === '') {
+      return sendError(res, 400, 'content is required');
+    }
+    const organization = await organizationService.getUserOrganization(req.user);
+    if (modelId !== undefined && !organizationService.isModelAllowed(organization, modelId)) {
+      return sendError(res, 400, 'Unknown model');
+    }
+    if (knowledgeBaseIds !== undefined && !Array.isArray(knowledgeBaseIds)) {
+      return sendError(res, 400, 'knowledge_base_ids must be an array');
+    }
+    if (generationRegistry.isGenerating(conversationId)) {
+      return sendError(res, 409, 'A reply is already being generated for this conversation');
+    }
+
+    const generation = generationParams.parseGenerationParams(req.body);
+    if (generation.error) {
+      return sendError(res, generation.status, generation.error);
+    }
+
+    const quota = await usageService.checkQuota(req.user.id, organization);
+    if (quota.exceeded) {
+      return sendError(res, 429, quota.message, { code: 'quota_exceeded', quota });
+    }
+
+    const selectedPersona = await chatController.preparePersona(req.user, personaId);
+    if (selectedPersona.error) {
+      return sendError(res, selectedPersona.status, selectedPersona.error);
+    }
+
+    const prepared = await chatController.prepareAttachments(req.user, attachmentIds, {
+      conversationId,
+      modelId: modelId || selectedPersona.persona?.model_id || undefined,
+      organization
+    });
+    if (prepared.error) {
+      return sendError(res, prepared.status, prepared.error);
+    }
+
+    // Warm the Redis cache from the database so the new message lands after the stored history
+    await chatController.loadConversationForUser(conversationId, req.user.id);
+    await chatController.recordUserMessage({
+      user: req.user,
+      session: undefined,
+      message: content,
+      conversationId,
+      modelId,
+      attachments: prepared.attachments,
+      knowledgeBaseIds,
+      persona: selectedPersona.persona,
+      generation: generation.params
+    });
+
+    // Stop generating (and paying for tokens) as soon as the client goes away
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        console.log(`[API] Client disconnected during reply for conversation ${conversationId}`);
+        disconnect.abort();
+      }
+    });
+
+    if (stream) {
+      return streamReply(res, conversationId, { signal: disconnect.signal, user: req.user });
+    }
+    return collectReply(res, conversationId, { signal: disconnect.signal, user: req.user });
+  } catch (error) {
+    console.error('[API] Error sending message:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return sendError(res, 500, 'Failed to send message');
+  }
+}
+
+/**
+ * Relay generation events to the client as server-sent events
+ * @param {Object} res - Express response object
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { signal, user } for generateAssistantReply
+ */
+async function streamReply(res, conversationId, options) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const sendEvent = (payload) => {
+    if (res.destroyed || res.writableEnded) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  try {
+    await chatController.generateAssistantReply(conversationId, sendEvent, options);
+  } catch (error) {
+    console.error(`[API] Stream error for conversation ${conversationId}: ${error.message}`);
+    sendEvent(modelErrors.toErrorEvent(error));
+  }
+  res.end();
+}
+
+/**
+ * Wait for the whole reply and answer with a single JSON document
+ * @param {Object} res - Express response object
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { signal, user } for generateAssistantReply
+ */
+async function collectReply(res, conversationId, options) {
+  let done = null;
+  let failure = null;
+  let failureStatus = 502;
+  const toolCalls = [];
+
+  const collect = (payload) => {
+    if (payload.error) {
+      failure = failure || payload;
+    } else if (payload.type === 'tool_result') {
+      toolCalls.push({ id: payload.id, name: payload.name, result: payload.result, is_error: payload.isError });
+    } else if (payload.content === '[DONE]') {
+      done = payload;
+    }
+  };
+
+  try {
+    await chatController.generateAssistantReply(conversationId, collect, options);
+  } catch (error) {
+    console.error(`[API] Generation error for conversation ${conversationId}: ${error.message}`);
+    failure = modelErrors.toErrorEvent(error);
+    failureStatus = modelErrors.classifyError(error).status;
+  }
+
+  if (res.destroyed || res.writableEnded) return;
+
+  if (failure || !done) {
+    const status = failure && failure.code === 'quota_exceeded' ? 429 : failureStatus;
+    const { error = 'Failed to generate a reply', ...details } = failure || {};
+    return sendError(res, status, error, details);
+  }
+
+  return res.json({
+    success: true,
+    conversation_id: conversationId,
+    message: {
+      id: done.message ? done.message.id : null,
+      parent_id: done.message ? done.message.parentId : null,
+      role: 'assistant',
+      content: done.fullResponse,
+      sources: done.sources,
+      tool_calls: toolCalls
+    },
+    stop_reason: done.stopReason,
+    truncated: done.truncated,
+    usage: done.usage
+  });
+}
+
+module.exports = {
+  listConversations,
+  createConversation,
+  getConversation,
+  deleteConversation,
+  sendMessage
+};
@@ -0,0 +1,79 @@
+/**
+ * Attachment Controller
+ * Upload of images and documents for chat messages, and download of stored files and thumbnails
+ */
+const attachmentService = require('../services/attachmentService');
+
+/**
+ * Store an uploaded file so it can be sent with the next message
+ * POST /api/attachments (multipart, field "file")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function uploadAttachment(req, res) {
+  try {
+    const file = req.files && req.files.file;
+    if (!file || Array.isArray(file)) {
+      return res.status(400).json({ success: false, error: 'Please choose one file to attach' });
+    }
+
+    const result = await attachmentService.saveUpload(req.user, file);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    return res.status(201).json({
+      success: true,
+      attachment: attachmentService.toClientAttachment(result.attachment)
+    });
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    return res.status(500).json({ success: false, error: 'Failed to store attachment' });
+  }
+}
+
+/**
+ * Build a handler that streams an attachment file to its owner
+ * @param {string} variant - 'original' or 'thumbnail'
+ * @returns {Function} - Express handler
+ */
+function downloadHandler(variant) {
+  return async (req, res) => {
+    try {
+      const attachment = await attachmentService.getForUser(req.params.attachmentId, req.user.id);
+      if (!attachment) {
+        return res.status(404).json({ success: false, error: 'Attachment not found' });
+      }
+
+      const file = await attachmentService.openFile(attachment, variant);
+      if (!file) {
+        return res.status(404).json({ success: false, error: 'Attachment has no thumbnail' });
+      }
+
+      // Uploaded documents are never rendered inline, so a crafted file cannot run in our origin
+      const disposition = attachment.kind === 'image' ? 'inline' : 'attachment';
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+
+      file.stream.on('error', (error) => {
+        console.error(`Error streaming attachment ${attachment.id}: ${error.message}`);
+        res.destroy(error);
+      });
+      return file.stream.pipe(res);
+    } catch (error) {
+      console.error(`Error reading attachment ${variant}:`, error);
+      return res.status(404).json({ success: false, error: 'Attachment file not found' });
+    }
+  };
+}
+
+const downloadAttachment = downloadHandler('original');
+const downloadThumbnail = downloadHandler('thumbnail');
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  downloadThumbnail
+};
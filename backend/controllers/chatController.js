@@ -2,7 +2,7 @@
  * Chat Controller
  * Handles all chat-related functionality including streaming responses
  */
-const bedrockService = require('../services/bedrockService');
+const llmService = require('../services/llmService');
 const config = require('../config');
 const models = require('../models');
 
@@ -14,9 +14,298 @@ async function getModels() {
   return models;
 }
 const { v4: uuidv4 } = require('uuid');
-const { getChatHistory, saveChatHistory, deleteChatHistory } = require('../services/redisService');
+const {
+  getChatHistory,
+  saveChatHistory,
+  deleteChatHistory,
+  getConversationMeta,
+  saveConversationMeta,
+  saveMessageTree
+} = require('../services/redisService');
+const generationRegistry = require('../services/generationRegistry');
+const modelRegistry = require('../services/modelRegistry');
+const modelErrors = require('../services/modelErrors');
+const toolRegistry = require('../services/tools');
+const usageService = require('../services/usageService');
+const historyManager = require('../services/historyManager');
+const titleService = require('../services/titleService');
+const searchService = require('../services/searchService');
+const messageTree = require('../services/messageTree');
+const attachmentService = require('../services/attachmentService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const personaService = require('../services/personaService');
+const organizationService = require('../services/organizationService');
+const generationParams = require('../services/generationParams');
 const { Op } = require('sequelize');
 
+/**
+ * Append a user message to a conversation's history, creating the conversation if needed
+ * @param {Object} params - Message parameters
+ * @param {Object} params.user - Authenticated user
+ * @param {Object} params.session - Session used to track the current conversation
+ * @param {string} params.message - User message text
+ * @param {string} params.conversationId - Conversation ID supplied by the client, if any
+ * @param {boolean} params.isTemporary - Whether the conversation should skip database storage
+ * @param {string} params.modelId - Model selected for the conversation, if the client picked one
+ * @param {Array<Object>} params.attachments - Attachment references from prepareAttachments
+ * @param {Array<number>} params.knowledgeBaseIds - Knowledge bases selected for the conversation; omitted keeps the current selection
+ * @param {Object|null} params.persona - Persona from preparePersona; null returns to the default prompt, omitted keeps the current one
+ * @param {Object} params.generation - Generation parameters from generationParams.parseGenerationParams
+ * @returns {Promise<string>} - The conversation ID the message was recorded under
+ */
+async function recordUserMessage({ user, session, message, conversationId, isTemporary = false, modelId, attachments = [], knowledgeBaseIds, persona, generation = {} }) {
+  // A persona's model applies unless the client picked one explicitly
+  if (!modelId && persona && persona.model_id) {
+    modelId = persona.model_id;
+  }
+  
+  // Get or create conversation ID - prioritize session over request body
+  let newConversationId = session?.conversationId || conversationId;
+  console.log(`Processing message with conversationId from: ${session?.conversationId ? 'session' : (conversationId ? 'request body' : 'new uuid')}`);
+  
+  if (!newConversationId) {
+    newConversationId = uuidv4();
+    console.log(`Created new conversation with ID: ${newConversationId}`);
+  }
+  
+  // Always update session with the current conversation ID
+  if (session) {
+    session.conversationId = newConversationId;
+    console.log(`Updated session with conversationId: ${newConversationId}`);
+  } else {
+    console.warn('Session unavailable, conversationId will not persist across requests');
+  }
+  
+  // Get current chat history from Redis
+  let chatHistory = await getChatHistory(newConversationId);
+  
+  // First message in a new conversation - add system prompt
+  if (chatHistory.length === 0) {
+    chatHistory.push(messageTree.createMessage(chatHistory, {
+      role: 'system',
+      content: config.chat.systemPrompt
+    }));
+  }
+  
+  // Check for duplicate user messages before adding to history
+  const lastMessage = chatHistory[chatHistory.length - 1];
+  if (lastMessage?.role === 'user' && lastMessage.content === message.trim() && attachments.length === 0) {
+    console.log('Duplicate user message detected, skipping push');
+  } else {
+    // Add user message to history
+    const userMessage = messageTree.createMessage(chatHistory, {
+      role: 'user',
+      content: message.trim()
+    });
+    if (attachments.length > 0) {
+      userMessage.attachments = attachments;
+    }
+    // Sampling settings chosen for this message; the reply (and any regeneration of it) uses them
+    if (Object.keys(generation).length > 0) {
+      userMessage.generation = generation;
+    }
+    chatHistory.push(userMessage);
+  }
+  
+  // Save updated history to Redis
+  await saveChatHistory(newConversationId, chatHistory);
+  const tree = await messageTree.recordActivePath(newConversationId, chatHistory);
+  
+  // Remember the selected model so the stream (and reopened chats) keep using it
+  if (modelId) {
+    await saveConversationMeta(newConversationId, { modelId });
+  }
+  
+  await attachmentService.linkToConversation(attachments, newConversationId);
+  
+  // Remember the knowledge bases to search for this and later replies
+  let selectedKnowledgeBaseIds;
+  if (Array.isArray(knowledgeBaseIds) && user) {
+    selectedKnowledgeBaseIds = await knowledgeBaseService.filterAccessibleIds(user, knowledgeBaseIds);
+    await saveConversationMeta(newConversationId, { knowledgeBaseIds: selectedKnowledgeBaseIds });
+  }
+  
+  if (persona !== undefined) {
+    await saveConversationMeta(newConversationId, { personaId: persona ? persona.id : null });
+  }
+  
+  // Only save to database if NOT temporary
+  if (!isTemporary) {
+    try {
+      let conversation = await models.Conversation.findOne({ where: { conversation_id: newConversationId } });
+      
+      if (!conversation) {
+        // Create new conversation record only for non-temporary conversations
+        conversation = await models.Conversation.create({
+          conversation_id: newConversationId,
+          user_id: user ? user.id : null,
+          chat_history: chatHistory,
+          message_tree: tree,
+          active_message_id: messageTree.activeLeafId(chatHistory),
+          started_at: new Date(),
+          is_temporary: false,
+          model_id: modelId || organizationService.getDefaultModelId(await organizationService.getUserOrganization(user)),
+          knowledge_base_ids: selectedKnowledgeBaseIds || [],
+          persona_id: persona ? persona.id : null
+        });
+        console.log(`Created new conversation in database: ${newConversationId}`);
+      } else {
+        if (modelId && conversation.model_id !== modelId) {
+          conversation.model_id = modelId;
+          console.log(`Switched conversation ${newConversationId} to model ${modelId}`);
+        }
+        if (selectedKnowledgeBaseIds) {
+          conversation.knowledge_base_ids = selectedKnowledgeBaseIds;
+        }
+        if (persona !== undefined) {
+          conversation.persona_id = persona ? persona.id : null;
+        }
+        if (conversation.changed()) {
+          await conversation.save();
+        }
+      }
+    } catch (dbError) {
+      console.error(`Database error when creating conversation: ${dbError.message}`);
+      // Continue even if DB operation fails, as we have Redis backup
+    }
+  } else {
+    console.log(`Temporary conversation ${newConversationId} - skipping database storage`);
+  }
+  
+  return newConversationId;
+}
+
+/**
+ * Remove the trailing assistant reply so the last user message can be answered again
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} - True if the history ends with a user message afterwards
+ */
+async function discardLastAssistantReply(conversationId) {
+  const chatHistory = await getChatHistory(conversationId);
+  
+  // The discarded reply stays in the message tree as a sibling of the new one
+  await messageTree.recordActivePath(conversationId, chatHistory);
+  
+  if (chatHistory.length > 0 && chatHistory[chatHistory.length - 1].role === 'assistant') {
+    chatHistory.pop();
+    await saveChatHistory(conversationId, chatHistory);
+    console.log(`Discarded last assistant reply for conversation ${conversationId}`);
+  }
+  
+  const lastMessage = chatHistory[chatHistory.length - 1];
+  return lastMessage?.role === 'user';
+}
+
+/**
+ * Validate the persona a user picked for a conversation
+ * @param {Object} user - Sending user
+ * @param {number|string|null} personaId - Persona ID from the client; null or '' returns to the default prompt
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, persona }
+ *   (persona is undefined when the client sent none, so the conversation keeps its current one)
+ */
+async function preparePersona(user, personaId) {
+  if (personaId === undefined) {
+    return { status: 200, persona: undefined };
+  }
+  if (personaId === null || personaId === '') {
+    return { status: 200, persona: null };
+  }
+  
+  const persona = await personaService.getAvailablePersona(personaId, user);
+  if (!persona) {
+    return { status: 400, error: 'Unknown persona' };
+  }
+  return { status: 200, persona };
+}
+
+/**
+ * Validate the attachments a user wants to send with a message
+ * The model that will answer (the one picked for this message, else the conversation's) must
+ * accept image and document content.
+ * @param {Object} user - Sending user
+ * @param {Array<string>} attachmentIds - Attachment IDs from the client
+ * @param {Object} target - Where the message is going
+ * @param {string} target.conversationId - Conversation the message is sent in, if known
+ * @param {string} target.modelId - Model selected with the message, if any
+ * @param {Object|null} target.organization - Sending user's organization
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, attachments }
+ */
+async function prepareAttachments(user, attachmentIds, { conversationId, modelId, organization = null } = {}) {
+  const result = await attachmentService.resolveForMessage(user.id, attachmentIds);
+  if (result.error || result.attachments.length === 0) {
+    return result;
+  }
+  
+  const targetModelId = modelId || (conversationId
+    ? await resolveConversationModel(conversationId, organization)
+    : organizationService.getDefaultModelId(organization));
+  if (!modelRegistry.supportsAttachments(targetModelId)) {
+    return { status: 400, error: 'The selected model cannot read attachments' };
+  }
+  return result;
+}
+
+/**
+ * Validate a chat message before it is recorded; shared by the HTTP and WebSocket transports
+ * @param {Object} user - Sending user
+ * @param {Object} input - Request body or socket message ({ message, modelId, attachmentIds,
+ *   knowledgeBaseIds, personaId } plus the generation parameters read by generationParams)
+ * @param {Object} options - Options
+ * @param {string} options.conversationId - Conversation the message is sent in, if known
+ * @returns {Promise<Object>} - { status, error, code, quota } on failure, otherwise
+ *   { status: 200, organization, persona, attachments, generation }
+ */
+async function validateChatRequest(user, input, { conversationId } = {}) {
+  const { message, modelId, attachmentIds, knowledgeBaseIds, personaId } = input;
+  
+  if (!message || typeof message !== 'string' || message.trim() === '') {
+    return { status: 400, error: 'Message is required' };
+  }
+  
+  // Only the models the user's organization allows are known to them
+  const organization = await organizationService.getUserOrganization(user);
+  if (modelId !== undefined && !organizationService.isModelAllowed(organization, modelId)) {
+    return { status: 400, error: 'Unknown model' };
+  }
+  
+  if (knowledgeBaseIds !== undefined && !Array.isArray(knowledgeBaseIds)) {
+    return { status: 400, error: 'knowledgeBaseIds must be an array' };
+  }
+  
+  // temperature, top_p, top_k, max_tokens and stop_sequences; numbers are clamped to the configured bounds
+  const generation = generationParams.parseGenerationParams(input);
+  if (generation.error) {
+    return generation;
+  }
+  
+  const quota = await usageService.checkQuota(user.id, organization);
+  if (quota.exceeded) {
+    return { status: 429, error: quota.message, code: 'quota_exceeded', quota };
+  }
+  
+  const selectedPersona = await preparePersona(user, personaId);
+  if (selectedPersona.error) {
+    return selectedPersona;
+  }
+  
+  const prepared = await prepareAttachments(user, attachmentIds, {
+    conversationId,
+    modelId: modelId || selectedPersona.persona?.model_id || undefined,
+    organization
+  });
+  if (prepared.error) {
+    return prepared;
+  }
+  
+  return {
+    status: 200,
+    organization,
+    persona: selectedPersona.persona,
+    attachments: prepared.attachments,
+    generation: generation.params
+  };
+}
+
 /**
  * Process a chat message for streaming (stores the message for stream endpoint to process)
  * @param {Object} req - Express request object
@@ -27,89 +316,444 @@ async function processMessage(req, res) {
     return res.status(401).json({ success: false, error: 'Unauthorized: user not logged in' });
   }
   try {
-    const { message, conversationId, isTemporary = false } = req.body;
+    const { message, conversationId, isTemporary = false, modelId, knowledgeBaseIds } = req.body;
     
-    if (!message || typeof message !== 'string' || message.trim() === '') {
-      console.error(`Invalid message format received: ${JSON.stringify(req.body)}`);
-      return res.status(400).json({ success: false, error: 'Message is required' });
+    const validated = await validateChatRequest(req.user, req.body, {
+      conversationId: req.session?.conversationId || conversationId
+    });
+    if (validated.error) {
+      const { status, error, ...details } = validated;
+      return res.status(status).json({ success: false, error, ...details });
     }
     
-    // Get or create conversation ID - prioritize session over request body
-    let newConversationId = req.session?.conversationId || conversationId;
-    console.log(`Processing message with conversationId from: ${req.session?.conversationId ? 'session' : (conversationId ? 'request body' : 'new uuid')}`);
+    const newConversationId = await recordUserMessage({
+      user: req.user,
+      session: req.session,
+      message,
+      conversationId,
+      isTemporary,
+      modelId,
+      attachments: validated.attachments,
+      knowledgeBaseIds,
+      persona: validated.persona,
+      generation: validated.generation
+    });
     
-    if (!newConversationId) {
-      newConversationId = uuidv4();
-      console.log(`Created new conversation with ID: ${newConversationId}`);
+    return res.json({
+      success: true,
+      message: 'Message received, connect to /api/chat/stream to get streaming response',
+      conversationId: newConversationId
+    });
+  } catch (error) {
+    console.error('Error processing message:', error);
+    return res.status(500).json({ success: false, error: 'Failed to process message' });
+  }
+}
+
+/**
+ * Resolve the model a conversation should use
+ * Checks the Redis settings first, then the Conversation row, then falls back to the default model.
+ * Models the owner's organization does not allow (any more) are passed over.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} organization - Conversation owner's organization
+ * @returns {Promise<string>} - Bedrock model ID
+ */
+async function resolveConversationModel(conversationId, organization = null) {
+  const meta = await getConversationMeta(conversationId);
+  if (organizationService.isModelAllowed(organization, meta.modelId)) {
+    return meta.modelId;
+  }
+  
+  try {
+    const conversation = await models.Conversation.findOne({
+      where: { conversation_id: conversationId },
+      attributes: ['conversation_id', 'model_id']
+    });
+    if (conversation && organizationService.isModelAllowed(organization, conversation.model_id)) {
+      await saveConversationMeta(conversationId, { modelId: conversation.model_id });
+      return conversation.model_id;
+    }
+  } catch (dbError) {
+    console.error(`Database error when resolving conversation model: ${dbError.message}`);
+  }
+  
+  return organizationService.getDefaultModelId(organization);
+}
+
+/**
+ * Resolve the knowledge bases a conversation searches
+ * Checks the Redis settings first, then the Conversation row.
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<number>>} - Knowledge base IDs (empty when none are selected)
+ */
+async function resolveConversationKnowledgeBases(conversationId) {
+  const meta = await getConversationMeta(conversationId);
+  if (Array.isArray(meta.knowledgeBaseIds)) {
+    return meta.knowledgeBaseIds;
+  }
+  
+  try {
+    const conversation = await models.Conversation.findOne({
+      where: { conversation_id: conversationId },
+      attributes: ['conversation_id', 'knowledge_base_ids']
+    });
+    const knowledgeBaseIds = (conversation && conversation.knowledge_base_ids) || [];
+    await saveConversationMeta(conversationId, { knowledgeBaseIds });
+    return knowledgeBaseIds;
+  } catch (dbError) {
+    console.error(`Database error when resolving conversation knowledge bases: ${dbError.message}`);
+  }
+  
+  return [];
+}
+
+/**
+ * Resolve the persona a conversation uses
+ * Checks the Redis settings first, then the Conversation row. Personas that were deleted or are
+ * no longer available to the user are ignored.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} user - User the reply is for
+ * @returns {Promise<Object|null>} - Persona, or null for the default prompt
+ */
+async function resolveConversationPersona(conversationId, user) {
+  const meta = await getConversationMeta(conversationId);
+  let personaId = meta.personaId;
+  
+  try {
+    if (personaId === undefined) {
+      const conversation = await models.Conversation.findOne({
+        where: { conversation_id: conversationId },
+        attributes: ['conversation_id', 'persona_id']
+      });
+      personaId = (conversation && conversation.persona_id) || null;
+      await saveConversationMeta(conversationId, { personaId });
     }
     
-    // Always update session with the current conversation ID
-    if (req.session) {
-      req.session.conversationId = newConversationId;
-      console.log(`Updated session with conversationId: ${newConversationId}`);
-    } else {
-      console.warn('Session unavailable, conversationId will not persist across requests');
+    if (personaId && user) {
+      return await personaService.getAvailablePersona(personaId, user);
+    }
+  } catch (dbError) {
+    console.error(`Database error when resolving conversation persona: ${dbError.message}`);
+  }
+  
+  return null;
+}
+
+/**
+ * Generate the assistant reply for the last user message in a conversation
+ * 
+ * Transport agnostic: every event is handed to `send` as a plain object, which the
+ * SSE endpoint and the WebSocket server serialize in their own framing.
+ * 
+ * The generation is registered so it can be cancelled through the cancel API. When it
+ * is aborted the Bedrock request is torn down and whatever text has arrived so far is
+ * saved as a truncated assistant message.
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} send - Callback receiving each stream event payload
+ * @param {Object} options - Generation options
+ * @param {AbortSignal} options.signal - Aborts the generation when signalled (e.g. client disconnect)
+ * @param {Object} options.user - User the generation runs for
+ * @returns {Promise<string|null>} - The assistant response, or null if nothing was generated
+ */
+async function generateAssistantReply(conversationId, send, { signal, user } = {}) {
+  console.log(`Processing stream for conversation: ${conversationId}`);
+  
+  // Get chat history from Redis
+  let chatHistory = await getChatHistory(conversationId);
+  
+  if (!chatHistory || chatHistory.length === 0) {
+    console.error(`No chat history found for conversation ${conversationId}`);
+    send({ error: 'No chat history found' });
+    return null;
+  }
+  
+  // Extract the last user message
+  const lastUserMessage = [...chatHistory].reverse().find(msg => msg.role === 'user');
+  
+  if (!lastUserMessage) {
+    console.error(`No user message found in history for conversation ${conversationId}`);
+    send({ error: 'No user message found' });
+    return null;
+  }
+  
+  console.log(`Last user message: "${lastUserMessage.content.substring(0, 50)}..."`);
+  console.log(`Chat history length: ${chatHistory.length} messages`);
+  
+  // The user's organization decides the Bedrock account, models, prompt and quotas
+  const organization = await organizationService.getUserOrganization(user);
+  
+  // Regenerations reach this point without passing through processMessage, so check quotas here too
+  if (user) {
+    const quota = await usageService.checkQuota(user.id, organization);
+    if (quota.exceeded) {
+      console.log(`User ${user.id} exceeded ${quota.period} token quota (${quota.used}/${quota.limit})`);
+      send({ error: quota.message, code: 'quota_exceeded', quota });
+      return null;
+    }
+  }
+  
+  let assistantResponse = '';
+  let stopReason = null;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  
+  // Add system message if not present
+  const systemMessage = chatHistory.find(msg => msg.role === 'system');
+  if (!systemMessage) {
+    chatHistory.unshift({
+      role: 'system',
+      content: config.chat.systemPrompt
+    });
+  }
+  
+  const toolCalls = [];
+  let modelId = null;
+  let knowledge = null;
+  let generationOptions = {};
+  
+  // Register the generation; an external signal (client disconnect, socket stop) cancels it too.
+  // Everything after this point runs inside the try, so the registration is always released.
+  const controller = generationRegistry.startGeneration(conversationId, user ? user.id : null);
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+  
+  try {
+    modelId = await resolveConversationModel(conversationId, organization);
+    const persona = await resolveConversationPersona(conversationId, user);
+    if (persona) {
+      console.log(`Using persona ${persona.id} "${persona.name}" for conversation ${conversationId}`);
     }
     
-    // Get current chat history from Redis
-    let chatHistory = await getChatHistory(newConversationId);
+    // Settings sent with the message override the persona's, and a persona's prompt overrides the organization's
+    generationOptions = generationParams.clampOptions({
+      ...organizationService.generationOptions(organization),
+      ...personaService.generationOptions(persona),
+      ...(lastUserMessage.generation || {})
+    });
     
-    // First message in a new conversation - add system prompt
-    if (chatHistory.length === 0) {
-      chatHistory.push({
-        role: 'system',
-        content: config.chat.systemPrompt
-      });
+    // Passages from the selected knowledge bases; a retrieval failure should not block the reply
+    const knowledgeBaseIds = await resolveConversationKnowledgeBases(conversationId);
+    if (knowledgeBaseIds.length > 0) {
+      try {
+        knowledge = await knowledgeBaseService.retrieveContext(user, knowledgeBaseIds, lastUserMessage.content, organization);
+      } catch (retrievalError) {
+        console.error(`[KNOWLEDGE] Retrieval failed for conversation ${conversationId}: ${retrievalError.message}`);
+      }
     }
     
-    // Check for duplicate user messages before adding to history
-    const lastMessage = chatHistory[chatHistory.length - 1];
-    if (lastMessage?.role === 'user' && lastMessage.content === message.trim()) {
-      console.log('Duplicate user message detected, skipping push');
-    } else {
-      // Add user message to history
-      chatHistory.push({
-        role: 'user',
-        content: message.trim()
-      });
-    }
+    // Stream the response through the model's provider; events arrive normalized for every provider and model family
+    const tools = modelRegistry.supportsTools(modelId) ? toolRegistry.getToolDefinitions() : [];
     
-    // Save updated history to Redis
-    await saveChatHistory(newConversationId, chatHistory);
+    // Only the turns that fit the model's context window are sent; tool round trips are added to
+    // this working copy, while the stored history keeps the final text and a tool summary.
+    // Attachment references are swapped for their image/document content here.
+    // A persona's or organization's prompt replaces the default one stored at the top of the history (pinned summaries stay)
+    const contextMessages = historyManager.fitToContext(chatHistory, modelId, generationOptions.maxTokens).messages
+      .filter(msg => !generationOptions.systemPrompt || msg.role !== 'system' || msg.pinned);
+    const requestMessages = await attachmentService.expandAttachments(
+      contextMessages,
+      { inline: modelRegistry.supportsAttachments(modelId) }
+    );
     
-    // Only save to database if NOT temporary
-    if (!isTemporary) {
-      try {
-        let conversation = await models.Conversation.findOne({ where: { conversation_id: newConversationId } });
+    // Retrieved excerpts only travel with this request; they join the system prompt in _prepareMessages
+    if (knowledge) {
+      const systemCount = requestMessages.filter(msg => msg.role === 'system').length;
+      requestMessages.splice(systemCount, 0, { role: 'system', content: knowledge.prompt });
+    }
+    
+    for (let iteration = 0; iteration <= config.tools.maxIterations; iteration++) {
+      const stream = llmService.streamChat(requestMessages, {
+        ...generationOptions,
+        modelId,
+        abortSignal: controller.signal,
+        tools,
+        organization
+      });
+      
+      let turnText = '';
+      const turnToolUses = [];
+      stopReason = null;
+      
+      for await (const event of stream) {
+        if (controller.signal.aborted) {
+          break;
+        }
         
-        if (!conversation) {
-          // Create new conversation record only for non-temporary conversations
-          conversation = await models.Conversation.create({
-            conversation_id: newConversationId,
-            user_id: req.user ? req.user.id : null,
-            chat_history: chatHistory,
-            started_at: new Date(),
-            is_temporary: false
-          });
-          console.log(`Created new conversation in database: ${newConversationId}`);
+        if (event.type === 'text') {
+          // Keep text from separate tool round trips in separate paragraphs
+          const text = !turnText && assistantResponse ? `\n\n${event.text}` : event.text;
+          turnText += event.text;
+          
+          // Send delta text to client
+          assistantResponse += text;
+          send({ type: 'text', content: text });
+        } else if (event.type === 'stop') {
+          console.log(`Model stopped generating: ${event.reason}`);
+          stopReason = event.reason;
+          send({ type: 'stop', reason: event.reason });
+        } else if (event.type === 'usage') {
+          console.log(`Token usage: ${event.inputTokens} input, ${event.outputTokens} output`);
+          usage.inputTokens += event.inputTokens;
+          usage.outputTokens += event.outputTokens;
+          send({ type: 'usage', inputTokens: event.inputTokens, outputTokens: event.outputTokens });
+        } else if (event.type === 'tool_use') {
+          console.log(`Model requested tool ${event.name} (${event.id})`);
+          turnToolUses.push(event);
+          send({ type: 'tool_use', id: event.id, name: event.name, input: event.input });
+        } else if (event.type === 'retry') {
+          // The request failed before any output and is being retried (see services/llmService.js)
+          send({ type: 'retry', code: event.code, attempt: event.attempt, fallback: event.fallback });
         }
-      } catch (dbError) {
-        console.error(`Database error when creating conversation: ${dbError.message}`);
-        // Continue even if DB operation fails, as we have Redis backup
       }
+      
+      if (controller.signal.aborted || stopReason !== 'tool_use' || turnToolUses.length === 0) {
+        break;
+      }
+      
+      if (iteration === config.tools.maxIterations) {
+        console.warn(`Tool iteration limit (${config.tools.maxIterations}) reached for conversation ${conversationId}`);
+        break;
+      }
+      
+      // Run the requested tools and hand the results back to the model
+      const toolResults = [];
+      for (const toolUse of turnToolUses) {
+        const { result, isError } = await toolRegistry.executeTool(toolUse.name, toolUse.input, { user, conversationId });
+        toolCalls.push({ id: toolUse.id, name: toolUse.name, input: toolUse.input, result, isError });
+        toolResults.push({ toolUse, result, isError });
+        send({ type: 'tool_result', id: toolUse.id, name: toolUse.name, result, isError });
+      }
+      
+      requestMessages.push({
+        role: 'assistant',
+        content: [
+          ...(turnText ? [{ type: 'text', text: turnText }] : []),
+          ...turnToolUses.map(toolUse => ({
+            toolUse: { toolUseId: toolUse.id, name: toolUse.name, input: toolUse.input }
+          }))
+        ]
+      });
+      requestMessages.push({
+        role: 'user',
+        content: toolResults.map(({ toolUse, result, isError }) => ({
+          toolResult: {
+            toolUseId: toolUse.id,
+            content: [{ json: result }],
+            status: isError ? 'error' : 'success'
+          }
+        }))
+      });
+    }
+  } catch (streamError) {
+    // Aborting the request makes the SDK throw; that is a cancellation, not a failure
+    // (unless the conversation's settings could not even be loaded)
+    if (!controller.signal.aborted || !modelId) {
+      throw streamError;
+    }
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+    generationRegistry.finishGeneration(conversationId, controller);
+  }
+  
+  const truncated = controller.signal.aborted;
+  if (truncated) {
+    console.log(`Generation for conversation ${conversationId} cancelled after ${assistantResponse.length} characters`);
+  } else {
+    console.log('Stream processing completed successfully');
+  }
+  
+  // A cancelled stream ends before Bedrock reports output usage; estimate it from the text received
+  if (truncated && usage.outputTokens === 0 && assistantResponse) {
+    usage.outputTokens = usageService.estimateTokens(assistantResponse);
+  }
+  
+  // Add the assistant response to the conversation history (partial text is kept when cancelled)
+  let assistantMessage = null;
+  if (!truncated || assistantResponse || toolCalls.length > 0) {
+    assistantMessage = messageTree.createMessage(chatHistory, {
+      role: 'assistant',
+      content: assistantResponse
+    });
+    if (truncated) {
+      assistantMessage.truncated = true;
+    }
+    if (toolCalls.length > 0) {
+      assistantMessage.toolCalls = toolCalls;
+    }
+    if (knowledge) {
+      assistantMessage.sources = knowledge.sources;
+    }
+    assistantMessage.usage = { ...usage };
+    chatHistory.push(assistantMessage);
+  }
+  
+  // Save updated history to Redis
+  await saveChatHistory(conversationId, chatHistory);
+  const tree = await messageTree.recordActivePath(conversationId, chatHistory);
+  
+  // Update the conversation in the database only if not temporary
+  let persisted = false;
+  try {
+    const conversation = await models.Conversation.findOne({ where: { conversation_id: conversationId } });
+    persisted = !!conversation && !conversation.is_temporary;
+    if (persisted) {
+      await updateConversationInDb(conversationId, chatHistory, { isTruncated: truncated, messageTree: tree });
+      console.log(`Updated conversation ${conversationId} in database${truncated ? ' (truncated)' : ''}`);
+    } else if (!conversation) {
+      console.log(`Conversation ${conversationId} not found in database - likely temporary, skipping update`);
     } else {
-      console.log(`Temporary conversation ${newConversationId} - skipping database storage`);
+      console.log(`Conversation ${conversationId} is temporary - skipping database update`);
     }
-    
-    return res.json({
-      success: true,
-      message: 'Message received, connect to /api/chat/stream to get streaming response',
-      conversationId: newConversationId
+  } catch (dbError) {
+    console.error(`Database error when updating conversation: ${dbError.message}`);
+  }
+  
+  await usageService.recordUsage({
+    userId: user ? user.id : null,
+    conversationId,
+    persistConversation: persisted,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens
+  });
+  
+  // Send [DONE] marker with the full response once the history is persisted
+  send({
+    content: '[DONE]',
+    fullResponse: assistantResponse,
+    completed: !truncated,
+    truncated,
+    stopReason,
+    usage,
+    sources: knowledge ? knowledge.sources : [],
+    // Lets the client attach edit/regenerate controls and branch arrows to the new reply
+    message: assistantMessage ? {
+      id: assistantMessage.id,
+      parentId: assistantMessage.parentId,
+      siblingIds: messageTree.siblingIds(tree, assistantMessage)
+    } : null
+  });
+  
+  // Fold turns that no longer fit the context window into the rolling summary (runs in the background)
+  historyManager.updateRollingSummary(conversationId, modelId, {
+    organization,
+    maxTokens: generationOptions.maxTokens,
+    userId: user ? user.id : null
+  });
+  
+  // Name the conversation after its first exchange; the title reaches transports that are still open
+  const assistantReplies = chatHistory.filter(msg => msg.role === 'assistant').length;
+  if (persisted && !truncated && assistantReplies === 1) {
+    titleService.generateTitle(conversationId, chatHistory, { modelId, organization, userId: user ? user.id : null }).then((title) => {
+      if (title) {
+        send({ type: 'title', conversationId, title });
+      }
     });
-  } catch (error) {
-    console.error('Error processing message:', error);
-    return res.status(500).json({ success: false, error: 'Failed to process message' });
   }
+  
+  return assistantResponse;
 }
 
 /**
@@ -162,147 +806,30 @@ async function streamResponse(req, res) {
       return res.end();
     }
     
-    console.log(`Processing stream for conversation: ${conversationId}`);
-    
-    // Get chat history from Redis
-    const chatHistory = await getChatHistory(conversationId);
-    
-    if (!chatHistory || chatHistory.length === 0) {
-      console.error(`No chat history found for conversation ${conversationId}`);
-      res.write(`data: ${JSON.stringify({ error: 'No chat history found' })}\n\n`);
-      return res.end();
-    }
-    
-    // Extract the last user message
-    const lastUserMessage = [...chatHistory].reverse().find(msg => msg.role === 'user');
-    
-    if (!lastUserMessage) {
-      console.error(`No user message found in history for conversation ${conversationId}`);
-      res.write(`data: ${JSON.stringify({ error: 'No user message found' })}\n\n`);
-      return res.end();
-    }
+    // Write each generation event as an SSE frame
+    const sendEvent = (payload) => {
+      if (res.destroyed || res.writableEnded) return;
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      
+      // Flush the response to ensure it gets sent immediately
+      if (res.flush) res.flush();
+    };
     
-    console.log(`Last user message: "${lastUserMessage.content.substring(0, 50)}..."`);
-    console.log(`Chat history length: ${chatHistory.length} messages`);
+    // Stop generating (and paying for tokens) as soon as the client goes away
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        console.log(`Client disconnected from stream for conversation ${conversationId}`);
+        disconnect.abort();
+      }
+    });
     
     try {
-      let assistantResponse = '';
-      let streamCompleted = false;
-      
-      // Add system message if not present
-      const systemMessage = chatHistory.find(msg => msg.role === 'system');
-      if (!systemMessage) {
-        chatHistory.unshift({
-          role: 'system',
-          content: config.chat.systemPrompt
-        });
-      }
-      
-      // Stream the response using the bedrockService
-      const streamController = await bedrockService.bedrockClientInstance.createChatCompletion(chatHistory, true);
-      
-      // Process the stream events
-      const stream = streamController.body;
-      
-      for await (const event of stream) {
-        if (event.chunk && event.chunk.bytes) {
-          try {
-            const chunkString = Buffer.from(event.chunk.bytes).toString('utf-8');
-            const chunkData = JSON.parse(chunkString);
-            
-            if (chunkData.type === 'content_block_delta' && chunkData.delta && chunkData.delta.text) {
-              // Send delta text to client
-              const content = chunkData.delta.text;
-              assistantResponse += content;
-              
-              // Send the chunk to the client
-              res.write(`data: ${JSON.stringify({ content })}\n\n`);
-              
-              // Flush the response to ensure it gets sent immediately
-              if (res.flush) res.flush();
-            } else if (chunkData.type === 'content_block_start' && 
-                       chunkData.content_block && 
-                       chunkData.content_block.type === 'text' && 
-                       chunkData.content_block.text) {
-              // For initial text blocks
-              const content = chunkData.content_block.text;
-              assistantResponse += content;
-              
-              res.write(`data: ${JSON.stringify({ content })}\n\n`);
-              if (res.flush) res.flush();
-            } else if (chunkData.type === 'end_of_sequence') {
-              streamCompleted = true;
-              console.log('Received end_of_sequence signal');
-              
-              // Send [DONE] marker with the full response
-              res.write(`data: ${JSON.stringify({ 
-                content: '[DONE]',
-                fullResponse: assistantResponse,
-                completed: true
-              })}\n\n`);
-              
-              if (res.flush) res.flush();
-            }
-          } catch (parseError) {
-            console.error(`Error parsing chunk: ${parseError.message}`);
-            continue;
-          }
-        }
-      }
-      
-      // If we never sent a [DONE] (unusual case), send one now
-      if (!streamCompleted) {
-        console.log('Stream ended without a stop signal, sending final [DONE]');
-        res.write(`data: ${JSON.stringify({ 
-          content: '[DONE]',
-          fullResponse: assistantResponse,
-          completed: true
-        })}\n\n`);
-        
-        if (res.flush) res.flush();
-      }
-      
-      // End the response
-      res.end();
-      
-      console.log('Stream processing completed successfully');
-      
-      // Add the assistant response to the conversation history
-      chatHistory.push({
-        role: 'assistant',
-        content: assistantResponse
+      await generateAssistantReply(conversationId, sendEvent, {
+        signal: disconnect.signal,
+        user: req.user
       });
-      
-      // Limit conversation history if needed
-      if (chatHistory.length > config.chat.maxHistoryMessages + 1) { // +1 for system message
-        // Keep system message and trim the oldest messages
-        const systemMessage = chatHistory.find(msg => msg.role === 'system');
-        // Filter out system message first
-        const filteredHistory = chatHistory.filter(msg => msg.role !== 'system');
-        // Keep only the most recent messages
-        const limitedHistory = filteredHistory.slice(-(config.chat.maxHistoryMessages));
-        
-        // Add system message back at the beginning if it existed
-        chatHistory = systemMessage ? [systemMessage, ...limitedHistory] : limitedHistory;
-      }
-      
-      // Save updated history to Redis
-      await saveChatHistory(conversationId, chatHistory);
-      
-      // Update the conversation in the database only if not temporary
-      try {
-        const conversation = await models.Conversation.findOne({ where: { conversation_id: conversationId } });
-        if (conversation && !conversation.is_temporary) {
-          await updateConversationInDb(conversationId, chatHistory);
-          console.log(`Updated conversation ${conversationId} in database`);
-        } else if (!conversation) {
-          console.log(`Conversation ${conversationId} not found in database - likely temporary, skipping update`);
-        } else {
-          console.log(`Conversation ${conversationId} is temporary - skipping database update`);
-        }
-      } catch (dbError) {
-        console.error(`Database error when updating conversation: ${dbError.message}`);
-      }
+      res.end();
     } catch (streamError) {
       console.error(`Error during stream processing: ${streamError.message}`);
       console.error(`Stream error stack: ${streamError.stack}`);
@@ -312,10 +839,8 @@ async function streamResponse(req, res) {
         if (!res.headersSent) {
           return res.status(500).json({ error: 'Stream processing error' });
         } else {
-          // We already started the stream, send error as an event
-          res.write(`data: ${JSON.stringify({ 
-            error: 'Stream processing error'
-          })}\n\n`);
+          // We already started the stream, send the classified error as an event
+          sendEvent(modelErrors.toErrorEvent(streamError));
           res.end();
         }
       } catch (finalError) {
@@ -326,11 +851,38 @@ async function streamResponse(req, res) {
     console.error('Error streaming response:', error);
     
     // Send error response in SSE format
-    res.write(`data: ${JSON.stringify({ error: 'Error processing your request' })}\n\n`);
+    res.write(`data: ${JSON.stringify(modelErrors.toErrorEvent(error))}\n\n`);
     res.end();
   }
 }
 
+/**
+ * Cancel the in-flight generation for a conversation
+ * The partial reply is persisted by the generation itself once it stops.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelGeneration(req, res) {
+  try {
+    const conversationId = req.body.conversationId || req.session?.conversationId;
+    
+    if (!conversationId) {
+      return res.status(400).json({ success: false, error: 'Conversation ID is required' });
+    }
+    
+    const cancelled = await generationRegistry.cancelGeneration(conversationId, req.user ? req.user.id : null);
+    
+    return res.json({
+      success: true,
+      cancelled,
+      conversationId
+    });
+  } catch (error) {
+    console.error('Error cancelling generation:', error);
+    return res.status(500).json({ success: false, error: 'Failed to cancel generation' });
+  }
+}
+
 /**
  * Get all conversations
  * 
@@ -375,12 +927,22 @@ async function getConversations(req, res) {
     // Note: is_temporary should always be false now since we don't save temporary conversations to DB
     const queryOptions = {
       where: {
-        is_temporary: false // Additional safety: exclude any temporary conversations
+        is_temporary: false, // Additional safety: exclude any temporary conversations
+        // Archived and deleted conversations have their own sidebar views (see conversationController)
+        archived_at: null,
+        deleted_at: null
       },
-      order: [['updated_at', 'DESC'], ['ended_at', 'DESC']], // Sort by updated_at first, then ended_at
+      // Pinned conversations first so they are never pushed out by the limit, then by recency
+      order: [['pinned_at', 'DESC NULLS LAST'], ['updated_at', 'DESC'], ['ended_at', 'DESC']],
       limit: 100
     };
     
+    // Sidebar filtered to one of the user's tags (see services/conversationTagService.js)
+    const tagId = parseInt(req.query.tag, 10);
+    if (userId && Number.isInteger(tagId)) {
+      queryOptions.where.tag_ids = { [Op.contains]: [tagId] };
+    }
+    
     // Filter by user if logged in
     if (userId) {
       queryOptions.where.user_id = userId;
@@ -431,8 +993,9 @@ async function getConversations(req, res) {
     const thirtyDaysAgo = new Date(today);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
-    // Group conversations by date
+    // Group conversations by date, with pinned ones in their own group above the rest
     const groupedHistory = {
+      'Pinned': [],
       'Today': [],
       'Previous 7 Days': [],
       'Previous 30 Days': []
@@ -446,8 +1009,11 @@ async function getConversations(req, res) {
         const convDate = new Date(conv.ended_at);
         const firstExchange = {
           id: conv.conversation_id,
+          title: conv.title || null,
           preview: '',
-          timestamp: conv.ended_at
+          timestamp: conv.ended_at,
+          pinned: !!conv.pinned_at,
+          tagIds: conv.tag_ids || []
         };
         
         // Get first user message for preview
@@ -467,7 +1033,9 @@ async function getConversations(req, res) {
         
         // Add to appropriate group if it has a valid preview
         if (firstExchange.preview) {
-          if (convDate >= today) {
+          if (firstExchange.pinned) {
+            groupedHistory['Pinned'].push(firstExchange);
+          } else if (convDate >= today) {
             groupedHistory['Today'].push(firstExchange);
           } else if (convDate >= sevenDaysAgo && convDate < today) {
             groupedHistory['Previous 7 Days'].push(firstExchange);
@@ -497,6 +1065,7 @@ async function getConversations(req, res) {
     return res.json({
       success: true,
       history: {
+        'Pinned': [],
         'Today': [],
         'Previous 7 Days': [],
         'Previous 30 Days': []
@@ -505,6 +1074,50 @@ async function getConversations(req, res) {
   }
 }
 
+/**
+ * Load a conversation's full history, applying the same access rules as getConversation
+ * Conversations owned by another user are refused and ones in the trash are not found; history
+ * comes from Redis when cached and falls back to the database (re-filling the cache).
+ * @param {string} conversationId - Conversation ID
+ * @param {number|null} userId - Requesting user
+ * @returns {Promise<Object>} - { status: 200|403|404, conversation, chatHistory }
+ */
+async function loadConversationForUser(conversationId, userId) {
+  const conversation = await models.Conversation.findOne({
+    where: { conversation_id: conversationId }
+  });
+  
+  // Check access whether the history comes from Redis or the database
+  if (conversation && userId && conversation.user_id && conversation.user_id !== userId) {
+    return { status: 403, conversation: null, chatHistory: null };
+  }
+  
+  // Conversations in the trash can only be restored or purged
+  if (conversation && conversation.deleted_at) {
+    return { status: 404, conversation: null, chatHistory: null };
+  }
+  
+  // First, try to get from Redis cache
+  let chatHistory = await getChatHistory(conversationId);
+  
+  // If not in Redis, try to get from database
+  if (!chatHistory || chatHistory.length === 0) {
+    if (!conversation) {
+      return { status: 404, conversation: null, chatHistory: null };
+    }
+    
+    chatHistory = conversation.chat_history || [];
+    
+    // Update Redis cache
+    await saveChatHistory(conversationId, chatHistory);
+    if (conversation.model_id) {
+      await saveConversationMeta(conversationId, { modelId: conversation.model_id });
+    }
+  }
+  
+  return { status: 200, conversation, chatHistory };
+}
+
 /**
  * Get a specific conversation
  * @param {Object} req - Express request object
@@ -521,32 +1134,30 @@ async function getConversation(req, res) {
     // Get user ID if authenticated
     const userId = req.user ? req.user.id : null;
     
-    // First, try to get from Redis cache
-    let chatHistory = await getChatHistory(conversationId);
+    const { status, conversation, chatHistory } = await loadConversationForUser(conversationId, userId);
+    if (status === 403) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (status === 404) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
     
-    // If not in Redis, try to get from database
-    if (!chatHistory || chatHistory.length === 0) {
-      const conversation = await models.Conversation.findOne({
-        where: { conversation_id: conversationId }
-      });
-      
-      if (!conversation) {
-        return res.status(404).json({ success: false, error: 'Conversation not found' });
-      }
-      
-      // If found, check if user has access
-      if (userId && conversation.user_id && conversation.user_id !== userId) {
-        return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
-      }
-      
-      chatHistory = conversation.chat_history || [];
-      
-      // Update Redis cache
+    // Conversations stored before branching existed get message IDs the first time they are opened
+    const idsAssigned = messageTree.ensureMessageIds(chatHistory);
+    const tree = await messageTree.recordActivePath(conversationId, chatHistory);
+    if (idsAssigned) {
       await saveChatHistory(conversationId, chatHistory);
+      if (conversation && !conversation.is_temporary) {
+        await updateConversationInDb(conversationId, chatHistory, { isTruncated: conversation.is_truncated, messageTree: tree });
+      }
     }
     
-    // Filter out system messages for frontend display
-    const filteredHistory = chatHistory.filter(msg => msg.role !== 'system');
+    const modelId = await resolveConversationModel(conversationId, await organizationService.getUserOrganization(req.user));
+    const knowledgeBaseIds = await resolveConversationKnowledgeBases(conversationId);
+    const persona = req.user ? await resolveConversationPersona(conversationId, req.user) : null;
+    
+    // Filter out system messages for frontend display; sibling IDs drive the branch arrows
+    const filteredHistory = messageTree.withSiblings(tree, chatHistory.filter(msg => msg.role !== 'system'));
     
     // Update the session with this conversation ID
     if (req.session) {
@@ -556,7 +1167,11 @@ async function getConversation(req, res) {
     return res.json({
       success: true,
       conversation_id: conversationId,
-      chat_history: filteredHistory
+      title: conversation ? conversation.title : null,
+      chat_history: filteredHistory,
+      model_id: modelId,
+      knowledge_base_ids: knowledgeBaseIds,
+      persona_id: persona ? persona.id : null
     });
   } catch (error) {
     console.error('Error getting conversation:', error);
@@ -734,9 +1349,12 @@ async function resetConversation(req, res) {
  * Update conversation in database
  * @param {string} conversationId - Conversation ID
  * @param {Array} chatHistory - Chat history array
+ * @param {Object} options - Update options
+ * @param {boolean} options.isTruncated - Whether the latest assistant reply was cut short
+ * @param {Array} options.messageTree - Every branch of the conversation (see services/messageTree.js)
  * @returns {Promise} - Promise resolving to updated conversation
  */
-async function updateConversationInDb(conversationId, chatHistory) {
+async function updateConversationInDb(conversationId, chatHistory, { isTruncated = false, messageTree: tree } = {}) {
   try {
     const conversation = await models.Conversation.findOne({
       where: { conversation_id: conversationId }
@@ -744,6 +1362,11 @@ async function updateConversationInDb(conversationId, chatHistory) {
     
     if (conversation) {
       conversation.chat_history = chatHistory;
+      conversation.is_truncated = isTruncated;
+      if (tree) {
+        conversation.message_tree = tree;
+        conversation.active_message_id = messageTree.activeLeafId(chatHistory);
+      }
       await conversation.save();
       return conversation;
     } else {
@@ -751,7 +1374,10 @@ async function updateConversationInDb(conversationId, chatHistory) {
       return await models.Conversation.create({
         conversation_id: conversationId,
         chat_history: chatHistory,
-        started_at: new Date()
+        message_tree: tree || [],
+        active_message_id: messageTree.activeLeafId(chatHistory),
+        started_at: new Date(),
+        is_truncated: isTruncated
       });
     }
   } catch (error) {
@@ -760,10 +1386,209 @@ async function updateConversationInDb(conversationId, chatHistory) {
   }
 }
 
+/**
+ * Full-text search across the current user's saved conversations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function searchConversations(req, res) {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'Search query is required' });
+    }
+    
+    if (query.length > 200) {
+      return res.status(400).json({ success: false, error: 'Search query is too long' });
+    }
+    
+    const results = await searchService.searchConversations(req.user.id, query, { limit: req.query.limit });
+    console.log(`Search for "${query}" by user ${req.user.id} matched ${results.length} conversations`);
+    
+    return res.json({ success: true, query, results });
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    return res.status(500).json({ success: false, error: 'Failed to search conversations' });
+  }
+}
+
+/**
+ * Rename a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function renameConversation(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const { title } = req.body;
+    
+    if (typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Title is required' });
+    }
+    
+    const trimmedTitle = title.trim();
+    if (trimmedTitle.length > titleService.MAX_TITLE_LENGTH) {
+      return res.status(400).json({ success: false, error: `Title must be at most ${titleService.MAX_TITLE_LENGTH} characters` });
+    }
+    
+    const { Conversation } = await getModels();
+    const conversation = await Conversation.findOne({
+      where: { conversation_id: conversationId, user_id: req.user.id }
+    });
+    
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    
+    conversation.title = trimmedTitle;
+    await conversation.save();
+    console.log(`Renamed conversation ${conversationId} to "${trimmedTitle}"`);
+    
+    return res.json({ success: true, conversation_id: conversationId, title: trimmedTitle });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    return res.status(500).json({ success: false, error: 'Failed to rename conversation' });
+  }
+}
+
+/**
+ * Switch a conversation to another branch of its message tree
+ * - regenerate: the branch ending at the user message an assistant reply answered; a new reply
+ *   is then generated as a sibling of the old one
+ * - edit: the branch ending at a new user message that replaces (as a sibling) an earlier one
+ * - select: the newest branch running through a message, used by the sibling arrows
+ * The branch is saved to Redis and the database before returning.
+ * @param {string} conversationId - Conversation ID
+ * @param {number|null} userId - Requesting user
+ * @param {Object} params - Branch parameters
+ * @param {string} params.action - 'regenerate', 'edit' or 'select'
+ * @param {string} params.messageId - Message the branch is taken at
+ * @param {string} params.content - New message text (edit only)
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, chatHistory, tree, needsReply }
+ */
+async function branchConversation(conversationId, userId, { action, messageId, content }) {
+  const { status, conversation, chatHistory } = await loadConversationForUser(conversationId, userId);
+  if (status === 403) {
+    return { status, error: 'Unauthorized access to conversation' };
+  }
+  if (status === 404) {
+    return { status, error: 'Conversation not found' };
+  }
+  
+  if (generationRegistry.isGenerating(conversationId)) {
+    return { status: 409, error: 'A response is already being generated' };
+  }
+  
+  const tree = await messageTree.loadTree(conversationId, chatHistory);
+  const target = messageTree.findMessage(tree, messageId);
+  if (!target || target.role === 'system') {
+    return { status: 404, error: 'Message not found' };
+  }
+  
+  let branch;
+  if (action === 'regenerate') {
+    if (target.role !== 'assistant') {
+      return { status: 400, error: 'Only assistant replies can be regenerated' };
+    }
+    branch = messageTree.branchEndingAt(tree, target.parentId);
+  } else if (action === 'edit') {
+    if (target.role !== 'user') {
+      return { status: 400, error: 'Only your own messages can be edited' };
+    }
+    if (typeof content !== 'string' || content.trim() === '') {
+      return { status: 400, error: 'Message is required' };
+    }
+    branch = messageTree.branchEndingAt(tree, target.parentId);
+    const editedMessage = messageTree.createMessage(branch, { role: 'user', content: content.trim() });
+    // The edited message keeps the files and generation settings of the original
+    if (target.attachments) {
+      editedMessage.attachments = target.attachments;
+    }
+    if (target.generation) {
+      editedMessage.generation = target.generation;
+    }
+    branch.push(editedMessage);
+  } else {
+    branch = messageTree.branchEndingAt(tree, messageTree.newestLeafFrom(tree, target.id));
+  }
+  
+  const updatedTree = messageTree.mergePath(tree, branch);
+  await saveChatHistory(conversationId, branch);
+  await saveMessageTree(conversationId, updatedTree);
+  
+  if (conversation && !conversation.is_temporary) {
+    const lastMessage = branch[branch.length - 1];
+    await updateConversationInDb(conversationId, branch, {
+      isTruncated: !!lastMessage?.truncated,
+      messageTree: updatedTree
+    });
+  }
+  
+  console.log(`Conversation ${conversationId}: ${action} at message ${messageId}, active branch now ${branch.length} messages`);
+  return { status: 200, chatHistory: branch, tree: updatedTree, needsReply: action !== 'select' };
+}
+
+/**
+ * Build the Express handler for a branch action
+ * The client streams the new reply afterwards (via /api/chat/stream) when needsReply is true.
+ * @param {string} action - 'regenerate', 'edit' or 'select'
+ * @returns {Function} - Express handler
+ */
+function branchHandler(action) {
+  return async (req, res) => {
+    try {
+      const { conversationId, messageId } = req.params;
+      const result = await branchConversation(conversationId, req.user.id, {
+        action,
+        messageId,
+        content: req.body.message
+      });
+      
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      
+      // Streaming uses the session's conversation
+      if (req.session) {
+        req.session.conversationId = conversationId;
+      }
+      
+      return res.json({
+        success: true,
+        conversation_id: conversationId,
+        chat_history: messageTree.withSiblings(result.tree, result.chatHistory.filter(msg => msg.role !== 'system')),
+        needs_reply: result.needsReply
+      });
+    } catch (error) {
+      console.error(`Error handling ${action} for conversation:`, error);
+      return res.status(500).json({ success: false, error: `Failed to ${action} message` });
+    }
+  };
+}
+
+const regenerateMessage = branchHandler('regenerate');
+const editMessage = branchHandler('edit');
+const selectBranch = branchHandler('select');
+
 module.exports = {
+  recordUserMessage,
+  preparePersona,
+  prepareAttachments,
+  validateChatRequest,
+  discardLastAssistantReply,
+  generateAssistantReply,
   processMessage,
   streamResponse,
+  cancelGeneration,
   getConversations,
+  loadConversationForUser,
   getConversation,
+  searchConversations,
+  renameConversation,
+  branchConversation,
+  regenerateMessage,
+  editMessage,
+  selectBranch,
   resetConversation
 };
@@ -0,0 +1,191 @@
+/**
+ * Conversation Controller
+ * Pin, tag, archive, trash, restore and permanent deletion endpoints for the chat sidebar
+ */
+const conversationService = require('../services/conversationService');
+const conversationTagService = require('../services/conversationTagService');
+
+/**
+ * Send a service result as the usual JSON response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result ({ status, error } or { status: 200, ... })
+ */
+function sendResult(res, result) {
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  const { status, ...body } = result;
+  return res.status(status).json({ success: true, ...body });
+}
+
+/**
+ * List archived conversations or the trash
+ * GET /api/conversations?view=archived|trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listConversations(req, res) {
+  try {
+    return sendResult(res, await conversationService.listConversations(req.user.id, req.query.view));
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return res.status(500).json({ success: false, error: 'Failed to list conversations' });
+  }
+}
+
+/**
+ * Apply an action to several conversations at once
+ * POST /api/conversations/bulk { action, conversationIds }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function bulkAction(req, res) {
+  try {
+    const { action, conversationIds } = req.body;
+    return sendResult(res, await conversationService.applyAction(req.user.id, action, conversationIds));
+  } catch (error) {
+    console.error('Error applying bulk conversation action:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update conversations' });
+  }
+}
+
+/**
+ * Build a handler that applies one action to the conversation in the URL
+ * @param {string|Function} action - Action name, or a function picking it from the request
+ * @returns {Function} - Express handler
+ */
+function singleAction(action) {
+  return async function(req, res) {
+    try {
+      const actionName = typeof action === 'function' ? action(req) : action;
+      const result = await conversationService.applyAction(req.user.id, actionName, [req.params.conversationId]);
+      if (result.status === 200 && result.count === 0) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+      return sendResult(res, { ...result, conversation_id: req.params.conversationId });
+    } catch (error) {
+      console.error(`Error applying conversation action:`, error);
+      return res.status(500).json({ success: false, error: 'Failed to update conversation' });
+    }
+  };
+}
+
+// POST /api/conversations/:conversationId/pin
+const pinConversation = singleAction('pin');
+// POST /api/conversations/:conversationId/unpin
+const unpinConversation = singleAction('unpin');
+// POST /api/conversations/:conversationId/archive
+const archiveConversation = singleAction('archive');
+// POST /api/conversations/:conversationId/restore
+const restoreConversation = singleAction('restore');
+// DELETE /api/conversations/:conversationId moves it to the trash; ?permanent=true purges it from the trash
+const deleteConversation = singleAction(req => (req.query.permanent === 'true' ? 'purge' : 'delete'));
+
+/**
+ * Permanently delete everything in the trash
+ * POST /api/conversations/trash/empty
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function emptyTrash(req, res) {
+  try {
+    const count = await conversationService.emptyTrash(req.user.id);
+    return res.json({ success: true, count });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return res.status(500).json({ success: false, error: 'Failed to empty the trash' });
+  }
+}
+
+/**
+ * Replace the tags on a conversation (dragging it onto a tag adds one; moving swaps one for another)
+ * PUT /api/conversations/:conversationId/tags { tagIds }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function setConversationTags(req, res) {
+  try {
+    const result = await conversationTagService.setConversationTags(req.user.id, req.params.conversationId, req.body.tagIds);
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error tagging conversation:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update tags' });
+  }
+}
+
+/**
+ * List the user's tags
+ * GET /api/conversation-tags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listTags(req, res) {
+  try {
+    const tags = await conversationTagService.listTags(req.user.id);
+    return res.json({ success: true, tags, colors: conversationTagService.TAG_COLORS });
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    return res.status(500).json({ success: false, error: 'Failed to list tags' });
+  }
+}
+
+/**
+ * Create a tag
+ * POST /api/conversation-tags { name, color }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createTag(req, res) {
+  try {
+    return sendResult(res, await conversationTagService.createTag(req.user.id, req.body));
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create tag' });
+  }
+}
+
+/**
+ * Rename or recolor a tag
+ * PATCH /api/conversation-tags/:tagId { name, color }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateTag(req, res) {
+  try {
+    return sendResult(res, await conversationTagService.updateTag(req.user.id, req.params.tagId, req.body));
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update tag' });
+  }
+}
+
+/**
+ * Delete a tag; conversations keep everything but the tag
+ * DELETE /api/conversation-tags/:tagId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteTag(req, res) {
+  try {
+    return sendResult(res, await conversationTagService.deleteTag(req.user.id, req.params.tagId));
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return res.status(500).json({ success: false, error: 'Failed to delete tag' });
+  }
+}
+
+module.exports = {
+  listConversations,
+  bulkAction,
+  pinConversation,
+  unpinConversation,
+  archiveConversation,
+  restoreConversation,
+  deleteConversation,
+  emptyTrash,
+  setConversationTags,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
@@ -0,0 +1,184 @@
+/**
+ * Export Controller
+ * Conversation export (Markdown, JSON, HTML), the account data archive and JSON import
+ */
+const fs = require('fs');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const models = require('../models');
+const chatController = require('./chatController');
+const exportService = require('../services/exportService');
+const usageService = require('../services/usageService');
+const modelRegistry = require('../services/modelRegistry');
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: exportService.toMarkdown },
+  json: { contentType: 'application/json; charset=utf-8', render: exported => JSON.stringify(exported, null, 2) },
+  html: { contentType: 'text/html; charset=utf-8', render: exportService.toHtml }
+};
+
+/**
+ * Download a single conversation
+ * GET /conversations/:conversationId/export?format=md|json|html
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportConversation(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const format = req.query.format || 'md';
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({ success: false, error: 'Format must be one of md, json or html' });
+    }
+
+    const { status, conversation, chatHistory } = await chatController.loadConversationForUser(conversationId, req.user.id);
+    if (status === 403) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (status === 404) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const exported = exportService.toExportObject(conversation || { conversation_id: conversationId }, chatHistory);
+    const fileName = exportService.exportFileName(exported, format);
+    console.log(`Exporting conversation ${conversationId} as ${format} for user ${req.user.id}`);
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(exporter.render(exported));
+  } catch (error) {
+    console.error('Error exporting conversation:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export conversation' });
+  }
+}
+
+/**
+ * Download everything stored for the current user as a zip archive
+ * The archive holds account details, token usage, a conversations.json that can be imported
+ * again, and a Markdown copy of every conversation.
+ * GET /auth/account/export
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportAllData(req, res) {
+  const user = req.user;
+
+  let conversations;
+  let usage;
+  try {
+    conversations = await models.Conversation.findAll({
+      where: { user_id: user.id, is_temporary: false },
+      order: [['started_at', 'ASC']]
+    });
+    usage = await usageService.getUsageHistory(user.id, 365);
+  } catch (error) {
+    console.error('Error collecting data for account export:', error);
+    req.flash('error', 'An error occurred while preparing your data export.');
+    return res.redirect('/auth/account');
+  }
+
+  const exports = conversations.map(conv => exportService.toExportObject(conv, conv.chat_history));
+  const account = {
+    email: user.email,
+    name: user.name || null,
+    created_at: user.createdAt,
+    last_login: user.lastLogin || null,
+    email_verified: !!user.emailVerified,
+    mfa_enabled: !!user.mfaEnabled,
+    has_authenticator: !!user.hasAuthenticator
+  };
+
+  console.log(`Exporting ${exports.length} conversations for user ${user.id}`);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', (err) => console.warn('Account export warning:', err.message));
+  archive.on('error', (err) => {
+    console.error('Error building account export archive:', err);
+    res.destroy(err);
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="bedrock-express-export-${date}.zip"`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(account, null, 2), { name: 'account.json' });
+  archive.append(JSON.stringify(usage, null, 2), { name: 'usage.json' });
+  archive.append(JSON.stringify(exportService.toBulkExportObject(exports), null, 2), { name: 'conversations.json' });
+  for (const exported of exports) {
+    archive.append(exportService.toMarkdown(exported), {
+      name: `conversations/${exportService.exportFileName(exported, 'md')}`
+    });
+  }
+
+  await archive.finalize();
+}
+
+/**
+ * Recreate conversations from an uploaded JSON export for the current user
+ * Imported conversations always get new IDs so they never collide with existing ones.
+ * POST /auth/account/import (multipart, field "file")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function importConversations(req, res) {
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+  const fail = (status, message) => {
+    if (wantsJson) {
+      return res.status(status).json({ success: false, error: message });
+    }
+    req.flash('error', message);
+    return res.redirect('/auth/account');
+  };
+
+  const file = req.files && req.files.file;
+  if (!file || !file.size) {
+    return fail(400, 'Please choose an export file to import.');
+  }
+
+  let imported;
+  try {
+    const text = await fs.promises.readFile(file.path, 'utf8');
+    imported = exportService.parseImport(text);
+  } catch (error) {
+    console.warn(`Rejected import for user ${req.user.id}: ${error.message}`);
+    return fail(400, error.message);
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+
+  try {
+    const now = new Date();
+    const rows = imported.map(conv => ({
+      conversation_id: uuidv4(),
+      user_id: req.user.id,
+      title: conv.title,
+      // Models that are no longer offered fall back to the default when the chat resumes
+      model_id: modelRegistry.isKnownModel(conv.model_id) ? conv.model_id : null,
+      chat_history: conv.chat_history,
+      started_at: conv.started_at,
+      ended_at: now,
+      is_temporary: false
+    }));
+
+    await models.Conversation.bulkCreate(rows);
+    console.log(`Imported ${rows.length} conversations for user ${req.user.id}`);
+
+    if (wantsJson) {
+      return res.json({ success: true, imported: rows.map(row => row.conversation_id) });
+    }
+    req.flash('message', `Imported ${rows.length} conversation${rows.length === 1 ? '' : 's'}.`);
+    return res.redirect('/auth/account');
+  } catch (error) {
+    console.error('Error importing conversations:', error);
+    return fail(500, 'An error occurred while importing your conversations.');
+  }
+}
+
+module.exports = {
+  exportConversation,
+  exportAllData,
+  importConversations
+};
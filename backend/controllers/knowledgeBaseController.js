@@ -0,0 +1,182 @@
+/**
+ * Knowledge Base Controller
+ * Pages for creating knowledge bases and managing their documents
+ */
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+
+/**
+ * Load a knowledge base the current user can manage, or flash an error and redirect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Knowledge base, or null if a redirect was sent
+ */
+async function loadManagedKnowledgeBase(req, res) {
+  const knowledgeBase = await knowledgeBaseService.getAccessibleKnowledgeBase(req.params.knowledgeBaseId, req.user);
+  if (!knowledgeBase || !knowledgeBaseService.canManage(knowledgeBase, req.user)) {
+    req.flash('error', 'Knowledge base not found.');
+    res.redirect('/knowledge-bases');
+    return null;
+  }
+  return knowledgeBase;
+}
+
+/**
+ * List the knowledge bases the user can use, with a form to create one
+ * GET /knowledge-bases
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listKnowledgeBases(req, res) {
+  let knowledgeBases = [];
+  try {
+    knowledgeBases = await knowledgeBaseService.listAccessibleKnowledgeBases(req.user);
+  } catch (error) {
+    console.error('Error listing knowledge bases:', error);
+    req.flash('error', 'Knowledge bases could not be loaded.');
+  }
+
+  res.render('knowledge-bases', {
+    title: 'Knowledge Bases',
+    user: req.user,
+    knowledgeBases,
+    canManage: knowledgeBase => knowledgeBaseService.canManage(knowledgeBase, req.user),
+    error: req.flash('error'),
+    message: req.flash('message')
+  });
+}
+
+/**
+ * Create a knowledge base
+ * POST /knowledge-bases
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createKnowledgeBase(req, res) {
+  try {
+    const result = await knowledgeBaseService.createKnowledgeBase(req.user, {
+      name: req.body.name,
+      description: req.body.description,
+      visibility: req.body.visibility || 'private'
+    });
+    if (result.error) {
+      req.flash('error', result.error);
+      return res.redirect('/knowledge-bases');
+    }
+
+    req.flash('message', `Created knowledge base "${result.knowledgeBase.name}". Upload documents to get started.`);
+    return res.redirect(`/knowledge-bases/${result.knowledgeBase.id}`);
+  } catch (error) {
+    console.error('Error creating knowledge base:', error);
+    req.flash('error', 'An error occurred while creating the knowledge base.');
+    return res.redirect('/knowledge-bases');
+  }
+}
+
+/**
+ * Show a knowledge base's documents and the upload form
+ * GET /knowledge-bases/:knowledgeBaseId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function showKnowledgeBase(req, res) {
+  try {
+    const knowledgeBase = await loadManagedKnowledgeBase(req, res);
+    if (!knowledgeBase) return;
+
+    const documents = await knowledgeBaseService.listDocuments(knowledgeBase);
+    res.render('knowledge-base', {
+      title: `${knowledgeBase.name} | Knowledge Bases`,
+      user: req.user,
+      knowledgeBase,
+      documents,
+      error: req.flash('error'),
+      message: req.flash('message')
+    });
+  } catch (error) {
+    console.error('Error showing knowledge base:', error);
+    req.flash('error', 'The knowledge base could not be loaded.');
+    res.redirect('/knowledge-bases');
+  }
+}
+
+/**
+ * Add an uploaded document to a knowledge base; indexing continues in the background
+ * POST /knowledge-bases/:knowledgeBaseId/documents (multipart, field "file")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function uploadDocument(req, res) {
+  try {
+    const knowledgeBase = await loadManagedKnowledgeBase(req, res);
+    if (!knowledgeBase) return;
+
+    const file = req.files && req.files.file;
+    if (!file || Array.isArray(file) || !file.size) {
+      req.flash('error', 'Please choose a document to upload.');
+      return res.redirect(`/knowledge-bases/${knowledgeBase.id}`);
+    }
+
+    const result = await knowledgeBaseService.addDocument(knowledgeBase, req.user, file);
+    if (result.error) {
+      req.flash('error', result.error);
+    } else {
+      req.flash('message', `${result.document.file_name} is being indexed. Refresh to see when it is ready.`);
+    }
+    return res.redirect(`/knowledge-bases/${knowledgeBase.id}`);
+  } catch (error) {
+    console.error('Error uploading knowledge base document:', error);
+    req.flash('error', 'An error occurred while uploading the document.');
+    return res.redirect('/knowledge-bases');
+  }
+}
+
+/**
+ * Remove a document from a knowledge base
+ * POST /knowledge-bases/:knowledgeBaseId/documents/:documentId/delete
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteDocument(req, res) {
+  try {
+    const knowledgeBase = await loadManagedKnowledgeBase(req, res);
+    if (!knowledgeBase) return;
+
+    const deleted = await knowledgeBaseService.deleteDocument(knowledgeBase, req.params.documentId);
+    req.flash(deleted ? 'message' : 'error', deleted ? 'Document removed.' : 'Document not found.');
+    return res.redirect(`/knowledge-bases/${knowledgeBase.id}`);
+  } catch (error) {
+    console.error('Error deleting knowledge base document:', error);
+    req.flash('error', 'An error occurred while removing the document.');
+    return res.redirect('/knowledge-bases');
+  }
+}
+
+/**
+ * Delete a knowledge base with all of its documents
+ * POST /knowledge-bases/:knowledgeBaseId/delete
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteKnowledgeBase(req, res) {
+  try {
+    const knowledgeBase = await loadManagedKnowledgeBase(req, res);
+    if (!knowledgeBase) return;
+
+    await knowledgeBaseService.deleteKnowledgeBase(knowledgeBase);
+    req.flash('message', `Deleted knowledge base "${knowledgeBase.name}".`);
+    return res.redirect('/knowledge-bases');
+  } catch (error) {
+    console.error('Error deleting knowledge base:', error);
+    req.flash('error', 'An error occurred while deleting the knowledge base.');
+    return res.redirect('/knowledge-bases');
+  }
+}
+
+module.exports = {
+  listKnowledgeBases,
+  createKnowledgeBase,
+  showKnowledgeBase,
+  uploadDocument,
+  deleteDocument,
+  deleteKnowledgeBase
+};
@@ -0,0 +1,174 @@
+/**
+ * OpenAI-compatible Controller
+ * POST /v1/chat/completions and GET /v1/models for tools that speak the OpenAI chat format.
+ * Requests are stateless (nothing is stored as a conversation) but are checked against and
+ * counted in the same token quotas as the web chat.
+ */
+const llmService = require('../services/llmService');
+const modelErrors = require('../services/modelErrors');
+const openaiCompat = require('../services/openaiCompat');
+const organizationService = require('../services/organizationService');
+const usageService = require('../services/usageService');
+
+/**
+ * Send an OpenAI-style error
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} details - { param, code }
+ */
+function sendError(res, status, message, details) {
+  return res.status(status).json(openaiCompat.errorBody(message, status, details));
+}
+
+/**
+ * List the models requests can name
+ * GET /v1/models
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listModels(req, res) {
+  try {
+    const organization = await organizationService.getUserOrganization(req.user);
+    res.json({ object: 'list', data: openaiCompat.listModels(organization) });
+  } catch (error) {
+    console.error('[OPENAI] Error listing models:', error);
+    sendError(res, 500, 'Failed to list models');
+  }
+}
+
+/**
+ * Create a chat completion, streamed as OpenAI chunks when `stream` is true
+ * POST /v1/chat/completions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createChatCompletion(req, res) {
+  let organization;
+  try {
+    organization = await organizationService.getUserOrganization(req.user);
+  } catch (error) {
+    console.error('[OPENAI] Error loading organization:', error);
+    return sendError(res, 500, 'Failed to load organization settings');
+  }
+
+  const request = openaiCompat.parseChatCompletionRequest(req.body, organization);
+  if (request.error) {
+    return sendError(res, request.status, request.error, { param: request.param, code: request.code });
+  }
+
+  let quota;
+  try {
+    quota = await usageService.checkQuota(req.user.id, organization);
+  } catch (error) {
+    console.error('[OPENAI] Error checking quota:', error);
+    return sendError(res, 500, 'Failed to check usage quota');
+  }
+  if (quota.exceeded) {
+    return sendError(res, 429, quota.message, { code: 'quota_exceeded' });
+  }
+
+  const meta = openaiCompat.createCompletionMeta(request.modelId);
+  console.log(`[OPENAI] User ${req.user.id} requested ${request.stream ? 'streamed ' : ''}completion ${meta.id} from ${request.modelId}`);
+
+  // Stop generating (and paying for tokens) as soon as the client goes away
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log(`[OPENAI] Client disconnected during completion ${meta.id}`);
+      disconnect.abort();
+    }
+  });
+
+  const writeChunk = (payload) => {
+    if (res.destroyed || res.writableEnded) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  if (request.stream) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    writeChunk(openaiCompat.toChunk(meta, { role: 'assistant', content: '' }));
+  }
+
+  let text = '';
+  let stopReason = null;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let failure = null;
+
+  try {
+    const stream = llmService.streamChat(request.messages, {
+      ...request.options,
+      modelId: request.modelId,
+      abortSignal: disconnect.signal,
+      organization
+    });
+
+    for await (const event of stream) {
+      if (disconnect.signal.aborted) break;
+
+      if (event.type === 'text') {
+        text += event.text;
+        if (request.stream) {
+          writeChunk(openaiCompat.toChunk(meta, { content: event.text }));
+        }
+      } else if (event.type === 'stop') {
+        stopReason = event.reason;
+      } else if (event.type === 'usage') {
+        usage.inputTokens += event.inputTokens;
+        usage.outputTokens += event.outputTokens;
+      }
+    }
+  } catch (error) {
+    // Aborting the request makes the SDK throw; that is a cancellation, not a failure
+    if (!disconnect.signal.aborted) {
+      console.error(`[OPENAI] Completion ${meta.id} failed: ${error.message}`);
+      failure = error;
+    }
+  }
+
+  // A cancelled stream ends before Bedrock reports output usage; estimate it from the text received
+  if (usage.outputTokens === 0 && text) {
+    usage.outputTokens = usageService.estimateTokens(text);
+  }
+
+  await usageService.recordUsage({
+    userId: req.user.id,
+    conversationId: null,
+    persistConversation: false,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens
+  });
+
+  if (res.destroyed || res.writableEnded) return;
+
+  // Busy and unavailable models keep their status so clients can apply their own backoff
+  const failureClass = failure ? modelErrors.classifyError(failure) : null;
+
+  if (!request.stream) {
+    if (failure) {
+      return sendError(res, failureClass.status, failureClass.message, { code: failureClass.code });
+    }
+    return res.json(openaiCompat.toCompletion(meta, { text, stopReason, usage }));
+  }
+
+  if (failure) {
+    writeChunk(openaiCompat.errorBody(failureClass.message, failureClass.status, { code: failureClass.code }));
+  } else {
+    writeChunk(openaiCompat.toChunk(meta, {}, openaiCompat.finishReason(stopReason) || 'stop'));
+    if (request.includeUsage) {
+      writeChunk(openaiCompat.toUsageChunk(meta, usage));
+    }
+  }
+  res.write('data: [DONE]\n\n');
+  return res.end();
+}
+
+module.exports = {
+  listModels,
+  createChatCompletion
+};
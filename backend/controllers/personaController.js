@@ -0,0 +1,174 @@
+/**
+ * Persona Controller
+ * Pages for creating, editing and publishing assistant personas
+ */
+const personaService = require('../services/personaService');
+const organizationService = require('../services/organizationService');
+const generationParams = require('../services/generationParams');
+
+/**
+ * Map the persona form onto the service's field names
+ * @param {Object} body - Submitted form
+ * @returns {Object} - Persona fields
+ */
+function personaFieldsFromForm(body) {
+  return {
+    name: body.name,
+    description: body.description,
+    systemPrompt: body.system_prompt,
+    modelId: body.model_id,
+    temperature: body.temperature,
+    maxTokens: body.max_tokens,
+    visibility: body.visibility || 'private'
+  };
+}
+
+/**
+ * Load a persona the current user can edit, or flash an error and redirect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Persona, or null if a redirect was sent
+ */
+async function loadManagedPersona(req, res) {
+  const persona = await personaService.getAvailablePersona(req.params.personaId, req.user);
+  if (!persona || !personaService.canManage(persona, req.user)) {
+    req.flash('error', 'Persona not found.');
+    res.redirect('/personas');
+    return null;
+  }
+  return persona;
+}
+
+/**
+ * List the personas the user can chat with, with a form to create one
+ * GET /personas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listPersonas(req, res) {
+  let personas = [];
+  let organization = null;
+  try {
+    personas = await personaService.listAvailablePersonas(req.user);
+    organization = await organizationService.getUserOrganization(req.user);
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    req.flash('error', 'Personas could not be loaded.');
+  }
+
+  res.render('personas', {
+    title: 'Personas',
+    user: req.user,
+    personas,
+    models: organizationService.listModels(organization),
+    generationBounds: generationParams.getBounds(),
+    canManage: persona => personaService.canManage(persona, req.user),
+    error: req.flash('error'),
+    message: req.flash('message')
+  });
+}
+
+/**
+ * Create a persona
+ * POST /personas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createPersona(req, res) {
+  try {
+    const result = await personaService.createPersona(req.user, personaFieldsFromForm(req.body));
+    if (result.error) {
+      req.flash('error', result.error);
+    } else {
+      req.flash('message', `Created persona "${result.persona.name}". Pick it in the chat to start a conversation with it.`);
+    }
+    return res.redirect('/personas');
+  } catch (error) {
+    console.error('Error creating persona:', error);
+    req.flash('error', 'An error occurred while creating the persona.');
+    return res.redirect('/personas');
+  }
+}
+
+/**
+ * Show the edit form for a persona
+ * GET /personas/:personaId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function showPersona(req, res) {
+  try {
+    const persona = await loadManagedPersona(req, res);
+    if (!persona) return;
+    const organization = await organizationService.getUserOrganization(req.user);
+
+    res.render('persona', {
+      title: `${persona.name} | Personas`,
+      user: req.user,
+      persona,
+      models: organizationService.listModels(organization),
+      generationBounds: generationParams.getBounds(),
+      error: req.flash('error'),
+      message: req.flash('message')
+    });
+  } catch (error) {
+    console.error('Error showing persona:', error);
+    req.flash('error', 'The persona could not be loaded.');
+    res.redirect('/personas');
+  }
+}
+
+/**
+ * Save changes to a persona
+ * POST /personas/:personaId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updatePersona(req, res) {
+  try {
+    const persona = await loadManagedPersona(req, res);
+    if (!persona) return;
+
+    const result = await personaService.updatePersona(persona, req.user, personaFieldsFromForm(req.body));
+    if (result.error) {
+      req.flash('error', result.error);
+      return res.redirect(`/personas/${persona.id}`);
+    }
+
+    req.flash('message', `Saved persona "${persona.name}".`);
+    return res.redirect('/personas');
+  } catch (error) {
+    console.error('Error updating persona:', error);
+    req.flash('error', 'An error occurred while saving the persona.');
+    return res.redirect('/personas');
+  }
+}
+
+/**
+ * Delete a persona
+ * POST /personas/:personaId/delete
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deletePersona(req, res) {
+  try {
+    const persona = await loadManagedPersona(req, res);
+    if (!persona) return;
+
+    await personaService.deletePersona(persona);
+    req.flash('message', `Deleted persona "${persona.name}".`);
+    return res.redirect('/personas');
+  } catch (error) {
+    console.error('Error deleting persona:', error);
+    req.flash('error', 'An error occurred while deleting the persona.');
+    return res.redirect('/personas');
+  }
+}
+
+module.exports = {
+  listPersonas,
+  createPersona,
+  showPersona,
+  updatePersona,
+  deletePersona
+};
@@ -0,0 +1,143 @@
+/**
+ * Share Controller
+ * Create, list and revoke share links, and render the public read-only share page
+ */
+const chatController = require('./chatController');
+const shareService = require('../services/shareService');
+
+/**
+ * Public path of a share link
+ * @param {string} token - Share token
+ * @returns {string}
+ */
+function sharePath(token) {
+  return `/share/${token}`;
+}
+
+/**
+ * Create a share link for one of the user's conversations
+ * POST /api/conversations/:conversationId/shares
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createShare(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const { status, conversation, chatHistory } = await chatController.loadConversationForUser(conversationId, req.user.id);
+
+    // Only saved conversations owned by the user can be shared
+    if (status === 403 || (conversation && conversation.user_id !== req.user.id)) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (status === 404 || !conversation || conversation.is_temporary) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    if (!chatHistory.some(msg => msg.role === 'assistant')) {
+      return res.status(400).json({ success: false, error: 'There is nothing to share yet' });
+    }
+
+    const share = await shareService.createShare({ conversation, chatHistory, userId: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      token: share.token,
+      url: sharePath(share.token),
+      created_at: share.created_at
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create share link' });
+  }
+}
+
+/**
+ * List the active share links of one of the user's conversations
+ * GET /api/conversations/:conversationId/shares
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listShares(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const { status, conversation } = await chatController.loadConversationForUser(conversationId, req.user.id);
+
+    if (status === 403 || (conversation && conversation.user_id !== req.user.id)) {
+      return res.status(403).json({ success: false, error: 'Unauthorized access to conversation' });
+    }
+    if (status === 404 || !conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const shares = await shareService.listConversationShares(conversationId);
+    return res.json({
+      success: true,
+      shares: shares.map(share => ({
+        token: share.token,
+        url: sharePath(share.token),
+        view_count: share.view_count,
+        created_at: share.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    return res.status(500).json({ success: false, error: 'Failed to list share links' });
+  }
+}
+
+/**
+ * Revoke a share link (its creator or an admin)
+ * DELETE /api/shares/:token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function revokeShare(req, res) {
+  try {
+    const { status } = await shareService.revokeShare(req.params.token, req.user);
+
+    if (status === 404) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+    if (status === 403) {
+      return res.status(403).json({ success: false, error: 'You cannot revoke this share link' });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return res.status(500).json({ success: false, error: 'Failed to revoke share link' });
+  }
+}
+
+/**
+ * Render a shared conversation snapshot; no login required
+ * GET /share/:token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function viewShare(req, res) {
+  try {
+    const share = await shareService.getActiveShare(req.params.token);
+
+    if (!share) {
+      return res.status(404).render('shared', { share: null, messages: [] });
+    }
+
+    // Keep shared pages out of search engines
+    res.setHeader('X-Robots-Tag', 'noindex');
+    return res.render('shared', {
+      share,
+      messages: share.snapshot
+    });
+  } catch (error) {
+    console.error('Error rendering share link:', error);
+    return res.status(500).render('shared', { share: null, messages: [] });
+  }
+}
+
+module.exports = {
+  createShare,
+  listShares,
+  revokeShare,
+  viewShare
+};
@@ -75,6 +75,31 @@ const requireAdminAPI = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to limit a route to super admins (admins outside any organization)
+ * Must run after requireAdmin or requireAdminAPI.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSuperAdmin = (req, res, next) => {
+  if (req.user && req.user.isAdmin && !req.user.organizationId) {
+    return next();
+  }
+
+  console.log(`Organization admin ${req.user ? req.user.email : 'unknown'} attempted to access super admin route ${req.originalUrl}`);
+  if (req.xhr || req.headers.accept === 'application/json') {
+    return res.status(403).json({
+      success: false,
+      message: 'Super admin privileges required'
+    });
+  }
+  return res.status(403).render('error', {
+    message: 'Access Denied',
+    error: { status: 403, stack: 'Only super admins can manage this setting.' }
+  });
+};
+
 /**
  * Middleware to log admin actions for security auditing
  * @param {Object} req - Express request object
@@ -139,6 +164,7 @@ const adminErrorHandler = (err, req, res, next) => {
 module.exports = {
   requireAdmin,
   requireAdminAPI,
+  requireSuperAdmin,
   logAdminAction,
   adminErrorHandler
 };
\ No newline at end of file
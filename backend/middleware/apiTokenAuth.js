@@ -0,0 +1,50 @@
+/**
+ * API token authentication
+ * Authenticates /api/v1 requests with a personal access token instead of a browser session.
+ */
+const apiTokenService = require('../services/apiTokenService');
+
+/**
+ * Default error body, matching the rest of the JSON API
+ * @param {string} error - Message
+ * @returns {Object}
+ */
+function defaultErrorBody(error) {
+  return { success: false, error };
+}
+
+/**
+ * Require a valid bearer token carrying a scope
+ * Sets req.user and req.apiToken for the handlers that follow.
+ * @param {string} scope - Scope the route needs (see apiTokenService.SCOPES)
+ * @param {Object} options - Middleware options
+ * @param {Function} options.errorBody - Builds the JSON body for an error: (message, status) -> Object
+ * @returns {Function} - Express middleware
+ */
+function requireApiToken(scope, { errorBody = defaultErrorBody } = {}) {
+  return async function(req, res, next) {
+    try {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      const auth = match ? await apiTokenService.authenticate(match[1]) : null;
+      if (!auth) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json(errorBody('A valid API token is required', 401));
+      }
+
+      if (!apiTokenService.hasScope(auth.apiToken, scope)) {
+        return res.status(403).json(errorBody(`This token lacks the ${scope} scope`, 403));
+      }
+
+      req.user = auth.user;
+      req.apiToken = auth.apiToken;
+      return next();
+    } catch (error) {
+      console.error('API token authentication error:', error);
+      return res.status(500).json(errorBody('Authentication failed', 500));
+    }
+  };
+}
+
+module.exports = {
+  requireApiToken
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'archived_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      await queryInterface.addColumn('conversations', 'deleted_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      // The trash purge looks up conversations by deletion time
+      await queryInterface.addIndex('conversations', ['deleted_at']);
+      
+      console.log('Successfully added conversations.archived_at and conversations.deleted_at columns');
+    } catch (error) {
+      console.error('Error adding archive/trash columns:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('conversations', ['deleted_at']);
+      await queryInterface.removeColumn('conversations', 'deleted_at');
+      await queryInterface.removeColumn('conversations', 'archived_at');
+      console.log('Successfully removed conversations.archived_at and conversations.deleted_at columns');
+    } catch (error) {
+      console.error('Error removing archive/trash columns:', error);
+    }
+  }
+};
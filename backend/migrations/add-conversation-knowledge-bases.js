@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'knowledge_base_ids', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      });
+
+      console.log('Successfully added conversations.knowledge_base_ids column');
+    } catch (error) {
+      console.error('Error adding knowledge_base_ids column:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'knowledge_base_ids');
+      console.log('Successfully removed conversations.knowledge_base_ids column');
+    } catch (error) {
+      console.error('Error removing knowledge_base_ids column:', error);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'message_tree', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      });
+      await queryInterface.addColumn('conversations', 'active_message_id', {
+        type: Sequelize.STRING(36),
+        allowNull: true
+      });
+      
+      console.log('Successfully added conversations message tree columns');
+    } catch (error) {
+      console.error('Error adding message tree columns:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'message_tree');
+      await queryInterface.removeColumn('conversations', 'active_message_id');
+      console.log('Successfully removed conversations message tree columns');
+    } catch (error) {
+      console.error('Error removing message tree columns:', error);
+    }
+  }
+};
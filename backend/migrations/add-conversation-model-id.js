@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'model_id', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+      
+      console.log('Successfully added conversations.model_id column');
+    } catch (error) {
+      console.error('Error adding model_id column:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'model_id');
+      console.log('Successfully removed conversations.model_id column');
+    } catch (error) {
+      console.error('Error removing model_id column:', error);
+    }
+  }
+};
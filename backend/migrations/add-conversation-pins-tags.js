@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'pinned_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      await queryInterface.addColumn('conversations', 'tag_ids', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      });
+
+      console.log('Successfully added conversations.pinned_at and conversations.tag_ids columns');
+    } catch (error) {
+      console.error('Error adding pin/tag columns:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'tag_ids');
+      await queryInterface.removeColumn('conversations', 'pinned_at');
+      console.log('Successfully removed conversations.pinned_at and conversations.tag_ids columns');
+    } catch (error) {
+      console.error('Error removing pin/tag columns:', error);
+    }
+  }
+};
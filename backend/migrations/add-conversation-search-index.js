@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      // Immutable text extractor for the chat_history JSONB, usable in an index expression
+      await queryInterface.sequelize.query(`
+        CREATE OR REPLACE FUNCTION conversation_search_text(history jsonb) RETURNS text
+        LANGUAGE sql IMMUTABLE AS $$
+          SELECT coalesce(string_agg(elem->>'content', E'\\n'), '')
+          FROM jsonb_array_elements(CASE WHEN jsonb_typeof(history) = 'array' THEN history ELSE '[]'::jsonb END) AS elem
+          WHERE elem->>'role' IN ('user', 'assistant') AND jsonb_typeof(elem->'content') = 'string'
+        $$
+      `);
+
+      await queryInterface.sequelize.query(`
+        CREATE INDEX IF NOT EXISTS conversations_search_idx ON conversations
+        USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || conversation_search_text(chat_history)))
+      `);
+
+      console.log('Successfully created conversation full-text search index');
+    } catch (error) {
+      console.error('Error creating conversation search index:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS conversations_search_idx');
+      await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS conversation_search_text(jsonb)');
+      console.log('Successfully dropped conversation full-text search index');
+    } catch (error) {
+      console.error('Error dropping conversation search index:', error);
+    }
+  }
+};
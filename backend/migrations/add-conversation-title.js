@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'title', {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      });
+      
+      console.log('Successfully added conversations.title column');
+    } catch (error) {
+      console.error('Error adding title column:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'title');
+      console.log('Successfully removed conversations.title column');
+    } catch (error) {
+      console.error('Error removing title column:', error);
+    }
+  }
+};
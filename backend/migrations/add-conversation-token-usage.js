@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'input_tokens', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+      await queryInterface.addColumn('conversations', 'output_tokens', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+      
+      console.log('Successfully added conversations token usage columns');
+    } catch (error) {
+      console.error('Error adding token usage columns:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'input_tokens');
+      await queryInterface.removeColumn('conversations', 'output_tokens');
+      console.log('Successfully removed conversations token usage columns');
+    } catch (error) {
+      console.error('Error removing token usage columns:', error);
+    }
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('conversations', 'is_truncated', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+      
+      console.log('Successfully added conversations.is_truncated column');
+    } catch (error) {
+      console.error('Error adding is_truncated column:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'is_truncated');
+      console.log('Successfully removed conversations.is_truncated column');
+    } catch (error) {
+      console.error('Error removing is_truncated column:', error);
+    }
+  }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('api_tokens', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        token_prefix: {
+          type: Sequelize.STRING(16),
+          allowNull: false
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        scopes: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('api_tokens', ['user_id']);
+
+      console.log('Successfully created api_tokens table');
+    } catch (error) {
+      console.error('Error creating api_tokens table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('api_tokens');
+      console.log('Successfully dropped api_tokens table');
+    } catch (error) {
+      console.error('Error dropping api_tokens table:', error);
+    }
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('attachments', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        conversation_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        file_name: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        mime_type: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        kind: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        size_bytes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        storage: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        storage_key: {
+          type: Sequelize.STRING(500),
+          allowNull: false
+        },
+        thumbnail_key: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('attachments', ['user_id']);
+      await queryInterface.addIndex('attachments', ['conversation_id']);
+
+      console.log('Successfully created attachments table');
+    } catch (error) {
+      console.error('Error creating attachments table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('attachments');
+      console.log('Successfully dropped attachments table');
+    } catch (error) {
+      console.error('Error dropping attachments table:', error);
+    }
+  }
+};
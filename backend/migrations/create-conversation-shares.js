@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('conversation_shares', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        token: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        conversation_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'conversation_id'
+          },
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        title: {
+          type: Sequelize.STRING(200),
+          allowNull: true
+        },
+        snapshot: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        view_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('conversation_shares', ['conversation_id']);
+      await queryInterface.addIndex('conversation_shares', ['user_id']);
+
+      console.log('Successfully created conversation_shares table');
+    } catch (error) {
+      console.error('Error creating conversation_shares table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('conversation_shares');
+      console.log('Successfully dropped conversation_shares table');
+    } catch (error) {
+      console.error('Error dropping conversation_shares table:', error);
+    }
+  }
+};
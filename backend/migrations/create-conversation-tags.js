@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('conversation_tags', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        color: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'gray'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('conversation_tags', ['user_id', 'name'], { unique: true });
+
+      console.log('Successfully created conversation_tags table');
+    } catch (error) {
+      console.error('Error creating conversation_tags table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('conversation_tags');
+      console.log('Successfully dropped conversation_tags table');
+    } catch (error) {
+      console.error('Error dropping conversation_tags table:', error);
+    }
+  }
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const config = require('../config');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('knowledge_bases', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        visibility: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'private'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('knowledge_bases', ['user_id']);
+
+      await queryInterface.createTable('knowledge_documents', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        knowledge_base_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'knowledge_bases',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        file_name: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        mime_type: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        size_bytes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'processing'
+        },
+        error: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        chunk_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('knowledge_documents', ['knowledge_base_id']);
+
+      // Chunk embeddings use pgvector, which Sequelize has no column type for
+      await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS vector');
+      await queryInterface.sequelize.query(`
+        CREATE TABLE IF NOT EXISTS knowledge_chunks (
+          id BIGSERIAL PRIMARY KEY,
+          knowledge_base_id INTEGER NOT NULL REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+          document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          embedding vector(${config.knowledgeBases.dimensions}) NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS knowledge_chunks_knowledge_base_id_idx ON knowledge_chunks (knowledge_base_id)'
+      );
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS knowledge_chunks_embedding_idx ON knowledge_chunks USING hnsw (embedding vector_cosine_ops)'
+      );
+
+      console.log('Successfully created knowledge base tables');
+    } catch (error) {
+      console.error('Error creating knowledge base tables:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('knowledge_chunks');
+      await queryInterface.dropTable('knowledge_documents');
+      await queryInterface.dropTable('knowledge_bases');
+      console.log('Successfully dropped knowledge base tables');
+    } catch (error) {
+      console.error('Error dropping knowledge base tables:', error);
+    }
+  }
+};
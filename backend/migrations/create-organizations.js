@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('organizations', {
+        id: {
+          type: Sequelize.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          unique: true
+        },
+        bedrock_role_arn: {
+          type: Sequelize.STRING(2048),
+          allowNull: true
+        },
+        bedrock_external_id: {
+          type: Sequelize.STRING(1224),
+          allowNull: true
+        },
+        bedrock_region: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        allowed_model_ids: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        system_prompt: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        daily_token_limit: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        monthly_token_limit: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        brand_name: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        brand_color: {
+          type: Sequelize.STRING(7),
+          allowNull: true
+        },
+        brand_logo_url: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addColumn('Users', 'organizationId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex('Users', ['organizationId']);
+
+      console.log('Successfully created organizations table and Users.organizationId column');
+    } catch (error) {
+      console.error('Error creating organizations table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('Users', 'organizationId');
+      await queryInterface.dropTable('organizations');
+      console.log('Successfully dropped organizations table and Users.organizationId column');
+    } catch (error) {
+      console.error('Error dropping organizations table:', error);
+    }
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('personas', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        system_prompt: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        model_id: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        temperature: {
+          type: Sequelize.FLOAT,
+          allowNull: true
+        },
+        max_tokens: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        visibility: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'private'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+      await queryInterface.addIndex('personas', ['user_id']);
+      await queryInterface.addIndex('personas', ['visibility']);
+
+      await queryInterface.addColumn('conversations', 'persona_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'personas',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      });
+
+      console.log('Successfully created personas table and conversations.persona_id column');
+    } catch (error) {
+      console.error('Error creating personas table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('conversations', 'persona_id');
+      await queryInterface.dropTable('personas');
+      console.log('Successfully dropped personas table and conversations.persona_id column');
+    } catch (error) {
+      console.error('Error dropping personas table:', error);
+    }
+  }
+};
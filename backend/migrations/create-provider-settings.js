@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('provider_settings', {
+        provider: {
+          type: Sequelize.STRING(20),
+          primaryKey: true,
+          allowNull: false
+        },
+        enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        disabled_model_ids: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      console.log('Successfully created provider_settings table');
+    } catch (error) {
+      console.error('Error creating provider_settings table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('provider_settings');
+      console.log('Successfully dropped provider_settings table');
+    } catch (error) {
+      console.error('Error dropping provider_settings table:', error);
+    }
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.createTable('user_daily_usage', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        usage_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        input_tokens: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          defaultValue: 0
+        },
+        output_tokens: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          defaultValue: 0
+        },
+        request_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('user_daily_usage', ['user_id', 'usage_date'], { unique: true });
+
+      console.log('Successfully created user_daily_usage table');
+    } catch (error) {
+      console.error('Error creating user_daily_usage table:', error);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('user_daily_usage');
+      console.log('Successfully dropped user_daily_usage table');
+    } catch (error) {
+      console.error('Error dropping user_daily_usage table:', error);
+    }
+  }
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Personal access token for the /api/v1 REST API
+ * Only a SHA-256 hash of the token is stored; the plaintext is shown once when it is created.
+ */
+module.exports = (sequelize) => {
+  const ApiToken = sequelize.define('ApiToken', {
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Label chosen by the user
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // First characters of the token, shown so users can tell their tokens apart
+    token_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Permissions granted to the token (see services/apiTokenService.js)
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Null for tokens that never expire
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return ApiToken;
+};
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Files attached to chat messages
+ * The bytes live in attachment storage (local disk or S3, see services/attachmentStorage.js);
+ * chat history messages only reference attachments by ID.
+ */
+module.exports = (sequelize) => {
+  const Attachment = sequelize.define('Attachment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Uploader; only they can read the file or attach it to a message
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Set when the attachment is sent with a message (temporary chats have no conversation row)
+    conversation_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // 'image' or 'document'
+    kind: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Storage backend the file was written to ('local' or 's3')
+    storage: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    storage_key: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    thumbnail_key: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'attachments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['conversation_id']
+      }
+    ]
+  });
+
+  return Attachment;
+};
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Public read-only links to a snapshot of a conversation
+ * The snapshot is taken when the link is created, so later messages are never exposed.
+ */
+module.exports = (sequelize) => {
+  const ConversationShare = sequelize.define('ConversationShare', {
+    // Random URL token (see services/shareService.js)
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    conversation_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'conversations',
+        key: 'conversation_id'
+      }
+    },
+    // User who created the link
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    // Active-branch messages at creation time: [{ role, content }]
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    view_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'conversation_shares',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['conversation_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return ConversationShare;
+};
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ConversationTag: a user's label for grouping conversations in the sidebar
+ * Conversations list the tags they carry in conversations.tag_ids.
+ */
+module.exports = (sequelize) => {
+  const ConversationTag = sequelize.define('ConversationTag', {
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // One of conversationTagService.TAG_COLORS
+    color: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'gray'
+    }
+  }, {
+    tableName: 'conversation_tags',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'name']
+      }
+    ]
+  });
+
+  return ConversationTag;
+};
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Knowledge base: a named collection of documents that chats can be grounded in
+ * Chunks and their embeddings live in the knowledge_chunks table, which uses the pgvector
+ * `vector` type and is managed with SQL by services/knowledgeBaseService.js.
+ */
+module.exports = (sequelize) => {
+  const KnowledgeBase = sequelize.define('KnowledgeBase', {
+    // Creator; manages the documents
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // 'private' (creator only) or 'team' (every user can chat with it; created by admins)
+    visibility: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'private'
+    }
+  }, {
+    tableName: 'knowledge_bases',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return KnowledgeBase;
+};
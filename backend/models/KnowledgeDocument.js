@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Document uploaded to a knowledge base
+ * Only the extracted text survives, split into chunks in knowledge_chunks.
+ */
+module.exports = (sequelize) => {
+  const KnowledgeDocument = sequelize.define('KnowledgeDocument', {
+    knowledge_base_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'knowledge_bases',
+        key: 'id'
+      }
+    },
+    // Uploader
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // 'processing' while chunks are embedded, then 'ready' or 'failed'
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    chunk_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'knowledge_documents',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['knowledge_base_id']
+      }
+    ]
+  });
+
+  return KnowledgeDocument;
+};
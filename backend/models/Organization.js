@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Organization: a tenant users belong to, with its own Bedrock account, models, prompt, quotas
+ * and branding. Unset settings fall back to the deployment's configuration.
+ */
+module.exports = (sequelize) => {
+  const Organization = sequelize.define('Organization', {
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    // Cross-account role Bedrock requests for this organization go through (empty: the configured role)
+    bedrock_role_arn: {
+      type: DataTypes.STRING(2048),
+      allowNull: true
+    },
+    // External ID the role's trust policy requires
+    bedrock_external_id: {
+      type: DataTypes.STRING(1224),
+      allowNull: true
+    },
+    // Region for the role's Bedrock client (empty: config.aws.region)
+    bedrock_region: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    // Models members may use, out of the ones admins have enabled; empty allows all of them
+    allowed_model_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Replaces config.chat.systemPrompt for members' conversations (a persona's prompt still wins)
+    system_prompt: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Per-member token quotas; null keeps config.quotas, 0 is unlimited
+    daily_token_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    monthly_token_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Shown in the chat page header instead of the app's name and logo
+    brand_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    brand_color: {
+      type: DataTypes.STRING(7),
+      allowNull: true
+    },
+    brand_logo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'organizations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true
+  });
+
+  return Organization;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Persona: a named assistant setup (system prompt, sampling settings and model) chats can start with
+ * Unset settings fall back to the conversation's model and the configured defaults.
+ */
+module.exports = (sequelize) => {
+  const Persona = sequelize.define('Persona', {
+    // Creator; edits and deletes the persona
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Replaces config.chat.systemPrompt for conversations using the persona
+    system_prompt: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    model_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    temperature: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    max_tokens: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // 'private' (creator only) or 'team' (published to every user; created by admins)
+    visibility: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'private'
+    }
+  }, {
+    tableName: 'personas',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['visibility']
+      }
+    ]
+  });
+
+  return Persona;
+};
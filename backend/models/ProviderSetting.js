@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ProviderSetting: an admin's choice of whether a model provider is enabled, and which of its
+ * models are switched off. Providers without a row keep modelRegistry's defaults.
+ */
+module.exports = (sequelize) => {
+  const ProviderSetting = sequelize.define('ProviderSetting', {
+    // modelRegistry provider name: bedrock, openai or anthropic
+    provider: {
+      type: DataTypes.STRING(20),
+      primaryKey: true
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    disabled_model_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'provider_settings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true
+  });
+
+  return ProviderSetting;
+};
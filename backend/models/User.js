@@ -26,7 +26,9 @@ module.exports = (sequelize) => {
     passwordResetSentAt: DataTypes.DATE,
     resetPasswordToken: DataTypes.STRING,
     resetPasswordExpires: DataTypes.DATE,
-    subscriptionId: DataTypes.STRING
+    subscriptionId: DataTypes.STRING,
+    // Tenant the user belongs to (see models/Organization.js); admins without one are super admins
+    organizationId: DataTypes.INTEGER
   });
 
   // Instance methods
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Per-user, per-day token totals (UTC days), used for usage history and quota checks
+ */
+module.exports = (sequelize) => {
+  const UserDailyUsage = sequelize.define('UserDailyUsage', {
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    usage_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    input_tokens: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    output_tokens: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    request_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'user_daily_usage',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'usage_date']
+      }
+    ]
+  });
+
+  return UserDailyUsage;
+};
@@ -8,6 +8,16 @@ const { getSecret } = require('../services/secretsManager');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const UserModel = require('./User');
+const UserDailyUsageModel = require('./UserDailyUsage');
+const ConversationShareModel = require('./ConversationShare');
+const AttachmentModel = require('./Attachment');
+const KnowledgeBaseModel = require('./KnowledgeBase');
+const KnowledgeDocumentModel = require('./KnowledgeDocument');
+const PersonaModel = require('./Persona');
+const ApiTokenModel = require('./ApiToken');
+const ConversationTagModel = require('./ConversationTag');
+const ProviderSettingModel = require('./ProviderSetting');
+const OrganizationModel = require('./Organization');
 
 // Create a module object to export
 const db = {};
@@ -51,6 +61,77 @@ function defineConversationModel(sequelizeInstance) {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
+    },
+    // Sidebar label, generated after the first reply or set by the user
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    // Bedrock model selected for this conversation (see services/modelRegistry.js)
+    model_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // True when the latest assistant reply was cancelled before it finished
+    is_truncated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Bedrock token usage summed over every reply in the conversation
+    input_tokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    output_tokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Every message on every branch, in creation order (see services/messageTree.js);
+    // chat_history holds the active branch only
+    message_tree: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Last message of the active branch
+    active_message_id: {
+      type: DataTypes.STRING(36),
+      allowNull: true
+    },
+    // Knowledge bases searched for every reply (see services/knowledgeBaseService.js)
+    knowledge_base_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Persona whose prompt and settings replace the defaults (see services/personaService.js)
+    persona_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Hidden from the sidebar's main list until restored (see services/conversationService.js)
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // In the trash; purged permanently after config.conversations.trashRetentionDays
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Shown above the date groups in the sidebar, most recently pinned first
+    pinned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // The user's tags on this conversation (see services/conversationTagService.js)
+    tag_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
     }
   }, {
     tableName: 'conversations',
@@ -64,6 +145,9 @@ function defineConversationModel(sequelizeInstance) {
       },
       {
         fields: ['started_at']
+      },
+      {
+        fields: ['deleted_at']
       }
     ]
   });
@@ -98,10 +182,40 @@ if (process.env.NODE_ENV !== 'production') {
   // Initialize models synchronously for development
   db.User = UserModel(db.sequelize);
   db.Conversation = defineConversationModel(db.sequelize);
+  db.UserDailyUsage = UserDailyUsageModel(db.sequelize);
+  db.ConversationShare = ConversationShareModel(db.sequelize);
+  db.Attachment = AttachmentModel(db.sequelize);
+  db.KnowledgeBase = KnowledgeBaseModel(db.sequelize);
+  db.KnowledgeDocument = KnowledgeDocumentModel(db.sequelize);
+  db.Persona = PersonaModel(db.sequelize);
+  db.ApiToken = ApiTokenModel(db.sequelize);
+  db.ConversationTag = ConversationTagModel(db.sequelize);
+  db.ProviderSetting = ProviderSettingModel(db.sequelize);
+  db.Organization = OrganizationModel(db.sequelize);
   
   // Setup associations
   db.User.hasMany(db.Conversation, { foreignKey: 'user_id' });
   db.Conversation.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.User.hasMany(db.UserDailyUsage, { foreignKey: 'user_id' });
+  db.UserDailyUsage.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.Conversation.hasMany(db.ConversationShare, { foreignKey: 'conversation_id' });
+  db.ConversationShare.belongsTo(db.Conversation, { foreignKey: 'conversation_id' });
+  db.User.hasMany(db.ConversationShare, { foreignKey: 'user_id' });
+  db.ConversationShare.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.User.hasMany(db.Attachment, { foreignKey: 'user_id' });
+  db.Attachment.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.User.hasMany(db.KnowledgeBase, { foreignKey: 'user_id' });
+  db.KnowledgeBase.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.KnowledgeBase.hasMany(db.KnowledgeDocument, { foreignKey: 'knowledge_base_id', onDelete: 'CASCADE' });
+  db.KnowledgeDocument.belongsTo(db.KnowledgeBase, { foreignKey: 'knowledge_base_id' });
+  db.User.hasMany(db.Persona, { foreignKey: 'user_id' });
+  db.Persona.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.User.hasMany(db.ApiToken, { foreignKey: 'user_id' });
+  db.ApiToken.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.User.hasMany(db.ConversationTag, { foreignKey: 'user_id' });
+  db.ConversationTag.belongsTo(db.User, { foreignKey: 'user_id' });
+  db.Organization.hasMany(db.User, { foreignKey: 'organizationId' });
+  db.User.belongsTo(db.Organization, { foreignKey: 'organizationId' });
 }
 
 // Flag to track initialization
@@ -314,10 +428,40 @@ async function initializeDatabase() {
       // Define models with the initialized sequelize instance
       db.User = UserModel(sequelize);
       db.Conversation = defineConversationModel(sequelize);
+      db.UserDailyUsage = UserDailyUsageModel(sequelize);
+      db.ConversationShare = ConversationShareModel(sequelize);
+      db.Attachment = AttachmentModel(sequelize);
+      db.KnowledgeBase = KnowledgeBaseModel(sequelize);
+      db.KnowledgeDocument = KnowledgeDocumentModel(sequelize);
+      db.Persona = PersonaModel(sequelize);
+      db.ApiToken = ApiTokenModel(sequelize);
+      db.ConversationTag = ConversationTagModel(sequelize);
+      db.ProviderSetting = ProviderSettingModel(sequelize);
+      db.Organization = OrganizationModel(sequelize);
       
       // Setup associations between models
       db.User.hasMany(db.Conversation, { foreignKey: 'user_id' });
       db.Conversation.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.User.hasMany(db.UserDailyUsage, { foreignKey: 'user_id' });
+      db.UserDailyUsage.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.Conversation.hasMany(db.ConversationShare, { foreignKey: 'conversation_id' });
+      db.ConversationShare.belongsTo(db.Conversation, { foreignKey: 'conversation_id' });
+      db.User.hasMany(db.ConversationShare, { foreignKey: 'user_id' });
+      db.ConversationShare.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.User.hasMany(db.Attachment, { foreignKey: 'user_id' });
+      db.Attachment.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.User.hasMany(db.KnowledgeBase, { foreignKey: 'user_id' });
+      db.KnowledgeBase.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.KnowledgeBase.hasMany(db.KnowledgeDocument, { foreignKey: 'knowledge_base_id', onDelete: 'CASCADE' });
+      db.KnowledgeDocument.belongsTo(db.KnowledgeBase, { foreignKey: 'knowledge_base_id' });
+      db.User.hasMany(db.Persona, { foreignKey: 'user_id' });
+      db.Persona.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.User.hasMany(db.ApiToken, { foreignKey: 'user_id' });
+      db.ApiToken.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.User.hasMany(db.ConversationTag, { foreignKey: 'user_id' });
+      db.ConversationTag.belongsTo(db.User, { foreignKey: 'user_id' });
+      db.Organization.hasMany(db.User, { foreignKey: 'organizationId' });
+      db.User.belongsTo(db.Organization, { foreignKey: 'organizationId' });
     }
     
     // Test connection
@@ -1,17 +1,62 @@
 /**
  * Custom Admin Panel Routes
  * Secure CSP-compliant admin interface replacing AdminJS
+ *
+ * Admins who belong to an organization see and manage that organization's users, conversations
+ * and share links only; super admins (admins without one) see everything and also manage models
+ * and organizations (see services/organizationService.js).
  */
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const db = require('../models');
-const { requireAdmin, requireAdminAPI, logAdminAction, adminErrorHandler } = require('../middleware/adminMiddleware');
+const config = require('../config');
+const usageService = require('../services/usageService');
+const shareService = require('../services/shareService');
+const attachmentService = require('../services/attachmentService');
+const modelRegistry = require('../services/modelRegistry');
+const providerSettingsService = require('../services/providerSettingsService');
+const organizationService = require('../services/organizationService');
+const { getCredentialHealth } = require('../services/roleCredentials');
+const { requireAdmin, requireAdminAPI, requireSuperAdmin, logAdminAction, adminErrorHandler } = require('../middleware/adminMiddleware');
 
 // Apply admin middleware to all routes
 router.use(requireAdmin);
 router.use(logAdminAction);
 
+// The sidebar shows super admins the pages organization admins cannot use
+router.use((req, res, next) => {
+  res.locals.isSuperAdmin = organizationService.isSuperAdmin(req.user);
+  res.locals.adminOrganizationId = req.user.organizationId || null;
+  next();
+});
+
+/**
+ * Include for a query's users, limited to the ones an admin manages
+ * @param {Object} admin - Current user
+ * @param {Array<string>} attributes - User attributes to load
+ * @returns {Object} - Sequelize include; only required (an inner join) for organization admins
+ */
+function managedUserInclude(admin, attributes) {
+  if (organizationService.isSuperAdmin(admin)) {
+    return { model: db.User, attributes };
+  }
+  return { model: db.User, attributes, where: organizationService.userScope(admin) };
+}
+
+/**
+ * Find a user the current admin manages
+ * @param {Object} admin - Current user
+ * @param {number|string} userId - User ID
+ * @param {Object} options - Further findOne options
+ * @returns {Promise<Object|null>} - Null when the user does not exist or belongs to another organization
+ */
+async function findManagedUser(admin, userId, options = {}) {
+  const id = parseInt(userId, 10);
+  if (!Number.isInteger(id)) return null;
+  return db.User.findOne({ ...options, where: { id, ...organizationService.userScope(admin) } });
+}
+
 // Admin dashboard
 router.get('/', async (req, res) => {
   try {
@@ -23,12 +68,16 @@ router.get('/', async (req, res) => {
       throw new Error('Database models not properly initialized');
     }
     
-    // Get admin statistics
-    const userCount = await db.User.count();
-    const adminCount = await db.User.count({ where: { isAdmin: true } });
-    const verifiedUserCount = await db.User.count({ where: { emailVerified: true } });
-    const conversationCount = await db.Conversation.count();
+    // Get admin statistics for the users this admin manages
+    const scope = organizationService.userScope(req.user);
+    const userCount = await db.User.count({ where: scope });
+    const adminCount = await db.User.count({ where: { ...scope, isAdmin: true } });
+    const verifiedUserCount = await db.User.count({ where: { ...scope, emailVerified: true } });
+    const conversationCount = organizationService.isSuperAdmin(req.user)
+      ? await db.Conversation.count()
+      : await db.Conversation.count({ include: [managedUserInclude(req.user, [])] });
     const recentUsers = await db.User.findAll({
+      where: scope,
       order: [['createdAt', 'DESC']],
       limit: 5,
       attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin']
@@ -36,13 +85,16 @@ router.get('/', async (req, res) => {
 
     res.render('admin/dashboard', {
       title: 'Admin Dashboard',
+      organization: await organizationService.getOrganization(req.user.organizationId),
       stats: {
         userCount,
         adminCount,
         verifiedUserCount,
         conversationCount
       },
-      recentUsers
+      recentUsers,
+      // Every tenant's role is listed, so only super admins see them
+      credentials: organizationService.isSuperAdmin(req.user) ? getCredentialHealth() : null
     });
   } catch (error) {
     console.error('Admin dashboard error:', error);
@@ -64,10 +116,12 @@ router.get('/users', async (req, res) => {
     const offset = (page - 1) * limit;
     
     const { count, rows: users } = await db.User.findAndCountAll({
+      where: organizationService.userScope(req.user),
       order: [['createdAt', 'DESC']],
       limit,
       offset,
-      attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin', 'mfaEnabled']
+      attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin', 'mfaEnabled'],
+      include: [{ model: db.Organization, attributes: ['name'] }]
     });
 
     const totalPages = Math.ceil(count / limit);
@@ -96,9 +150,16 @@ router.get('/users', async (req, res) => {
 // Create user form
 router.get('/users/create', async (req, res) => {
   try {
+    // Super admins pick the new user's organization; organization admins add users to their own
+    await db.initializeDatabase();
+    const organizations = organizationService.isSuperAdmin(req.user)
+      ? await db.Organization.findAll({ order: [['name', 'ASC']], attributes: ['id', 'name'] })
+      : [await organizationService.getOrganization(req.user.organizationId)].filter(Boolean);
+
     res.render('admin/create-user', {
       title: 'Create New User',
       user: req.user,
+      organizations,
       error: req.flash('error'),
       message: req.flash('message')
     });
@@ -117,7 +178,7 @@ router.post('/users/create', requireAdminAPI, async (req, res) => {
     // Ensure database is initialized before accessing models
     await db.initializeDatabase();
     
-    const { email, name, password, confirmPassword, isAdmin, emailVerified } = req.body;
+    const { email, name, password, confirmPassword, isAdmin, emailVerified, organizationId } = req.body;
     
     // Validation
     if (!email || !password) {
@@ -142,6 +203,17 @@ router.post('/users/create', requireAdminAPI, async (req, res) => {
       return res.redirect('/admin-panel/users/create');
     }
     
+    // Organization admins can only add users to their own organization
+    let newUserOrganizationId = req.user.organizationId || null;
+    if (organizationService.isSuperAdmin(req.user) && organizationId) {
+      const organization = await db.Organization.findByPk(parseInt(organizationId, 10) || 0);
+      if (!organization) {
+        req.flash('error', 'Organization not found');
+        return res.redirect('/admin-panel/users/create');
+      }
+      newUserOrganizationId = organization.id;
+    }
+    
     // Hash password
     const bcrypt = require('bcryptjs');
     const passwordHash = await bcrypt.hash(password, 12);
@@ -155,7 +227,8 @@ router.post('/users/create', requireAdminAPI, async (req, res) => {
       emailVerified: emailVerified === 'on',
       mfaEnabled: false,
       hasAuthenticator: false,
-      isMfaSetupComplete: false
+      isMfaSetupComplete: false,
+      organizationId: newUserOrganizationId
     });
     
     req.flash('message', `User ${email} created successfully`);
@@ -173,8 +246,8 @@ router.get('/users/:id', async (req, res) => {
     // Ensure database is initialized before accessing models
     await db.initializeDatabase();
     
-    const viewedUser = await db.User.findByPk(req.params.id, {
-      attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin', 'mfaEnabled']
+    const viewedUser = await findManagedUser(req.user, req.params.id, {
+      attributes: ['id', 'email', 'name', 'createdAt', 'emailVerified', 'isAdmin', 'mfaEnabled', 'organizationId']
     });
     
     if (!viewedUser) {
@@ -188,14 +261,26 @@ router.get('/users/:id', async (req, res) => {
       where: { user_id: viewedUser.id },
       order: [['started_at', 'DESC']],
       limit: 10,
-      attributes: ['conversation_id', 'started_at', 'ended_at', 'is_temporary']
+      attributes: ['conversation_id', 'started_at', 'ended_at', 'is_temporary', 'input_tokens', 'output_tokens']
     });
 
+    const usage = await usageService.getUsageHistory(viewedUser.id, 30);
+    const organization = await organizationService.getOrganization(viewedUser.organizationId);
+    const organizations = organizationService.isSuperAdmin(req.user)
+      ? await db.Organization.findAll({ order: [['name', 'ASC']], attributes: ['id', 'name'] })
+      : [];
+
     res.render('admin/user-detail', {
       title: `User: ${viewedUser.email}`,
       viewedUser: viewedUser,
       conversations: userConversations,
-      user: req.user // Explicitly pass logged-in user
+      usage,
+      quotas: organizationService.getQuotaLimits(organization),
+      organization,
+      organizations,
+      user: req.user, // Explicitly pass logged-in user
+      error: req.flash('error'),
+      message: req.flash('message')
     });
   } catch (error) {
     console.error('User detail error:', error);
@@ -212,7 +297,7 @@ router.post('/users/:id/toggle-admin', requireAdminAPI, async (req, res) => {
     // Ensure database is initialized before accessing models
     await db.initializeDatabase();
     
-    const user = await db.User.findByPk(req.params.id);
+    const user = await findManagedUser(req.user, req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
@@ -245,7 +330,7 @@ router.post('/users/:id/toggle-verified', requireAdminAPI, async (req, res) => {
     // Ensure database is initialized before accessing models
     await db.initializeDatabase();
     
-    const user = await db.User.findByPk(req.params.id);
+    const user = await findManagedUser(req.user, req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
@@ -278,10 +363,7 @@ router.get('/conversations', async (req, res) => {
       order: [['started_at', 'DESC']],
       limit,
       offset,
-      include: [{
-        model: db.User,
-        attributes: ['email', 'name']
-      }],
+      include: [managedUserInclude(req.user, ['email', 'name'])],
       attributes: ['conversation_id', 'user_id', 'started_at', 'ended_at', 'is_temporary']
     });
 
@@ -309,13 +391,270 @@ router.get('/conversations', async (req, res) => {
   }
 });
 
+// Active share links
+router.get('/shares', async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const shares = await shareService.listActiveShares(req.user);
+
+    res.render('admin/shares', {
+      title: 'Shared Links',
+      layout: 'admin/layout',
+      shares
+    });
+  } catch (error) {
+    console.error('Share management error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load share links',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Revoke a share link
+router.post('/shares/:token/revoke', requireAdminAPI, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+    
+    const { status } = await shareService.revokeShare(req.params.token, req.user);
+    // Links of another organization's users are not this admin's to see
+    if (status === 404 || status === 403) {
+      return res.status(404).json({ success: false, message: 'Share link not found' });
+    }
+
+    res.json({ success: true, message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke share link' });
+  }
+});
+
+// Model providers and the models users can pick
+router.get('/models', requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    // Show what is stored, not what this instance last loaded
+    await providerSettingsService.loadSettings();
+
+    res.render('admin/models', {
+      title: 'Models',
+      layout: 'admin/layout',
+      providers: modelRegistry.listProviders(),
+      models: modelRegistry.listAllModels(),
+      defaultModelId: modelRegistry.getDefaultModelId(),
+      error: req.flash('error'),
+      message: req.flash('message')
+    });
+  } catch (error) {
+    console.error('Model settings error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load model settings',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Save enabled providers and models
+router.post('/models', requireAdminAPI, requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    // Checkbox groups arrive as a string when only one box is ticked
+    const { status, error } = await providerSettingsService.saveSettings({
+      enabledProviders: [].concat(req.body.providers || []),
+      enabledModelIds: [].concat(req.body.models || [])
+    });
+    if (status !== 200) {
+      req.flash('error', error);
+    } else {
+      req.flash('message', 'Model settings saved');
+    }
+    res.redirect('/admin-panel/models');
+  } catch (error) {
+    console.error('Save model settings error:', error);
+    req.flash('error', 'Failed to save model settings: ' + error.message);
+    res.redirect('/admin-panel/models');
+  }
+});
+
+// Move a user into another organization
+router.post('/users/:id/organization', requireAdminAPI, requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    const user = await findManagedUser(req.user, req.params.id);
+    if (!user) {
+      return res.status(404).render('error', {
+        message: 'User not found',
+        error: { status: 404 }
+      });
+    }
+
+    const { status, error } = await organizationService.assignUser(user, req.body.organizationId, req.user);
+    if (status !== 200) {
+      req.flash('error', error);
+    } else {
+      req.flash('message', 'Organization updated');
+    }
+    res.redirect(`/admin-panel/users/${user.id}`);
+  } catch (error) {
+    console.error('Move user error:', error);
+    req.flash('error', 'Failed to move user: ' + error.message);
+    res.redirect(`/admin-panel/users/${req.params.id}`);
+  }
+});
+
+// Organizations (tenants)
+router.get('/organizations', requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    res.render('admin/organizations', {
+      title: 'Organizations',
+      layout: 'admin/layout',
+      organizations: await organizationService.listOrganizations(),
+      error: req.flash('error'),
+      message: req.flash('message')
+    });
+  } catch (error) {
+    console.error('Organization list error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load organizations',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Create an organization
+router.post('/organizations', requireAdminAPI, requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    const result = await organizationService.createOrganization(req.user, { name: req.body.name });
+    if (result.error) {
+      req.flash('error', result.error);
+      return res.redirect('/admin-panel/organizations');
+    }
+    req.flash('message', `Organization ${result.organization.name} created`);
+    res.redirect(`/admin-panel/organizations/${result.organization.id}`);
+  } catch (error) {
+    console.error('Create organization error:', error);
+    req.flash('error', 'Failed to create organization: ' + error.message);
+    res.redirect('/admin-panel/organizations');
+  }
+});
+
+// Organization settings; organization admins reach their own organization only
+router.get('/organizations/:id', async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    const organizationId = parseInt(req.params.id, 10);
+    const organization = Number.isInteger(organizationId) &&
+      (organizationService.isSuperAdmin(req.user) || req.user.organizationId === organizationId)
+      ? await db.Organization.findByPk(organizationId)
+      : null;
+    if (!organization) {
+      return res.status(404).render('error', {
+        message: 'Organization not found',
+        error: { status: 404 }
+      });
+    }
+
+    const members = await db.User.findAll({
+      where: { organizationId: organization.id },
+      order: [['email', 'ASC']],
+      attributes: ['id', 'email', 'name', 'isAdmin']
+    });
+
+    res.render('admin/organization', {
+      title: `Organization: ${organization.name}`,
+      layout: 'admin/layout',
+      organization,
+      members,
+      models: modelRegistry.listModels(),
+      quotas: config.quotas,
+      defaultRegion: config.aws.region,
+      maxSystemPromptLength: config.organizations.maxSystemPromptLength,
+      error: req.flash('error'),
+      message: req.flash('message')
+    });
+  } catch (error) {
+    console.error('Organization detail error:', error);
+    res.status(500).render('error', {
+      message: 'Failed to load organization',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Save organization settings
+router.post('/organizations/:id', requireAdminAPI, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    // Checkbox groups arrive as a string when only one box is ticked
+    const { status, error } = await organizationService.updateOrganization(req.params.id, req.user, {
+      ...req.body,
+      allowedModelIds: [].concat(req.body.allowedModelIds || [])
+    });
+    if (status === 404 || status === 403) {
+      return res.status(404).render('error', {
+        message: 'Organization not found',
+        error: { status: 404 }
+      });
+    }
+    if (status !== 200) {
+      req.flash('error', error);
+    } else {
+      req.flash('message', 'Organization settings saved');
+    }
+    res.redirect(`/admin-panel/organizations/${req.params.id}`);
+  } catch (error) {
+    console.error('Save organization error:', error);
+    req.flash('error', 'Failed to save organization: ' + error.message);
+    res.redirect(`/admin-panel/organizations/${req.params.id}`);
+  }
+});
+
+// Delete an organization
+router.post('/organizations/:id/delete', requireAdminAPI, requireSuperAdmin, async (req, res) => {
+  try {
+    // Ensure database is initialized before accessing models
+    await db.initializeDatabase();
+
+    const { status, error } = await organizationService.deleteOrganization(req.params.id, req.user);
+    if (status !== 200) {
+      req.flash('error', error);
+      return res.redirect(status === 404 ? '/admin-panel/organizations' : `/admin-panel/organizations/${req.params.id}`);
+    }
+    req.flash('message', 'Organization deleted');
+    res.redirect('/admin-panel/organizations');
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    req.flash('error', 'Failed to delete organization: ' + error.message);
+    res.redirect(`/admin-panel/organizations/${req.params.id}`);
+  }
+});
+
 // Delete user
 router.delete('/users/:id', requireAdminAPI, async (req, res) => {
   try {
     // Ensure database is initialized before accessing models
     await db.initializeDatabase();
     
-    const user = await db.User.findByPk(req.params.id);
+    const user = await findManagedUser(req.user, req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
@@ -328,7 +667,23 @@ router.delete('/users/:id', requireAdminAPI, async (req, res) => {
       });
     }
 
-    // Also delete any conversations associated with this user
+    // Also delete any share links, API tokens, tags, attachments, knowledge bases, personas and conversations associated with this user
+    await db.ConversationShare.destroy({
+      where: { user_id: user.id }
+    });
+    await db.ApiToken.destroy({
+      where: { user_id: user.id }
+    });
+    await db.ConversationTag.destroy({
+      where: { user_id: user.id }
+    });
+    await attachmentService.deleteUserAttachments(user.id);
+    await db.KnowledgeBase.destroy({
+      where: { user_id: user.id }
+    });
+    await db.Persona.destroy({
+      where: { user_id: user.id }
+    });
     await db.Conversation.destroy({
       where: { user_id: user.id }
     });
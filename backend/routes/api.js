@@ -4,6 +4,7 @@
  */
 const express = require('express');
 const router = express.Router();
+const { getCredentialHealth } = require('../services/roleCredentials');
 
 // Add local body-parser middleware for API routes
 // This is needed because the global body-parser is added after AdminJS setup
@@ -20,12 +21,23 @@ router.get('/', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Overall state of the AWS credentials Bedrock is called with
+ * This endpoint is public, so the per-role detail (one role per tenant) is left to the admin dashboard.
+ * @returns {Object} - { source, status }
+ */
+function credentialSummary() {
+  const { source, status } = getCredentialHealth();
+  return { source, status };
+}
+
 // API Information
 router.get('/info', (req, res) => {
   res.json({
     name: 'Bedrock Express API',
     version: '1.0.0',
     description: 'Express.js backend for Bedrock AI Chat application',
+    credentials: credentialSummary(),
   });
 });
 
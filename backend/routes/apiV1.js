@@ -0,0 +1,23 @@
+/**
+ * API v1 Routes
+ * Versioned REST API authenticated with personal access tokens (Authorization: Bearer <token>)
+ */
+const express = require('express');
+const router = express.Router();
+const apiV1Controller = require('../controllers/apiV1Controller');
+const { requireApiToken } = require('../middleware/apiTokenAuth');
+
+router.use(express.json());
+
+router.get('/conversations', requireApiToken('conversations:read'), apiV1Controller.listConversations);
+router.post('/conversations', requireApiToken('conversations:write'), apiV1Controller.createConversation);
+router.get('/conversations/:conversationId', requireApiToken('conversations:read'), apiV1Controller.getConversation);
+router.delete('/conversations/:conversationId', requireApiToken('conversations:write'), apiV1Controller.deleteConversation);
+router.post('/conversations/:conversationId/messages', requireApiToken('chat'), apiV1Controller.sendMessage);
+
+// Unknown API paths answer in JSON rather than falling through to the page routes
+router.use((req, res) => {
+  res.status(404).json({ success: false, error: 'Not found' });
+});
+
+module.exports = router;
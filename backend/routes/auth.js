@@ -11,6 +11,11 @@ const redisClient = require('../services/redisClient');
 const qrcode = require('qrcode');
 const speakeasy = require('speakeasy');
 const url = require('url');
+const formidable = require('express-formidable');
+const config = require('../config');
+const exportController = require('../controllers/exportController');
+const shareService = require('../services/shareService');
+const apiTokenService = require('../services/apiTokenService');
 
 // Ensure database is initialized before accessing models
 async function ensureDatabaseInitialized() {
@@ -1078,7 +1083,7 @@ router.get('/logout', (req, res) => {
 });
 
 // GET /account - Account settings page
-router.get('/account', (req, res) => {
+router.get('/account', async (req, res) => {
   // Ensure user is authenticated and MFA verified
   if (!req.isAuthenticated() || !req.session.mfaVerified) {
     req.session.returnTo = '/auth/account';
@@ -1088,15 +1093,140 @@ router.get('/account', (req, res) => {
   // Get current user
   const user = req.user;
   
+  // Active share links are listed so they can be revoked
+  let shares = [];
+  try {
+    shares = await shareService.listUserShares(user.id);
+  } catch (err) {
+    console.error('Error loading share links for account page:', err);
+  }
+
+  // Personal access tokens for the /api/v1 REST API
+  let apiTokens = [];
+  try {
+    apiTokens = await apiTokenService.listTokens(user.id);
+  } catch (err) {
+    console.error('Error loading API tokens for account page:', err);
+  }
+
   // Render account settings page
   res.render('account', {
     user: user,
     title: 'Account Settings',
+    shares,
+    apiTokens,
+    apiTokenScopes: apiTokenService.SCOPES,
+    apiTokenExpiryDays: apiTokenService.EXPIRY_DAYS,
+    // The plaintext of a token created on the previous request; it is never shown again
+    newApiToken: req.flash('apiToken')[0] || null,
     error: req.flash('error'),
     message: req.flash('message')
   });
 });
 
+// POST /account/api-tokens - Create a personal access token
+router.post('/account/api-tokens', async (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/auth/account';
+    return res.redirect('/auth/login');
+  }
+
+  try {
+    const result = await apiTokenService.createToken(req.user, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expires_in_days
+    });
+    if (result.error) {
+      req.flash('error', result.error);
+    } else {
+      req.flash('apiToken', result.token);
+      req.flash('message', `Created API token "${result.apiToken.name}".`);
+    }
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    req.flash('error', 'An error occurred while creating the API token.');
+  }
+  res.redirect('/auth/account');
+});
+
+// POST /account/api-tokens/:id/revoke - Revoke one of the user's API tokens
+router.post('/account/api-tokens/:id/revoke', async (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/auth/account';
+    return res.redirect('/auth/login');
+  }
+
+  try {
+    if (await apiTokenService.revokeToken(req.user.id, req.params.id)) {
+      req.flash('message', 'API token revoked.');
+    } else {
+      req.flash('error', 'API token not found.');
+    }
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    req.flash('error', 'An error occurred while revoking the API token.');
+  }
+  res.redirect('/auth/account');
+});
+
+// POST /account/shares/:token/revoke - Revoke one of the user's share links
+router.post('/account/shares/:token/revoke', async (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/auth/account';
+    return res.redirect('/auth/login');
+  }
+  
+  try {
+    const { status } = await shareService.revokeShare(req.params.token, req.user);
+    if (status === 200) {
+      req.flash('message', 'Share link revoked.');
+    } else {
+      req.flash('error', 'Share link not found.');
+    }
+  } catch (err) {
+    console.error('Error revoking share link:', err);
+    req.flash('error', 'An error occurred while revoking the share link.');
+  }
+  res.redirect('/auth/account');
+});
+
+// GET /account/export - Download all of the user's data as a zip archive
+router.get('/account/export', (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/auth/account';
+    return res.redirect('/auth/login');
+  }
+  
+  exportController.exportAllData(req, res);
+});
+
+// Multipart parser for import uploads; errors (e.g. file too large) go back to the account page
+const parseImportUpload = formidable({ maxFileSize: config.imports.maxFileBytes, multiples: false });
+
+// POST /account/import - Recreate conversations from a JSON export file
+router.post('/account/import', (req, res) => {
+  // Ensure user is authenticated and MFA verified
+  if (!req.isAuthenticated() || !req.session.mfaVerified) {
+    req.session.returnTo = '/auth/account';
+    return res.redirect('/auth/login');
+  }
+  
+  parseImportUpload(req, res, (err) => {
+    if (err) {
+      console.error('Error receiving import upload:', err.message);
+      req.flash('error', 'The import file could not be uploaded. Files must be at most ' +
+        `${Math.floor(config.imports.maxFileBytes / (1024 * 1024))} MB.`);
+      return res.redirect('/auth/account');
+    }
+    exportController.importConversations(req, res);
+  });
+});
+
 // POST /remove-authenticator - Remove MFA authenticator
 router.post('/remove-authenticator', async (req, res) => {
   // Ensure user is authenticated and MFA verified
@@ -5,7 +5,17 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
+const exportController = require('../controllers/exportController');
+const shareController = require('../controllers/shareController');
+const attachmentController = require('../controllers/attachmentController');
+const conversationController = require('../controllers/conversationController');
+const formidable = require('express-formidable');
+const config = require('../config');
 const { ensureFullAuth } = require('../middleware/authMiddleware');
+const organizationService = require('../services/organizationService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const personaService = require('../services/personaService');
+const generationParams = require('../services/generationParams');
 
 // Add local body-parser middleware for chat routes
 // This is needed because the global body-parser is added after AdminJS setup
@@ -17,7 +27,52 @@ router.get('/', ensureFullAuth, (req, res) => {
   res.redirect('/chat');
 });
 
+/**
+ * Knowledge bases offered in the chat page's picker
+ * @param {Object} user - Current user
+ * @returns {Promise<Array<Object>>} - Empty when they cannot be loaded
+ */
+async function listKnowledgeBasesForChat(user) {
+  try {
+    const knowledgeBases = await knowledgeBaseService.listAccessibleKnowledgeBases(user);
+    return knowledgeBases.map(knowledgeBase => ({ id: knowledgeBase.id, name: knowledgeBase.name }));
+  } catch (error) {
+    console.error('Error loading knowledge bases for chat:', error);
+    return [];
+  }
+}
+
+/**
+ * Personas offered in the chat page's picker
+ * @param {Object} user - Current user
+ * @returns {Promise<Array<Object>>} - Empty when they cannot be loaded
+ */
+async function listPersonasForChat(user) {
+  try {
+    const personas = await personaService.listAvailablePersonas(user);
+    return personas.map(personaService.toClientPersona);
+  } catch (error) {
+    console.error('Error loading personas for chat:', error);
+    return [];
+  }
+}
+
+/**
+ * The user's organization, for the chat page's models and branding
+ * @param {Object} user - Current user
+ * @returns {Promise<Object|null>} - Null when the user has none or it cannot be loaded
+ */
+async function loadOrganizationForChat(user) {
+  try {
+    return await organizationService.getUserOrganization(user);
+  } catch (error) {
+    console.error('Error loading organization for chat:', error);
+    return null;
+  }
+}
+
 router.get('/chat', ensureFullAuth, async (req, res) => {
+  const organization = await loadOrganizationForChat(req.user);
   try {
     // If no conversation ID in session, create a new one
     if (!req.session.conversationId) {
@@ -39,13 +94,27 @@ router.get('/chat', ensureFullAuth, async (req, res) => {
     
     res.render('chat', {
       title: 'Chat | Bedrock Express AI',
-      user: req.user || null
+      user: req.user || null,
+      models: organizationService.listModels(organization),
+      defaultModelId: organizationService.getDefaultModelId(organization),
+      branding: organizationService.getBranding(organization),
+      knowledgeBases: await listKnowledgeBasesForChat(req.user),
+      personas: await listPersonasForChat(req.user),
+      generationBounds: generationParams.getBounds(),
+      trashRetentionDays: config.conversations.trashRetentionDays
     });
   } catch (error) {
     console.error('Error in chat route:', error);
     res.render('chat', {
       title: 'Chat | Bedrock Express AI',
-      user: req.user || null
+      user: req.user || null,
+      models: organizationService.listModels(organization),
+      defaultModelId: organizationService.getDefaultModelId(organization),
+      branding: organizationService.getBranding(organization),
+      knowledgeBases: await listKnowledgeBasesForChat(req.user),
+      personas: await listPersonasForChat(req.user),
+      generationBounds: generationParams.getBounds(),
+      trashRetentionDays: config.conversations.trashRetentionDays
     });
   }
 });
@@ -59,6 +128,9 @@ router.post('/api/chat/message', ensureFullAuth, chatController.processMessage);
 router.post('/api/chat/stream', ensureFullAuth, chatController.streamResponse);
 router.get('/api/chat/stream', ensureFullAuth, chatController.streamResponse);
 
+// Cancel the in-flight generation for a conversation (partial reply is kept)
+router.post('/api/chat/cancel', ensureFullAuth, chatController.cancelGeneration);
+
 // Legacy routes for backward compatibility
 router.post('/chat', ensureFullAuth, chatController.processMessage);
 router.get('/stream', ensureFullAuth, chatController.streamResponse);
@@ -69,6 +141,64 @@ router.get('/conversation_history', ensureFullAuth, chatController.getConversati
 // Get a specific conversation by ID
 router.get('/get_conversation/:conversationId', ensureFullAuth, chatController.getConversation);
 
+// Download a conversation as Markdown, JSON or HTML
+router.get('/conversations/:conversationId/export', ensureFullAuth, exportController.exportConversation);
+
+// Full-text search over the user's conversations
+router.get('/api/conversations/search', ensureFullAuth, chatController.searchConversations);
+
+// Archived conversations and the trash
+router.get('/api/conversations', ensureFullAuth, conversationController.listConversations);
+router.post('/api/conversations/bulk', ensureFullAuth, conversationController.bulkAction);
+router.post('/api/conversations/trash/empty', ensureFullAuth, conversationController.emptyTrash);
+
+// Rename a conversation
+router.patch('/api/conversations/:conversationId', ensureFullAuth, chatController.renameConversation);
+
+// Pin a conversation or set its tags
+router.post('/api/conversations/:conversationId/pin', ensureFullAuth, conversationController.pinConversation);
+router.post('/api/conversations/:conversationId/unpin', ensureFullAuth, conversationController.unpinConversation);
+router.put('/api/conversations/:conversationId/tags', ensureFullAuth, conversationController.setConversationTags);
+
+// Archive, move to the trash (or purge from it with ?permanent=true) and restore a conversation
+router.post('/api/conversations/:conversationId/archive', ensureFullAuth, conversationController.archiveConversation);
+router.post('/api/conversations/:conversationId/restore', ensureFullAuth, conversationController.restoreConversation);
+router.delete('/api/conversations/:conversationId', ensureFullAuth, conversationController.deleteConversation);
+
+// The user's sidebar tags
+router.get('/api/conversation-tags', ensureFullAuth, conversationController.listTags);
+router.post('/api/conversation-tags', ensureFullAuth, conversationController.createTag);
+router.patch('/api/conversation-tags/:tagId', ensureFullAuth, conversationController.updateTag);
+router.delete('/api/conversation-tags/:tagId', ensureFullAuth, conversationController.deleteTag);
+
+// Branching history: regenerate a reply, edit-and-resend a message, or switch to a sibling branch
+router.post('/api/conversations/:conversationId/messages/:messageId/regenerate', ensureFullAuth, chatController.regenerateMessage);
+router.post('/api/conversations/:conversationId/messages/:messageId/edit', ensureFullAuth, chatController.editMessage);
+router.post('/api/conversations/:conversationId/messages/:messageId/select', ensureFullAuth, chatController.selectBranch);
+
+// Read-only share links
+router.post('/api/conversations/:conversationId/shares', ensureFullAuth, shareController.createShare);
+router.get('/api/conversations/:conversationId/shares', ensureFullAuth, shareController.listShares);
+router.delete('/api/shares/:token', ensureFullAuth, shareController.revokeShare);
+
+// Message attachments: upload before sending, then download (owner only)
+const maxAttachmentBytes = Math.max(config.attachments.maxImageBytes, config.attachments.maxDocumentBytes);
+const parseAttachmentUpload = formidable({ maxFileSize: maxAttachmentBytes, multiples: false });
+router.post('/api/attachments', ensureFullAuth, (req, res, next) => {
+  parseAttachmentUpload(req, res, (err) => {
+    if (err) {
+      console.error('Error receiving attachment upload:', err.message);
+      return res.status(413).json({
+        success: false,
+        error: `Attachments must be at most ${(maxAttachmentBytes / (1024 * 1024)).toFixed(2)} MB`
+      });
+    }
+    next();
+  });
+}, attachmentController.uploadAttachment);
+router.get('/api/attachments/:attachmentId', ensureFullAuth, attachmentController.downloadAttachment);
+router.get('/api/attachments/:attachmentId/thumbnail', ensureFullAuth, attachmentController.downloadThumbnail);
+
 // Reset/clear the current conversation
 router.post('/reset', ensureFullAuth, chatController.resetConversation);
 
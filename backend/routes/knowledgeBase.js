@@ -0,0 +1,35 @@
+/**
+ * Knowledge Base Routes
+ * Management pages for knowledge bases and their documents
+ */
+const express = require('express');
+const router = express.Router();
+const formidable = require('express-formidable');
+const config = require('../config');
+const knowledgeBaseController = require('../controllers/knowledgeBaseController');
+const { ensureFullAuth } = require('../middleware/authMiddleware');
+
+router.use(express.urlencoded({ extended: false }));
+
+const parseDocumentUpload = formidable({ maxFileSize: config.knowledgeBases.maxDocumentBytes, multiples: false });
+
+router.get('/', ensureFullAuth, knowledgeBaseController.listKnowledgeBases);
+router.post('/', ensureFullAuth, knowledgeBaseController.createKnowledgeBase);
+router.get('/:knowledgeBaseId', ensureFullAuth, knowledgeBaseController.showKnowledgeBase);
+router.post('/:knowledgeBaseId/delete', ensureFullAuth, knowledgeBaseController.deleteKnowledgeBase);
+
+// Upload a document (multipart); oversized files are refused before they reach the controller
+router.post('/:knowledgeBaseId/documents', ensureFullAuth, (req, res, next) => {
+  parseDocumentUpload(req, res, (err) => {
+    if (err) {
+      console.error('Error receiving knowledge base upload:', err.message);
+      req.flash('error', `Documents must be at most ${Math.floor(config.knowledgeBases.maxDocumentBytes / (1024 * 1024))} MB.`);
+      return res.redirect(`/knowledge-bases/${encodeURIComponent(req.params.knowledgeBaseId)}`);
+    }
+    next();
+  });
+}, knowledgeBaseController.uploadDocument);
+
+router.post('/:knowledgeBaseId/documents/:documentId/delete', ensureFullAuth, knowledgeBaseController.deleteDocument);
+
+module.exports = router;
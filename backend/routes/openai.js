@@ -0,0 +1,24 @@
+/**
+ * OpenAI-compatible Routes
+ * /v1/chat/completions and /v1/models, authenticated with personal access tokens
+ */
+const express = require('express');
+const router = express.Router();
+const openaiController = require('../controllers/openaiController');
+const openaiCompat = require('../services/openaiCompat');
+const { requireApiToken } = require('../middleware/apiTokenAuth');
+
+// Clients resend the whole conversation with every request, so allow larger bodies than the other routers
+router.use(express.json({ limit: '5mb' }));
+
+// OpenAI clients expect { error: { message, type } } bodies, including for auth failures
+const requireChatToken = requireApiToken('chat', { errorBody: openaiCompat.errorBody });
+
+router.get('/models', requireChatToken, openaiController.listModels);
+router.post('/chat/completions', requireChatToken, openaiController.createChatCompletion);
+
+router.use((req, res) => {
+  res.status(404).json(openaiCompat.errorBody(`Unknown endpoint: ${req.method} ${req.originalUrl}`, 404));
+});
+
+module.exports = router;
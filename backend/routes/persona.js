@@ -0,0 +1,18 @@
+/**
+ * Persona Routes
+ * Management pages for saved assistant personas
+ */
+const express = require('express');
+const router = express.Router();
+const personaController = require('../controllers/personaController');
+const { ensureFullAuth } = require('../middleware/authMiddleware');
+
+router.use(express.urlencoded({ extended: false }));
+
+router.get('/', ensureFullAuth, personaController.listPersonas);
+router.post('/', ensureFullAuth, personaController.createPersona);
+router.get('/:personaId', ensureFullAuth, personaController.showPersona);
+router.post('/:personaId', ensureFullAuth, personaController.updatePersona);
+router.post('/:personaId/delete', ensureFullAuth, personaController.deletePersona);
+
+module.exports = router;
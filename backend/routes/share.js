@@ -0,0 +1,12 @@
+/**
+ * Share Routes
+ * Public read-only conversation snapshots (no login required, see the public paths in server.js)
+ */
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+
+// Render a shared conversation
+router.get('/:token', shareController.viewShare);
+
+module.exports = router;
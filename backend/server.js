@@ -18,13 +18,21 @@ console.log('==================================================');
 const { initializeDatabase } = require('./models');
 const redisClient = require('./services/redisClient');
 const { configureSession } = require('./config/sessionStore');
+const { attachChatSocket } = require('./services/chatSocket');
+const conversationService = require('./services/conversationService');
+const providerSettingsService = require('./services/providerSettingsService');
 
 // Import route modules
 const apiRoutes = require('./routes/api');
+const apiV1Routes = require('./routes/apiV1');
+const openaiRoutes = require('./routes/openai');
 const chatRoutes = require('./routes/chat');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const adminPanelRoutes = require('./routes/admin-panel');
+const shareRoutes = require('./routes/share');
+const knowledgeBaseRoutes = require('./routes/knowledgeBase');
+const personaRoutes = require('./routes/persona');
 
 const listEndpoints = require('express-list-endpoints');
 
@@ -73,7 +81,11 @@ app.use(helmet({
         (req, res) => `'nonce-${res.locals.cspNonce}'`
       ],
       imgSrc: ["'self'", 'data:'],
-      connectSrc: ["'self'", 'https://*.amazonaws.com'], // For AWS services
+      connectSrc: [
+        "'self'",
+        'https://*.amazonaws.com', // For AWS services
+        (req, res) => `${req.secure ? 'wss' : 'ws'}://${req.headers.host}` // Chat WebSocket
+      ],
       fontSrc: ["'self'"],
       objectSrc: ["'none'"],
       mediaSrc: ["'self'"],
@@ -133,6 +145,14 @@ app.use((err, req, res, next) => {
     console.info('Database initialized successfully');
     console.log('SERVER.JS: Database initialized successfully (from server.js)');
     
+    // Token-authenticated APIs are mounted ahead of the session middleware: their clients never
+    // send a session cookie, so every request would otherwise store a new, never reused session
+    // Versioned REST API - authenticated per request with personal access tokens
+    app.use('/api/v1', apiV1Routes);
+
+    // OpenAI-compatible chat completions - also authenticated with personal access tokens
+    app.use('/v1', openaiRoutes);
+
     // Configure session with Redis store - MUST happen before routes
     console.log('SERVER.JS: About to configure session');
     const sessionConfigured = await configureSession(app, config.session.secret);
@@ -206,6 +226,7 @@ app.use((err, req, res, next) => {
         '/api', // allow API info endpoints
         '/api/health', // allow API health endpoint
         '/admin-panel',     // custom admin panel
+        '/share',           // public read-only conversation snapshots
       ];
 
       // Check if the current path starts with any public path
@@ -301,6 +322,15 @@ app.use((err, req, res, next) => {
     // Custom Admin Panel Routes - secure replacement for AdminJS
     app.use('/admin-panel', adminPanelRoutes);
     
+    // Shared conversation snapshots - readable without logging in
+    app.use('/share', shareRoutes);
+
+    // Knowledge Base Routes - documents used for retrieval in chat
+    app.use('/knowledge-bases', knowledgeBaseRoutes);
+
+    // Persona Routes - saved system prompts and generation settings
+    app.use('/personas', personaRoutes);
+    
     // Chat Routes - specifically for chat functionality
     app.use('/', chatRoutes);
     
@@ -309,6 +339,12 @@ app.use((err, req, res, next) => {
     // Clear old Redis cache on startup
     await redisClient.clearOldCache();
     
+    // Permanently delete conversations that have been in the trash past the retention period
+    conversationService.scheduleTrashPurge();
+    
+    // Apply the model providers admins have enabled, and pick up changes made on other instances
+    await providerSettingsService.scheduleRefresh();
+    
     // Start the server
     const PORT = config.port || 8000;
     const HOST = config.host || 'localhost';
@@ -316,9 +352,12 @@ app.use((err, req, res, next) => {
     // Log all registered endpoints for verification
     console.log('🚀 Endpoints:\n', listEndpoints(app));
     
-    app.listen(PORT, HOST, () => {
+    const server = app.listen(PORT, HOST, () => {
       console.log(`Server running on http://${HOST}:${PORT}`);
     });
+    
+    // Chat WebSocket shares the HTTP server and the session configured above
+    attachChatSocket(server);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
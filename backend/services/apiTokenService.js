@@ -0,0 +1,154 @@
+/**
+ * API Token Service
+ * Personal access tokens for the /api/v1 REST API.
+ *
+ * Tokens look like `bex_<random>`. Only their SHA-256 hash is stored, so a token can be shown to
+ * its owner once, when it is created, and never recovered afterwards.
+ */
+const crypto = require('crypto');
+const models = require('../models');
+
+const TOKEN_PREFIX = 'bex_';
+const TOKEN_BYTES = 32;
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_TOKENS_PER_USER = 20;
+// last_used_at is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Permissions a token can carry
+const SCOPES = {
+  'conversations:read': 'List and read conversations',
+  'conversations:write': 'Create and delete conversations',
+  'chat': 'Send messages and use the OpenAI-compatible /v1 endpoints (uses your token quota)'
+};
+
+// Lifetimes offered when creating a token, in days (0 = never expires)
+const EXPIRY_DAYS = [30, 90, 365, 0];
+
+/**
+ * Hash a plaintext token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * List a user's tokens, newest first
+ * @param {number} userId - Owner
+ * @returns {Promise<Array>}
+ */
+async function listTokens(userId) {
+  return models.ApiToken.findAll({
+    where: { user_id: userId },
+    attributes: { exclude: ['token_hash'] },
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * Create a token
+ * @param {Object} user - Owner
+ * @param {Object} fields - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, token, apiToken }
+ *   where `token` is the plaintext, returned only this once
+ */
+async function createToken(user, { name, scopes, expiresInDays = 90 }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    return { status: 400, error: 'Token name is required and must be at most 100 characters' };
+  }
+
+  const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [scopes].filter(Boolean))];
+  if (requestedScopes.length === 0 || requestedScopes.some(scope => !SCOPES[scope])) {
+    return { status: 400, error: 'Choose at least one valid scope' };
+  }
+
+  const days = parseInt(expiresInDays, 10);
+  if (!EXPIRY_DAYS.includes(days)) {
+    return { status: 400, error: 'Invalid expiry' };
+  }
+
+  const existing = await models.ApiToken.count({ where: { user_id: user.id } });
+  if (existing >= MAX_TOKENS_PER_USER) {
+    return { status: 400, error: `You can have at most ${MAX_TOKENS_PER_USER} API tokens. Revoke one first.` };
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+  const apiToken = await models.ApiToken.create({
+    user_id: user.id,
+    name: trimmedName,
+    token_prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    token_hash: hashToken(token),
+    scopes: requestedScopes,
+    expires_at: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+  });
+  console.log(`[API_TOKENS] User ${user.id} created token ${apiToken.id} with scopes ${requestedScopes.join(', ')}`);
+  return { status: 201, token, apiToken };
+}
+
+/**
+ * Revoke (delete) one of a user's tokens
+ * @param {number} userId - Owner
+ * @param {number|string} tokenId - Token ID
+ * @returns {Promise<boolean>} - Whether a token was revoked
+ */
+async function revokeToken(userId, tokenId) {
+  const id = parseInt(tokenId, 10);
+  if (!Number.isInteger(id)) return false;
+  const deleted = await models.ApiToken.destroy({ where: { id, user_id: userId } });
+  if (deleted > 0) {
+    console.log(`[API_TOKENS] User ${userId} revoked token ${id}`);
+  }
+  return deleted > 0;
+}
+
+/**
+ * Resolve the user behind a bearer token and record the use
+ * @param {string} token - Plaintext token from the Authorization header
+ * @returns {Promise<Object|null>} - { user, apiToken }, or null if the token is unknown or expired
+ */
+async function authenticate(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiToken = await models.ApiToken.findOne({ where: { token_hash: hashToken(token) } });
+  if (!apiToken || (apiToken.expires_at && apiToken.expires_at < new Date())) {
+    return null;
+  }
+
+  const user = await models.User.findByPk(apiToken.user_id);
+  if (!user) {
+    return null;
+  }
+
+  if (!apiToken.last_used_at || Date.now() - apiToken.last_used_at.getTime() > LAST_USED_RESOLUTION_MS) {
+    apiToken.update({ last_used_at: new Date() }).catch(error => {
+      console.error(`[API_TOKENS] Failed to record use of token ${apiToken.id}: ${error.message}`);
+    });
+  }
+
+  return { user, apiToken };
+}
+
+/**
+ * Whether a token carries a scope
+ * @param {Object} apiToken - Token
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+function hasScope(apiToken, scope) {
+  return Array.isArray(apiToken.scopes) && apiToken.scopes.includes(scope);
+}
+
+module.exports = {
+  SCOPES,
+  EXPIRY_DAYS,
+  listTokens,
+  createToken,
+  revokeToken,
+  authenticate,
+  hasScope
+};
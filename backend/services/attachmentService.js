@@ -0,0 +1,375 @@
+/**
+ * Attachment Service
+ * Validates uploaded files, stores them with a thumbnail, and turns the attachments referenced by
+ * chat history messages into the content blocks sent to the model.
+ *
+ * User messages reference attachments as `attachments: [{ id, name, mimeType, kind, size }]`. The
+ * bytes are only loaded when a request is built, so histories in Redis and Postgres stay small.
+ * Blocks use the Anthropic Messages shape ({ type: 'image' | 'document', source }); BedrockClient
+ * converts them for the Converse API.
+ */
+const fs = require('fs');
+const sharp = require('sharp');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const config = require('../config');
+const models = require('../models');
+const { getStorage } = require('./attachmentStorage');
+
+// Accepted types; images and PDFs are recognized by their leading bytes, text files by extension
+const FILE_TYPES = {
+  png: { mimeType: 'image/png', kind: 'image' },
+  jpeg: { mimeType: 'image/jpeg', kind: 'image' },
+  webp: { mimeType: 'image/webp', kind: 'image' },
+  pdf: { mimeType: 'application/pdf', kind: 'document' },
+  txt: { mimeType: 'text/plain', kind: 'document' },
+  md: { mimeType: 'text/markdown', kind: 'document' },
+  csv: { mimeType: 'text/csv', kind: 'document' }
+};
+
+const TEXT_EXTENSIONS = {
+  '.txt': 'txt',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.csv': 'csv'
+};
+
+/**
+ * Work out the type of an uploaded file from its contents (and, for text, its name)
+ * The browser-supplied MIME type is ignored.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name
+ * @returns {string|null} - Key of FILE_TYPES, or null if the file is not accepted
+ */
+function detectFileType(buffer, fileName) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.toString('latin1', 0, 5) === '%PDF-') {
+    return 'pdf';
+  }
+
+  const extension = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const textType = TEXT_EXTENSIONS[extension];
+  if (!textType) {
+    return null;
+  }
+  // Text attachments must be UTF-8 without binary content
+  if (buffer.includes(0) || !Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer)) {
+    return null;
+  }
+  return textType;
+}
+
+/**
+ * Keep an uploaded file name displayable: no path, control characters or excessive length
+ * @param {string} name - Name supplied by the browser
+ * @returns {string}
+ */
+function cleanFileName(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return base.slice(0, 255) || 'attachment';
+}
+
+/**
+ * Shape an attachment for API responses and the chat UI
+ * @param {Object} attachment - Attachment row or message attachment reference
+ * @returns {Object} - { id, name, mimeType, kind, size, url, thumbnailUrl }
+ */
+function toClientAttachment(attachment) {
+  const ref = attachment.file_name !== undefined ? toMessageAttachment(attachment) : attachment;
+  return {
+    ...ref,
+    url: `/api/attachments/${ref.id}`,
+    thumbnailUrl: ref.kind === 'image' ? `/api/attachments/${ref.id}/thumbnail` : null
+  };
+}
+
+/**
+ * Reference stored on a chat history message
+ * @param {Object} attachment - Attachment row
+ * @returns {Object} - { id, name, mimeType, kind, size }
+ */
+function toMessageAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.file_name,
+    mimeType: attachment.mime_type,
+    kind: attachment.kind,
+    size: attachment.size_bytes
+  };
+}
+
+/**
+ * Validate and store an uploaded file (from express-formidable) for a user
+ * @param {Object} user - Uploading user
+ * @param {Object} file - Uploaded file ({ path, name, size })
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, attachment }
+ */
+async function saveUpload(user, file) {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(file.path);
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+
+  const fileName = cleanFileName(file.name);
+  const fileType = detectFileType(buffer, fileName);
+  if (!fileType) {
+    return { status: 415, error: 'Only PNG, JPEG and WebP images and PDF, TXT, Markdown and CSV documents can be attached' };
+  }
+
+  const { mimeType, kind } = FILE_TYPES[fileType];
+  const maxBytes = kind === 'image' ? config.attachments.maxImageBytes : config.attachments.maxDocumentBytes;
+  if (buffer.length === 0 || buffer.length > maxBytes) {
+    return { status: 413, error: `${kind === 'image' ? 'Images' : 'Documents'} must be at most ${(maxBytes / (1024 * 1024)).toFixed(2)} MB` };
+  }
+
+  const id = uuidv4();
+  const storageName = config.attachments.storage;
+  const storage = getStorage(storageName);
+  const storageKey = `${user.id}/${id}/original`;
+  let thumbnailKey = null;
+
+  if (kind === 'image') {
+    let thumbnail;
+    try {
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(config.attachments.thumbnailSize, config.attachments.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      console.warn(`[ATTACHMENTS] Rejected unreadable image ${fileName} from user ${user.id}: ${error.message}`);
+      return { status: 415, error: 'The image could not be read' };
+    }
+    thumbnailKey = `${user.id}/${id}/thumbnail.webp`;
+    await storage.put(thumbnailKey, thumbnail, 'image/webp');
+  }
+
+  await storage.put(storageKey, buffer, mimeType);
+
+  const attachment = await models.Attachment.create({
+    id,
+    user_id: user.id,
+    file_name: fileName,
+    mime_type: mimeType,
+    kind,
+    size_bytes: buffer.length,
+    storage: storageName,
+    storage_key: storageKey,
+    thumbnail_key: thumbnailKey
+  });
+
+  console.log(`[ATTACHMENTS] Stored ${kind} ${id} (${mimeType}, ${buffer.length} bytes) for user ${user.id} in ${storageName}`);
+  return { status: 201, attachment };
+}
+
+/**
+ * Look up attachments a user wants to send with a message
+ * @param {number} userId - Sending user
+ * @param {Array<string>} attachmentIds - Attachment IDs from the client
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, attachments } (message references)
+ */
+async function resolveForMessage(userId, attachmentIds) {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return { status: 200, attachments: [] };
+  }
+  if (!Array.isArray(attachmentIds) || attachmentIds.some(id => typeof id !== 'string' || !isUuid(id))) {
+    return { status: 400, error: 'attachmentIds must be an array of attachment IDs' };
+  }
+
+  const ids = [...new Set(attachmentIds)];
+  if (ids.length > config.attachments.maxPerMessage) {
+    return { status: 400, error: `At most ${config.attachments.maxPerMessage} files can be attached to a message` };
+  }
+  if (ids.length === 0) {
+    return { status: 200, attachments: [] };
+  }
+
+  const rows = await models.Attachment.findAll({ where: { id: ids, user_id: userId } });
+  if (rows.length !== ids.length) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return { status: 200, attachments: ids.map(id => toMessageAttachment(byId.get(id))) };
+}
+
+/**
+ * Record which conversation a message's attachments were sent in
+ * @param {Array<Object>} attachments - Message attachment references
+ * @param {string} conversationId - Conversation ID
+ */
+async function linkToConversation(attachments, conversationId) {
+  if (!attachments || attachments.length === 0) return;
+  try {
+    await models.Attachment.update(
+      { conversation_id: conversationId },
+      { where: { id: attachments.map(attachment => attachment.id), conversation_id: null } }
+    );
+  } catch (error) {
+    console.error(`[ATTACHMENTS] Error linking attachments to conversation ${conversationId}: ${error.message}`);
+  }
+}
+
+/**
+ * Find an attachment owned by a user
+ * @param {string} attachmentId - Attachment ID
+ * @param {number} userId - Requesting user
+ * @returns {Promise<Object|null>}
+ */
+async function getForUser(attachmentId, userId) {
+  if (!isUuid(attachmentId)) return null;
+  return models.Attachment.findOne({ where: { id: attachmentId, user_id: userId } });
+}
+
+/**
+ * Open an attachment (or its thumbnail) for download
+ * @param {Object} attachment - Attachment row
+ * @param {string} variant - 'original' or 'thumbnail'
+ * @returns {Promise<Object|null>} - { stream, contentType }, or null if there is no such file
+ */
+async function openFile(attachment, variant = 'original') {
+  const key = variant === 'thumbnail' ? attachment.thumbnail_key : attachment.storage_key;
+  if (!key) return null;
+  const stream = await getStorage(attachment.storage).createReadStream(key);
+  return { stream, contentType: variant === 'thumbnail' ? 'image/webp' : attachment.mime_type };
+}
+
+/**
+ * Content block for an attachment in the Anthropic Messages format
+ * @param {Object} attachment - Attachment row
+ * @param {Buffer} buffer - File contents
+ * @returns {Object}
+ */
+function toContentBlock(attachment, buffer) {
+  if (attachment.kind === 'image') {
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: attachment.mime_type, data: buffer.toString('base64') }
+    };
+  }
+  if (attachment.mime_type === 'application/pdf') {
+    return {
+      type: 'document',
+      title: attachment.file_name,
+      source: { type: 'base64', media_type: 'application/pdf', data: buffer.toString('base64') }
+    };
+  }
+  // Markdown and CSV are sent as plain text documents
+  return {
+    type: 'document',
+    title: attachment.file_name,
+    source: { type: 'text', media_type: 'text/plain', data: buffer.toString('utf8') }
+  };
+}
+
+/**
+ * Replace attachment references in request messages with content blocks
+ * Models without attachment support get a short text note instead, so the turn still makes sense.
+ * @param {Array} messages - Messages about to be sent to the model (not modified)
+ * @param {Object} options - Expansion options
+ * @param {boolean} options.inline - Whether the model accepts image/document blocks
+ * @returns {Promise<Array>} - Messages with attachment content
+ */
+async function expandAttachments(messages, { inline = true } = {}) {
+  const ids = [...new Set(messages.flatMap(msg => (msg.attachments || []).map(attachment => attachment.id)))];
+  if (ids.length === 0) {
+    return messages;
+  }
+
+  const rows = inline ? await models.Attachment.findAll({ where: { id: ids } }) : [];
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  return Promise.all(messages.map(async (msg) => {
+    if (!Array.isArray(msg.attachments) || msg.attachments.length === 0) {
+      return msg;
+    }
+
+    const blocks = [];
+    const notes = [];
+    for (const ref of msg.attachments) {
+      const row = byId.get(ref.id);
+      if (!inline) {
+        notes.push(`[Attached ${ref.kind}: ${ref.name} (not readable by this model)]`);
+        continue;
+      }
+      try {
+        if (!row) throw new Error('attachment record not found');
+        const buffer = await getStorage(row.storage).get(row.storage_key);
+        blocks.push(toContentBlock(row, buffer));
+      } catch (error) {
+        console.error(`[ATTACHMENTS] Could not load attachment ${ref.id}: ${error.message}`);
+        notes.push(`[Attached ${ref.kind} ${ref.name} is no longer available]`);
+      }
+    }
+
+    // Attachments go before the question, which is where Claude reads them best
+    const text = [msg.content, ...notes].filter(Boolean).join('\n');
+    return { ...msg, content: [...blocks, ...(text ? [{ type: 'text', text }] : [])] };
+  }));
+}
+
+/**
+ * Delete attachment files and rows matching a query
+ * @param {Object} where - Attachment query
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+async function deleteAttachments(where) {
+  const rows = await models.Attachment.findAll({ where });
+  for (const row of rows) {
+    const storage = getStorage(row.storage);
+    for (const key of [row.storage_key, row.thumbnail_key].filter(Boolean)) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`[ATTACHMENTS] Could not remove ${key}: ${error.message}`);
+      }
+    }
+  }
+  await models.Attachment.destroy({ where });
+  return rows.length;
+}
+
+/**
+ * Delete every attachment a user uploaded (files and rows)
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+async function deleteUserAttachments(userId) {
+  const count = await deleteAttachments({ user_id: userId });
+  console.log(`[ATTACHMENTS] Deleted ${count} attachments for user ${userId}`);
+  return count;
+}
+
+/**
+ * Delete the attachments sent in conversations that are being permanently deleted
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+async function deleteConversationAttachments(conversationIds) {
+  if (conversationIds.length === 0) return 0;
+  const count = await deleteAttachments({ conversation_id: conversationIds });
+  console.log(`[ATTACHMENTS] Deleted ${count} attachments from ${conversationIds.length} conversations`);
+  return count;
+}
+
+module.exports = {
+  detectFileType,
+  toClientAttachment,
+  saveUpload,
+  resolveForMessage,
+  linkToConversation,
+  getForUser,
+  openFile,
+  expandAttachments,
+  deleteUserAttachments,
+  deleteConversationAttachments
+};
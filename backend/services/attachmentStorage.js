@@ -0,0 +1,123 @@
+/**
+ * Attachment Storage
+ * Reads and writes attachment files on local disk or in an S3-compatible bucket.
+ *
+ * Both backends take the same storage keys (e.g. `<userId>/<attachmentId>/original`), so the
+ * Attachment row only records which backend a file went to and its key.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+let s3Client = null;
+
+/**
+ * Create the S3 client on first use so local-only deployments never load the S3 SDK
+ * @returns {Object} - { client, commands }
+ */
+function getS3() {
+  const commands = require('@aws-sdk/client-s3');
+  if (!s3Client) {
+    const { region, endpoint, forcePathStyle } = config.attachments.s3;
+    s3Client = new commands.S3Client({ region, endpoint, forcePathStyle });
+    console.log(`[ATTACHMENTS] S3 client created for bucket ${config.attachments.s3.bucket}${endpoint ? ` at ${endpoint}` : ''}`);
+  }
+  return { client: s3Client, commands };
+}
+
+/**
+ * Resolve a storage key to a path inside the local attachment directory
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+function localPath(key) {
+  const root = path.resolve(config.attachments.localDir);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid attachment storage key: ${key}`);
+  }
+  return filePath;
+}
+
+const localStorage = {
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  async get(key) {
+    return fs.promises.readFile(localPath(key));
+  },
+
+  async createReadStream(key) {
+    const filePath = localPath(key);
+    // Fail before the response starts if the file is gone
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const s3Storage = {
+  async put(key, buffer, contentType) {
+    const { client, commands } = getS3();
+    await client.send(new commands.PutObjectCommand({
+      Bucket: config.attachments.s3.bucket,
+      Key: `${config.attachments.s3.prefix}${key}`,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  },
+
+  async get(key) {
+    const stream = await this.createReadStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  async createReadStream(key) {
+    const { client, commands } = getS3();
+    const response = await client.send(new commands.GetObjectCommand({
+      Bucket: config.attachments.s3.bucket,
+      Key: `${config.attachments.s3.prefix}${key}`
+    }));
+    return response.Body;
+  },
+
+  async remove(key) {
+    const { client, commands } = getS3();
+    await client.send(new commands.DeleteObjectCommand({
+      Bucket: config.attachments.s3.bucket,
+      Key: `${config.attachments.s3.prefix}${key}`
+    }));
+  }
+};
+
+const BACKENDS = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+/**
+ * Get a storage backend
+ * @param {string} name - 'local' or 's3' (defaults to the configured backend)
+ * @returns {Object} - { put(key, buffer, contentType), get(key), createReadStream(key), remove(key) }
+ */
+function getStorage(name = config.attachments.storage) {
+  const storage = BACKENDS[name];
+  if (!storage) {
+    throw new Error(`Unknown attachment storage backend: ${name}`);
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage
+};
@@ -1,19 +1,57 @@
 /**
  * Amazon Bedrock Service
  * Handles interactions with Amazon Bedrock AI models using the AWS SDK v3
+ *
+ * bedrockClientInstance is the configured provider (config.bedrock.provider). Every provider
+ * implements the same interface, so callers never need to know which one is in use:
+ * - streamChat(messages, options) yields normalized events ({ type: 'text' | 'stop' | 'usage' | 'tool_use' })
+ * - complete(messages, options) resolves to { text, stopReason, usage, toolUses, content }
+ * - createEmbedding(text, options) resolves to a vector
+ * Providers: 'aws' (BedrockClient, below) and 'local' (services/localBedrockProvider.js).
  */
-const { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { STSClient, AssumeRoleCommand, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand,
+  ConverseCommand,
+  ConverseStreamCommand
+} = require('@aws-sdk/client-bedrock-runtime');
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
 const config = require('../config');
+const modelRegistry = require('./modelRegistry');
+const { LocalBedrockProvider } = require('./localBedrockProvider');
+const { getRoleCredentialProvider } = require('./roleCredentials');
+
+/**
+ * JSON.stringify replacer that keeps base64 attachment data out of the logs
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*}
+ */
+function redactBinary(key, value) {
+  if (key === 'data' && typeof value === 'string' && value.length > 200) {
+    return `[${value.length} characters]`;
+  }
+  return value;
+}
 
 /**
  * BedrockClient class that handles AWS authentication and model interactions
  */
 class BedrockClient {
-  constructor(regionName = config.aws.region, crossAccountRoleArn = config.aws.customerCrossAccountRoleArn) {
+  /**
+   * @param {string} regionName - AWS region
+   * @param {string} crossAccountRoleArn - Role to reach Bedrock through (empty: default credentials)
+   * @param {string} externalId - External ID for the role; the configured role defaults to the configured ID
+   */
+  constructor(regionName = config.aws.region, crossAccountRoleArn = config.aws.customerCrossAccountRoleArn, externalId) {
     this.regionName = regionName;
     this.crossAccountRoleArn = crossAccountRoleArn;
-    this.credentialsExpiration = null;
+    // The configured external ID belongs to the configured role; per-tenant roles bring their own
+    this.externalId = externalId ?? (crossAccountRoleArn === config.aws.customerCrossAccountRoleArn
+      ? config.aws.customerCrossAccountExternalId
+      : '');
+    this.credentialProvider = null;
     this.modelId = config.bedrock.modelId;
     this.defaultSystemMessage = config.chat.systemPrompt;
     this._initializeClient();
@@ -25,111 +63,84 @@ class BedrockClient {
   
   /**
    * Initialize the Bedrock client with appropriate credentials
+   * With a cross-account role the client asks the role's shared credential provider
+   * (services/roleCredentials.js) for credentials, which it keeps refreshed ahead of expiry.
+   * The SDK's own retries are off: services/llmService.js retries with backoff and fallback.
    * @private
    */
-  async _initializeClient() {
-    try {
-      // Create an STS client using default credentials for identity checks
-      const stsClient = new STSClient({ region: this.regionName });
-      
-      // First check current identity
-      try {
-        const identityResult = await stsClient.send(new GetCallerIdentityCommand({}));
-        console.log('Current AWS Identity:', JSON.stringify({
-          Account: identityResult.Account,
-          UserId: identityResult.UserId,
-          Arn: identityResult.Arn
-        }));
-      } catch (error) {
-        console.error('Failed to get caller identity:', error.message);
-      }
+  _initializeClient() {
+    this._logCallerIdentity();
+    
+    if (this.crossAccountRoleArn) {
+      this.credentialProvider = getRoleCredentialProvider({
+        roleArn: this.crossAccountRoleArn,
+        externalId: this.externalId,
+        region: this.regionName
+      });
+      this.bedrockClient = new BedrockRuntimeClient({
+        region: this.regionName,
+        maxAttempts: 1,
+        credentials: () => this.credentialProvider.getCredentials()
+      });
+      console.log('Bedrock client created with assumed role credentials');
       
-      // Configure Bedrock client based on whether we're using cross-account role
-      if (this.crossAccountRoleArn) {
-        console.log(`Attempting to assume role: ${this.crossAccountRoleArn}`);
-        const credentials = await this.assumeRole(this.crossAccountRoleArn);
-        this.credentialsExpiration = credentials.expiration;
-        
-        // Create Bedrock client with temporary credentials
-        this.bedrockClient = new BedrockRuntimeClient({
-          region: this.regionName,
-          credentials: {
-            accessKeyId: credentials.accessKeyId,
-            secretAccessKey: credentials.secretAccessKey,
-            sessionToken: credentials.sessionToken
-          }
-        });
-        
-        console.log('Bedrock client created with temporary credentials');
-      } else {
-        // Create Bedrock client with default credentials
-        this.bedrockClient = new BedrockRuntimeClient({ region: this.regionName });
-        console.log('Bedrock client created with default credentials');
-      }
-    } catch (error) {
-      console.error('Error initializing Bedrock client:', error);
-      throw error;
+      // Assume the role now rather than on the first request; failures are logged and retried by the provider
+      this.credentialProvider.getCredentials().catch(() => {});
+    } else {
+      // Create Bedrock client with default credentials
+      this.bedrockClient = new BedrockRuntimeClient({ region: this.regionName, maxAttempts: 1 });
+      console.log('Bedrock client created with default credentials');
     }
   }
   
   /**
-   * Assume an IAM role and get temporary credentials
-   * @param {string} roleArn - The ARN of the role to assume
-   * @param {string} sessionName - The name for the session
-   * @returns {Promise<Object>} - Temporary credentials object
+   * Log the identity the default credentials resolve to (the identity that assumes any role)
+   * @private
    */
-  async assumeRole(roleArn, sessionName = 'BedrockExpressSession') {
+  async _logCallerIdentity() {
     try {
       const stsClient = new STSClient({ region: this.regionName });
-      
-      const command = new AssumeRoleCommand({
-        RoleArn: roleArn,
-        RoleSessionName: sessionName,
-        DurationSeconds: 3600 // 1 hour
-      });
-      
-      const response = await stsClient.send(command);
-      
-      return {
-        accessKeyId: response.Credentials.AccessKeyId,
-        secretAccessKey: response.Credentials.SecretAccessKey,
-        sessionToken: response.Credentials.SessionToken,
-        expiration: response.Credentials.Expiration
-      };
+      const identityResult = await stsClient.send(new GetCallerIdentityCommand({}));
+      console.log('Current AWS Identity:', JSON.stringify({
+        Account: identityResult.Account,
+        UserId: identityResult.UserId,
+        Arn: identityResult.Arn
+      }));
     } catch (error) {
-      console.error(`Failed to assume role ${roleArn}:`, error);
-      throw error;
+      console.error('Failed to get caller identity:', error.message);
     }
   }
   
   /**
-   * Refresh credentials if they are expired or about to expire
-   * @param {boolean} forceRefresh - Force a refresh regardless of expiration
+   * Make sure the assumed role's credentials are current before a request
+   * The provider refreshes ahead of expiry on its own; this covers the first request and a
+   * process that slept through its refresh timer.
+   * @param {boolean} forceRefresh - Assume the role again even if the credentials are current
    */
   async refreshCredentialsIfNeeded(forceRefresh = false) {
-    const shouldRefresh = forceRefresh || 
-      !this.credentialsExpiration || 
-      (this.credentialsExpiration && new Date(this.credentialsExpiration) < new Date(Date.now() + 5 * 60 * 1000));
+    if (!this.credentialProvider) return;
     
-    if (this.crossAccountRoleArn && shouldRefresh) {
-      console.log('Refreshing temporary credentials');
-      await this._initializeClient();
-      console.log('Credentials refreshed successfully');
+    if (forceRefresh) {
+      await this.credentialProvider.refresh();
+    } else {
+      await this.credentialProvider.getCredentials();
     }
   }
   
   /**
    * Prepare messages for Bedrock model
    * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options
+   * @param {string} options.systemPrompt - Replaces the default system prompt (e.g. a persona's prompt)
    * @returns {Array} - Formatted messages and system message
    * @private
    */
-  _prepareMessages(messages) {
-    console.log(`Input messages before formatting: ${JSON.stringify(messages, null, 2)}`);
+  _prepareMessages(messages, options = {}) {
+    console.log(`Input messages before formatting: ${JSON.stringify(messages, redactBinary, 2)}`);
     
     // Initialize formatted messages array and default system message
     const formattedMessages = [];
-    let systemMessage = this.defaultSystemMessage;
+    let systemMessage = options.systemPrompt || this.defaultSystemMessage;
     
     // Filter out empty messages
     const validMessages = messages.filter(msg => msg && msg.content);
@@ -137,7 +148,8 @@ class BedrockClient {
     // Process each message
     for (const msg of validMessages) {
       const role = msg.role || 'user';
-      const content = [{
+      // Messages may already carry content blocks (e.g. tool use turns); plain strings become a text block
+      const content = Array.isArray(msg.content) ? msg.content : [{
         type: 'text',
         text: msg.content
       }];
@@ -170,7 +182,7 @@ class BedrockClient {
       });
     }
     
-    console.log(`Final formatted messages: ${JSON.stringify(formattedMessages, null, 2)}`);
+    console.log(`Final formatted messages: ${JSON.stringify(formattedMessages, redactBinary, 2)}`);
     console.log(`Final system message: ${systemMessage}`);
     
     return [formattedMessages, systemMessage];
@@ -180,9 +192,18 @@ class BedrockClient {
    * Create a chat completion
    * @param {Array} messages - Array of message objects
    * @param {boolean} stream - Whether to stream the response
-   * @returns {Promise<Object|ReadableStream>} - Response object or stream
+   * @param {Object} options - Request options
+   * @param {string} options.modelId - Bedrock model to use (defaults to the configured model)
+   * @param {AbortSignal} options.abortSignal - Cancels the Bedrock request (and an in-progress stream)
+   * @param {string} options.systemPrompt - Replaces the default system prompt
+   * @param {number} options.temperature - Overrides config.bedrock.temperature
+   * @param {number} options.maxTokens - Overrides config.bedrock.maxTokens
+   * @param {number} options.topP - Nucleus sampling (omitted: model default)
+   * @param {number} options.topK - Top-k sampling, where the model family supports it
+   * @param {Array<string>} options.stopSequences - Sequences that end the reply
+   * @returns {Promise<Object|ReadableStream>} - Raw model response body or stream
    */
-  async createChatCompletion(messages, stream = false) {
+  async createChatCompletion(messages, stream = false, options = {}) {
     try {
       // Refresh credentials if needed
       await this.refreshCredentialsIfNeeded();
@@ -192,50 +213,49 @@ class BedrockClient {
         throw new Error('Messages must be a non-empty array');
       }
       
+      const modelId = options.modelId || this.modelId;
+      const adapter = modelRegistry.getAdapter(modelId);
+      
       console.log(`Creating ${stream ? 'streaming' : 'non-streaming'} chat completion`);
-      console.log(`Using model: ${this.modelId}`);
+      console.log(`Using model: ${modelId}`);
       console.log(`Message count: ${messages.length}`);
       
-      // Prepare messages in the format expected by Claude
-      const [formattedMessages, systemMessage] = this._prepareMessages(messages);
-      
-      // Build the complete request body
-      const requestBody = {
-        anthropic_version: 'bedrock-2023-05-31',
+      // Prepare messages, then let the model family's adapter shape the request body
+      const [formattedMessages, systemMessage] = this._prepareMessages(messages, options);
+      const requestBody = adapter.buildRequest({
         messages: formattedMessages,
-        max_tokens: config.bedrock.maxTokens,
-        temperature: config.bedrock.temperature
-      };
-      
-      // Add system message if present
-      if (systemMessage) {
-        requestBody.system = [{"type": "text", "text": systemMessage}];
-      }
+        system: systemMessage,
+        maxTokens: options.maxTokens || config.bedrock.maxTokens,
+        temperature: options.temperature ?? config.bedrock.temperature,
+        topP: options.topP,
+        topK: options.topK,
+        stopSequences: options.stopSequences
+      });
       
-      console.log(`Final request body being sent to Bedrock: ${JSON.stringify(requestBody, null, 2)}`);
+      console.log(`Final request body being sent to Bedrock: ${JSON.stringify(requestBody, redactBinary, 2)}`);
       
       if (!stream) {
         // For non-streaming responses
         const command = new InvokeModelCommand({
-          modelId: this.modelId,
+          modelId,
           contentType: 'application/json',
           accept: 'application/json',
           body: JSON.stringify(requestBody)
         });
         
-        const response = await this.bedrockClient.send(command);
+        const response = await this.bedrockClient.send(command, { abortSignal: options.abortSignal });
         const responseBody = JSON.parse(Buffer.from(response.body).toString('utf-8'));
         return responseBody;
       } else {
         // For streaming responses
         const streamCommand = new InvokeModelWithResponseStreamCommand({
-          modelId: this.modelId,
+          modelId,
           contentType: 'application/json',
           accept: 'application/json',
           body: JSON.stringify(requestBody)
         });
         
-        const streamResponse = await this.bedrockClient.send(streamCommand);
+        const streamResponse = await this.bedrockClient.send(streamCommand, { abortSignal: options.abortSignal });
         return streamResponse;
       }
     } catch (error) {
@@ -243,23 +263,332 @@ class BedrockClient {
       throw error;
     }
   }
+  
+  /**
+   * Embed a text with a Titan text embeddings model
+   * @param {string} text - Text to embed
+   * @param {Object} options - Request options
+   * @param {string} options.modelId - Embeddings model (e.g. amazon.titan-embed-text-v2:0)
+   * @param {number} options.dimensions - Vector size (256, 512 or 1024 for Titan v2)
+   * @returns {Promise<Array<number>>} - Normalized embedding
+   */
+  async createEmbedding(text, { modelId, dimensions } = {}) {
+    try {
+      await this.refreshCredentialsIfNeeded();
+      
+      const command = new InvokeModelCommand({
+        modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify({ inputText: text, dimensions, normalize: true })
+      });
+      
+      const response = await this.bedrockClient.send(command);
+      const responseBody = JSON.parse(Buffer.from(response.body).toString('utf-8'));
+      return responseBody.embedding;
+    } catch (error) {
+      console.error('Error in createEmbedding:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether a request should go through the Converse API
+   * Tool definitions are only supported by the Converse code path.
+   * @param {Object} options - Request options
+   * @returns {boolean}
+   * @private
+   */
+  _useConverse(options = {}) {
+    const api = options.api || config.bedrock.api;
+    return api === 'converse' || (Array.isArray(options.tools) && options.tools.length > 0);
+  }
+  
+  /**
+   * Convert an Anthropic-style content block to its Converse API equivalent
+   * Text, image and document blocks are converted; Converse-native blocks pass through.
+   * @param {Object} block - Content block
+   * @returns {Object} - Converse content block
+   * @private
+   */
+  _toConverseBlock(block) {
+    if (block.type === 'text') {
+      return { text: block.text };
+    }
+    if (block.type === 'image') {
+      return {
+        image: {
+          format: block.source.media_type.replace('image/', ''),
+          source: { bytes: Buffer.from(block.source.data, 'base64') }
+        }
+      };
+    }
+    if (block.type === 'document') {
+      const isText = block.source.type === 'text';
+      return {
+        document: {
+          format: isText ? 'txt' : 'pdf',
+          // Converse document names allow only letters, digits, spaces, hyphens, parentheses and brackets
+          name: (block.title || 'document').replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9\s\-()[\]]+/g, ' ').replace(/\s+/g, ' ').trim() || 'document',
+          source: { bytes: isText ? Buffer.from(block.source.data, 'utf8') : Buffer.from(block.source.data, 'base64') }
+        }
+      };
+    }
+    return block;
+  }
+  
+  /**
+   * Build the input for ConverseCommand / ConverseStreamCommand
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options
+   * @param {string} options.modelId - Bedrock model to use (defaults to the configured model)
+   * @param {Array} options.tools - Tool definitions ({ name, description, inputSchema })
+   * @param {string} options.systemPrompt - Replaces the default system prompt
+   * @param {number} options.temperature - Overrides config.bedrock.temperature
+   * @param {number} options.maxTokens - Overrides config.bedrock.maxTokens
+   * @param {number} options.topP - Nucleus sampling (omitted: model default)
+   * @param {number} options.topK - Top-k sampling; Converse has no common field, so it goes to the
+   *   model-specific fields of families that accept it
+   * @param {Array<string>} options.stopSequences - Sequences that end the reply
+   * @returns {Object} - Converse request input
+   * @private
+   */
+  _buildConverseInput(messages, options = {}) {
+    const [formattedMessages, systemMessage] = this._prepareMessages(messages, options);
+    
+    // Converse content blocks are keyed by type ({ text }, { toolUse }, { toolResult }, ...)
+    const converseMessages = formattedMessages.map(msg => ({
+      role: msg.role,
+      content: msg.content.map(block => this._toConverseBlock(block))
+    }));
+    
+    const input = {
+      modelId: options.modelId || this.modelId,
+      messages: converseMessages,
+      inferenceConfig: {
+        maxTokens: options.maxTokens || config.bedrock.maxTokens,
+        temperature: options.temperature ?? config.bedrock.temperature
+      }
+    };
+    
+    if (options.topP !== undefined) {
+      input.inferenceConfig.topP = options.topP;
+    }
+    if (options.stopSequences) {
+      input.inferenceConfig.stopSequences = options.stopSequences;
+    }
+    if (options.topK !== undefined && ['anthropic', 'mistral'].includes(modelRegistry.getFamily(input.modelId))) {
+      input.additionalModelRequestFields = { top_k: options.topK };
+    }
+    
+    if (systemMessage) {
+      input.system = [{ text: systemMessage }];
+    }
+    
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      input.toolConfig = {
+        tools: options.tools.map(tool => ({
+          toolSpec: {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: { json: tool.inputSchema }
+          }
+        }))
+      };
+    }
+    
+    return input;
+  }
+  
+  /**
+   * Create a completion with the Converse API
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as createChatCompletion, plus tools
+   * @returns {Promise<Object>} - { text, stopReason, usage, toolUses, content }
+   */
+  async converse(messages, options = {}) {
+    try {
+      await this.refreshCredentialsIfNeeded();
+      
+      if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('Messages must be a non-empty array');
+      }
+      
+      const input = this._buildConverseInput(messages, options);
+      console.log(`Creating Converse completion with model: ${input.modelId}`);
+      
+      const response = await this.bedrockClient.send(new ConverseCommand(input), { abortSignal: options.abortSignal });
+      const content = response.output?.message?.content || [];
+      
+      return {
+        text: content.filter(block => block.text !== undefined).map(block => block.text).join(''),
+        stopReason: response.stopReason || null,
+        usage: {
+          inputTokens: response.usage?.inputTokens || 0,
+          outputTokens: response.usage?.outputTokens || 0
+        },
+        toolUses: content
+          .filter(block => block.toolUse)
+          .map(block => ({ id: block.toolUse.toolUseId, name: block.toolUse.name, input: block.toolUse.input || {} })),
+        content
+      };
+    } catch (error) {
+      console.error('Error in converse:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Stream a completion with the ConverseStream API as normalized events
+   * Tool use input arrives as JSON fragments and is emitted once its content block closes.
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as createChatCompletion, plus tools
+   * @yields {Object} - Normalized events (see streamChat), including { type: 'tool_use', id, name, input }
+   */
+  async *converseStream(messages, options = {}) {
+    await this.refreshCredentialsIfNeeded();
+    
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+    
+    const input = this._buildConverseInput(messages, options);
+    console.log(`Creating ConverseStream completion with model: ${input.modelId}`);
+    
+    const response = await this.bedrockClient.send(new ConverseStreamCommand(input), { abortSignal: options.abortSignal });
+    
+    // contentBlockIndex -> tool use being assembled
+    const pendingToolUses = new Map();
+    
+    for await (const event of response.stream) {
+      if (event.contentBlockStart?.start?.toolUse) {
+        const { toolUseId, name } = event.contentBlockStart.start.toolUse;
+        pendingToolUses.set(event.contentBlockStart.contentBlockIndex, { id: toolUseId, name, inputJson: '' });
+      } else if (event.contentBlockDelta) {
+        const { delta, contentBlockIndex } = event.contentBlockDelta;
+        if (delta?.text) {
+          yield { type: 'text', text: delta.text };
+        } else if (delta?.toolUse && pendingToolUses.has(contentBlockIndex)) {
+          pendingToolUses.get(contentBlockIndex).inputJson += delta.toolUse.input || '';
+        }
+      } else if (event.contentBlockStop) {
+        const toolUse = pendingToolUses.get(event.contentBlockStop.contentBlockIndex);
+        if (toolUse) {
+          pendingToolUses.delete(event.contentBlockStop.contentBlockIndex);
+          let toolInput = {};
+          try {
+            toolInput = toolUse.inputJson ? JSON.parse(toolUse.inputJson) : {};
+          } catch (parseError) {
+            console.error(`Error parsing tool use input for ${toolUse.name}: ${parseError.message}`);
+          }
+          yield { type: 'tool_use', id: toolUse.id, name: toolUse.name, input: toolInput };
+        }
+      } else if (event.messageStop) {
+        yield { type: 'stop', reason: event.messageStop.stopReason || null };
+      } else if (event.metadata?.usage) {
+        yield {
+          type: 'usage',
+          inputTokens: event.metadata.usage.inputTokens || 0,
+          outputTokens: event.metadata.usage.outputTokens || 0
+        };
+      } else {
+        // Errors raised mid-stream arrive as exception events rather than rejected promises
+        const exceptionKey = Object.keys(event).find(key => key.endsWith('Exception'));
+        if (exceptionKey) {
+          const streamError = new Error(event[exceptionKey].message || exceptionKey);
+          streamError.name = exceptionKey;
+          throw streamError;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Create a non-streaming completion and normalize the response
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as createChatCompletion
+   * @returns {Promise<Object>} - { text, stopReason, usage } (plus toolUses and content via Converse)
+   */
+  async complete(messages, options = {}) {
+    if (this._useConverse(options)) {
+      return this.converse(messages, options);
+    }
+    
+    const modelId = options.modelId || this.modelId;
+    const responseBody = await this.createChatCompletion(messages, false, options);
+    return modelRegistry.getAdapter(modelId).parseResponse(responseBody);
+  }
+  
+  /**
+   * Stream a completion as normalized events, whatever the model family or API
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as createChatCompletion
+   * @yields {Object} - { type: 'text', text } | { type: 'stop', reason } | { type: 'usage', inputTokens, outputTokens }
+   *   | { type: 'tool_use', id, name, input } (Converse only)
+   */
+  async *streamChat(messages, options = {}) {
+    if (this._useConverse(options)) {
+      yield* this.converseStream(messages, options);
+      return;
+    }
+    
+    const modelId = options.modelId || this.modelId;
+    const adapter = modelRegistry.getAdapter(modelId);
+    const streamResponse = await this.createChatCompletion(messages, true, options);
+    
+    for await (const event of streamResponse.body) {
+      if (!event.chunk || !event.chunk.bytes) continue;
+      
+      let chunkData;
+      try {
+        chunkData = JSON.parse(Buffer.from(event.chunk.bytes).toString('utf-8'));
+      } catch (parseError) {
+        console.error(`Error parsing chunk: ${parseError.message}`);
+        continue;
+      }
+      
+      yield* adapter.parseStreamChunk(chunkData);
+    }
+  }
+}
+
+const PROVIDERS = {
+  aws: (options) => new BedrockClient(options.region, options.roleArn, options.externalId),
+  local: () => new LocalBedrockProvider()
+};
+
+/**
+ * Create the configured Bedrock provider
+ * @param {string} provider - Provider name (see PROVIDERS)
+ * @param {Object} options - Provider options
+ * @param {string} options.region - AWS region, when not config.aws.region (ignored by the local provider)
+ * @param {string} options.roleArn - Cross-account role, e.g. a tenant's, when not the configured one
+ * @param {string} options.externalId - External ID for roleArn
+ * @returns {Object} - BedrockClient or another implementation of its interface
+ */
+function createBedrockClient(provider = config.bedrock.provider, options = {}) {
+  const create = PROVIDERS[provider];
+  if (!create) {
+    throw new Error(`Unknown Bedrock provider: ${provider}`);
+  }
+  return create(options);
 }
 
 // Create a singleton instance
-const bedrockClientInstance = new BedrockClient();
+const bedrockClientInstance = createBedrockClient();
 
 /**
  * Generate a response from the Amazon Bedrock model
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Additional options (temperature, maxTokens, etc.)
+ * @param {Object} options - Additional options (modelId, abortSignal)
  * @returns {Promise<string>} - The generated response text
  */
 async function generateResponse(messages, options = {}) {
   try {
-    const response = await bedrockClientInstance.createChatCompletion(messages, false);
+    const response = await bedrockClientInstance.complete(messages, options);
     
-    if (response && response.content && Array.isArray(response.content) && response.content.length > 0) {
-      return response.content[0].text;
+    if (response && response.text) {
+      return response.text;
     } else {
       console.error('Unexpected response format:', response);
       throw new Error('Unexpected response format from Bedrock');
@@ -274,24 +603,14 @@ async function generateResponse(messages, options = {}) {
  * Generate streaming response from Amazon Bedrock model
  * @param {Array} messages - Array of message objects with role and content
  * @param {Function} onChunk - Callback for each chunk of the response
- * @param {Object} options - Additional options (temperature, maxTokens, etc.)
+ * @param {Object} options - Additional options (modelId, abortSignal)
  */
 async function generateStreamingResponse(messages, onChunk, options = {}) {
   try {
-    const streamResponse = await bedrockClientInstance.createChatCompletion(messages, true);
-    
-    // Handle streaming response
-    const stream = streamResponse.body;
-    
-    // Process the stream events
-    for await (const event of stream) {
-      if (event.chunk && event.chunk.bytes) {
-        const chunk = Buffer.from(event.chunk.bytes).toString('utf-8');
-        const parsed = JSON.parse(chunk);
-        
-        if (parsed.type === 'content_block_delta' && parsed.delta && parsed.delta.text) {
-          onChunk(parsed.delta.text);
-        }
+    // Process the normalized stream events
+    for await (const event of bedrockClientInstance.streamChat(messages, options)) {
+      if (event.type === 'text') {
+        onChunk(event.text);
       }
     }
     
@@ -304,6 +623,7 @@ async function generateStreamingResponse(messages, onChunk, options = {}) {
 
 module.exports = {
   BedrockClient,
+  createBedrockClient,
   bedrockClientInstance,
   generateResponse,
   generateStreamingResponse
@@ -0,0 +1,418 @@
+/**
+ * Chat Providers
+ * Clients for chat backends other than Amazon Bedrock. They implement the same interface as
+ * BedrockClient (streamChat and complete; see services/bedrockService.js), so services/llmService.js
+ * can send any model's requests through the same chat flow:
+ * - OpenAICompatibleProvider: any server speaking the OpenAI chat completions API (Ollama, vLLM, ...)
+ * - AnthropicProvider: the Anthropic Messages API
+ *
+ * API keys come from AWS Secrets Manager when a secret name is configured, otherwise from the
+ * environment, and are fetched once per process. HTTP failures are raised as errors shaped like
+ * the AWS SDK's (name and $metadata.httpStatusCode), so callers handle every provider alike.
+ * Tool use is only available through Bedrock.
+ */
+const axios = require('axios');
+const config = require('../config');
+const modelRegistry = require('./modelRegistry');
+const { getSecret } = require('./secretsManager');
+const { createServiceError } = require('./localBedrockProvider');
+
+// HTTP status -> the AWS exception name callers already handle
+const STATUS_ERRORS = {
+  400: 'ValidationException',
+  401: 'AccessDeniedException',
+  403: 'AccessDeniedException',
+  404: 'ResourceNotFoundException',
+  408: 'ModelTimeoutException',
+  413: 'ValidationException',
+  429: 'ThrottlingException',
+  500: 'InternalServerException',
+  502: 'ServiceUnavailableException',
+  503: 'ServiceUnavailableException',
+  504: 'ModelTimeoutException',
+  529: 'ServiceUnavailableException'
+};
+
+// Anthropic error event types -> HTTP status
+const ANTHROPIC_ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+// OpenAI finish_reason -> normalized stop reason
+const OPENAI_STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'content_filtered',
+  tool_calls: 'tool_use'
+};
+
+// Most of an error body worth reading for its message
+const MAX_ERROR_BODY_LENGTH = 10000;
+
+/**
+ * Build an SDK-style error for an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function statusError(status, message) {
+  const name = STATUS_ERRORS[status] || (status >= 500 ? 'InternalServerException' : 'ValidationException');
+  return createServiceError({ name, message, status });
+}
+
+/**
+ * Read (the start of) an error response body, which arrives as a stream for streaming requests
+ * @param {*} data - Response data
+ * @returns {Promise<string>}
+ */
+async function readErrorBody(data) {
+  if (!data) return '';
+  if (typeof data === 'string') return data;
+  if (typeof data[Symbol.asyncIterator] !== 'function') return JSON.stringify(data);
+
+  let body = '';
+  for await (const chunk of data) {
+    body += chunk.toString('utf8');
+    if (body.length >= MAX_ERROR_BODY_LENGTH) break;
+  }
+  return body;
+}
+
+/**
+ * Turn an axios failure into an SDK-style error; network errors and aborts pass through unchanged
+ * @param {Error} error - axios error
+ * @param {string} providerName - Provider name for the message
+ * @returns {Promise<Error>}
+ */
+async function toProviderError(error, providerName) {
+  if (!error.response) return error;
+
+  const status = error.response.status;
+  let detail = '';
+  try {
+    const body = await readErrorBody(error.response.data);
+    try {
+      const parsed = JSON.parse(body);
+      detail = parsed.error?.message || parsed.message || body;
+    } catch (parseError) {
+      detail = body;
+    }
+  } catch (readError) {
+    // Keep the status-only message
+  }
+  return statusError(status, `${providerName} returned HTTP ${status}${detail ? `: ${String(detail).slice(0, 500)}` : ''}`);
+}
+
+/**
+ * Parse a server-sent events stream
+ * @param {AsyncIterable} stream - Response body
+ * @yields {Object} - { event, data }
+ */
+async function* readServerSentEvents(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8').replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = null;
+      const dataLines = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
+}
+
+/**
+ * Split out the system prompt and turn every other message into content blocks, as
+ * BedrockClient._prepareMessages does
+ * @param {Array} messages - Array of message objects
+ * @param {string} systemPrompt - Replaces config.chat.systemPrompt
+ * @returns {Array} - [turns, system]
+ */
+function prepareMessages(messages, systemPrompt) {
+  let system = systemPrompt || config.chat.systemPrompt;
+  const turns = [];
+
+  for (const msg of messages.filter(message => message && message.content)) {
+    if (msg.role === 'system') {
+      system = `${system}\n${msg.content}`;
+      continue;
+    }
+    turns.push({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: Array.isArray(msg.content) ? msg.content : [{ type: 'text', text: msg.content }]
+    });
+  }
+
+  if (turns.length === 0) {
+    turns.push({ role: 'user', content: [{ type: 'text', text: 'Hello' }] });
+  }
+  return [turns, system];
+}
+
+/**
+ * Join the text blocks of a message's content
+ * @param {Array} content - Content blocks
+ * @returns {string}
+ */
+function blocksToText(content) {
+  return content
+    .filter(block => typeof block.text === 'string')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Shared plumbing for providers reached over HTTP
+ */
+class HttpChatProvider {
+  /**
+   * @param {string} name - Provider name used in logs and errors
+   * @param {Object} options - Provider settings from config.providers
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.options = options;
+    this.apiKeyPromise = null;
+  }
+
+  /**
+   * Get the API key: from Secrets Manager when a secret is named (fetched once), else from config
+   * @returns {Promise<string|null>}
+   */
+  async getApiKey() {
+    if (!this.options.apiKeySecretName) {
+      return this.options.apiKey || null;
+    }
+    if (!this.apiKeyPromise) {
+      this.apiKeyPromise = getSecret(this.options.apiKeySecretName).catch(error => {
+        // Try again on the next request rather than caching the failure
+        this.apiKeyPromise = null;
+        throw error;
+      });
+    }
+    return this.apiKeyPromise;
+  }
+
+  /**
+   * The name the provider knows a model by
+   * @param {string} modelId - Registry model ID (e.g. "openai/llama3.1:8b")
+   * @returns {string}
+   */
+  providerModelId(modelId) {
+    const model = modelRegistry.getModel(modelId);
+    return model && model.providerModelId ? model.providerModelId : modelId.replace(/^[a-z]+\//, '');
+  }
+
+  /**
+   * POST a streaming request and return the response body
+   * @param {string} path - Path below the configured base URL
+   * @param {Object} body - JSON body
+   * @param {Object} headers - Extra headers
+   * @param {AbortSignal} abortSignal - Cancels the request
+   * @returns {Promise<AsyncIterable>}
+   */
+  async openStream(path, body, headers, abortSignal) {
+    const url = `${this.options.baseUrl.replace(/\/+$/, '')}${path}`;
+    try {
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        responseType: 'stream',
+        signal: abortSignal,
+        timeout: this.options.timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      throw await toProviderError(error, this.name);
+    }
+  }
+
+  /**
+   * Create a non-streaming completion by collecting the stream
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as streamChat
+   * @returns {Promise<Object>} - { text, stopReason, usage, toolUses, content }
+   */
+  async complete(messages, options = {}) {
+    const result = { text: '', stopReason: null, usage: { inputTokens: 0, outputTokens: 0 }, toolUses: [], content: [] };
+    for await (const event of this.streamChat(messages, options)) {
+      if (event.type === 'text') {
+        result.text += event.text;
+      } else if (event.type === 'stop') {
+        result.stopReason = event.reason;
+      } else if (event.type === 'usage') {
+        result.usage.inputTokens += event.inputTokens;
+        result.usage.outputTokens += event.outputTokens;
+      }
+    }
+    result.content = result.text ? [{ text: result.text }] : [];
+    return result;
+  }
+}
+
+/**
+ * OpenAICompatibleProvider: POST /chat/completions on an OpenAI-compatible server
+ */
+class OpenAICompatibleProvider extends HttpChatProvider {
+  constructor(options = config.providers.openai) {
+    super(options.label, options);
+  }
+
+  /**
+   * Stream a completion as normalized events
+   * Attachments and top_k are not sent: the OpenAI format has no equivalent the servers share.
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as BedrockClient.createChatCompletion
+   * @yields {Object} - { type: 'text' | 'stop' | 'usage', ... }
+   */
+  async *streamChat(messages, options = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    const [turns, system] = prepareMessages(messages, options.systemPrompt);
+    const body = {
+      model: this.providerModelId(options.modelId),
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...turns.map(turn => ({ role: turn.role, content: blocksToText(turn.content) }))
+      ],
+      max_tokens: options.maxTokens || config.bedrock.maxTokens,
+      temperature: options.temperature ?? config.bedrock.temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    if (options.topP !== undefined) body.top_p = options.topP;
+    if (options.stopSequences) body.stop = options.stopSequences;
+
+    const apiKey = await this.getApiKey();
+    console.log(`[PROVIDERS] ${this.name}: streaming ${body.model}`);
+    const stream = await this.openStream('/chat/completions', body, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, options.abortSignal);
+
+    for await (const { data } of readServerSentEvents(stream)) {
+      if (data === '[DONE]') break;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (parseError) {
+        console.error(`[PROVIDERS] ${this.name}: could not parse chunk: ${parseError.message}`);
+        continue;
+      }
+
+      if (chunk.error) {
+        throw createServiceError({ name: 'ModelStreamErrorException', message: chunk.error.message || 'Stream error' });
+      }
+      const choice = chunk.choices && chunk.choices[0];
+      if (choice?.delta?.content) {
+        yield { type: 'text', text: choice.delta.content };
+      }
+      if (choice?.finish_reason) {
+        yield { type: 'stop', reason: OPENAI_STOP_REASONS[choice.finish_reason] || choice.finish_reason };
+      }
+      if (chunk.usage) {
+        yield {
+          type: 'usage',
+          inputTokens: chunk.usage.prompt_tokens || 0,
+          outputTokens: chunk.usage.completion_tokens || 0
+        };
+      }
+    }
+  }
+}
+
+/**
+ * AnthropicProvider: POST /v1/messages on the Anthropic API
+ */
+class AnthropicProvider extends HttpChatProvider {
+  constructor(options = config.providers.anthropic) {
+    super('Anthropic API', options);
+  }
+
+  /**
+   * Stream a completion as normalized events
+   * Content is already in the Anthropic block format (text, image, document); Converse-only
+   * blocks such as tool results are dropped.
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Same options as BedrockClient.createChatCompletion
+   * @yields {Object} - { type: 'text' | 'stop' | 'usage', ... }
+   */
+  async *streamChat(messages, options = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    const [turns, system] = prepareMessages(messages, options.systemPrompt);
+    const body = {
+      model: this.providerModelId(options.modelId),
+      messages: turns
+        .map(turn => ({
+          role: turn.role,
+          content: turn.content.filter(block => ['text', 'image', 'document'].includes(block.type))
+        }))
+        .filter(turn => turn.content.length > 0),
+      max_tokens: options.maxTokens || config.bedrock.maxTokens,
+      temperature: options.temperature ?? config.bedrock.temperature,
+      stream: true
+    };
+    if (system) body.system = system;
+    if (options.topP !== undefined) body.top_p = options.topP;
+    if (options.topK !== undefined) body.top_k = options.topK;
+    if (options.stopSequences) body.stop_sequences = options.stopSequences;
+
+    const apiKey = await this.getApiKey();
+    console.log(`[PROVIDERS] ${this.name}: streaming ${body.model}`);
+    const stream = await this.openStream('/v1/messages', body, {
+      'x-api-key': apiKey,
+      'anthropic-version': this.options.version
+    }, options.abortSignal);
+
+    for await (const { event, data } of readServerSentEvents(stream)) {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (parseError) {
+        console.error(`[PROVIDERS] ${this.name}: could not parse ${event} event: ${parseError.message}`);
+        continue;
+      }
+
+      if (payload.type === 'message_start') {
+        yield { type: 'usage', inputTokens: payload.message?.usage?.input_tokens || 0, outputTokens: 0 };
+      } else if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        yield { type: 'text', text: payload.delta.text };
+      } else if (payload.type === 'message_delta') {
+        if (payload.delta?.stop_reason) {
+          yield { type: 'stop', reason: modelRegistry.normalizeStopReason(payload.delta.stop_reason) };
+        }
+        if (payload.usage?.output_tokens) {
+          yield { type: 'usage', inputTokens: 0, outputTokens: payload.usage.output_tokens };
+        }
+      } else if (payload.type === 'error') {
+        const status = ANTHROPIC_ERROR_STATUS[payload.error?.type] || 500;
+        throw statusError(status, `${this.name}: ${payload.error?.message || payload.error?.type || 'stream error'}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  readServerSentEvents
+};
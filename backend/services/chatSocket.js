@@ -0,0 +1,288 @@
+/**
+ * Chat WebSocket Server
+ * Streams Bedrock responses over a WebSocket attached to the HTTP server.
+ * Connections are authenticated with the same Passport/Redis session as the HTTP routes.
+ */
+const { WebSocketServer, WebSocket } = require('ws');
+const passport = require('passport');
+const { getSessionMiddleware } = require('../config/sessionStore');
+const chatController = require('../controllers/chatController');
+const modelErrors = require('./modelErrors');
+
+const CHAT_SOCKET_PATH = '/ws/chat';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Run an Express-style middleware against a raw upgrade request
+ * @param {Function} middleware - Middleware to run
+ * @param {Object} req - Node HTTP request
+ * @returns {Promise<void>}
+ */
+function runMiddleware(middleware, req) {
+  return new Promise((resolve, reject) => {
+    middleware(req, {}, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Promisify a session method that takes a callback (save, reload)
+ * @param {Object} session - express-session session object
+ * @param {string} method - Method name
+ * @returns {Promise<void>}
+ */
+function sessionCall(session, method) {
+  return new Promise((resolve, reject) => {
+    session[method]((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Load the session and user for an upgrade request and apply the same checks as ensureFullAuth
+ * @param {Object} req - Node HTTP request
+ * @returns {Promise<boolean>} - True if the request belongs to a fully authenticated user
+ */
+async function authenticateUpgrade(req) {
+  const sessionMiddleware = getSessionMiddleware();
+  if (!sessionMiddleware) {
+    console.error('[CHAT_SOCKET] Session middleware not configured, rejecting upgrade');
+    return false;
+  }
+
+  await runMiddleware(sessionMiddleware, req);
+  await runMiddleware(passport.initialize(), req);
+  await runMiddleware(passport.session(), req);
+
+  if (!req.isAuthenticated || !req.isAuthenticated()) {
+    return false;
+  }
+
+  // Same requirements as ensureFullAuth: MFA set up and verified in this session
+  return Boolean(req.user.mfaEnabled && req.session.mfaVerified);
+}
+
+/**
+ * Reject browsers connecting from another origin (cross-site WebSocket hijacking)
+ * @param {Object} req - Node HTTP request
+ * @returns {boolean} - True if the Origin header is absent or matches the Host header
+ */
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Handle a single authenticated chat socket
+ * @param {WebSocket} ws - The connected socket
+ * @param {Object} req - Upgrade request carrying the session and user
+ */
+function handleConnection(ws, req) {
+  console.log(`[CHAT_SOCKET] Connection opened for user ${req.user.id}, session ${req.session.id}`);
+
+  let activeGeneration = null;
+  ws.isAlive = true;
+
+  const send = (payload) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  };
+
+  /**
+   * Generate a reply and forward every stream event to the socket
+   * @param {string} conversationId - Conversation ID
+   */
+  async function streamReply(conversationId) {
+    activeGeneration = new AbortController();
+    send({ type: 'started', conversationId });
+
+    try {
+      await chatController.generateAssistantReply(
+        conversationId,
+        (data) => send({ type: 'stream', conversationId, data }),
+        { signal: activeGeneration.signal, user: req.user }
+      );
+    } catch (error) {
+      console.error(`[CHAT_SOCKET] Error during stream processing: ${error.message}`);
+      send({ type: 'stream', conversationId, data: modelErrors.toErrorEvent(error) });
+    } finally {
+      activeGeneration = null;
+    }
+  }
+
+  async function handleSend(msg) {
+    const { message, isTemporary = false, modelId, knowledgeBaseIds } = msg;
+
+    // Pick up conversation changes made over HTTP (e.g. /reset) since the socket opened
+    await sessionCall(req.session, 'reload');
+
+    // Same checks as POST /api/chat/message
+    const validated = await chatController.validateChatRequest(req.user, msg, {
+      conversationId: req.session.conversationId || msg.conversationId
+    });
+    if (validated.error) {
+      const { status, error, ...details } = validated;
+      send({ type: 'error', error, ...details });
+      return;
+    }
+
+    const conversationId = await chatController.recordUserMessage({
+      user: req.user,
+      session: req.session,
+      message,
+      conversationId: msg.conversationId,
+      isTemporary,
+      modelId,
+      attachments: validated.attachments,
+      knowledgeBaseIds,
+      persona: validated.persona,
+      generation: validated.generation
+    });
+    await sessionCall(req.session, 'save');
+
+    await streamReply(conversationId);
+  }
+
+  // Replaces the last reply, or answers a branch prepared by the edit/regenerate endpoints
+  // (whose history already ends with the user message)
+  async function handleRegenerate() {
+    await sessionCall(req.session, 'reload');
+
+    const conversationId = req.session.conversationId;
+    if (!conversationId) {
+      send({ type: 'error', error: 'Missing conversation ID' });
+      return;
+    }
+
+    const canRegenerate = await chatController.discardLastAssistantReply(conversationId);
+    if (!canRegenerate) {
+      send({ type: 'error', error: 'Nothing to regenerate' });
+      return;
+    }
+
+    await streamReply(conversationId);
+  }
+
+  ws.on('message', async (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (error) {
+      send({ type: 'error', error: 'Invalid message format' });
+      return;
+    }
+
+    try {
+      switch (msg.type) {
+        case 'send':
+        case 'regenerate':
+          if (activeGeneration) {
+            send({ type: 'error', error: 'A response is already being generated' });
+            return;
+          }
+          if (msg.type === 'send') {
+            await handleSend(msg);
+          } else {
+            await handleRegenerate();
+          }
+          break;
+        case 'stop':
+          if (activeGeneration) {
+            activeGeneration.abort();
+          }
+          break;
+        case 'ping':
+          send({ type: 'pong' });
+          break;
+        default:
+          send({ type: 'error', error: `Unknown message type: ${msg.type}` });
+      }
+    } catch (error) {
+      console.error(`[CHAT_SOCKET] Error handling ${msg.type} message: ${error.message}`);
+      send({ type: 'error', error: 'Error processing your request' });
+    }
+  });
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('close', () => {
+    console.log(`[CHAT_SOCKET] Connection closed for user ${req.user.id}`);
+    if (activeGeneration) {
+      activeGeneration.abort();
+    }
+  });
+
+  send({ type: 'ready', conversationId: req.session.conversationId || null });
+}
+
+/**
+ * Attach the chat WebSocket server to an HTTP server
+ * @param {http.Server} server - The HTTP server returned by app.listen
+ * @returns {WebSocketServer} - The WebSocket server
+ */
+function attachChatSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== CHAT_SOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      if (!isSameOrigin(req)) {
+        console.warn(`[CHAT_SOCKET] Rejected cross-origin upgrade from ${req.headers.origin}`);
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      const authenticated = await authenticateUpgrade(req);
+      if (!authenticated) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req);
+      });
+    } catch (error) {
+      console.error(`[CHAT_SOCKET] Upgrade failed: ${error.message}`);
+      socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', handleConnection);
+
+  // Drop connections that stop answering pings (also keeps load balancer idle timers alive)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`Chat WebSocket server listening on ${CHAT_SOCKET_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  attachChatSocket,
+  CHAT_SOCKET_PATH
+};
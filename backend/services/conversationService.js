@@ -0,0 +1,227 @@
+/**
+ * Conversation Service
+ * Pinning, archiving, the trash and permanent deletion of saved conversations.
+ *
+ * Archived conversations (archived_at) are hidden from the sidebar's main list. Deleted ones
+ * (deleted_at) sit in the trash, can be restored, and are purged for good once they have been
+ * there for config.conversations.trashRetentionDays. Purging removes the conversation row, its
+ * share links, its attachments and its cached Redis history.
+ */
+const { Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+const { deleteChatHistory } = require('./redisService');
+const attachmentService = require('./attachmentService');
+const generationRegistry = require('./generationRegistry');
+
+const ACTIONS = ['pin', 'unpin', 'archive', 'delete', 'restore', 'purge'];
+const VIEWS = ['archived', 'trash'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expired conversations purged per query, so one pass never loads the whole trash at once
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * When a conversation in the trash will be purged
+ * @param {Date} deletedAt - When it was moved to the trash
+ * @returns {Date}
+ */
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + config.conversations.trashRetentionDays * DAY_MS);
+}
+
+/**
+ * Validate the conversation IDs sent with an action
+ * @param {Array} conversationIds - IDs from the client
+ * @returns {Object} - { status, error } on failure, otherwise { status: 200, ids }
+ */
+function validateIds(conversationIds) {
+  if (!Array.isArray(conversationIds) || conversationIds.length === 0 ||
+      conversationIds.some(id => typeof id !== 'string' || id === '')) {
+    return { status: 400, error: 'conversationIds must be a non-empty array of conversation IDs' };
+  }
+  const ids = [...new Set(conversationIds)];
+  if (ids.length > config.conversations.maxBulkSize) {
+    return { status: 400, error: `At most ${config.conversations.maxBulkSize} conversations can be changed at once` };
+  }
+  return { status: 200, ids };
+}
+
+/**
+ * Permanently delete conversations with everything that hangs off them
+ * @param {Array<string>} conversationIds - Conversation IDs (ownership already checked)
+ * @param {number|null} userId - Owner, whose in-flight generations are cancelled first
+ * @returns {Promise<number>} - Number of conversations removed
+ */
+async function purgeConversationIds(conversationIds, userId = null) {
+  if (conversationIds.length === 0) return 0;
+
+  for (const conversationId of conversationIds) {
+    if (userId) await generationRegistry.cancelGeneration(conversationId, userId);
+    await deleteChatHistory(conversationId);
+  }
+  await models.ConversationShare.destroy({ where: { conversation_id: conversationIds } });
+  await attachmentService.deleteConversationAttachments(conversationIds);
+  return models.Conversation.destroy({ where: { conversation_id: conversationIds } });
+}
+
+/**
+ * Pin, archive, delete (move to the trash), restore or purge a user's conversations
+ * - pin / unpin: saved conversations that are not in the trash
+ * - archive: saved conversations that are not in the trash
+ * - delete: anything not already in the trash
+ * - restore: archived or deleted conversations go back to the main list
+ * - purge: only conversations already in the trash are deleted for good
+ * Conversations the user does not own are skipped.
+ * @param {number} userId - Owner
+ * @param {string} action - One of ACTIONS
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, action, count }
+ */
+async function applyAction(userId, action, conversationIds) {
+  if (!ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of ${ACTIONS.join(', ')}` };
+  }
+  const validated = validateIds(conversationIds);
+  if (validated.error) return validated;
+
+  const where = { user_id: userId, conversation_id: validated.ids, is_temporary: false };
+  let count;
+
+  if (action === 'pin' || action === 'unpin') {
+    [count] = await models.Conversation.update(
+      { pinned_at: action === 'pin' ? new Date() : null },
+      { where: { ...where, deleted_at: null } }
+    );
+  } else if (action === 'archive') {
+    [count] = await models.Conversation.update(
+      { archived_at: new Date() },
+      { where: { ...where, deleted_at: null } }
+    );
+  } else if (action === 'delete') {
+    [count] = await models.Conversation.update(
+      { deleted_at: new Date() },
+      { where: { ...where, deleted_at: null } }
+    );
+    // Nothing should keep writing to a conversation once it is in the trash
+    await Promise.all(validated.ids.map(conversationId => generationRegistry.cancelGeneration(conversationId, userId)));
+  } else if (action === 'restore') {
+    [count] = await models.Conversation.update(
+      { archived_at: null, deleted_at: null },
+      { where: { ...where, [Op.or]: [{ archived_at: { [Op.not]: null } }, { deleted_at: { [Op.not]: null } }] } }
+    );
+  } else {
+    const rows = await models.Conversation.findAll({
+      where: { ...where, deleted_at: { [Op.not]: null } },
+      attributes: ['conversation_id']
+    });
+    count = await purgeConversationIds(rows.map(row => row.conversation_id), userId);
+  }
+
+  console.log(`[CONVERSATIONS] User ${userId} applied ${action} to ${count} of ${validated.ids.length} conversations`);
+  return { status: 200, action, count };
+}
+
+/**
+ * Permanently delete everything in a user's trash
+ * @param {number} userId - Owner
+ * @returns {Promise<number>} - Number of conversations removed
+ */
+async function emptyTrash(userId) {
+  const rows = await models.Conversation.findAll({
+    where: { user_id: userId, deleted_at: { [Op.not]: null } },
+    attributes: ['conversation_id']
+  });
+  const count = await purgeConversationIds(rows.map(row => row.conversation_id), userId);
+  console.log(`[CONVERSATIONS] User ${userId} emptied the trash (${count} conversations)`);
+  return count;
+}
+
+/**
+ * List a user's archived conversations or the conversations in their trash
+ * @param {number} userId - Owner
+ * @param {string} view - 'archived' or 'trash'
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, conversations }
+ */
+async function listConversations(userId, view) {
+  if (!VIEWS.includes(view)) {
+    return { status: 400, error: `view must be one of ${VIEWS.join(', ')}` };
+  }
+
+  const where = { user_id: userId, is_temporary: false };
+  if (view === 'archived') {
+    where.archived_at = { [Op.not]: null };
+    where.deleted_at = null;
+  } else {
+    where.deleted_at = { [Op.not]: null };
+  }
+
+  const rows = await models.Conversation.findAll({
+    where,
+    order: [[view === 'trash' ? 'deleted_at' : 'archived_at', 'DESC']],
+    limit: 200
+  });
+
+  const conversations = rows.map(row => {
+    const firstUserMessage = (row.chat_history || []).find(msg => msg.role === 'user' && typeof msg.content === 'string');
+    const preview = firstUserMessage ? firstUserMessage.content.trim() : '';
+    return {
+      id: row.conversation_id,
+      title: row.title || null,
+      preview: preview.length > 50 ? `${preview.substring(0, 47)}...` : preview,
+      archived_at: row.archived_at,
+      deleted_at: row.deleted_at,
+      purge_at: row.deleted_at ? purgeDate(row.deleted_at) : null
+    };
+  });
+
+  return { status: 200, conversations };
+}
+
+/**
+ * Permanently delete conversations that have been in the trash longer than the retention period
+ * @returns {Promise<number>} - Number of conversations removed
+ */
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - config.conversations.trashRetentionDays * DAY_MS);
+  let total = 0;
+
+  for (;;) {
+    const rows = await models.Conversation.findAll({
+      where: { deleted_at: { [Op.lt]: cutoff } },
+      attributes: ['conversation_id'],
+      limit: PURGE_BATCH_SIZE
+    });
+    if (rows.length === 0) break;
+    total += await purgeConversationIds(rows.map(row => row.conversation_id));
+    if (rows.length < PURGE_BATCH_SIZE) break;
+  }
+
+  if (total > 0) {
+    console.log(`[CONVERSATIONS] Purged ${total} conversations deleted before ${cutoff.toISOString()}`);
+  }
+  return total;
+}
+
+/**
+ * Purge expired trash now and then every config.conversations.trashPurgeIntervalMinutes
+ * @returns {Object} - Interval handle
+ */
+function scheduleTrashPurge() {
+  const run = () => purgeExpiredTrash().catch(error => {
+    console.error(`[CONVERSATIONS] Trash purge failed: ${error.message}`);
+  });
+  run();
+  const timer = setInterval(run, config.conversations.trashPurgeIntervalMinutes * 60 * 1000);
+  // The purge should never keep the process alive on its own
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  ACTIONS,
+  applyAction,
+  emptyTrash,
+  listConversations,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,184 @@
+/**
+ * Conversation Tag Service
+ * A user's tags for organizing the sidebar. Each conversation lists its tags in
+ * conversations.tag_ids, so the sidebar can be filtered by tag and dragging a conversation onto
+ * a tag only has to rewrite that array. Tags are private to their owner.
+ */
+const { Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+
+const TAG_COLORS = ['gray', 'blue', 'green', 'yellow', 'orange', 'red', 'purple'];
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Shape a tag for JSON responses
+ * @param {Object} tag - ConversationTag
+ * @returns {Object}
+ */
+function toTagJSON(tag) {
+  return { id: tag.id, name: tag.name, color: tag.color };
+}
+
+/**
+ * List a user's tags in name order
+ * @param {number} userId - Owner
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTags(userId) {
+  const tags = await models.ConversationTag.findAll({
+    where: { user_id: userId },
+    order: [['name', 'ASC']]
+  });
+  return tags.map(toTagJSON);
+}
+
+/**
+ * Validate submitted tag fields; omitted fields are left unchanged
+ * @param {Object} fields - { name, color }
+ * @returns {Object} - { status, error } on failure, otherwise { values }
+ */
+function validateTagFields({ name, color }) {
+  const values = {};
+  if (name !== undefined) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+      return { status: 400, error: `Tag name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    values.name = trimmedName;
+  }
+  if (color !== undefined) {
+    if (!TAG_COLORS.includes(color)) {
+      return { status: 400, error: `color must be one of ${TAG_COLORS.join(', ')}` };
+    }
+    values.color = color;
+  }
+  return { values };
+}
+
+/**
+ * Whether the user already has another tag with this name (names are compared case-insensitively)
+ * @param {number} userId - Owner
+ * @param {string} name - Proposed name
+ * @param {number|null} exceptId - Tag being renamed
+ * @returns {Promise<boolean>}
+ */
+async function nameTaken(userId, name, exceptId = null) {
+  // Escape LIKE wildcards so a name containing % or _ only matches itself
+  const where = { user_id: userId, name: { [Op.iLike]: name.replace(/[\\%_]/g, '\\$&') } };
+  if (exceptId) where.id = { [Op.ne]: exceptId };
+  return (await models.ConversationTag.count({ where })) > 0;
+}
+
+/**
+ * Create a tag
+ * @param {number} userId - Owner
+ * @param {Object} fields - { name, color }
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, tag }
+ */
+async function createTag(userId, { name, color = 'gray' } = {}) {
+  const validated = validateTagFields({ name: name === undefined ? '' : name, color });
+  if (validated.error) return validated;
+
+  const count = await models.ConversationTag.count({ where: { user_id: userId } });
+  if (count >= config.conversations.maxTags) {
+    return { status: 400, error: `You can have at most ${config.conversations.maxTags} tags` };
+  }
+  if (await nameTaken(userId, validated.values.name)) {
+    return { status: 409, error: 'You already have a tag with that name' };
+  }
+
+  const tag = await models.ConversationTag.create({ user_id: userId, ...validated.values });
+  console.log(`[TAGS] User ${userId} created tag ${tag.id}`);
+  return { status: 201, tag: toTagJSON(tag) };
+}
+
+/**
+ * Rename or recolor a tag
+ * @param {number} userId - Owner
+ * @param {number|string} tagId - Tag ID
+ * @param {Object} fields - { name, color }
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, tag }
+ */
+async function updateTag(userId, tagId, fields = {}) {
+  const tag = await models.ConversationTag.findOne({ where: { id: parseInt(tagId, 10) || 0, user_id: userId } });
+  if (!tag) {
+    return { status: 404, error: 'Tag not found' };
+  }
+
+  const validated = validateTagFields(fields);
+  if (validated.error) return validated;
+  if (validated.values.name && await nameTaken(userId, validated.values.name, tag.id)) {
+    return { status: 409, error: 'You already have a tag with that name' };
+  }
+
+  await tag.update(validated.values);
+  return { status: 200, tag: toTagJSON(tag) };
+}
+
+/**
+ * Delete a tag and take it off every conversation that carries it
+ * @param {number} userId - Owner
+ * @param {number|string} tagId - Tag ID
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200 }
+ */
+async function deleteTag(userId, tagId) {
+  const tag = await models.ConversationTag.findOne({ where: { id: parseInt(tagId, 10) || 0, user_id: userId } });
+  if (!tag) {
+    return { status: 404, error: 'Tag not found' };
+  }
+
+  const conversations = await models.Conversation.findAll({
+    where: { user_id: userId, tag_ids: { [Op.contains]: [tag.id] } },
+    attributes: ['conversation_id', 'tag_ids']
+  });
+  for (const conversation of conversations) {
+    await conversation.update({ tag_ids: conversation.tag_ids.filter(id => id !== tag.id) });
+  }
+  await tag.destroy();
+
+  console.log(`[TAGS] User ${userId} deleted tag ${tag.id} (removed from ${conversations.length} conversations)`);
+  return { status: 200 };
+}
+
+/**
+ * Replace the tags on one of a user's conversations
+ * @param {number} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<number>} tagIds - The user's tag IDs; an empty array clears them
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, tagIds }
+ */
+async function setConversationTags(userId, conversationId, tagIds) {
+  if (!Array.isArray(tagIds) || tagIds.some(id => !Number.isInteger(id))) {
+    return { status: 400, error: 'tagIds must be an array of tag IDs' };
+  }
+  const ids = [...new Set(tagIds)];
+  if (ids.length > config.conversations.maxTagsPerConversation) {
+    return { status: 400, error: `A conversation can have at most ${config.conversations.maxTagsPerConversation} tags` };
+  }
+
+  if (ids.length > 0) {
+    const owned = await models.ConversationTag.count({ where: { id: ids, user_id: userId } });
+    if (owned !== ids.length) {
+      return { status: 400, error: 'Unknown tag' };
+    }
+  }
+
+  const [count] = await models.Conversation.update(
+    { tag_ids: ids },
+    { where: { conversation_id: conversationId, user_id: userId, is_temporary: false, deleted_at: null } }
+  );
+  if (count === 0) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  return { status: 200, tagIds: ids };
+}
+
+module.exports = {
+  TAG_COLORS,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  setConversationTags
+};
@@ -0,0 +1,88 @@
+/**
+ * Embedding Service
+ * Turns text into vectors for knowledge base search.
+ *
+ * Two providers share the same interface:
+ * - bedrock: Amazon Titan text embeddings through BedrockClient, in the organization's own Bedrock
+ *   account when it has one (see llmService.getBedrockClient)
+ * - local: a deterministic hashing embedder that needs no AWS access; similar wording gives
+ *   similar vectors, which is enough for tests and offline development but not for real use
+ *
+ * Vectors are L2-normalized, so cosine distance works for both.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const llmService = require('./llmService');
+
+/**
+ * Hash words (and adjacent word pairs) into a fixed-size vector
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>}
+ */
+function localEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const index = digest.readUInt32BE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+const PROVIDERS = {
+  bedrock: (text, organization) => llmService.getBedrockClient(organization).createEmbedding(text, {
+    modelId: config.knowledgeBases.embeddingModelId,
+    dimensions: config.knowledgeBases.dimensions
+  }),
+  local: async (text) => localEmbedding(text, config.knowledgeBases.dimensions)
+};
+
+/**
+ * Embed a single text with the configured provider
+ * @param {string} text - Text to embed
+ * @param {Object|null} organization - Organization the text belongs to
+ * @returns {Promise<Array<number>>}
+ */
+async function embedText(text, organization = null) {
+  const provider = PROVIDERS[config.knowledgeBases.embeddingProvider];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${config.knowledgeBases.embeddingProvider}`);
+  }
+  return provider(text, organization);
+}
+
+/**
+ * Embed several texts, one request at a time (Titan embeds a single input per call)
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object|null} organization - Organization the texts belong to
+ * @returns {Promise<Array<Array<number>>>} - Vectors in the same order
+ */
+async function embedTexts(texts, organization = null) {
+  const vectors = [];
+  for (const text of texts) {
+    vectors.push(await embedText(text, organization));
+  }
+  return vectors;
+}
+
+/**
+ * Format a vector as a pgvector literal
+ * @param {Array<number>} vector - Embedding
+ * @returns {string} - e.g. "[0.1,0.2]"
+ */
+function toVectorLiteral(vector) {
+  return `[${vector.map(value => Number(value).toFixed(6)).join(',')}]`;
+}
+
+module.exports = {
+  localEmbedding,
+  embedText,
+  embedTexts,
+  toVectorLiteral
+};
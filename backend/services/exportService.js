@@ -0,0 +1,295 @@
+/**
+ * Export Service
+ * Converts conversations to Markdown, JSON and standalone HTML, and validates our JSON export
+ * format for import.
+ *
+ * JSON exports come in two shapes, both accepted by parseImport:
+ * - a single conversation: { format: 'bedrock-express-conversation', version, messages, ... }
+ * - a bulk export: { format: 'bedrock-express-export', version, conversations: [...] }
+ */
+const { Marked } = require('marked');
+const config = require('../config');
+
+const EXPORT_VERSION = 1;
+const CONVERSATION_FORMAT = 'bedrock-express-conversation';
+const BULK_FORMAT = 'bedrock-express-export';
+const MAX_IMPORT_CONVERSATIONS = 500;
+const MAX_IMPORT_MESSAGES = 2000;
+const SAFE_LINK_PROTOCOL = /^(https?:|mailto:|#|\/)/i;
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Model output is untrusted: raw HTML is shown as text and only plain link protocols survive
+const markdownRenderer = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html(html) {
+      return escapeHtml(html);
+    },
+    link(href, title, text) {
+      if (!href || !SAFE_LINK_PROTOCOL.test(href)) {
+        return text;
+      }
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return `<a href="${escapeHtml(href)}"${titleAttr} rel="noopener noreferrer">${text}</a>`;
+    },
+    image(href, title, text) {
+      // Exports are self-contained, so remote images are replaced by their alt text
+      return escapeHtml(text || '');
+    }
+  }
+});
+
+/**
+ * Get the display text of a stored message
+ * @param {Object} message - Chat history message
+ * @returns {string}
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(block => block && typeof block.text === 'string')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Build the JSON export of a conversation
+ * System messages (the system prompt and rolling summaries) are left out.
+ * @param {Object} conversation - Conversation model instance or plain row
+ * @param {Array} chatHistory - Full chat history
+ * @returns {Object}
+ */
+function toExportObject(conversation, chatHistory) {
+  return {
+    format: CONVERSATION_FORMAT,
+    version: EXPORT_VERSION,
+    conversation_id: conversation.conversation_id,
+    title: conversation.title || null,
+    model_id: conversation.model_id || null,
+    started_at: conversation.started_at || null,
+    ended_at: conversation.ended_at || null,
+    messages: (chatHistory || [])
+      .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+      .map(msg => {
+        const exported = { role: msg.role, content: messageText(msg) };
+        if (msg.truncated) exported.truncated = true;
+        if (msg.toolCalls) exported.toolCalls = msg.toolCalls;
+        if (msg.usage) exported.usage = msg.usage;
+        return exported;
+      })
+  };
+}
+
+/**
+ * Build a bulk export of several conversations
+ * @param {Array<Object>} exports - Objects returned by toExportObject
+ * @returns {Object}
+ */
+function toBulkExportObject(exports) {
+  return {
+    format: BULK_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    conversations: exports
+  };
+}
+
+/**
+ * Title to show for an exported conversation
+ * @param {Object} exported - Object returned by toExportObject
+ * @returns {string}
+ */
+function displayTitle(exported) {
+  return exported.title || 'Untitled conversation';
+}
+
+/**
+ * Render a conversation export as Markdown
+ * @param {Object} exported - Object returned by toExportObject
+ * @returns {string}
+ */
+function toMarkdown(exported) {
+  const lines = [`# ${displayTitle(exported)}`, ''];
+  if (exported.model_id) lines.push(`- Model: ${exported.model_id}`);
+  if (exported.started_at) lines.push(`- Started: ${new Date(exported.started_at).toISOString()}`);
+  lines.push('');
+
+  for (const msg of exported.messages) {
+    lines.push(`## ${msg.role === 'user' ? 'You' : 'Assistant'}`, '');
+    lines.push(msg.content, '');
+    if (msg.toolCalls) {
+      for (const call of msg.toolCalls) {
+        lines.push(`> Tool \`${call.name}\`: ${JSON.stringify(call.input)} → ${JSON.stringify(call.result)}`);
+      }
+      lines.push('');
+    }
+    if (msg.truncated) {
+      lines.push('_Response was cut off._', '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a conversation export as a standalone HTML document
+ * @param {Object} exported - Object returned by toExportObject
+ * @returns {string}
+ */
+function toHtml(exported) {
+  const title = escapeHtml(displayTitle(exported));
+  const messages = exported.messages.map(msg => {
+    // User messages are shown verbatim; assistant messages are Markdown like in the chat UI
+    const body = msg.role === 'user'
+      ? `<p>${escapeHtml(msg.content).replace(/\n/g, '<br>')}</p>`
+      : markdownRenderer.parse(msg.content);
+    const note = msg.truncated ? '<p class="note">Response was cut off.</p>' : '';
+    return `<section class="message ${msg.role}"><h2>${msg.role === 'user' ? 'You' : 'Assistant'}</h2>${body}${note}</section>`;
+  }).join('\n');
+
+  const meta = [
+    exported.model_id ? `Model: ${escapeHtml(exported.model_id)}` : null,
+    exported.started_at ? `Started: ${escapeHtml(new Date(exported.started_at).toISOString())}` : null
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+.meta { color: #6c757d; font-size: 0.9rem; }
+.message { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.message h2 { font-size: 0.85rem; margin: 0 0 0.5rem; text-transform: uppercase; color: #6c757d; }
+.message.user { background: #e7f1ff; }
+.message.assistant { background: #f8f9fa; }
+pre { background: #272822; color: #f8f8f2; padding: 0.75rem; border-radius: 4px; overflow-x: auto; }
+.note { font-style: italic; color: #6c757d; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${meta}</p>
+${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Validate a single conversation from an import file
+ * @param {Object} item - Parsed conversation export
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} - Normalized conversation ready to be stored
+ */
+function normalizeImportedConversation(item, index) {
+  const label = `Conversation ${index + 1}`;
+  if (!item || typeof item !== 'object' || !Array.isArray(item.messages)) {
+    throw new Error(`${label} has no messages`);
+  }
+  if (item.messages.length === 0 || item.messages.length > MAX_IMPORT_MESSAGES) {
+    throw new Error(`${label} must have between 1 and ${MAX_IMPORT_MESSAGES} messages`);
+  }
+
+  const messages = item.messages.map((msg, msgIndex) => {
+    if (!msg || (msg.role !== 'user' && msg.role !== 'assistant') || typeof msg.content !== 'string') {
+      throw new Error(`${label}, message ${msgIndex + 1} needs a user/assistant role and text content`);
+    }
+    const imported = { role: msg.role, content: msg.content };
+    if (msg.role === 'assistant' && msg.truncated === true) {
+      imported.truncated = true;
+    }
+    return imported;
+  });
+
+  const startedAt = item.started_at ? new Date(item.started_at) : null;
+  const title = typeof item.title === 'string' ? item.title.trim().slice(0, 200) : '';
+
+  return {
+    title: title || null,
+    model_id: typeof item.model_id === 'string' ? item.model_id : null,
+    started_at: startedAt && !isNaN(startedAt) ? startedAt : new Date(),
+    chat_history: [{ role: 'system', content: config.chat.systemPrompt }, ...messages]
+  };
+}
+
+/**
+ * Parse and validate an import file in our JSON export format
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Normalized conversations ({ title, model_id, started_at, chat_history })
+ * @throws {Error} - With a user-facing message if the file is not a valid export
+ */
+function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Import file is not valid JSON');
+  }
+
+  let items;
+  if (data && data.format === BULK_FORMAT && Array.isArray(data.conversations)) {
+    items = data.conversations;
+  } else if (data && data.format === CONVERSATION_FORMAT) {
+    items = [data];
+  } else {
+    throw new Error('Import file is not a Bedrock Express export');
+  }
+
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this server supports`);
+  }
+  if (items.length === 0) {
+    throw new Error('Import file contains no conversations');
+  }
+  if (items.length > MAX_IMPORT_CONVERSATIONS) {
+    throw new Error(`Import file contains more than ${MAX_IMPORT_CONVERSATIONS} conversations`);
+  }
+
+  return items.map(normalizeImportedConversation);
+}
+
+/**
+ * Build a safe file name for an exported conversation
+ * @param {Object} exported - Object returned by toExportObject
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function exportFileName(exported, extension) {
+  const slug = displayTitle(exported)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'conversation';
+  return `${slug}-${exported.conversation_id.slice(0, 8)}.${extension}`;
+}
+
+module.exports = {
+  toExportObject,
+  toBulkExportObject,
+  toMarkdown,
+  toHtml,
+  parseImport,
+  exportFileName
+};
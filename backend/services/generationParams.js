@@ -0,0 +1,102 @@
+/**
+ * Generation Parameters
+ * Validates the sampling settings a client may send with a message (temperature, top_p, top_k,
+ * max_tokens, stop_sequences) and clamps them to the bounds in config.generation.
+ *
+ * Parameters are stored on the user message in camelCase ({ temperature, topP, topK, maxTokens,
+ * stopSequences }) and passed to BedrockClient as request options when that message is answered.
+ */
+const config = require('../config');
+
+// Client field name -> stored option name
+const NUMERIC_FIELDS = {
+  temperature: { option: 'temperature', integer: false },
+  top_p: { option: 'topP', integer: false },
+  top_k: { option: 'topK', integer: true },
+  max_tokens: { option: 'maxTokens', integer: true }
+};
+
+/**
+ * Keep a value within the configured bounds for an option
+ * @param {string} option - Option name (temperature, topP, topK, maxTokens)
+ * @param {number} value - Requested value
+ * @returns {number}
+ */
+function clampValue(option, value) {
+  const { min, max } = config.generation[option];
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Validate the generation parameters sent with a message
+ * Missing or null fields are left out so the persona or configured defaults apply.
+ * @param {Object} input - Request body or socket message
+ * @returns {Object} - { status, error } on failure, otherwise { status: 200, params }
+ */
+function parseGenerationParams(input = {}) {
+  const params = {};
+
+  for (const [field, { option, integer }] of Object.entries(NUMERIC_FIELDS)) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const number = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+      return { status: 400, error: `${field} must be ${integer ? 'a whole number' : 'a number'}` };
+    }
+    params[option] = clampValue(option, number);
+  }
+
+  const stopSequences = input.stop_sequences;
+  if (stopSequences !== undefined && stopSequences !== null) {
+    if (!Array.isArray(stopSequences) || stopSequences.some(sequence => typeof sequence !== 'string')) {
+      return { status: 400, error: 'stop_sequences must be an array of strings' };
+    }
+    const sequences = stopSequences.filter(sequence => sequence.length > 0);
+    if (sequences.length > config.generation.maxStopSequences) {
+      return { status: 400, error: `At most ${config.generation.maxStopSequences} stop sequences are allowed` };
+    }
+    if (sequences.some(sequence => sequence.length > config.generation.maxStopSequenceLength)) {
+      return { status: 400, error: `Stop sequences must be at most ${config.generation.maxStopSequenceLength} characters` };
+    }
+    if (sequences.length > 0) {
+      params.stopSequences = sequences;
+    }
+  }
+
+  return { status: 200, params };
+}
+
+/**
+ * Clamp stored generation options again before a request; the bounds may have changed since
+ * the message or persona was saved
+ * @param {Object} options - Request options (other keys pass through untouched)
+ * @returns {Object}
+ */
+function clampOptions(options) {
+  const clamped = { ...options };
+  for (const { option } of Object.values(NUMERIC_FIELDS)) {
+    if (typeof clamped[option] === 'number') {
+      clamped[option] = clampValue(option, clamped[option]);
+    }
+  }
+  if (Array.isArray(clamped.stopSequences)) {
+    clamped.stopSequences = clamped.stopSequences.slice(0, config.generation.maxStopSequences);
+  }
+  return clamped;
+}
+
+/**
+ * Bounds shown in the chat page's advanced settings
+ * @returns {Object}
+ */
+function getBounds() {
+  const { temperature, topP, topK, maxTokens, maxStopSequences } = config.generation;
+  return { temperature, topP, topK, maxTokens, maxStopSequences };
+}
+
+module.exports = {
+  parseGenerationParams,
+  clampOptions,
+  getBounds
+};
@@ -0,0 +1,152 @@
+/**
+ * Generation Registry
+ * Tracks in-flight Bedrock generations so they can be cancelled from another request
+ * (the stop button, a closed connection, or the cancel API)
+ *
+ * Generations live in the process that streams them, but a cancel request may reach any
+ * replica. A cancellation for a generation this process does not hold is published on Redis,
+ * and every process running generations listens and aborts its own.
+ */
+const crypto = require('crypto');
+const redisClient = require('./redisClient');
+
+const CANCEL_CHANNEL = 'generation:cancel';
+
+// Tells this process's own cancellations apart from other replicas'
+const instanceId = crypto.randomUUID();
+
+// conversationId -> { controller, userId }
+const activeGenerations = new Map();
+
+// Subscriber connection, created when this process starts its first generation
+let subscriber = null;
+
+/**
+ * Listen for cancellations published by other replicas
+ * Subscribing needs a dedicated connection, so it is only opened once this process has
+ * generations to cancel.
+ */
+function subscribeToCancellations() {
+  if (subscriber) return;
+
+  subscriber = redisClient.getClient().duplicate();
+  subscriber.on('error', (error) => {
+    console.error(`[GENERATION] Cancellation subscriber error: ${error.message}`);
+  });
+  subscriber.connect()
+    .then(() => subscriber.subscribe(CANCEL_CHANNEL, (message) => {
+      try {
+        const { conversationId, userId, origin } = JSON.parse(message);
+        if (origin !== instanceId) {
+          abortGeneration(conversationId, userId);
+        }
+      } catch (error) {
+        console.error(`[GENERATION] Invalid cancellation message: ${error.message}`);
+      }
+    }))
+    .catch(error => console.error(`[GENERATION] Could not subscribe to cancellations: ${error.message}`));
+}
+
+/**
+ * Register a new generation for a conversation
+ * Any generation already running for the same conversation is aborted first.
+ * @param {string} conversationId - Conversation ID
+ * @param {number|null} userId - Owner of the generation
+ * @returns {AbortController} - Controller whose signal aborts the generation
+ */
+function startGeneration(conversationId, userId = null) {
+  const existing = activeGenerations.get(conversationId);
+  if (existing) {
+    console.log(`[GENERATION] Aborting previous generation for conversation ${conversationId}`);
+    existing.controller.abort();
+  }
+
+  const controller = new AbortController();
+  activeGenerations.set(conversationId, { controller, userId });
+  subscribeToCancellations();
+  return controller;
+}
+
+/**
+ * Remove a finished generation from the registry
+ * @param {string} conversationId - Conversation ID
+ * @param {AbortController} controller - Controller returned by startGeneration
+ */
+function finishGeneration(conversationId, controller) {
+  const entry = activeGenerations.get(conversationId);
+  // A newer generation may have replaced this one already
+  if (entry && entry.controller === controller) {
+    activeGenerations.delete(conversationId);
+  }
+}
+
+/**
+ * Abort the generation this process is running for a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {number|null} userId - User requesting the cancellation
+ * @returns {boolean} - True if a generation owned by the user was aborted
+ */
+function abortGeneration(conversationId, userId = null) {
+  const entry = activeGenerations.get(conversationId);
+  if (!entry) {
+    return false;
+  }
+
+  if (entry.userId && entry.userId !== userId) {
+    console.warn(`[GENERATION] User ${userId} attempted to cancel generation owned by user ${entry.userId}`);
+    return false;
+  }
+
+  console.log(`[GENERATION] Cancelling generation for conversation ${conversationId}`);
+  entry.controller.abort();
+  return true;
+}
+
+/**
+ * Cancel the generation running for a conversation, on whichever replica runs it
+ * @param {string} conversationId - Conversation ID
+ * @param {number|null} userId - User requesting the cancellation
+ * @returns {Promise<boolean>} - True if a generation owned by the user was cancelled here, or the
+ *   cancellation was passed on to the other replicas (the one running it checks the owner)
+ */
+async function cancelGeneration(conversationId, userId = null) {
+  if (abortGeneration(conversationId, userId)) {
+    return true;
+  }
+
+  const client = redisClient.getClient();
+  // Commands sent while disconnected would queue until Redis is back
+  if (!client.isReady) {
+    console.warn(`[GENERATION] Redis unavailable, cannot pass on cancellation for conversation ${conversationId}`);
+    return false;
+  }
+
+  try {
+    const receivers = await client.publish(
+      CANCEL_CHANNEL,
+      JSON.stringify({ conversationId, userId, origin: instanceId })
+    );
+    // This process's own subscriber is one of the receivers when it has one
+    const otherReceivers = receivers - (subscriber && subscriber.isReady ? 1 : 0);
+    return otherReceivers > 0;
+  } catch (error) {
+    console.error(`[GENERATION] Could not publish cancellation for conversation ${conversationId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check whether a conversation has a generation in flight in this process
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean}
+ */
+function isGenerating(conversationId) {
+  return activeGenerations.has(conversationId);
+}
+
+module.exports = {
+  startGeneration,
+  finishGeneration,
+  cancelGeneration,
+  isGenerating
+};
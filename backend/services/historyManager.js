@@ -0,0 +1,206 @@
+/**
+ * History Manager
+ * Fits a conversation into the selected model's context window.
+ *
+ * The full transcript stays in Redis/Postgres; only the copy sent to Bedrock is trimmed. Turns are
+ * kept newest-first until the token budget is used up. When rolling summaries are enabled, turns
+ * that fall out of the window are condensed into a pinned system note stored in the Redis history,
+ * so the model keeps the gist of the earlier conversation.
+ *
+ * Token counts are estimates (about four characters per token), which is close enough for budgeting.
+ */
+const config = require('../config');
+const modelRegistry = require('./modelRegistry');
+const llmService = require('./llmService');
+const usageService = require('./usageService');
+const { getChatHistory, saveChatHistory } = require('./redisService');
+
+// Per-message overhead for role markers and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Rough cost of an attached image (Claude charges about width * height / 750 tokens, capped near 1600)
+const IMAGE_ATTACHMENT_TOKENS = 1600;
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const SUMMARY_PREFIX = 'Summary of the earlier part of this conversation (older messages are no longer shown to you):';
+
+/**
+ * Estimate the tokens a stored message will take in a request
+ * @param {Object} message - Chat history message
+ * @returns {number}
+ */
+function estimateMessageTokens(message) {
+  const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+  // Attached documents count by size; their bytes are only loaded when the request is built
+  const attachmentTokens = (message.attachments || []).reduce((total, attachment) => (
+    total + (attachment.kind === 'image' ? IMAGE_ATTACHMENT_TOKENS : Math.ceil((attachment.size || 0) / 4))
+  ), 0);
+  return usageService.estimateTokens(content) + attachmentTokens + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Prompt token budget for a model
+ * @param {string} modelId - Bedrock model ID
+ * @param {number} maxTokens - Output tokens reserved for the reply
+ * @returns {number}
+ */
+function getTokenBudget(modelId, maxTokens = config.bedrock.maxTokens) {
+  const contextWindow = modelRegistry.getModel(modelId)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  return Math.max(0, Math.floor(contextWindow * config.chat.contextBudgetRatio) - maxTokens);
+}
+
+/**
+ * Find the pinned rolling summary note in a history
+ * @param {Array} chatHistory - Chat history
+ * @returns {Object|undefined}
+ */
+function findSummary(chatHistory) {
+  return chatHistory.find(msg => msg.role === 'system' && msg.pinned && msg.kind === 'summary');
+}
+
+/**
+ * Select the messages to send to the model
+ * System messages (prompt and pinned summary) are always kept; conversation turns are added newest
+ * first while they fit, and the latest turn is kept even if it alone exceeds the budget.
+ * @param {Array} chatHistory - Full chat history
+ * @param {string} modelId - Bedrock model ID
+ * @param {number} maxTokens - Output tokens the request asks for (defaults to config.bedrock.maxTokens)
+ * @returns {Object} - { messages, droppedCount, estimatedTokens }
+ */
+function fitToContext(chatHistory, modelId, maxTokens = config.bedrock.maxTokens) {
+  const budget = getTokenBudget(modelId, maxTokens);
+  const systemMessages = chatHistory.filter(msg => msg.role === 'system');
+  const turns = chatHistory.filter(msg => msg.role !== 'system');
+
+  let usedTokens = systemMessages.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+  let firstKept = turns.length;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const tokens = estimateMessageTokens(turns[i]);
+    if (usedTokens + tokens > budget && i < turns.length - 1) {
+      break;
+    }
+    usedTokens += tokens;
+    firstKept = i;
+  }
+
+  // Bedrock expects the conversation to open with a user turn
+  while (firstKept < turns.length - 1 && turns[firstKept].role !== 'user') {
+    usedTokens -= estimateMessageTokens(turns[firstKept]);
+    firstKept++;
+  }
+
+  if (firstKept > 0) {
+    console.log(`[HISTORY] Sending ${turns.length - firstKept} of ${turns.length} turns (~${usedTokens}/${budget} tokens) to ${modelId}`);
+  }
+
+  return {
+    messages: [...systemMessages, ...turns.slice(firstKept)],
+    droppedCount: firstKept,
+    estimatedTokens: usedTokens
+  };
+}
+
+/**
+ * Render turns as a plain transcript for the summarizer
+ * @param {Array} turns - User/assistant messages
+ * @returns {string}
+ */
+function transcript(turns) {
+  return turns
+    .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${typeof msg.content === 'string' ? msg.content : ''}`)
+    .join('\n\n');
+}
+
+/**
+ * Fold turns that dropped out of the context window into the pinned summary note
+ * Re-reads the Redis history before writing so messages recorded meanwhile are not lost.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} modelId - Model used to write the summary
+ * @param {Object} options - Options
+ * @param {Object|null} options.organization - Organization the conversation's owner belongs to
+ * @param {number} options.maxTokens - Output tokens the last request reserved, so the dropped turns
+ *   counted here are the ones that request dropped (defaults to config.bedrock.maxTokens)
+ * @param {number|null} options.userId - Owner, whose quota the summary's tokens count against
+ * @returns {Promise<boolean>} - True if the summary was updated
+ */
+async function updateRollingSummary(conversationId, modelId, { organization = null, maxTokens, userId = null } = {}) {
+  if (!config.chat.summarizeDroppedTurns) {
+    return false;
+  }
+
+  try {
+    const chatHistory = await getChatHistory(conversationId);
+    const { droppedCount } = fitToContext(chatHistory, modelId, maxTokens);
+    const summary = findSummary(chatHistory);
+    const summarizedCount = summary?.summarizedCount || 0;
+
+    if (droppedCount <= summarizedCount) {
+      return false;
+    }
+
+    const turns = chatHistory.filter(msg => msg.role !== 'system');
+    const newlyDropped = turns.slice(summarizedCount, droppedCount);
+    const previousSummary = summary ? summary.content.slice(SUMMARY_PREFIX.length).trim() : '';
+
+    console.log(`[HISTORY] Summarizing ${newlyDropped.length} dropped turns for conversation ${conversationId}`);
+    const response = await llmService.complete([{
+      role: 'user',
+      content: [
+        'Update the running summary of a conversation between a user and an assistant.',
+        'Keep facts, decisions, names, numbers and open questions; drop pleasantries. Reply with the summary only, in at most 200 words.',
+        previousSummary ? `Current summary:\n${previousSummary}` : 'There is no summary yet.',
+        `Messages to add:\n${transcript(newlyDropped)}`
+      ].join('\n\n')
+    }], { modelId, organization });
+    await usageService.recordUsage({
+      userId,
+      conversationId,
+      inputTokens: response.usage?.inputTokens || 0,
+      outputTokens: response.usage?.outputTokens || 0,
+      countRequest: false
+    });
+    const summaryText = response.text || '';
+    if (!summaryText.trim()) {
+      throw new Error('The model returned an empty summary');
+    }
+
+    // Write against the latest history in case a new message arrived while summarizing
+    const latestHistory = await getChatHistory(conversationId);
+    
+    // The summary belongs to the branch it was written for; skip it if the user switched branches
+    const lastSummarizedId = newlyDropped[newlyDropped.length - 1]?.id;
+    if (lastSummarizedId && !latestHistory.some(msg => msg.id === lastSummarizedId)) {
+      console.log(`[HISTORY] Active branch changed while summarizing conversation ${conversationId}, discarding summary`);
+      return false;
+    }
+    const note = {
+      role: 'system',
+      content: `${SUMMARY_PREFIX}\n${summaryText.trim()}`,
+      pinned: true,
+      kind: 'summary',
+      summarizedCount: droppedCount
+    };
+
+    const existingIndex = latestHistory.findIndex(msg => msg.role === 'system' && msg.pinned && msg.kind === 'summary');
+    if (existingIndex >= 0) {
+      latestHistory[existingIndex] = note;
+    } else {
+      // Pin it directly after the system prompt
+      const promptIndex = latestHistory.findIndex(msg => msg.role === 'system');
+      latestHistory.splice(promptIndex + 1, 0, note);
+    }
+
+    await saveChatHistory(conversationId, latestHistory);
+    console.log(`[HISTORY] Rolling summary now covers ${droppedCount} turns for conversation ${conversationId}`);
+    return true;
+  } catch (error) {
+    console.error(`[HISTORY] Failed to update rolling summary: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  estimateMessageTokens,
+  getTokenBudget,
+  fitToContext,
+  updateRollingSummary
+};
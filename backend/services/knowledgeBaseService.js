@@ -0,0 +1,401 @@
+/**
+ * Knowledge Base Service
+ * Document ingestion and retrieval for retrieval-augmented answers.
+ *
+ * Uploaded documents are reduced to text, split into overlapping chunks and embedded (see
+ * services/embeddingService.js). Chunks are stored in knowledge_chunks with a pgvector column.
+ * Before each reply the latest user message is embedded, the closest chunks from the
+ * conversation's knowledge bases are added to the system prompt, and the reply records them as
+ * numbered sources the model is asked to cite.
+ *
+ * Private knowledge bases are visible to their creator only; team knowledge bases (created by
+ * admins) can be used by every user in the creator's organization.
+ */
+const fs = require('fs');
+const { QueryTypes } = require('sequelize');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const config = require('../config');
+const models = require('../models');
+const embeddingService = require('./embeddingService');
+const organizationService = require('./organizationService');
+const { detectFileType } = require('./attachmentService');
+
+const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv'
+};
+const VISIBILITIES = ['private', 'team'];
+const EXCERPT_LENGTH = 240;
+
+const CHUNKS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+  id BIGSERIAL PRIMARY KEY,
+  knowledge_base_id INTEGER NOT NULL REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+  document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  embedding vector(${config.knowledgeBases.dimensions}) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+)
+`;
+
+let vectorStoreReady = false;
+
+/**
+ * Make sure the pgvector extension and knowledge_chunks table exist
+ * Production relies on the migration; development creates them on demand, like model sync does for tables.
+ */
+async function ensureVectorStore() {
+  if (vectorStoreReady) return;
+  if (config.env !== 'production') {
+    await models.sequelize.query('CREATE EXTENSION IF NOT EXISTS vector');
+    await models.sequelize.query(CHUNKS_TABLE_SQL);
+    console.log('[KNOWLEDGE] Ensured knowledge_chunks table exists');
+  }
+  vectorStoreReady = true;
+}
+
+/**
+ * List the knowledge bases a user can chat with
+ * @param {Object} user - Current user
+ * @returns {Promise<Array>}
+ */
+async function listAccessibleKnowledgeBases(user) {
+  return models.KnowledgeBase.findAll({
+    ...organizationService.teamScope(user),
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Find a knowledge base a user can chat with
+ * @param {number|string} knowledgeBaseId - Knowledge base ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object|null>}
+ */
+async function getAccessibleKnowledgeBase(knowledgeBaseId, user) {
+  const id = parseInt(knowledgeBaseId, 10);
+  if (!Number.isInteger(id)) return null;
+  const scope = organizationService.teamScope(user);
+  return models.KnowledgeBase.findOne({
+    ...scope,
+    where: { id, ...scope.where }
+  });
+}
+
+/**
+ * Whether a user may change a knowledge base (rename, upload, delete)
+ * @param {Object} knowledgeBase - Knowledge base
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+function canManage(knowledgeBase, user) {
+  return knowledgeBase.user_id === user.id || !!user.isAdmin;
+}
+
+/**
+ * Create a knowledge base
+ * @param {Object} user - Creator
+ * @param {Object} fields - { name, description, visibility }
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, knowledgeBase }
+ */
+async function createKnowledgeBase(user, { name, description, visibility = 'private' }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    return { status: 400, error: 'Name is required and must be at most 100 characters' };
+  }
+  if (!VISIBILITIES.includes(visibility)) {
+    return { status: 400, error: 'Visibility must be private or team' };
+  }
+  if (visibility === 'team' && !user.isAdmin) {
+    return { status: 403, error: 'Only administrators can create team knowledge bases' };
+  }
+
+  const knowledgeBase = await models.KnowledgeBase.create({
+    user_id: user.id,
+    name: trimmedName,
+    description: typeof description === 'string' && description.trim() ? description.trim().slice(0, 2000) : null,
+    visibility
+  });
+  console.log(`[KNOWLEDGE] User ${user.id} created ${visibility} knowledge base ${knowledgeBase.id} "${trimmedName}"`);
+  return { status: 201, knowledgeBase };
+}
+
+/**
+ * List the documents in a knowledge base, newest first
+ * @param {Object} knowledgeBase - Knowledge base
+ * @returns {Promise<Array>}
+ */
+async function listDocuments(knowledgeBase) {
+  return models.KnowledgeDocument.findAll({
+    where: { knowledge_base_id: knowledgeBase.id },
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * Extract the text of a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - Key of DOCUMENT_TYPES
+ * @returns {Promise<string>}
+ */
+async function extractText(buffer, fileType) {
+  if (fileType === 'pdf') {
+    const parsed = await pdfParse(buffer);
+    return parsed.text || '';
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph, sentence and word boundaries
+ * @param {string} text - Document text
+ * @param {Object} options - { size, overlap } in characters
+ * @returns {Array<string>}
+ */
+function chunkText(text, { size = config.knowledgeBases.chunkSize, overlap = config.knowledgeBases.chunkOverlap } = {}) {
+  const normalized = String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length) {
+    let end = Math.min(start + size, normalized.length);
+    if (end < normalized.length) {
+      const window = normalized.slice(start, end);
+      const minBreak = Math.floor(size / 2);
+      const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('. ') + 1, window.lastIndexOf(' ')]
+        .find(index => index > minBreak);
+      if (breakAt) {
+        end = start + breakAt;
+      }
+    }
+
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) {
+      chunks.push(chunk);
+    }
+    if (end >= normalized.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Extract, chunk and embed a document, then store its chunks
+ * Runs in the background after the upload; the document's status reports the outcome.
+ * @param {Object} document - KnowledgeDocument row
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - Key of DOCUMENT_TYPES
+ * @param {Object|null} organization - Uploader's organization, whose Bedrock account embeds the chunks
+ */
+async function ingestDocument(document, buffer, fileType, organization = null) {
+  try {
+    await ensureVectorStore();
+
+    const text = await extractText(buffer, fileType);
+    const chunks = chunkText(text);
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted from this document');
+    }
+
+    const vectors = await embeddingService.embedTexts(chunks, organization);
+
+    await models.sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < chunks.length; i++) {
+        await models.sequelize.query(
+          `INSERT INTO knowledge_chunks (knowledge_base_id, document_id, chunk_index, content, embedding)
+           VALUES (:knowledgeBaseId, :documentId, :chunkIndex, :content, CAST(:embedding AS vector))`,
+          {
+            replacements: {
+              knowledgeBaseId: document.knowledge_base_id,
+              documentId: document.id,
+              chunkIndex: i,
+              content: chunks[i],
+              embedding: embeddingService.toVectorLiteral(vectors[i])
+            },
+            transaction
+          }
+        );
+      }
+    });
+
+    document.status = 'ready';
+    document.chunk_count = chunks.length;
+    await document.save();
+    console.log(`[KNOWLEDGE] Indexed document ${document.id} (${document.file_name}) as ${chunks.length} chunks`);
+  } catch (error) {
+    console.error(`[KNOWLEDGE] Failed to index document ${document.id} (${document.file_name}): ${error.message}`);
+    document.status = 'failed';
+    document.error = error.message.slice(0, 1000);
+    await document.save().catch(saveError => console.error(`[KNOWLEDGE] Could not record failure: ${saveError.message}`));
+  }
+}
+
+/**
+ * Add an uploaded file (from express-formidable) to a knowledge base
+ * Indexing continues in the background after this returns.
+ * @param {Object} knowledgeBase - Knowledge base
+ * @param {Object} user - Uploading user
+ * @param {Object} file - Uploaded file ({ path, name })
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 202, document }
+ */
+async function addDocument(knowledgeBase, user, file) {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(file.path);
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+
+  const fileName = String(file.name || 'document').split(/[\\/]/).pop().slice(0, 255);
+  const fileType = detectFileType(buffer, fileName);
+  if (!DOCUMENT_TYPES[fileType]) {
+    return { status: 415, error: 'Knowledge bases accept PDF, TXT, Markdown and CSV documents' };
+  }
+  if (buffer.length === 0 || buffer.length > config.knowledgeBases.maxDocumentBytes) {
+    return { status: 413, error: `Documents must be at most ${Math.floor(config.knowledgeBases.maxDocumentBytes / (1024 * 1024))} MB` };
+  }
+  const organization = await organizationService.getUserOrganization(user);
+
+  const document = await models.KnowledgeDocument.create({
+    knowledge_base_id: knowledgeBase.id,
+    user_id: user.id,
+    file_name: fileName,
+    mime_type: DOCUMENT_TYPES[fileType],
+    size_bytes: buffer.length,
+    status: 'processing'
+  });
+  console.log(`[KNOWLEDGE] Queued document ${document.id} (${fileName}) for knowledge base ${knowledgeBase.id}`);
+
+  ingestDocument(document, buffer, fileType, organization);
+  return { status: 202, document };
+}
+
+/**
+ * Remove a document and its chunks from a knowledge base
+ * @param {Object} knowledgeBase - Knowledge base
+ * @param {number|string} documentId - Document ID
+ * @returns {Promise<boolean>} - False if the document does not exist
+ */
+async function deleteDocument(knowledgeBase, documentId) {
+  const id = parseInt(documentId, 10);
+  if (!Number.isInteger(id)) return false;
+  const deleted = await models.KnowledgeDocument.destroy({
+    where: { id, knowledge_base_id: knowledgeBase.id }
+  });
+  if (deleted) {
+    console.log(`[KNOWLEDGE] Deleted document ${id} from knowledge base ${knowledgeBase.id}`);
+  }
+  return deleted > 0;
+}
+
+/**
+ * Delete a knowledge base with its documents and chunks
+ * @param {Object} knowledgeBase - Knowledge base
+ */
+async function deleteKnowledgeBase(knowledgeBase) {
+  await models.KnowledgeDocument.destroy({ where: { knowledge_base_id: knowledgeBase.id } });
+  await knowledgeBase.destroy();
+  console.log(`[KNOWLEDGE] Deleted knowledge base ${knowledgeBase.id}`);
+}
+
+/**
+ * Keep only the knowledge base IDs a user can chat with
+ * @param {Object} user - Current user
+ * @param {Array} knowledgeBaseIds - IDs from the client or the conversation
+ * @returns {Promise<Array<number>>}
+ */
+async function filterAccessibleIds(user, knowledgeBaseIds) {
+  const ids = [...new Set((knowledgeBaseIds || []).map(id => parseInt(id, 10)).filter(Number.isInteger))];
+  if (ids.length === 0) return [];
+  const scope = organizationService.teamScope(user);
+  const rows = await models.KnowledgeBase.findAll({
+    ...scope,
+    where: { id: ids, ...scope.where },
+    attributes: ['id']
+  });
+  const accessible = new Set(rows.map(row => row.id));
+  return ids.filter(id => accessible.has(id));
+}
+
+/**
+ * Find the chunks closest to a question and build the system prompt section that presents them
+ * @param {Object} user - User the reply is for
+ * @param {Array<number>} knowledgeBaseIds - Knowledge bases selected for the conversation
+ * @param {string} query - Latest user message
+ * @param {Object|null} organization - User's organization, whose Bedrock account embeds the query
+ * @returns {Promise<Object|null>} - { prompt, sources }, or null if nothing relevant was found
+ */
+async function retrieveContext(user, knowledgeBaseIds, query, organization = null) {
+  const ids = user ? await filterAccessibleIds(user, knowledgeBaseIds) : [];
+  if (ids.length === 0 || !query) {
+    return null;
+  }
+
+  await ensureVectorStore();
+  const embedding = embeddingService.toVectorLiteral(await embeddingService.embedText(query, organization));
+
+  const rows = await models.sequelize.query(
+    `SELECT kc.knowledge_base_id, kc.document_id, kc.chunk_index, kc.content,
+            kd.file_name, kb.name AS knowledge_base_name,
+            1 - (kc.embedding <=> CAST(:embedding AS vector)) AS score
+     FROM knowledge_chunks kc
+     JOIN knowledge_documents kd ON kd.id = kc.document_id
+     JOIN knowledge_bases kb ON kb.id = kc.knowledge_base_id
+     WHERE kc.knowledge_base_id IN (:ids)
+     ORDER BY kc.embedding <=> CAST(:embedding AS vector)
+     LIMIT :limit`,
+    {
+      replacements: { embedding, ids, limit: config.knowledgeBases.topK },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  const relevant = rows.filter(row => Number(row.score) >= config.knowledgeBases.minScore);
+  console.log(`[KNOWLEDGE] Retrieved ${relevant.length} of ${rows.length} chunks from knowledge bases ${ids.join(', ')}`);
+  if (relevant.length === 0) {
+    return null;
+  }
+
+  const sources = relevant.map((row, index) => ({
+    index: index + 1,
+    knowledgeBaseId: row.knowledge_base_id,
+    knowledgeBaseName: row.knowledge_base_name,
+    documentId: row.document_id,
+    fileName: row.file_name,
+    chunkIndex: row.chunk_index,
+    score: Math.round(Number(row.score) * 1000) / 1000,
+    excerpt: row.content.length > EXCERPT_LENGTH ? `${row.content.slice(0, EXCERPT_LENGTH - 3)}...` : row.content
+  }));
+
+  const excerpts = relevant
+    .map((row, index) => `[${index + 1}] ${row.file_name} (${row.knowledge_base_name})\n${row.content}`)
+    .join('\n\n');
+  const prompt = 'The following numbered excerpts come from the knowledge bases selected for this conversation. ' +
+    'Use them when they are relevant to the question and cite the ones you rely on by number in square brackets, e.g. [1]. ' +
+    'If they do not contain the answer, say so before answering from general knowledge.\n\n' +
+    `<knowledge_base_excerpts>\n${excerpts}\n</knowledge_base_excerpts>`;
+
+  return { prompt, sources };
+}
+
+module.exports = {
+  listAccessibleKnowledgeBases,
+  getAccessibleKnowledgeBase,
+  canManage,
+  createKnowledgeBase,
+  listDocuments,
+  chunkText,
+  addDocument,
+  deleteDocument,
+  deleteKnowledgeBase,
+  filterAccessibleIds,
+  retrieveContext
+};
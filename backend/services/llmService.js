@@ -0,0 +1,321 @@
+/**
+ * LLM Service
+ * Sends chat requests to whichever provider serves the requested model (see
+ * modelRegistry.getProvider): Bedrock through bedrockService, the others through the clients in
+ * services/chatProviders.js. All of them yield the same normalized events, so callers stream and
+ * complete without caring where a model runs.
+ *
+ * Throttling and other transient failures (see services/modelErrors.js) are retried with jittered
+ * exponential backoff (config.bedrock.retry). When the retries are used up, Bedrock models move on
+ * to the fallback region and then the fallback model (config.bedrock.fallback). A stream is only
+ * retried until its first text or tool call: after that the caller has already shown part of the
+ * reply, so the error is passed on.
+ *
+ * Requests made for an organization with its own Bedrock account (options.organization, see
+ * services/organizationService.js) go through a Bedrock client for that account's role, created on
+ * first use, so each tenant's usage is billed and throttled in its own account.
+ */
+const config = require('../config');
+const modelRegistry = require('./modelRegistry');
+const modelErrors = require('./modelErrors');
+const bedrockService = require('./bedrockService');
+const organizationService = require('./organizationService');
+const { releaseRoleCredentialProvider } = require('./roleCredentials');
+const { OpenAICompatibleProvider, AnthropicProvider } = require('./chatProviders');
+
+// Provider clients are created on first use
+const CLIENT_FACTORIES = {
+  bedrock: () => bedrockService.bedrockClientInstance,
+  openai: () => new OpenAICompatibleProvider(),
+  anthropic: () => new AnthropicProvider()
+};
+const clients = new Map();
+
+// Bedrock clients for other regions and tenants' accounts, by `${region}|${roleArn}|${externalId}`
+const accountClients = new Map();
+
+/**
+ * The Bedrock account an organization's requests go to
+ * The local provider has no accounts, so it serves every organization.
+ * @param {Object|null} organization - Organization the request is made for
+ * @returns {Object|null} - { roleArn, externalId, region }, or null for the configured account
+ */
+function getTenantAccount(organization) {
+  if (config.bedrock.provider !== 'aws') return null;
+  return organizationService.getBedrockAccount(organization);
+}
+
+/**
+ * Get a Bedrock client for a region and account
+ * @param {string} region - AWS region
+ * @param {Object|null} account - { roleArn, externalId } from getTenantAccount; null for the configured role
+ * @returns {Object} - Provider client
+ */
+function getAccountClient(region, account) {
+  const key = `${region}|${account ? account.roleArn : ''}|${account ? account.externalId : ''}`;
+  if (!accountClients.has(key)) {
+    const options = account ? { region, roleArn: account.roleArn, externalId: account.externalId } : { region };
+    accountClients.set(key, bedrockService.createBedrockClient(config.bedrock.provider, options));
+  }
+  return accountClients.get(key);
+}
+
+/**
+ * Get the Bedrock client an organization's requests go through (chat and embeddings alike)
+ * @param {Object|null} organization - Organization the request is made for
+ * @returns {Object} - The tenant's account client, or the configured Bedrock client
+ */
+function getBedrockClient(organization = null) {
+  const account = getTenantAccount(organization);
+  return account ? getAccountClient(account.region, account) : bedrockService.bedrockClientInstance;
+}
+
+/**
+ * Drop the Bedrock clients for a tenant's account and stop refreshing its role's credentials
+ * Called when no organization uses the account any more; the configured role is never released.
+ * @param {Object} account - { roleArn, externalId } from organizationService.getBedrockAccount
+ */
+function releaseAccount(account) {
+  for (const key of accountClients.keys()) {
+    const [, roleArn, externalId] = key.split('|');
+    if (roleArn === account.roleArn && externalId === account.externalId) {
+      accountClients.delete(key);
+    }
+  }
+
+  const isConfiguredRole = account.roleArn === config.aws.customerCrossAccountRoleArn &&
+    account.externalId === (config.aws.customerCrossAccountExternalId || '');
+  if (!isConfiguredRole) {
+    releaseRoleCredentialProvider(account);
+  }
+}
+
+/**
+ * Get the client for a model, refusing models whose provider an admin has disabled
+ * @param {string} modelId - Model ID; the default model when omitted
+ * @param {Object|null} organization - Organization the request is made for
+ * @returns {Object} - Provider client
+ */
+function getClient(modelId, organization = null) {
+  const provider = modelRegistry.getProvider(modelId || modelRegistry.getDefaultModelId());
+  if (!modelRegistry.isProviderEnabled(provider) || !CLIENT_FACTORIES[provider]) {
+    throw new Error(`Model provider "${provider}" is not enabled`);
+  }
+
+  const account = provider === 'bedrock' ? getTenantAccount(organization) : null;
+  if (account) {
+    return getAccountClient(account.region, account);
+  }
+  if (!clients.has(provider)) {
+    clients.set(provider, CLIENT_FACTORIES[provider]());
+  }
+  return clients.get(provider);
+}
+
+/**
+ * List the attempts a request may make, in order: the requested model up to
+ * config.bedrock.retry.maxAttempts times, then (for Bedrock models) the fallback region and model
+ * @param {string} modelId - Requested model ID
+ * @param {Object|null} organization - Organization the request is made for
+ * @returns {Array<Object>} - { client, modelId, fallback }, fallback describing a fallback attempt
+ */
+function planAttempts(modelId, organization = null) {
+  const requestedId = modelId || modelRegistry.getDefaultModelId();
+  const client = getClient(requestedId, organization);
+  const attempts = [];
+  for (let attempt = 0; attempt < Math.max(1, config.bedrock.retry.maxAttempts); attempt++) {
+    attempts.push({ client, modelId: requestedId, fallback: null });
+  }
+
+  if (modelRegistry.getProvider(requestedId) !== 'bedrock') {
+    return attempts;
+  }
+  const { region, modelId: fallbackModelId } = config.bedrock.fallback;
+  // A tenant's fallback region is reached through the tenant's role too
+  const account = getTenantAccount(organization);
+  if (region && region !== (account ? account.region : config.aws.region)) {
+    attempts.push({ client: getAccountClient(region, account), modelId: requestedId, fallback: { region } });
+  }
+  if (fallbackModelId && fallbackModelId !== requestedId && organizationService.isModelAllowed(organization, fallbackModelId)) {
+    attempts.push({ client: getClient(fallbackModelId, organization), modelId: fallbackModelId, fallback: { modelId: fallbackModelId } });
+  }
+  return attempts;
+}
+
+/**
+ * Options for one attempt; tools are dropped for a fallback model that cannot call them
+ * @param {Object} options - Caller's options
+ * @param {Object} attempt - Entry from planAttempts
+ * @returns {Object}
+ */
+function attemptOptions(options, attempt) {
+  const { organization, ...providerOptions } = options;
+  const attemptOpts = { ...providerOptions, modelId: attempt.modelId };
+  if (!modelRegistry.supportsTools(attempt.modelId)) {
+    delete attemptOpts.tools;
+  }
+  return attemptOpts;
+}
+
+/**
+ * Jittered exponential backoff: between half and all of baseDelayMs * 2^retry, capped at maxDelayMs
+ * @param {number} retry - Retries made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(retry) {
+  const { baseDelayMs, maxDelayMs } = config.bedrock.retry;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Wait, giving up as soon as the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} abortSignal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function wait(ms, abortSignal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      const abortError = new Error('Request aborted');
+      abortError.name = 'AbortError';
+      reject(abortError);
+    };
+    const timer = setTimeout(() => {
+      if (abortSignal) abortSignal.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (abortSignal) {
+      if (abortSignal.aborted) return abort();
+      abortSignal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+/**
+ * Decide what follows a failed attempt
+ * @param {Error} error - The attempt's error
+ * @param {Array<Object>} attempts - Entries from planAttempts
+ * @param {number} index - Index of the failed attempt
+ * @param {AbortSignal} abortSignal - The request's abort signal
+ * @returns {Object|null} - { code, next, delayMs }, or null when the error should be passed on
+ */
+function planRetry(error, attempts, index, abortSignal) {
+  if (abortSignal && abortSignal.aborted) return null;
+
+  const { code, retryable } = modelErrors.classifyError(error);
+  const next = attempts[index + 1];
+  const current = attempts[index];
+  const label = `${current.modelId}${current.fallback?.region ? ` in ${current.fallback.region}` : ''}`;
+  if (!retryable || !next) {
+    console.error(`[LLM] ${label} failed with ${error.name} (${code}); giving up after ${index + 1} attempts`);
+    return null;
+  }
+
+  // Fallbacks are separate capacity, so they are tried straight away
+  const delayMs = next.fallback ? 0 : backoffDelay(index);
+  if (next.fallback) {
+    console.warn(`[LLM] ${label} failed with ${error.name} (${code}); falling back to ${next.fallback.region ? `region ${next.fallback.region}` : next.modelId}`);
+  } else {
+    console.warn(`[LLM] ${label} failed with ${error.name} (${code}); retrying in ${delayMs}ms`);
+  }
+  return { code, next, delayMs };
+}
+
+/**
+ * Stream a chat completion as normalized events
+ * Besides the provider's events, yields { type: 'retry', code, attempt, delayMs, fallback } before
+ * each new attempt, so callers can tell the user why the reply is slow to start.
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as BedrockClient.streamChat (modelId, abortSignal, ...),
+ *   plus organization: the organization the request is made for, if any
+ * @yields {Object} - { type: 'text' | 'stop' | 'usage' | 'tool_use' | 'retry', ... }
+ */
+async function* streamChat(messages, options = {}) {
+  const attempts = planAttempts(options.modelId, options.organization);
+
+  for (let index = 0; index < attempts.length; index++) {
+    const attempt = attempts[index];
+    // Events that carry no output (e.g. usage) are held back until the attempt is known to succeed
+    const pending = [];
+    let started = false;
+
+    try {
+      for await (const event of attempt.client.streamChat(messages, attemptOptions(options, attempt))) {
+        if (!started && (event.type === 'text' || event.type === 'tool_use')) {
+          started = true;
+          yield* pending.splice(0);
+        }
+        if (started) {
+          yield event;
+        } else {
+          pending.push(event);
+        }
+      }
+      yield* pending;
+      return;
+    } catch (error) {
+      const retry = started ? null : planRetry(error, attempts, index, options.abortSignal);
+      if (!retry) throw error;
+
+      yield {
+        type: 'retry',
+        code: retry.code,
+        attempt: index + 2,
+        delayMs: retry.delayMs,
+        fallback: retry.next.fallback
+      };
+      await wait(retry.delayMs, options.abortSignal);
+    }
+  }
+}
+
+/**
+ * Create a non-streaming chat completion, with the same retries and fallbacks as streamChat
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as streamChat
+ * @returns {Promise<Object>} - { text, stopReason, usage, toolUses, content }
+ */
+async function complete(messages, options = {}) {
+  const attempts = planAttempts(options.modelId, options.organization);
+
+  for (let index = 0; ; index++) {
+    const attempt = attempts[index];
+    try {
+      return await attempt.client.complete(messages, attemptOptions(options, attempt));
+    } catch (error) {
+      const retry = planRetry(error, attempts, index, options.abortSignal);
+      if (!retry) throw error;
+      await wait(retry.delayMs, options.abortSignal);
+    }
+  }
+}
+
+/**
+ * Generate a response's text
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Additional options (modelId, abortSignal, organization)
+ * @returns {Promise<string>} - The generated response text
+ */
+async function generateResponse(messages, options = {}) {
+  try {
+    const response = await complete(messages, options);
+    if (response && response.text) {
+      return response.text;
+    }
+    console.error('Unexpected response format:', response);
+    throw new Error('Unexpected response format from model provider');
+  } catch (error) {
+    console.error(`Error generating response from ${modelRegistry.getProvider(options.modelId)}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  streamChat,
+  complete,
+  generateResponse,
+  getBedrockClient,
+  releaseAccount
+};
@@ -0,0 +1,371 @@
+/**
+ * Local Bedrock Provider
+ * A stand-in for BedrockClient that needs no AWS credentials, selected with
+ * BEDROCK_PROVIDER=local (see config.bedrock.local). It implements the same provider interface
+ * (streamChat, complete, createEmbedding), so the chat flow, the OpenAI-compatible API and the
+ * frontend run end to end offline.
+ *
+ * Replies are deterministic. The last user message is matched against scripted responses (an
+ * optional JSON file, then the built-in directives below); anything else gets an echo reply.
+ * Text streams in small chunks with a simulated first-token delay and per-chunk timing.
+ *
+ * Built-in directives, anywhere in the user's message:
+ * - [fake:throttle]         fail with ThrottlingException before any text
+ * - [fake:error]            fail with InternalServerException before any text
+ * - [fake:stream-error]     stream part of a reply, then fail with ModelStreamErrorException
+ * - [fake:max-tokens]       stop with max_tokens
+ * - [fake:tool <name>]      request the named tool (when tools are offered), then summarize its result
+ *
+ * Script file entries: { match | pattern, response, stopReason, error, errorAfterChunks, toolUse }
+ * where match is a case-insensitive substring, pattern a regular expression, error an exception
+ * name (or { name, message, status }) and toolUse { name, input }.
+ */
+const fs = require('fs');
+const config = require('../config');
+
+const CHARS_PER_TOKEN = 4;
+
+// HTTP status the SDK reports for each simulated exception
+const ERROR_STATUS = {
+  ThrottlingException: 429,
+  ServiceQuotaExceededException: 429,
+  ValidationException: 400,
+  AccessDeniedException: 403,
+  ModelTimeoutException: 408,
+  ModelNotReadyException: 429,
+  InternalServerException: 500,
+  ServiceUnavailableException: 503,
+  ModelStreamErrorException: 424
+};
+
+const BUILT_IN_SCRIPT = [
+  { match: '[fake:throttle]', error: 'ThrottlingException' },
+  { match: '[fake:error]', error: 'InternalServerException' },
+  {
+    match: '[fake:stream-error]',
+    response: 'This reply starts streaming normally but the model stream fails partway through the answer.',
+    error: 'ModelStreamErrorException',
+    errorAfterChunks: 3
+  },
+  {
+    match: '[fake:max-tokens]',
+    response: 'This reply is cut short because the local model pretends it ran out of output tokens and',
+    stopReason: 'max_tokens'
+  }
+];
+
+/**
+ * Small seeded PRNG (mulberry32) so injected failures repeat for the same seed
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build an error shaped like the ones the AWS SDK throws
+ * @param {string|Object} error - Exception name or { name, message, status }
+ * @returns {Error}
+ */
+function createServiceError(error) {
+  const { name, message, status } = typeof error === 'string' ? { name: error } : error;
+  const serviceError = new Error(message || `Simulated ${name} from the local Bedrock provider`);
+  serviceError.name = name;
+  serviceError.$fault = (status || ERROR_STATUS[name] || 500) >= 500 ? 'server' : 'client';
+  serviceError.$metadata = { httpStatusCode: status || ERROR_STATUS[name] || 500 };
+  return serviceError;
+}
+
+/**
+ * Wait, rejecting like the SDK does when the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Plain text of a message's content (strings or content blocks)
+ * @param {string|Array} content - Message content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => block.text || '').filter(Boolean).join('\n');
+}
+
+/**
+ * Split text into stream chunks of roughly `size` characters, breaking after whitespace
+ * @param {string} text - Reply text
+ * @param {number} size - Target chunk size
+ * @returns {Array<string>}
+ */
+function chunkText(text, size) {
+  const chunks = [];
+  let current = '';
+  for (const word of text.match(/\S+\s*|\s+/g) || []) {
+    if (current && current.length + word.length > size) {
+      chunks.push(current);
+      current = '';
+    }
+    current += word;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Load scripted responses from a JSON file
+ * @param {string} scriptPath - Path to a JSON array of script entries
+ * @returns {Array<Object>}
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) return [];
+  try {
+    const entries = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error('the script must be a JSON array');
+    }
+    console.log(`[LOCAL BEDROCK] Loaded ${entries.length} scripted responses from ${scriptPath}`);
+    return entries;
+  } catch (error) {
+    console.error(`[LOCAL BEDROCK] Could not load script ${scriptPath}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Whether a script entry applies to a user message
+ * @param {Object} entry - Script entry
+ * @param {string} text - Last user message
+ * @returns {boolean}
+ */
+function entryMatches(entry, text) {
+  if (entry.pattern) {
+    try {
+      return new RegExp(entry.pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }
+  return typeof entry.match === 'string' && text.toLowerCase().includes(entry.match.toLowerCase());
+}
+
+/**
+ * LocalBedrockProvider: scripted, credential-free implementation of the BedrockClient interface
+ */
+class LocalBedrockProvider {
+  constructor(options = config.bedrock.local) {
+    this.options = options;
+    this.modelId = config.bedrock.modelId;
+    this.script = [...loadScript(options.scriptPath), ...BUILT_IN_SCRIPT];
+    this.random = seededRandom(options.seed);
+    this.requestCount = 0;
+
+    console.log(`[LOCAL BEDROCK] Using the local Bedrock stand-in (${this.script.length} scripted responses, ` +
+      `error rate ${options.errorRate}, throttle rate ${options.throttleRate})`);
+  }
+
+  /**
+   * Work out what the next reply should be
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options (tools are honored for tool use directives)
+   * @returns {Object} - { text, stopReason, error, errorAfterChunks, toolUse }
+   * @private
+   */
+  _planReply(messages, options = {}) {
+    this.requestCount += 1;
+    const last = messages[messages.length - 1] || {};
+
+    // Second leg of a tool round trip: describe the tool results handed back
+    const toolResults = Array.isArray(last.content) ? last.content.filter(block => block.toolResult) : [];
+    if (toolResults.length > 0) {
+      const summary = toolResults.map(({ toolResult }) => {
+        const output = (toolResult.content || []).map(part => (part.json !== undefined ? JSON.stringify(part.json) : part.text || '')).join(' ');
+        return `${toolResult.status === 'error' ? 'The tool failed' : 'The tool returned'}: ${output}`;
+      }).join('\n');
+      return { text: summary, stopReason: 'end_turn' };
+    }
+
+    // Random failures, drawn from the seeded sequence so a run can be replayed
+    const roll = this.random();
+    if (roll < this.options.throttleRate) {
+      return { error: 'ThrottlingException' };
+    }
+    if (roll < this.options.throttleRate + this.options.errorRate) {
+      return { error: 'InternalServerException' };
+    }
+
+    const userMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    const text = contentText(userMessage && userMessage.content).trim();
+
+    const toolDirective = text.match(/\[fake:tool\s+([\w-]+)\]/i);
+    const tools = Array.isArray(options.tools) ? options.tools : [];
+    if (toolDirective && tools.some(tool => tool.name === toolDirective[1])) {
+      return {
+        text: `Let me use the ${toolDirective[1]} tool.`,
+        toolUse: { name: toolDirective[1], input: {} }
+      };
+    }
+
+    const entry = this.script.find(candidate => entryMatches(candidate, text));
+    if (entry) {
+      return {
+        text: entry.response || '',
+        stopReason: entry.stopReason || 'end_turn',
+        error: entry.error,
+        errorAfterChunks: entry.errorAfterChunks || 0,
+        toolUse: entry.toolUse && tools.some(tool => tool.name === entry.toolUse.name) ? entry.toolUse : null
+      };
+    }
+
+    const echo = text.length > 200 ? `${text.substring(0, 197)}...` : text;
+    return {
+      text: `This is the local Bedrock stand-in. You said: "${echo || '(nothing)'}"`,
+      stopReason: 'end_turn'
+    };
+  }
+
+  /**
+   * Play back a planned reply as normalized events
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options
+   * @param {Object} timing - { firstTokenDelayMs, chunkDelayMs }
+   * @yields {Object} - Normalized events
+   * @private
+   */
+  async *_playReply(messages, options, { firstTokenDelayMs, chunkDelayMs }) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    const plan = this._planReply(messages, options);
+    console.log(`[LOCAL BEDROCK] Request ${this.requestCount} for ${options.modelId || this.modelId}` +
+      `${plan.error ? ` will fail after ${plan.errorAfterChunks || 0} chunks` : ''}`);
+
+    await delay(firstTokenDelayMs, options.abortSignal);
+
+    // The error fires before chunk `errorAfterChunks` (0: before any text; past the end: after all of it)
+    const chunks = chunkText(plan.text || '', this.options.chunkSize);
+    for (let index = 0; index <= chunks.length; index++) {
+      if (plan.error && index === Math.min(plan.errorAfterChunks || 0, chunks.length)) {
+        throw createServiceError(plan.error);
+      }
+      if (index === chunks.length) break;
+      if (index > 0) await delay(chunkDelayMs, options.abortSignal);
+      yield { type: 'text', text: chunks[index] };
+    }
+
+    let stopReason = plan.stopReason || 'end_turn';
+    if (plan.toolUse) {
+      yield {
+        type: 'tool_use',
+        id: `tooluse_local_${this.requestCount}`,
+        name: plan.toolUse.name,
+        input: plan.toolUse.input || {}
+      };
+      stopReason = 'tool_use';
+    }
+
+    yield { type: 'stop', reason: stopReason };
+
+    const promptText = [options.systemPrompt || '', ...messages.map(msg => contentText(msg.content))].join('\n');
+    yield {
+      type: 'usage',
+      inputTokens: Math.ceil(promptText.length / CHARS_PER_TOKEN),
+      outputTokens: Math.ceil((plan.text || '').length / CHARS_PER_TOKEN)
+    };
+  }
+
+  /**
+   * Stream a scripted completion as normalized events, like BedrockClient.streamChat
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options (modelId, abortSignal, tools, systemPrompt, ...)
+   * @yields {Object} - { type: 'text' | 'stop' | 'usage' | 'tool_use', ... }
+   */
+  async *streamChat(messages, options = {}) {
+    yield* this._playReply(messages, options, this.options);
+  }
+
+  /**
+   * Create a non-streaming completion, like BedrockClient.complete
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - { text, stopReason, usage, toolUses, content }
+   */
+  async complete(messages, options = {}) {
+    const result = {
+      text: '',
+      stopReason: null,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      toolUses: [],
+      content: []
+    };
+
+    // Non-streaming calls (titles, summaries) skip the simulated chunk timing
+    for await (const event of this._playReply(messages, options, { firstTokenDelayMs: 0, chunkDelayMs: 0 })) {
+      if (event.type === 'text') {
+        result.text += event.text;
+      } else if (event.type === 'stop') {
+        result.stopReason = event.reason;
+      } else if (event.type === 'usage') {
+        result.usage = { inputTokens: event.inputTokens, outputTokens: event.outputTokens };
+      } else if (event.type === 'tool_use') {
+        result.toolUses.push({ id: event.id, name: event.name, input: event.input });
+      }
+    }
+
+    result.content = [
+      ...(result.text ? [{ text: result.text }] : []),
+      ...result.toolUses.map(toolUse => ({ toolUse: { toolUseId: toolUse.id, name: toolUse.name, input: toolUse.input } }))
+    ];
+    return result;
+  }
+
+  /**
+   * Embed a text with the local hashing embedder used by KB_EMBEDDING_PROVIDER=local
+   * @param {string} text - Text to embed
+   * @param {Object} options - { dimensions }
+   * @returns {Promise<Array<number>>}
+   */
+  async createEmbedding(text, { dimensions } = {}) {
+    // Required lazily: embeddingService depends on bedrockService, which loads this module
+    const { localEmbedding } = require('./embeddingService');
+    return localEmbedding(text, dimensions || config.knowledgeBases.dimensions);
+  }
+}
+
+module.exports = {
+  LocalBedrockProvider,
+  createServiceError
+};
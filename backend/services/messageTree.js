@@ -0,0 +1,219 @@
+/**
+ * Message Tree
+ * Branching conversation history for regenerate and edit-and-resend.
+ *
+ * Every stored message carries an `id` and the `parentId` of the message it answers or follows.
+ * The tree - every message on every branch, in creation order - is cached beside the history in
+ * Redis and stored in Conversation.message_tree. `chat_history` stays a flat array holding only the
+ * active branch (the path from the root to Conversation.active_message_id), so everything that
+ * reads the transcript (context trimming, search, export) keeps working on what the user sees.
+ *
+ * Pinned system notes (rolling summaries) describe a single branch, so they are never added to the
+ * tree and are dropped whenever the active branch changes.
+ */
+const { v4: uuidv4 } = require('uuid');
+const models = require('../models');
+const { getMessageTree, saveMessageTree } = require('./redisService');
+
+/**
+ * Whether a history message belongs in the tree
+ * @param {Object} message - Chat history message
+ * @returns {boolean}
+ */
+function isTreeMessage(message) {
+  return !message.pinned;
+}
+
+/**
+ * ID of the last tree message in a history (the active leaf)
+ * @param {Array} chatHistory - Active branch
+ * @returns {string|null}
+ */
+function activeLeafId(chatHistory) {
+  for (let i = chatHistory.length - 1; i >= 0; i--) {
+    if (isTreeMessage(chatHistory[i]) && chatHistory[i].id) {
+      return chatHistory[i].id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a new message that continues the active branch
+ * @param {Array} chatHistory - Active branch the message will be appended to
+ * @param {Object} fields - Message fields (role, content, ...)
+ * @returns {Object}
+ */
+function createMessage(chatHistory, fields) {
+  return { id: uuidv4(), parentId: activeLeafId(chatHistory), ...fields };
+}
+
+/**
+ * Give IDs to messages stored before branching existed, chaining each to the one before it
+ * @param {Array} chatHistory - Active branch (modified in place)
+ * @returns {boolean} - True if any message was changed
+ */
+function ensureMessageIds(chatHistory) {
+  let changed = false;
+  let previousId = null;
+  for (const message of chatHistory) {
+    if (!isTreeMessage(message)) continue;
+    if (!message.id) {
+      message.id = uuidv4();
+      message.parentId = previousId;
+      changed = true;
+    }
+    previousId = message.id;
+  }
+  return changed;
+}
+
+/**
+ * Add the active branch's messages to the tree, replacing older copies of the same messages
+ * @param {Array} tree - Tree messages in creation order
+ * @param {Array} chatHistory - Active branch (IDs are assigned if missing)
+ * @returns {Array} - Updated tree
+ */
+function mergePath(tree, chatHistory) {
+  ensureMessageIds(chatHistory);
+  const merged = [...tree];
+  const positions = new Map(merged.map((message, index) => [message.id, index]));
+
+  for (const message of chatHistory) {
+    if (!isTreeMessage(message)) continue;
+    if (positions.has(message.id)) {
+      merged[positions.get(message.id)] = message;
+    } else {
+      positions.set(message.id, merged.length);
+      merged.push(message);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find a message in the tree
+ * @param {Array} tree - Tree messages
+ * @param {string} messageId - Message ID
+ * @returns {Object|null}
+ */
+function findMessage(tree, messageId) {
+  return tree.find(message => message.id === messageId) || null;
+}
+
+/**
+ * Messages from the root down to (and including) a message
+ * @param {Array} tree - Tree messages
+ * @param {string|null} messageId - Last message of the path (null for an empty path)
+ * @returns {Array}
+ */
+function pathTo(tree, messageId) {
+  const byId = new Map(tree.map(message => [message.id, message]));
+  const path = [];
+  let current = messageId ? byId.get(messageId) : null;
+  while (current && path.length <= tree.length) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Follow the newest child from a message down to a leaf
+ * @param {Array} tree - Tree messages
+ * @param {string} messageId - Starting message
+ * @returns {string} - Leaf message ID
+ */
+function newestLeafFrom(tree, messageId) {
+  let leafId = messageId;
+  for (;;) {
+    const children = tree.filter(message => message.parentId === leafId);
+    if (children.length === 0) return leafId;
+    leafId = children[children.length - 1].id;
+  }
+}
+
+/**
+ * IDs of a message and its siblings (alternative branches at the same point), oldest first
+ * @param {Array} tree - Tree messages
+ * @param {Object} message - Message whose siblings to list
+ * @returns {Array<string>}
+ */
+function siblingIds(tree, message) {
+  return tree
+    .filter(other => (other.parentId || null) === (message.parentId || null) && other.role === message.role)
+    .map(other => other.id);
+}
+
+/**
+ * Copy the active branch for display, adding the sibling IDs the UI uses for branch arrows
+ * @param {Array} tree - Tree messages
+ * @param {Array} chatHistory - Active branch
+ * @returns {Array}
+ */
+function withSiblings(tree, chatHistory) {
+  return chatHistory.map(message => (
+    message.id ? { ...message, siblingIds: siblingIds(tree, message) } : message
+  ));
+}
+
+/**
+ * Load a conversation's tree, falling back to the database when the Redis copy has expired
+ * The active branch is merged in, so the result always contains every message on it.
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} chatHistory - Active branch (IDs are assigned if missing)
+ * @returns {Promise<Array>}
+ */
+async function loadTree(conversationId, chatHistory) {
+  let tree = await getMessageTree(conversationId);
+  if (!tree) {
+    try {
+      const conversation = await models.Conversation.findOne({
+        where: { conversation_id: conversationId },
+        attributes: ['message_tree']
+      });
+      tree = conversation?.message_tree || [];
+    } catch (error) {
+      console.error(`[CHAT_TREE] Error loading message tree from database: ${error.message}`);
+      tree = [];
+    }
+  }
+  return mergePath(tree, chatHistory);
+}
+
+/**
+ * Record the active branch in the cached tree
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} chatHistory - Active branch
+ * @returns {Promise<Array>} - Updated tree
+ */
+async function recordActivePath(conversationId, chatHistory) {
+  const tree = await loadTree(conversationId, chatHistory);
+  await saveMessageTree(conversationId, tree);
+  return tree;
+}
+
+/**
+ * Active branch that ends with a message
+ * @param {Array} tree - Tree messages
+ * @param {string} leafId - Last message of the branch
+ * @returns {Array} - New chat history (pinned notes are left out)
+ */
+function branchEndingAt(tree, leafId) {
+  return pathTo(tree, leafId).map(message => ({ ...message }));
+}
+
+module.exports = {
+  activeLeafId,
+  createMessage,
+  ensureMessageIds,
+  mergePath,
+  findMessage,
+  pathTo,
+  newestLeafFrom,
+  siblingIds,
+  withSiblings,
+  loadTree,
+  recordActivePath,
+  branchEndingAt
+};
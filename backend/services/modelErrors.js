@@ -0,0 +1,111 @@
+/**
+ * Model Errors
+ * Sorts the errors model providers raise into a few codes that the chat UI and API clients
+ * understand, and decides which are worth retrying. Every provider raises AWS SDK-style errors
+ * (services/chatProviders.js and services/localBedrockProvider.js shape theirs the same way), so
+ * the error name is the main signal, with the HTTP status and network error code as fallbacks.
+ */
+
+// Checked in order; status is what API clients (e.g. /v1/chat/completions) receive
+const ERROR_CLASSES = [
+  {
+    code: 'throttled',
+    retryable: true,
+    status: 429,
+    names: ['ThrottlingException', 'TooManyRequestsException', 'ServiceQuotaExceededException'],
+    httpStatuses: [429],
+    message: 'The model is receiving too many requests right now.'
+  },
+  {
+    code: 'unavailable',
+    retryable: true,
+    status: 503,
+    names: ['ServiceUnavailableException', 'InternalServerException', 'ModelNotReadyException'],
+    httpStatuses: [500, 502, 503, 529],
+    networkCodes: ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'],
+    message: 'The model service is temporarily unavailable.'
+  },
+  {
+    code: 'timeout',
+    retryable: true,
+    status: 504,
+    names: ['ModelTimeoutException', 'TimeoutError', 'RequestTimeout'],
+    httpStatuses: [408, 504],
+    networkCodes: ['ETIMEDOUT', 'ECONNABORTED'],
+    message: 'The model took too long to respond.'
+  },
+  {
+    code: 'stream_error',
+    retryable: true,
+    status: 502,
+    names: ['ModelStreamErrorException', 'ModelErrorException'],
+    message: 'The model stopped responding partway through the reply.'
+  },
+  {
+    code: 'access_denied',
+    retryable: false,
+    status: 502,
+    names: ['AccessDeniedException', 'UnrecognizedClientException', 'ExpiredTokenException'],
+    httpStatuses: [401, 403],
+    message: 'The app is not allowed to use this model. Please contact an administrator.'
+  },
+  {
+    code: 'model_not_found',
+    retryable: false,
+    status: 502,
+    names: ['ResourceNotFoundException'],
+    httpStatuses: [404],
+    message: 'This model is not available. Please pick another one.'
+  },
+  {
+    code: 'invalid_request',
+    retryable: false,
+    status: 400,
+    names: ['ValidationException'],
+    httpStatuses: [400, 413],
+    message: 'The model could not process this request. Try shortening the conversation or removing attachments.'
+  }
+];
+
+const UNKNOWN_ERROR = {
+  code: 'unknown',
+  retryable: false,
+  status: 502,
+  message: 'Something went wrong while generating the reply.'
+};
+
+/**
+ * Classify a provider error
+ * Exception events from Converse streams arrive in camelCase (throttlingException), so names are
+ * compared case-insensitively.
+ * @param {Error} error - Error thrown by a provider client
+ * @returns {Object} - { code, retryable, status, message }
+ */
+function classifyError(error) {
+  const name = String(error?.name || '').toLowerCase();
+  const httpStatus = error?.$metadata?.httpStatusCode;
+  const networkCode = error?.code;
+
+  const match = ERROR_CLASSES.find(errorClass => errorClass.names.some(candidate => candidate.toLowerCase() === name))
+    || ERROR_CLASSES.find(errorClass => (errorClass.httpStatuses || []).includes(httpStatus))
+    || ERROR_CLASSES.find(errorClass => (errorClass.networkCodes || []).includes(networkCode))
+    || UNKNOWN_ERROR;
+
+  const { code, retryable, status, message } = match;
+  return { code, retryable, status, message };
+}
+
+/**
+ * Build the stream event that reports a failed generation to the chat UI
+ * @param {Error} error - Error thrown while generating
+ * @returns {Object} - { error, code, retryable }
+ */
+function toErrorEvent(error) {
+  const { code, retryable, message } = classifyError(error);
+  return { error: message, code, retryable };
+}
+
+module.exports = {
+  classifyError,
+  toErrorEvent
+};
@@ -0,0 +1,523 @@
+/**
+ * Model Registry
+ * Lists the models users can pick, which provider serves each one, and the Bedrock
+ * request/response adapter for each model family.
+ *
+ * Models come from Amazon Bedrock (MODELS below) and from the HTTP providers configured in
+ * config.providers (IDs prefixed with the provider, e.g. "openai/llama3.1:8b"). Admins enable
+ * providers and models in the admin panel (see services/providerSettingsService.js); only enabled
+ * models are listed or accepted by isKnownModel.
+ *
+ * Adapters share one normalized shape so callers never see family-specific payloads:
+ * - buildRequest({ messages, system, maxTokens, temperature, topP, topK, stopSequences }) -> InvokeModel request body
+ *   (topP, topK and stopSequences are optional; families that lack a setting ignore it)
+ * - parseResponse(body) -> { text, stopReason, usage }
+ * - parseStreamChunk(chunk) -> array of events:
+ *     { type: 'text', text } | { type: 'stop', reason } | { type: 'usage', inputTokens, outputTokens }
+ *
+ * Usage events are additive: a stream may report input and output tokens in separate events,
+ * and callers sum every usage event they receive.
+ *
+ * Stop reasons use the Converse API vocabulary (end_turn, max_tokens, stop_sequence, tool_use,
+ * content_filtered) so both BedrockClient code paths report them the same way.
+ *
+ * `messages` are the output of BedrockClient._prepareMessages: user/assistant turns whose
+ * content is an array of { type: 'text', text } blocks. Models with supportsAttachments may also
+ * receive Anthropic-style image and document blocks.
+ */
+const config = require('../config');
+
+/**
+ * Join the text blocks of a prepared message
+ * @param {Object} message - Prepared message
+ * @returns {string}
+ */
+function messageText(message) {
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Bedrock appends invocation metrics to the last chunk of every model family's stream
+ * @param {Object} chunk - Parsed stream chunk
+ * @returns {Array} - A usage event, or nothing
+ */
+function invocationMetricsEvents(chunk) {
+  const metrics = chunk['amazon-bedrock-invocationMetrics'];
+  if (!metrics) return [];
+  return [{
+    type: 'usage',
+    inputTokens: metrics.inputTokenCount || 0,
+    outputTokens: metrics.outputTokenCount || 0
+  }];
+}
+
+// Family-specific stop reasons mapped onto the Converse API vocabulary
+const STOP_REASONS = {
+  end_turn: 'end_turn',
+  stop: 'end_turn',
+  FINISH: 'end_turn',
+  max_tokens: 'max_tokens',
+  length: 'max_tokens',
+  LENGTH: 'max_tokens',
+  stop_sequence: 'stop_sequence',
+  STOP_CRITERIA_MET: 'stop_sequence',
+  tool_use: 'tool_use',
+  CONTENT_FILTERED: 'content_filtered'
+};
+
+/**
+ * Normalize a model family's stop reason
+ * @param {string} reason - Stop reason as returned by the model
+ * @returns {string|null} - Normalized stop reason (unknown values pass through)
+ */
+function normalizeStopReason(reason) {
+  if (!reason) return null;
+  return STOP_REASONS[reason] || reason;
+}
+
+const anthropicAdapter = {
+  buildRequest({ messages, system, maxTokens, temperature, topP, topK, stopSequences }) {
+    const body = {
+      anthropic_version: 'bedrock-2023-05-31',
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (system) {
+      body.system = [{ type: 'text', text: system }];
+    }
+    if (topP !== undefined) body.top_p = topP;
+    if (topK !== undefined) body.top_k = topK;
+    if (stopSequences) body.stop_sequences = stopSequences;
+    return body;
+  },
+
+  parseResponse(body) {
+    const text = Array.isArray(body.content)
+      ? body.content.filter(block => block.type === 'text').map(block => block.text).join('')
+      : '';
+    return {
+      text,
+      stopReason: normalizeStopReason(body.stop_reason),
+      usage: {
+        inputTokens: body.usage?.input_tokens || 0,
+        outputTokens: body.usage?.output_tokens || 0
+      }
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    // Anthropic streams report usage on message_start (input) and message_delta (output), so the
+    // Bedrock invocation metrics on message_stop are skipped to avoid counting tokens twice
+    switch (chunk.type) {
+      case 'message_start':
+        return chunk.message?.usage
+          ? [{ type: 'usage', inputTokens: chunk.message.usage.input_tokens || 0, outputTokens: 0 }]
+          : [];
+      case 'content_block_start':
+        if (chunk.content_block?.type === 'text' && chunk.content_block.text) {
+          return [{ type: 'text', text: chunk.content_block.text }];
+        }
+        return [];
+      case 'content_block_delta':
+        if (chunk.delta?.text) {
+          return [{ type: 'text', text: chunk.delta.text }];
+        }
+        return [];
+      case 'message_delta': {
+        const events = [];
+        if (chunk.delta?.stop_reason) {
+          events.push({ type: 'stop', reason: normalizeStopReason(chunk.delta.stop_reason) });
+        }
+        if (chunk.usage) {
+          events.push({ type: 'usage', inputTokens: 0, outputTokens: chunk.usage.output_tokens || 0 });
+        }
+        return events;
+      }
+      default:
+        return [];
+    }
+  }
+};
+
+const titanAdapter = {
+  buildRequest({ messages, system, maxTokens, temperature, topP, stopSequences }) {
+    // Titan text models take a single transcript-style prompt
+    const transcript = messages
+      .map(msg => `${msg.role === 'assistant' ? 'Bot' : 'User'}: ${messageText(msg)}`)
+      .join('\n');
+    const textGenerationConfig = {
+      maxTokenCount: maxTokens,
+      temperature
+    };
+    if (topP !== undefined) textGenerationConfig.topP = topP;
+    if (stopSequences) textGenerationConfig.stopSequences = stopSequences;
+    return {
+      inputText: `${system ? `${system}\n\n` : ''}${transcript}\nBot:`,
+      textGenerationConfig
+    };
+  },
+
+  parseResponse(body) {
+    const result = body.results?.[0] || {};
+    return {
+      text: result.outputText || '',
+      stopReason: normalizeStopReason(result.completionReason),
+      usage: {
+        inputTokens: body.inputTextTokenCount || 0,
+        outputTokens: result.tokenCount || 0
+      }
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    const events = [];
+    if (chunk.outputText) {
+      events.push({ type: 'text', text: chunk.outputText });
+    }
+    if (chunk.completionReason) {
+      events.push({ type: 'stop', reason: normalizeStopReason(chunk.completionReason) });
+    }
+    return events.concat(invocationMetricsEvents(chunk));
+  }
+};
+
+const llamaAdapter = {
+  buildRequest({ messages, system, maxTokens, temperature, topP }) {
+    // Llama 3 instruct chat template
+    let prompt = '<|begin_of_text|>';
+    if (system) {
+      prompt += `<|start_header_id|>system<|end_header_id|>\n\n${system}<|eot_id|>`;
+    }
+    for (const msg of messages) {
+      prompt += `<|start_header_id|>${msg.role}<|end_header_id|>\n\n${messageText(msg)}<|eot_id|>`;
+    }
+    prompt += '<|start_header_id|>assistant<|end_header_id|>\n\n';
+    const body = {
+      prompt,
+      max_gen_len: maxTokens,
+      temperature
+    };
+    if (topP !== undefined) body.top_p = topP;
+    return body;
+  },
+
+  parseResponse(body) {
+    return {
+      text: body.generation || '',
+      stopReason: normalizeStopReason(body.stop_reason),
+      usage: {
+        inputTokens: body.prompt_token_count || 0,
+        outputTokens: body.generation_token_count || 0
+      }
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    const events = [];
+    if (chunk.generation) {
+      events.push({ type: 'text', text: chunk.generation });
+    }
+    if (chunk.stop_reason) {
+      events.push({ type: 'stop', reason: normalizeStopReason(chunk.stop_reason) });
+    }
+    return events.concat(invocationMetricsEvents(chunk));
+  }
+};
+
+const mistralAdapter = {
+  buildRequest({ messages, system, maxTokens, temperature, topP, topK, stopSequences }) {
+    // Mistral instruct format; the system prompt rides along with the first user turn
+    let prompt = '<s>';
+    let pendingSystem = system;
+    for (const msg of messages) {
+      const text = messageText(msg);
+      if (msg.role === 'assistant') {
+        prompt += ` ${text}</s>`;
+      } else {
+        prompt += `[INST] ${pendingSystem ? `${pendingSystem}\n\n` : ''}${text} [/INST]`;
+        pendingSystem = null;
+      }
+    }
+    const body = {
+      prompt,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (topP !== undefined) body.top_p = topP;
+    if (topK !== undefined) body.top_k = topK;
+    if (stopSequences) body.stop = stopSequences;
+    return body;
+  },
+
+  parseResponse(body) {
+    const output = body.outputs?.[0] || {};
+    return {
+      text: output.text || '',
+      stopReason: normalizeStopReason(output.stop_reason),
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    const output = chunk.outputs?.[0] || {};
+    const events = [];
+    if (output.text) {
+      events.push({ type: 'text', text: output.text });
+    }
+    if (output.stop_reason) {
+      events.push({ type: 'stop', reason: normalizeStopReason(output.stop_reason) });
+    }
+    return events.concat(invocationMetricsEvents(chunk));
+  }
+};
+
+const FAMILY_ADAPTERS = {
+  anthropic: anthropicAdapter,
+  titan: titanAdapter,
+  llama: llamaAdapter,
+  mistral: mistralAdapter
+};
+
+// Models offered in the chat model picker
+const MODELS = [
+  { id: 'us.anthropic.claude-3-5-sonnet-20241022-v2:0', name: 'Claude 3.5 Sonnet v2', provider: 'bedrock', family: 'anthropic', contextWindow: 200000, supportsTools: true, supportsAttachments: true },
+  { id: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0', name: 'Claude 3.7 Sonnet', provider: 'bedrock', family: 'anthropic', contextWindow: 200000, supportsTools: true, supportsAttachments: true },
+  { id: 'us.anthropic.claude-3-5-haiku-20241022-v1:0', name: 'Claude 3.5 Haiku', provider: 'bedrock', family: 'anthropic', contextWindow: 200000, supportsTools: true, supportsAttachments: true },
+  { id: 'amazon.titan-text-premier-v1:0', name: 'Amazon Titan Text Premier', provider: 'bedrock', family: 'titan', contextWindow: 32000, supportsTools: false, supportsAttachments: false },
+  { id: 'us.meta.llama3-1-70b-instruct-v1:0', name: 'Llama 3.1 70B Instruct', provider: 'bedrock', family: 'llama', contextWindow: 128000, supportsTools: true, supportsAttachments: false },
+  { id: 'mistral.mistral-large-2402-v1:0', name: 'Mistral Large', provider: 'bedrock', family: 'mistral', contextWindow: 32000, supportsTools: true, supportsAttachments: false }
+];
+
+/**
+ * Work out the model family from a Bedrock model ID (including cross-region inference prefixes)
+ * @param {string} modelId - Bedrock model ID
+ * @returns {string|null} - Family name, or null if unrecognized
+ */
+function inferFamily(modelId) {
+  const id = modelId.replace(/^(us|eu|apac)\./, '');
+  if (id.startsWith('anthropic.')) return 'anthropic';
+  if (id.startsWith('amazon.titan-text')) return 'titan';
+  if (id.startsWith('meta.llama')) return 'llama';
+  if (id.startsWith('mistral.')) return 'mistral';
+  return null;
+}
+
+// Make sure the configured default model is always selectable
+if (!MODELS.some(model => model.id === config.bedrock.modelId)) {
+  const family = inferFamily(config.bedrock.modelId);
+  if (family) {
+    MODELS.unshift({
+      id: config.bedrock.modelId,
+      name: config.bedrock.modelId,
+      provider: 'bedrock',
+      family,
+      contextWindow: 200000,
+      supportsTools: family === 'anthropic',
+      supportsAttachments: family === 'anthropic'
+    });
+  } else {
+    console.warn(`[MODEL_REGISTRY] Default model ${config.bedrock.modelId} has no known family adapter`);
+  }
+}
+
+// Every provider the app knows; HTTP providers count as configured once config.providers has what they need
+const PROVIDERS = [
+  { id: 'bedrock', name: 'Amazon Bedrock', configured: true },
+  {
+    id: 'openai',
+    name: config.providers.openai.label,
+    configured: !!config.providers.openai.baseUrl && config.providers.openai.models.length > 0
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic API',
+    configured: !!(config.providers.anthropic.apiKey || config.providers.anthropic.apiKeySecretName)
+  }
+];
+
+// Models served by the configured HTTP providers; providerModelId is the name the provider expects
+if (PROVIDERS.find(provider => provider.id === 'openai').configured) {
+  config.providers.openai.models.forEach(name => MODELS.push({
+    id: `openai/${name}`,
+    name: `${name} (${config.providers.openai.label})`,
+    provider: 'openai',
+    providerModelId: name,
+    family: 'openai',
+    contextWindow: config.providers.openai.contextWindow,
+    supportsTools: false,
+    supportsAttachments: false
+  }));
+}
+if (PROVIDERS.find(provider => provider.id === 'anthropic').configured) {
+  config.providers.anthropic.models.forEach(name => MODELS.push({
+    id: `anthropic/${name}`,
+    name: `${name} (Anthropic API)`,
+    provider: 'anthropic',
+    providerModelId: name,
+    family: 'anthropic',
+    contextWindow: config.providers.anthropic.contextWindow,
+    supportsTools: false,
+    supportsAttachments: true
+  }));
+}
+
+// The admin's choices; until they are loaded only Bedrock is enabled, with all of its models
+let enabledProviders = new Set(['bedrock']);
+let disabledModelIds = new Set();
+
+/**
+ * Apply the providers and models admins have enabled (see services/providerSettingsService.js)
+ * @param {Object} settings - Settings
+ * @param {Array<string>} settings.enabledProviders - Provider IDs
+ * @param {Array<string>} settings.disabledModelIds - Models switched off within enabled providers
+ */
+function applySettings(settings) {
+  enabledProviders = new Set(settings.enabledProviders);
+  disabledModelIds = new Set(settings.disabledModelIds);
+}
+
+/**
+ * Check whether a provider is configured and enabled
+ * @param {string} providerId - Provider ID
+ * @returns {boolean}
+ */
+function isProviderEnabled(providerId) {
+  const provider = PROVIDERS.find(candidate => candidate.id === providerId);
+  return !!provider && provider.configured && enabledProviders.has(providerId);
+}
+
+/**
+ * Check whether users may pick a model
+ * @param {Object} model - Model descriptor
+ * @returns {boolean}
+ */
+function isModelEnabled(model) {
+  return isProviderEnabled(model.provider) && !disabledModelIds.has(model.id);
+}
+
+/**
+ * List every provider with its configured and enabled state
+ * @returns {Array<Object>} - { id, name, configured, enabled }
+ */
+function listProviders() {
+  return PROVIDERS.map(provider => ({ ...provider, enabled: isProviderEnabled(provider.id) }));
+}
+
+/**
+ * List every model, enabled or not, for the admin panel
+ * @returns {Array<Object>} - Model descriptors with an enabled flag
+ */
+function listAllModels() {
+  return MODELS.map(model => ({ ...model, enabled: isModelEnabled(model) }));
+}
+
+/**
+ * List the selectable (enabled) models
+ * @returns {Array<Object>} - Model descriptors ({ id, name, provider, family, contextWindow, supportsTools, supportsAttachments })
+ */
+function listModels() {
+  return MODELS.filter(isModelEnabled).map(model => ({ ...model }));
+}
+
+/**
+ * Look up a model descriptor, enabled or not
+ * @param {string} modelId - Model ID
+ * @returns {Object|null}
+ */
+function getModel(modelId) {
+  return MODELS.find(model => model.id === modelId) || null;
+}
+
+/**
+ * Check whether a model ID is in the registry and enabled
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+function isKnownModel(modelId) {
+  const model = typeof modelId === 'string' ? getModel(modelId) : null;
+  return !!model && isModelEnabled(model);
+}
+
+/**
+ * Check whether a model accepts tool definitions through the Converse API
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+function supportsTools(modelId) {
+  return !!getModel(modelId)?.supportsTools;
+}
+
+/**
+ * Check whether a model accepts image and document content blocks (see services/attachmentService.js)
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+function supportsAttachments(modelId) {
+  return !!getModel(modelId)?.supportsAttachments;
+}
+
+/**
+ * Get the default model ID: the configured model, or the first enabled one if admins switched it off
+ * @returns {string}
+ */
+function getDefaultModelId() {
+  const configured = getModel(config.bedrock.modelId);
+  if (!configured || isModelEnabled(configured)) {
+    return config.bedrock.modelId;
+  }
+  const firstEnabled = MODELS.find(isModelEnabled);
+  return firstEnabled ? firstEnabled.id : config.bedrock.modelId;
+}
+
+/**
+ * Get the provider serving a model (models outside the registry are Bedrock IDs)
+ * @param {string} modelId - Model ID
+ * @returns {string} - Provider ID
+ */
+function getProvider(modelId) {
+  return getModel(modelId)?.provider || 'bedrock';
+}
+
+/**
+ * Get the model family ('anthropic', 'titan', 'llama', 'mistral', or 'openai' for OpenAI-compatible servers)
+ * @param {string} modelId - Model ID
+ * @returns {string|null}
+ */
+function getFamily(modelId) {
+  return getModel(modelId)?.family || inferFamily(modelId);
+}
+
+/**
+ * Get the request/response adapter for a model
+ * @param {string} modelId - Bedrock model ID
+ * @returns {Object} - Family adapter
+ */
+function getAdapter(modelId) {
+  const family = getFamily(modelId);
+  const adapter = FAMILY_ADAPTERS[family];
+  if (!adapter) {
+    throw new Error(`No request adapter for model ${modelId}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  listModels,
+  listAllModels,
+  listProviders,
+  applySettings,
+  isProviderEnabled,
+  getModel,
+  isKnownModel,
+  supportsTools,
+  supportsAttachments,
+  getDefaultModelId,
+  getProvider,
+  getFamily,
+  getAdapter,
+  normalizeStopReason
+};
@@ -0,0 +1,256 @@
+/**
+ * OpenAI Compatibility
+ * Translates OpenAI chat completion requests into BedrockClient calls and Bedrock's normalized
+ * stream events back into OpenAI responses and SSE chunks (see controllers/openaiController.js).
+ *
+ * Supported: text messages (string or text parts), system/developer messages, temperature,
+ * top_p, max_tokens/max_completion_tokens, stop, stream and stream_options.include_usage.
+ * Tools, images and n > 1 are rejected rather than silently ignored.
+ */
+const { v4: uuidv4 } = require('uuid');
+const generationParams = require('./generationParams');
+const organizationService = require('./organizationService');
+
+// Normalized Bedrock stop reasons (see modelRegistry STOP_REASONS) -> OpenAI finish_reason
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  content_filtered: 'content_filter'
+};
+
+const SYSTEM_ROLES = ['system', 'developer'];
+
+/**
+ * Build an OpenAI-style error body
+ * @param {string} message - Human readable message
+ * @param {number} status - HTTP status, used to pick the error type
+ * @param {Object} details - { param, code } when known
+ * @returns {Object}
+ */
+function errorBody(message, status = 400, { param = null, code = null } = {}) {
+  let type = 'invalid_request_error';
+  if (status === 401 || status === 403) type = 'authentication_error';
+  else if (status === 429) type = 'insufficient_quota';
+  else if (status >= 500) type = 'api_error';
+  return { error: { message, type, param, code } };
+}
+
+/**
+ * Flatten OpenAI message content (a string or an array of parts) to text
+ * @param {string|Array|null} content - Message content
+ * @returns {Object} - { text } or { error } for unsupported parts
+ */
+function contentToText(content) {
+  if (content === null || content === undefined) return { text: '' };
+  if (typeof content === 'string') return { text: content };
+  if (!Array.isArray(content)) return { error: 'content must be a string or an array of content parts' };
+
+  const texts = [];
+  for (const part of content) {
+    if (!part || part.type !== 'text' || typeof part.text !== 'string') {
+      return { error: `Unsupported content part type: ${part && part.type}` };
+    }
+    texts.push(part.text);
+  }
+  return { text: texts.join('\n') };
+}
+
+/**
+ * Translate an OpenAI chat completion request into BedrockClient arguments
+ * System and developer messages become the system prompt (the organization's or configured
+ * default applies when there are none); consecutive turns from the same role are merged because
+ * Bedrock models expect user and assistant turns to alternate, starting with a user turn.
+ * @param {Object} body - Request body
+ * @param {Object|null} organization - Requesting user's organization
+ * @returns {Object} - { status, error, param } on failure, otherwise
+ *   { status: 200, modelId, messages, options, stream, includeUsage }
+ */
+function parseChatCompletionRequest(body = {}, organization = null) {
+  const modelId = body.model || organizationService.getDefaultModelId(organization);
+  if (!organizationService.isModelAllowed(organization, modelId)) {
+    return { status: 404, error: `The model '${modelId}' does not exist`, param: 'model', code: 'model_not_found' };
+  }
+
+  if (body.n !== undefined && body.n !== null && body.n !== 1) {
+    return { status: 400, error: 'Only n = 1 is supported', param: 'n' };
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    return { status: 400, error: 'Tools are not supported', param: 'tools' };
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { status: 400, error: 'messages must be a non-empty array', param: 'messages' };
+  }
+
+  const systemParts = [];
+  const messages = [];
+  for (const [index, message] of body.messages.entries()) {
+    const role = message && message.role;
+    const { text, error } = contentToText(message && message.content);
+    if (error) {
+      return { status: 400, error, param: `messages[${index}].content` };
+    }
+
+    if (SYSTEM_ROLES.includes(role)) {
+      if (text) systemParts.push(text);
+    } else if (role === 'user' || role === 'assistant') {
+      if (!text) continue;
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content = `${previous.content}\n\n${text}`;
+      } else {
+        messages.push({ role, content: text });
+      }
+    } else {
+      return { status: 400, error: `Unsupported message role: ${role}`, param: `messages[${index}].role` };
+    }
+  }
+
+  if (!messages.some(message => message.role === 'user')) {
+    return { status: 400, error: 'messages must include at least one user message', param: 'messages' };
+  }
+  // Bedrock rejects a conversation that opens with an assistant turn
+  if (messages[0].role !== 'user') {
+    return { status: 400, error: 'The first non-system message must be a user message', param: 'messages' };
+  }
+
+  // OpenAI field names -> the ones generationParams validates and clamps
+  const stop = typeof body.stop === 'string' ? [body.stop] : body.stop;
+  const generation = generationParams.parseGenerationParams({
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    max_tokens: body.max_completion_tokens ?? body.max_tokens,
+    stop_sequences: stop
+  });
+  if (generation.error) {
+    return { status: generation.status, error: generation.error };
+  }
+
+  const options = { ...organizationService.generationOptions(organization), ...generation.params };
+  if (systemParts.length > 0) {
+    options.systemPrompt = systemParts.join('\n\n');
+  }
+
+  return {
+    status: 200,
+    modelId,
+    messages,
+    options,
+    stream: body.stream === true,
+    includeUsage: !!(body.stream_options && body.stream_options.include_usage)
+  };
+}
+
+/**
+ * Map a normalized Bedrock stop reason to an OpenAI finish_reason
+ * @param {string|null} reason - Stop reason from the stream
+ * @returns {string|null}
+ */
+function finishReason(reason) {
+  if (!reason) return null;
+  return FINISH_REASONS[reason] || 'stop';
+}
+
+/**
+ * Identifiers shared by every chunk of one completion
+ * @param {string} modelId - Model that answered
+ * @returns {Object} - { id, created, model }
+ */
+function createCompletionMeta(modelId) {
+  return {
+    id: `chatcmpl-${uuidv4()}`,
+    created: Math.floor(Date.now() / 1000),
+    model: modelId
+  };
+}
+
+/**
+ * OpenAI usage object
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {Object}
+ */
+function toUsage({ inputTokens, outputTokens }) {
+  return {
+    prompt_tokens: inputTokens,
+    completion_tokens: outputTokens,
+    total_tokens: inputTokens + outputTokens
+  };
+}
+
+/**
+ * Non-streaming response body
+ * @param {Object} meta - From createCompletionMeta
+ * @param {Object} result - { text, stopReason, usage }
+ * @returns {Object}
+ */
+function toCompletion(meta, { text, stopReason, usage }) {
+  return {
+    ...meta,
+    object: 'chat.completion',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: text },
+      finish_reason: finishReason(stopReason) || 'stop'
+    }],
+    usage: toUsage(usage)
+  };
+}
+
+/**
+ * One streaming chunk
+ * @param {Object} meta - From createCompletionMeta
+ * @param {Object} delta - { role?, content? }
+ * @param {string|null} reason - finish_reason for the last chunk
+ * @returns {Object}
+ */
+function toChunk(meta, delta, reason = null) {
+  return {
+    ...meta,
+    object: 'chat.completion.chunk',
+    choices: [{ index: 0, delta, finish_reason: reason }]
+  };
+}
+
+/**
+ * Trailing chunk carrying usage (sent when stream_options.include_usage is set)
+ * @param {Object} meta - From createCompletionMeta
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {Object}
+ */
+function toUsageChunk(meta, usage) {
+  return {
+    ...meta,
+    object: 'chat.completion.chunk',
+    choices: [],
+    usage: toUsage(usage)
+  };
+}
+
+/**
+ * Models endpoint entries
+ * @param {Object|null} organization - Requesting user's organization
+ * @returns {Array<Object>}
+ */
+function listModels(organization = null) {
+  return organizationService.listModels(organization).map(model => ({
+    id: model.id,
+    object: 'model',
+    // Bedrock does not report a creation date
+    created: 0,
+    owned_by: model.family
+  }));
+}
+
+module.exports = {
+  errorBody,
+  parseChatCompletionRequest,
+  finishReason,
+  createCompletionMeta,
+  toCompletion,
+  toChunk,
+  toUsageChunk,
+  listModels
+};
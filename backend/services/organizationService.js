@@ -0,0 +1,491 @@
+/**
+ * Organization Service
+ * Organizations are the app's tenants. Each can bring its own Bedrock account (a cross-account role
+ * the Bedrock client for its members' requests assumes, see services/llmService.js), narrow the
+ * models admins have enabled, replace the default system prompt, set its members' token quotas and
+ * brand the chat page. Settings an organization leaves unset fall back to the configuration, and
+ * users outside any organization get the configuration as before.
+ *
+ * Admins who belong to an organization manage that organization's users only; admins without one
+ * are super admins and manage every organization.
+ *
+ * Organizations are read on every chat request, so they are cached for config.organizations.cacheSeconds.
+ */
+const { Op } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+const modelRegistry = require('./modelRegistry');
+
+// id -> { organization, expiresAt }
+const cache = new Map();
+
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@/-]{1,512}$/;
+const EXTERNAL_ID_PATTERN = /^[\w+=,.@:/-]{2,1224}$/;
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Settings an organization's own admins may change; the rest are for super admins
+const ORGANIZATION_ADMIN_FIELDS = ['systemPrompt', 'allowedModelIds', 'brandName', 'brandColor', 'brandLogoUrl'];
+
+/**
+ * Whether an admin manages every organization
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+function isSuperAdmin(user) {
+  return !!(user && user.isAdmin && !user.organizationId);
+}
+
+/**
+ * Whether an admin may manage a user: super admins manage everyone, other admins their organization's users
+ * @param {Object} admin - Current user
+ * @param {Object} user - User being managed (needs organizationId)
+ * @returns {boolean}
+ */
+function canManageUser(admin, user) {
+  if (!admin || !admin.isAdmin || !user) return false;
+  return isSuperAdmin(admin) || user.organizationId === admin.organizationId;
+}
+
+/**
+ * User conditions limiting an admin to the users they manage
+ * @param {Object} admin - Current user
+ * @returns {Object} - Sequelize where clause for User; empty for super admins
+ */
+function userScope(admin) {
+  return isSuperAdmin(admin) ? {} : { organizationId: admin.organizationId };
+}
+
+/**
+ * Query options matching rows a user created or that were published to their team
+ * (personas, knowledge bases); a team is the creator's organization
+ * @param {Object} user - Current user
+ * @returns {Object} - { where, include } for a model with a user_id and a visibility
+ */
+function teamScope(user) {
+  return {
+    where: {
+      [Op.or]: [
+        { user_id: user.id },
+        { visibility: 'team', '$User.organizationId$': user.organizationId || null }
+      ]
+    },
+    include: [{ model: models.User, attributes: [] }]
+  };
+}
+
+/**
+ * Find an organization, from the cache while it is fresh
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<Object|null>} - Organization's plain values
+ */
+async function getOrganization(organizationId) {
+  if (!organizationId) return null;
+
+  const cached = cache.get(organizationId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.organization;
+  }
+
+  const row = await models.Organization.findByPk(organizationId);
+  const organization = row ? row.get({ plain: true }) : null;
+  cache.set(organizationId, { organization, expiresAt: Date.now() + config.organizations.cacheSeconds * 1000 });
+  return organization;
+}
+
+/**
+ * Find the organization a user belongs to
+ * @param {Object} user - User (needs organizationId); may be null for anonymous requests
+ * @returns {Promise<Object|null>}
+ */
+async function getUserOrganization(user) {
+  if (!user || !user.organizationId) return null;
+  try {
+    return await getOrganization(user.organizationId);
+  } catch (error) {
+    // Without its settings the request would run on the defaults, which may be another tenant's account
+    console.error(`[ORGANIZATIONS] Could not load organization ${user.organizationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Whether an organization restricts its members' models
+ * @param {Object|null} organization - Organization
+ * @returns {boolean}
+ */
+function restrictsModels(organization) {
+  return !!(organization && organization.allowed_model_ids && organization.allowed_model_ids.length > 0);
+}
+
+/**
+ * Models an organization's members can pick: the enabled models it allows
+ * @param {Object|null} organization - Organization; null lists every enabled model
+ * @returns {Array<Object>} - Same entries as modelRegistry.listModels
+ */
+function listModels(organization) {
+  const enabled = modelRegistry.listModels();
+  if (!restrictsModels(organization)) return enabled;
+  return enabled.filter(model => organization.allowed_model_ids.includes(model.id));
+}
+
+/**
+ * Whether an organization's members may use a model
+ * @param {Object|null} organization - Organization
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+function isModelAllowed(organization, modelId) {
+  if (!modelRegistry.isKnownModel(modelId)) return false;
+  return !restrictsModels(organization) || organization.allowed_model_ids.includes(modelId);
+}
+
+/**
+ * The model an organization's new conversations start with: the configured default when it is
+ * allowed, otherwise the first model the organization allows
+ * @param {Object|null} organization - Organization
+ * @returns {string} - Model ID
+ */
+function getDefaultModelId(organization) {
+  const defaultModelId = modelRegistry.getDefaultModelId();
+  if (isModelAllowed(organization, defaultModelId)) return defaultModelId;
+  const [first] = listModels(organization);
+  return first ? first.id : defaultModelId;
+}
+
+/**
+ * Options an organization adds to a model request; unset values are left to the defaults
+ * @param {Object|null} organization - Organization
+ * @returns {Object} - { systemPrompt } when the organization has its own prompt
+ */
+function generationOptions(organization) {
+  return organization && organization.system_prompt ? { systemPrompt: organization.system_prompt } : {};
+}
+
+/**
+ * Token quotas for an organization's members
+ * @param {Object|null} organization - Organization
+ * @returns {Object} - { dailyTokens, monthlyTokens } (0 = unlimited), as config.quotas
+ */
+function getQuotaLimits(organization) {
+  const limits = { ...config.quotas };
+  if (organization && organization.daily_token_limit !== null && organization.daily_token_limit !== undefined) {
+    limits.dailyTokens = organization.daily_token_limit;
+  }
+  if (organization && organization.monthly_token_limit !== null && organization.monthly_token_limit !== undefined) {
+    limits.monthlyTokens = organization.monthly_token_limit;
+  }
+  return limits;
+}
+
+/**
+ * The Bedrock account an organization's requests go to
+ * @param {Object|null} organization - Organization
+ * @returns {Object|null} - { roleArn, externalId, region }, or null to use the configured account
+ */
+function getBedrockAccount(organization) {
+  if (!organization || !organization.bedrock_role_arn) return null;
+  return {
+    roleArn: organization.bedrock_role_arn,
+    externalId: organization.bedrock_external_id || '',
+    region: organization.bedrock_region || config.aws.region
+  };
+}
+
+/**
+ * Release the clients and credentials kept for a Bedrock account once no organization uses it
+ * @param {Object|null} account - Account from getBedrockAccount, before the change
+ * @returns {Promise<void>}
+ */
+async function releaseUnusedAccount(account) {
+  if (!account) return;
+
+  const users = await models.Organization.count({
+    where: { bedrock_role_arn: account.roleArn, bedrock_external_id: account.externalId || { [Op.or]: [null, ''] } }
+  });
+  if (users === 0) {
+    // Required here rather than at the top: llmService requires this module
+    require('./llmService').releaseAccount(account);
+  }
+}
+
+/**
+ * Branding for the chat page
+ * @param {Object|null} organization - Organization
+ * @returns {Object|null} - { name, color, logoUrl }, or null to keep the app's own
+ */
+function getBranding(organization) {
+  if (!organization) return null;
+  return {
+    name: organization.brand_name || organization.name,
+    color: organization.brand_color || null,
+    logoUrl: organization.brand_logo_url || null
+  };
+}
+
+/**
+ * Parse an optional whole number from a form field; blank means "use the default"
+ * @param {*} value - Submitted value
+ * @returns {number|null|undefined} - null when blank, undefined when not a whole number of at least 0
+ */
+function optionalLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Trim an optional text field
+ * @param {*} value - Submitted value
+ * @returns {string|null}
+ */
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Validate submitted organization fields
+ * @param {Object} fields - { name, bedrockRoleArn, bedrockExternalId, bedrockRegion, allowedModelIds,
+ *   systemPrompt, dailyTokenLimit, monthlyTokenLimit, brandName, brandColor, brandLogoUrl }
+ * @returns {Object} - { status, error } on failure, otherwise { values } ready for the model
+ */
+function validateOrganizationFields(fields) {
+  const name = optionalText(fields.name);
+  if (!name || name.length > 100) {
+    return { status: 400, error: 'Name is required and must be at most 100 characters' };
+  }
+
+  const roleArn = optionalText(fields.bedrockRoleArn);
+  if (roleArn && !ROLE_ARN_PATTERN.test(roleArn)) {
+    return { status: 400, error: 'Bedrock role must be an IAM role ARN (arn:aws:iam::<account>:role/<name>)' };
+  }
+  const externalId = optionalText(fields.bedrockExternalId);
+  if (externalId && !EXTERNAL_ID_PATTERN.test(externalId)) {
+    return { status: 400, error: 'External ID must be 2 to 1224 letters, digits or +=,.@:/- characters' };
+  }
+  const region = optionalText(fields.bedrockRegion);
+  if (region && !REGION_PATTERN.test(region)) {
+    return { status: 400, error: 'Bedrock region must be an AWS region such as us-east-1' };
+  }
+
+  const allowedModelIds = [...new Set([].concat(fields.allowedModelIds || []))];
+  const unknownModel = allowedModelIds.find(modelId => !modelRegistry.getModel(modelId));
+  if (unknownModel) {
+    return { status: 400, error: `Unknown model: ${unknownModel}` };
+  }
+
+  const systemPrompt = optionalText(fields.systemPrompt);
+  if (systemPrompt && systemPrompt.length > config.organizations.maxSystemPromptLength) {
+    return { status: 400, error: `System prompt must be at most ${config.organizations.maxSystemPromptLength} characters` };
+  }
+
+  const dailyTokenLimit = optionalLimit(fields.dailyTokenLimit);
+  const monthlyTokenLimit = optionalLimit(fields.monthlyTokenLimit);
+  if (dailyTokenLimit === undefined || monthlyTokenLimit === undefined) {
+    return { status: 400, error: 'Token limits must be whole numbers (0 for unlimited), or blank for the default' };
+  }
+
+  const brandName = optionalText(fields.brandName);
+  if (brandName && brandName.length > 100) {
+    return { status: 400, error: 'Brand name must be at most 100 characters' };
+  }
+  const brandColor = optionalText(fields.brandColor);
+  if (brandColor && !COLOR_PATTERN.test(brandColor)) {
+    return { status: 400, error: 'Brand color must be a hex color such as #1a73e8' };
+  }
+  // The content security policy only allows images from this server
+  const brandLogoUrl = optionalText(fields.brandLogoUrl);
+  if (brandLogoUrl && (!brandLogoUrl.startsWith('/') || brandLogoUrl.startsWith('//') || brandLogoUrl.length > 500)) {
+    return { status: 400, error: 'Logo URL must be a path on this server, such as /static/img/logo.png' };
+  }
+
+  return {
+    values: {
+      name,
+      bedrock_role_arn: roleArn,
+      bedrock_external_id: roleArn ? externalId : null,
+      bedrock_region: roleArn ? region : null,
+      allowed_model_ids: allowedModelIds,
+      system_prompt: systemPrompt,
+      daily_token_limit: dailyTokenLimit,
+      monthly_token_limit: monthlyTokenLimit,
+      brand_name: brandName,
+      brand_color: brandColor,
+      brand_logo_url: brandLogoUrl
+    }
+  };
+}
+
+/**
+ * List organizations with their member counts, for super admins
+ * @returns {Promise<Array<Object>>} - Organizations' plain values plus memberCount
+ */
+async function listOrganizations() {
+  const organizations = await models.Organization.findAll({ order: [['name', 'ASC']] });
+  const counts = await models.User.count({
+    where: { organizationId: { [Op.ne]: null } },
+    group: ['organizationId']
+  });
+  const memberCounts = new Map(counts.map(row => [row.organizationId, Number(row.count)]));
+  return organizations.map(organization => ({
+    ...organization.get({ plain: true }),
+    memberCount: memberCounts.get(organization.id) || 0
+  }));
+}
+
+/**
+ * Create an organization
+ * @param {Object} admin - Super admin creating it
+ * @param {Object} fields - See validateOrganizationFields
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, organization }
+ */
+async function createOrganization(admin, fields) {
+  if (!isSuperAdmin(admin)) {
+    return { status: 403, error: 'Only super admins can create organizations' };
+  }
+  const result = validateOrganizationFields(fields);
+  if (result.error) return result;
+
+  if (await models.Organization.findOne({ where: { name: result.values.name } })) {
+    return { status: 409, error: 'An organization with this name already exists' };
+  }
+
+  const organization = await models.Organization.create(result.values);
+  console.log(`[ORGANIZATIONS] User ${admin.id} created organization ${organization.id} "${organization.name}"`);
+  return { status: 201, organization };
+}
+
+/**
+ * Update an organization; an organization's own admins may only change ORGANIZATION_ADMIN_FIELDS
+ * @param {number|string} organizationId - Organization ID
+ * @param {Object} admin - Admin saving the changes
+ * @param {Object} fields - See validateOrganizationFields
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, organization }
+ */
+async function updateOrganization(organizationId, admin, fields) {
+  const organization = await models.Organization.findByPk(organizationId);
+  if (!organization) {
+    return { status: 404, error: 'Organization not found' };
+  }
+  if (!isSuperAdmin(admin) && admin.organizationId !== organization.id) {
+    return { status: 403, error: 'You can only change your own organization' };
+  }
+
+  let submitted = fields;
+  if (!isSuperAdmin(admin)) {
+    // Keep the stored values of the settings reserved for super admins
+    submitted = {
+      name: organization.name,
+      bedrockRoleArn: organization.bedrock_role_arn,
+      bedrockExternalId: organization.bedrock_external_id,
+      bedrockRegion: organization.bedrock_region,
+      dailyTokenLimit: organization.daily_token_limit,
+      monthlyTokenLimit: organization.monthly_token_limit
+    };
+    for (const field of ORGANIZATION_ADMIN_FIELDS) {
+      submitted[field] = fields[field];
+    }
+  }
+
+  const result = validateOrganizationFields(submitted);
+  if (result.error) return result;
+
+  if (result.values.name !== organization.name &&
+      await models.Organization.findOne({ where: { name: result.values.name } })) {
+    return { status: 409, error: 'An organization with this name already exists' };
+  }
+
+  const previousAccount = getBedrockAccount(organization);
+  await organization.update(result.values);
+  cache.delete(organization.id);
+  const account = getBedrockAccount(organization);
+  if (previousAccount && (!account || account.roleArn !== previousAccount.roleArn ||
+      account.externalId !== previousAccount.externalId || account.region !== previousAccount.region)) {
+    await releaseUnusedAccount(previousAccount);
+  }
+  console.log(`[ORGANIZATIONS] User ${admin.id} updated organization ${organization.id}`);
+  return { status: 200, organization };
+}
+
+/**
+ * Delete an organization; its members stay, outside any organization
+ * @param {number|string} organizationId - Organization ID
+ * @param {Object} admin - Super admin deleting it
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200 }
+ */
+async function deleteOrganization(organizationId, admin) {
+  if (!isSuperAdmin(admin)) {
+    return { status: 403, error: 'Only super admins can delete organizations' };
+  }
+  const organization = await models.Organization.findByPk(organizationId);
+  if (!organization) {
+    return { status: 404, error: 'Organization not found' };
+  }
+
+  // Admins of the organization would otherwise become super admins
+  const adminCount = await models.User.count({ where: { organizationId: organization.id, isAdmin: true } });
+  if (adminCount > 0) {
+    return { status: 400, error: 'Remove admin privileges from the organization\'s admins or move them first' };
+  }
+
+  await models.User.update({ organizationId: null }, { where: { organizationId: organization.id } });
+  await organization.destroy();
+  cache.delete(organization.id);
+  await releaseUnusedAccount(getBedrockAccount(organization));
+  console.log(`[ORGANIZATIONS] User ${admin.id} deleted organization ${organization.id} "${organization.name}"`);
+  return { status: 200 };
+}
+
+/**
+ * Move a user into an organization, or out of every organization
+ * @param {Object} user - User to move
+ * @param {number|string|null} organizationId - Target organization; blank or null for none
+ * @param {Object} admin - Super admin moving the user
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200 }
+ */
+async function assignUser(user, organizationId, admin) {
+  if (!isSuperAdmin(admin)) {
+    return { status: 403, error: 'Only super admins can move users between organizations' };
+  }
+
+  let targetId = null;
+  if (organizationId !== undefined && organizationId !== null && organizationId !== '') {
+    targetId = parseInt(organizationId, 10);
+    if (!Number.isInteger(targetId) || !(await models.Organization.findByPk(targetId))) {
+      return { status: 404, error: 'Organization not found' };
+    }
+  }
+  // Taking an admin out of every organization would make them a super admin
+  if (user.isAdmin && targetId === null && user.organizationId) {
+    return { status: 400, error: 'Remove the user\'s admin privileges before taking them out of their organization' };
+  }
+  if (user.id === admin.id) {
+    return { status: 400, error: 'You cannot move yourself into an organization' };
+  }
+
+  user.organizationId = targetId;
+  await user.save();
+  console.log(`[ORGANIZATIONS] User ${admin.id} moved user ${user.id} to organization ${targetId || 'none'}`);
+  return { status: 200 };
+}
+
+module.exports = {
+  isSuperAdmin,
+  canManageUser,
+  userScope,
+  teamScope,
+  getOrganization,
+  getUserOrganization,
+  listModels,
+  isModelAllowed,
+  getDefaultModelId,
+  generationOptions,
+  getQuotaLimits,
+  getBedrockAccount,
+  getBranding,
+  listOrganizations,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization,
+  assignUser
+};
@@ -0,0 +1,201 @@
+/**
+ * Persona Service
+ * Saved assistant setups: a system prompt that replaces config.chat.systemPrompt, plus an
+ * optional model, temperature and max_tokens.
+ *
+ * Personas are private to their creator unless an administrator publishes them to the team: the
+ * users of the creator's organization.
+ */
+const config = require('../config');
+const models = require('../models');
+const modelRegistry = require('./modelRegistry');
+const organizationService = require('./organizationService');
+
+const VISIBILITIES = ['private', 'team'];
+
+/**
+ * List the personas a user can chat with: their own and the published ones
+ * @param {Object} user - Current user
+ * @returns {Promise<Array>}
+ */
+async function listAvailablePersonas(user) {
+  return models.Persona.findAll({
+    ...organizationService.teamScope(user),
+    order: [['visibility', 'DESC'], ['name', 'ASC']]
+  });
+}
+
+/**
+ * Find a persona a user can chat with
+ * @param {number|string} personaId - Persona ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object|null>}
+ */
+async function getAvailablePersona(personaId, user) {
+  const id = parseInt(personaId, 10);
+  if (!Number.isInteger(id)) return null;
+  const scope = organizationService.teamScope(user);
+  return models.Persona.findOne({
+    ...scope,
+    where: { id, ...scope.where }
+  });
+}
+
+/**
+ * Whether a user may edit or delete a persona
+ * @param {Object} persona - Persona
+ * @param {Object} user - Current user
+ * @returns {boolean}
+ */
+function canManage(persona, user) {
+  return persona.user_id === user.id || !!user.isAdmin;
+}
+
+/**
+ * Parse an optional number from a form or JSON field; blank means "use the default"
+ * @param {*} value - Submitted value
+ * @returns {number|null|undefined} - null when blank, undefined when not a number
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Validate submitted persona fields
+ * @param {Object} user - User saving the persona
+ * @param {Object} fields - { name, description, systemPrompt, modelId, temperature, maxTokens, visibility }
+ * @returns {Object} - { status, error } on failure, otherwise { values } ready for the model
+ */
+function validatePersonaFields(user, { name, description, systemPrompt, modelId, temperature, maxTokens, visibility = 'private' }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    return { status: 400, error: 'Name is required and must be at most 100 characters' };
+  }
+
+  const prompt = typeof systemPrompt === 'string' ? systemPrompt.trim() : '';
+  if (!prompt || prompt.length > config.personas.maxSystemPromptLength) {
+    return { status: 400, error: `System prompt is required and must be at most ${config.personas.maxSystemPromptLength} characters` };
+  }
+
+  if (modelId && !modelRegistry.isKnownModel(modelId)) {
+    return { status: 400, error: 'Unknown model' };
+  }
+
+  const { temperature: temperatureBounds, maxTokens: maxTokensBounds } = config.generation;
+  const parsedTemperature = optionalNumber(temperature);
+  if (parsedTemperature === undefined || (parsedTemperature !== null &&
+      (parsedTemperature < temperatureBounds.min || parsedTemperature > temperatureBounds.max))) {
+    return { status: 400, error: `Temperature must be between ${temperatureBounds.min} and ${temperatureBounds.max}` };
+  }
+
+  const parsedMaxTokens = optionalNumber(maxTokens);
+  if (parsedMaxTokens === undefined || (parsedMaxTokens !== null &&
+      (!Number.isInteger(parsedMaxTokens) || parsedMaxTokens < maxTokensBounds.min || parsedMaxTokens > maxTokensBounds.max))) {
+    return { status: 400, error: `Max tokens must be a whole number between ${maxTokensBounds.min} and ${maxTokensBounds.max}` };
+  }
+
+  if (!VISIBILITIES.includes(visibility)) {
+    return { status: 400, error: 'Visibility must be private or team' };
+  }
+  if (visibility === 'team' && !user.isAdmin) {
+    return { status: 403, error: 'Only administrators can publish personas to the team' };
+  }
+
+  return {
+    values: {
+      name: trimmedName,
+      description: typeof description === 'string' && description.trim() ? description.trim().slice(0, 255) : null,
+      system_prompt: prompt,
+      model_id: modelId || null,
+      temperature: parsedTemperature,
+      max_tokens: parsedMaxTokens,
+      visibility
+    }
+  };
+}
+
+/**
+ * Create a persona
+ * @param {Object} user - Creator
+ * @param {Object} fields - See validatePersonaFields
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 201, persona }
+ */
+async function createPersona(user, fields) {
+  const result = validatePersonaFields(user, fields);
+  if (result.error) return result;
+
+  const persona = await models.Persona.create({ ...result.values, user_id: user.id });
+  console.log(`[PERSONAS] User ${user.id} created ${persona.visibility} persona ${persona.id} "${persona.name}"`);
+  return { status: 201, persona };
+}
+
+/**
+ * Update a persona
+ * @param {Object} persona - Persona to change
+ * @param {Object} user - User saving the changes
+ * @param {Object} fields - See validatePersonaFields
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200, persona }
+ */
+async function updatePersona(persona, user, fields) {
+  const result = validatePersonaFields(user, fields);
+  if (result.error) return result;
+
+  await persona.update(result.values);
+  console.log(`[PERSONAS] User ${user.id} updated persona ${persona.id}`);
+  return { status: 200, persona };
+}
+
+/**
+ * Delete a persona; conversations that used it go back to the default prompt
+ * @param {Object} persona - Persona
+ */
+async function deletePersona(persona) {
+  await models.Conversation.update({ persona_id: null }, { where: { persona_id: persona.id } });
+  await persona.destroy();
+  console.log(`[PERSONAS] Deleted persona ${persona.id}`);
+}
+
+/**
+ * Shape a persona for the chat page
+ * @param {Object} persona - Persona
+ * @returns {Object} - { id, name, description, modelId, visibility }
+ */
+function toClientPersona(persona) {
+  return {
+    id: persona.id,
+    name: persona.name,
+    description: persona.description,
+    modelId: persona.model_id,
+    visibility: persona.visibility
+  };
+}
+
+/**
+ * Options a persona adds to a Bedrock request; unset values are left to the defaults
+ * @param {Object|null} persona - Persona, if the conversation uses one
+ * @returns {Object} - { systemPrompt, temperature, maxTokens } (only the ones the persona sets)
+ */
+function generationOptions(persona) {
+  if (!persona) return {};
+  const options = { systemPrompt: persona.system_prompt };
+  if (persona.temperature !== null && persona.temperature !== undefined) {
+    options.temperature = persona.temperature;
+  }
+  if (persona.max_tokens) {
+    options.maxTokens = persona.max_tokens;
+  }
+  return options;
+}
+
+module.exports = {
+  listAvailablePersonas,
+  getAvailablePersona,
+  canManage,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  toClientPersona,
+  generationOptions
+};
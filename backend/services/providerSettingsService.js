@@ -0,0 +1,89 @@
+/**
+ * Provider Settings Service
+ * Stores which model providers and models admins have enabled (provider_settings) and applies them
+ * to the model registry. Every instance reloads the settings every
+ * config.providers.settingsRefreshSeconds, so a change made on one instance reaches the others.
+ */
+const config = require('../config');
+const models = require('../models');
+const modelRegistry = require('./modelRegistry');
+
+/**
+ * Load the stored settings into the model registry
+ * Providers without a row keep the defaults: Bedrock on, the HTTP providers off.
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+  const rows = await models.ProviderSetting.findAll();
+  const enabledProviders = new Set(['bedrock']);
+  const disabledModelIds = [];
+
+  for (const row of rows) {
+    if (row.enabled) {
+      enabledProviders.add(row.provider);
+    } else {
+      enabledProviders.delete(row.provider);
+    }
+    disabledModelIds.push(...(row.disabled_model_ids || []));
+  }
+
+  modelRegistry.applySettings({ enabledProviders: [...enabledProviders], disabledModelIds });
+}
+
+/**
+ * Load the settings now and then every config.providers.settingsRefreshSeconds
+ * @returns {Promise<Object>} - Interval handle
+ */
+async function scheduleRefresh() {
+  const run = () => loadSettings().catch(error => {
+    console.error(`[PROVIDERS] Could not load provider settings: ${error.message}`);
+  });
+  await run();
+  const timer = setInterval(run, config.providers.settingsRefreshSeconds * 1000);
+  // The refresh should never keep the process alive on its own
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Save the admin's choice of providers and models
+ * @param {Object} settings - Settings
+ * @param {Array<string>} settings.enabledProviders - Provider IDs to enable
+ * @param {Array<string>} settings.enabledModelIds - Models to offer within the enabled providers
+ * @returns {Promise<Object>} - { status, error } on failure, otherwise { status: 200 }
+ */
+async function saveSettings({ enabledProviders = [], enabledModelIds = [] } = {}) {
+  const providers = modelRegistry.listProviders();
+  const allModels = modelRegistry.listAllModels();
+  const enabledProviderIds = new Set(enabledProviders);
+  const enabledModels = new Set(enabledModelIds);
+
+  const unknown = [...enabledProviderIds].find(id => !providers.some(provider => provider.id === id && provider.configured));
+  if (unknown) {
+    return { status: 400, error: `Provider "${unknown}" is not configured` };
+  }
+  const offered = allModels.filter(model => enabledProviderIds.has(model.provider) && enabledModels.has(model.id));
+  if (offered.length === 0) {
+    return { status: 400, error: 'At least one model must stay enabled' };
+  }
+
+  for (const provider of providers) {
+    await models.ProviderSetting.upsert({
+      provider: provider.id,
+      enabled: enabledProviderIds.has(provider.id),
+      disabled_model_ids: allModels
+        .filter(model => model.provider === provider.id && !enabledModels.has(model.id))
+        .map(model => model.id)
+    });
+  }
+  await loadSettings();
+
+  console.log(`[PROVIDERS] Enabled providers: ${[...enabledProviderIds].join(', ')}; ${offered.length} models offered`);
+  return { status: 200 };
+}
+
+module.exports = {
+  loadSettings,
+  scheduleRefresh,
+  saveSettings
+};
@@ -117,7 +117,7 @@ async function deleteChatHistory(conversationId) {
     const cache_version = config.cache.version;
     const key = `chat:${cache_version}:${conversationId}`;
     
-    await redis_client.del(key);
+    await redis_client.del([key, `${key}:meta`, `${key}:tree`]);
     console.log(`Successfully deleted chat history for conversation ${conversationId}`);
     return true;
   } catch (error) {
@@ -126,6 +126,118 @@ async function deleteChatHistory(conversationId) {
   }
 }
 
+/**
+ * Get per-conversation settings (selected model, etc.) from Redis
+ * Stored beside the history so temporary conversations, which never reach the database, keep them too.
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object} - The stored settings, or an empty object if none
+ */
+async function getConversationMeta(conversationId) {
+  try {
+    if (!conversationId) {
+      console.error('[CHAT_META] Missing conversation ID');
+      return {};
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_META] Redis client not initialized');
+      return {};
+    }
+    
+    const redis_key = `chat:${config.cache.version}:${conversationId}:meta`;
+    const meta_json = await redis_client.get(redis_key);
+    return meta_json ? JSON.parse(meta_json) : {};
+  } catch (error) {
+    console.error(`[CHAT_META] Error loading settings for ${conversationId}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Merge per-conversation settings into Redis
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} updates - Settings to merge into the stored object
+ * @returns {Object|null} - The merged settings, or null on failure
+ */
+async function saveConversationMeta(conversationId, updates) {
+  try {
+    if (!conversationId) {
+      console.error('[CHAT_META] Missing conversation ID when saving');
+      return null;
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_META] Redis client not initialized when saving');
+      return null;
+    }
+    
+    const meta = { ...(await getConversationMeta(conversationId)), ...updates };
+    const redis_key = `chat:${config.cache.version}:${conversationId}:meta`;
+    await redis_client.setEx(redis_key, CHAT_HISTORY_TTL, JSON.stringify(meta));
+    return meta;
+  } catch (error) {
+    console.error(`[CHAT_META] Error saving settings for ${conversationId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the message tree (every branch of the conversation) from Redis
+ * @param {string} conversationId - The conversation ID
+ * @returns {Array|null} - Tree messages in creation order, or null if not cached
+ */
+async function getMessageTree(conversationId) {
+  try {
+    if (!conversationId) {
+      console.error('[CHAT_TREE] Missing conversation ID');
+      return null;
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_TREE] Redis client not initialized');
+      return null;
+    }
+    
+    const redis_key = `chat:${config.cache.version}:${conversationId}:tree`;
+    const tree_json = await redis_client.get(redis_key);
+    return tree_json ? JSON.parse(tree_json) : null;
+  } catch (error) {
+    console.error(`[CHAT_TREE] Error loading message tree for ${conversationId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the message tree to Redis
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} tree - Tree messages in creation order
+ * @returns {boolean} - True if saved
+ */
+async function saveMessageTree(conversationId, tree) {
+  try {
+    if (!conversationId || !Array.isArray(tree)) {
+      console.error('[CHAT_TREE] Missing conversation ID or invalid tree when saving');
+      return false;
+    }
+    
+    const redis_client = redisClient.getClient();
+    if (!redis_client) {
+      console.error('[CHAT_TREE] Redis client not initialized when saving');
+      return false;
+    }
+    
+    const redis_key = `chat:${config.cache.version}:${conversationId}:tree`;
+    await redis_client.setEx(redis_key, CHAT_HISTORY_TTL, JSON.stringify(tree));
+    return true;
+  } catch (error) {
+    console.error(`[CHAT_TREE] Error saving message tree for ${conversationId}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Clear old cache on startup
  * This matches the Flask implementation that clears old cache entries
@@ -203,6 +315,10 @@ module.exports = {
   getChatHistory,
   saveChatHistory,
   deleteChatHistory,
+  getConversationMeta,
+  saveConversationMeta,
+  getMessageTree,
+  saveMessageTree,
   clearOldCache,
   CHAT_HISTORY_TTL
 };
@@ -0,0 +1,234 @@
+/**
+ * Role Credentials
+ * Temporary credentials for the cross-account roles Bedrock is reached through: the deployment's
+ * CUSTOMER_CROSS_ACCOUNT_ROLE_ARN, and any per-tenant role a client is created for.
+ *
+ * Each role gets one RoleCredentialProvider, shared by every client using that role (and external
+ * ID). It assumes the role on first use, then refreshes on a timer ahead of expiry, so requests
+ * never wait on STS once the process is warm. Concurrent callers share a single in-flight
+ * AssumeRole call. When a refresh fails the current credentials stay in use until they expire,
+ * and the refresh is retried every config.aws.credentialRetrySeconds.
+ *
+ * A role nothing uses any more (an organization changed or removed its role) is released, which
+ * stops its refreshes and drops it from the health report.
+ */
+const config = require('../config');
+const { assumeRole } = require('../config/aws');
+
+// `${roleArn}|${externalId}` -> RoleCredentialProvider
+const providers = new Map();
+
+/**
+ * The name part of a role ARN, safe to show without revealing the account
+ * @param {string} roleArn - Role ARN
+ * @returns {string}
+ */
+function roleName(roleArn) {
+  return roleArn.split('/').pop();
+}
+
+/**
+ * RoleCredentialProvider: refreshing temporary credentials for one role
+ */
+class RoleCredentialProvider {
+  /**
+   * @param {Object} options - Role options
+   * @param {string} options.roleArn - Role to assume
+   * @param {string} options.externalId - External ID the role's trust policy requires
+   * @param {string} options.region - STS region
+   */
+  constructor({ roleArn, externalId = '', region = config.aws.region }) {
+    this.roleArn = roleArn;
+    this.externalId = externalId;
+    this.region = region;
+    this.credentials = null;
+    this.refreshDueAt = 0;
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.lastRefreshAt = null;
+    this.lastError = null;
+    this.refreshCount = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Get current credentials, assuming the role first when there are none or they are due for refresh
+   * Matches the AWS SDK v3 credential provider signature, so it can be passed as `credentials`.
+   * @returns {Promise<Object>} - { accessKeyId, secretAccessKey, sessionToken, expiration }
+   */
+  async getCredentials() {
+    if (!this.credentials || Date.now() >= this.refreshDueAt) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        // Credentials that have not expired yet are still good to use
+        if (!this.credentials || this.credentials.expiration.getTime() <= Date.now()) {
+          throw error;
+        }
+      }
+    }
+    return this.credentials;
+  }
+
+  /**
+   * Assume the role now; callers arriving while a refresh is in flight share it
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._assumeRole().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Call STS and schedule the next refresh
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _assumeRole() {
+    try {
+      const credentials = await assumeRole(this.roleArn, 'BedrockExpressSession', {
+        externalId: this.externalId,
+        durationSeconds: config.aws.roleSessionDurationSeconds,
+        region: this.region
+      });
+      const expiration = new Date(credentials.expiration);
+
+      // Refresh the margin ahead of expiry, but never later than halfway through the session
+      const lifetimeMs = expiration.getTime() - Date.now();
+      const marginMs = Math.min(config.aws.credentialRefreshMarginSeconds * 1000, lifetimeMs / 2);
+
+      this.credentials = { ...credentials, expiration };
+      this.refreshDueAt = expiration.getTime() - marginMs;
+      this.lastRefreshAt = new Date();
+      this.lastError = null;
+      this.refreshCount++;
+      console.log(`[CREDENTIALS] Assumed ${this.roleArn} until ${expiration.toISOString()}`);
+
+      this._scheduleRefresh(this.refreshDueAt - Date.now());
+    } catch (error) {
+      this.lastError = { name: error.name, message: error.message, at: new Date() };
+      console.error(`[CREDENTIALS] Could not assume ${this.roleArn}: ${error.message}`);
+
+      this._scheduleRefresh(config.aws.credentialRetrySeconds * 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh again after a delay
+   * @param {number} delayMs - Delay in milliseconds
+   * @private
+   */
+  _scheduleRefresh(delayMs) {
+    clearTimeout(this.refreshTimer);
+    // A refresh in flight when the provider was released must not start the timer again
+    if (this.stopped) return;
+    // Failures are logged and retried by _assumeRole itself
+    this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), Math.max(0, delayMs));
+    // The refresh should never keep the process alive on its own
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Stop refreshing; credentials are still assumed on demand if a client holding the provider asks
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Describe the credentials' state without revealing the account or the credentials
+   * @returns {Object} - { role, externalId, status, expiresAt, lastRefreshAt, refreshCount, lastError }
+   *   status: 'pending' (not assumed yet), 'ok', 'degraded' (last refresh failed, current credentials
+   *   still valid), 'expired' or 'error' (never assumed)
+   */
+  getHealth() {
+    let status = this.lastError ? 'error' : 'pending';
+    if (this.credentials) {
+      if (this.credentials.expiration.getTime() <= Date.now()) {
+        status = 'expired';
+      } else {
+        status = this.lastError ? 'degraded' : 'ok';
+      }
+    }
+
+    return {
+      role: roleName(this.roleArn),
+      externalId: !!this.externalId,
+      status,
+      expiresAt: this.credentials ? this.credentials.expiration.toISOString() : null,
+      lastRefreshAt: this.lastRefreshAt ? this.lastRefreshAt.toISOString() : null,
+      refreshCount: this.refreshCount,
+      lastError: this.lastError ? this.lastError.name : null
+    };
+  }
+}
+
+/**
+ * Get the shared provider for a role, creating it on first use
+ * @param {Object} options - { roleArn, externalId, region } (see RoleCredentialProvider)
+ * @returns {RoleCredentialProvider}
+ */
+function getRoleCredentialProvider({ roleArn, externalId = '', region = config.aws.region }) {
+  const key = `${roleArn}|${externalId}`;
+  if (!providers.has(key)) {
+    providers.set(key, new RoleCredentialProvider({ roleArn, externalId, region }));
+  }
+  return providers.get(key);
+}
+
+/**
+ * Stop refreshing a role's credentials and forget its provider
+ * @param {Object} options - { roleArn, externalId }
+ * @returns {boolean} - True if the role had a provider
+ */
+function releaseRoleCredentialProvider({ roleArn, externalId = '' }) {
+  const key = `${roleArn}|${externalId}`;
+  const provider = providers.get(key);
+  if (!provider) {
+    return false;
+  }
+
+  provider.stop();
+  providers.delete(key);
+  console.log(`[CREDENTIALS] Released ${roleArn}`);
+  return true;
+}
+
+/**
+ * Summarize the health of every role in use
+ * /api/info shows the source and status to anyone; the roles are for super admins (admin dashboard).
+ * @returns {Object} - { source, status, roles }; source is 'local' for the local provider, 'default'
+ *   when no role has been assumed (the SDK's default credential chain is used), and status is the
+ *   worst of the roles' statuses
+ */
+function getCredentialHealth() {
+  if (config.bedrock.provider === 'local') {
+    return { source: 'local', status: 'ok', roles: [] };
+  }
+
+  const roles = [...providers.values()].map(provider => provider.getHealth());
+  if (roles.length === 0) {
+    return { source: 'default', status: 'ok', roles };
+  }
+
+  const severity = ['ok', 'pending', 'degraded', 'expired', 'error'];
+  const status = roles.reduce(
+    (worst, role) => (severity.indexOf(role.status) > severity.indexOf(worst) ? role.status : worst),
+    'ok'
+  );
+  return { source: 'assumed_role', status, roles };
+}
+
+module.exports = {
+  RoleCredentialProvider,
+  getRoleCredentialProvider,
+  releaseRoleCredentialProvider,
+  getCredentialHealth
+};
@@ -0,0 +1,157 @@
+/**
+ * Conversation Search Service
+ * Postgres full-text search over the message text stored in conversations.chat_history.
+ *
+ * The searchable document is the conversation title plus the text of every user and assistant
+ * message, extracted from the JSONB history by the immutable conversation_search_text() function.
+ * The migration add-conversation-search-index.js creates that function and a GIN index on the
+ * same expression used below, so queries must keep SEARCH_DOCUMENT in sync with the index.
+ */
+const { QueryTypes } = require('sequelize');
+const config = require('../config');
+const models = require('../models');
+
+const SEARCH_LANGUAGE = 'english';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MATCHES_PER_CONVERSATION = 3;
+
+// Sentinels wrapped around matched words by ts_headline; split out before reaching the client
+const HIGHLIGHT_START = '[[[hl]]]';
+const HIGHLIGHT_END = '[[[/hl]]]';
+
+const SEARCH_FUNCTION_SQL = `
+CREATE OR REPLACE FUNCTION conversation_search_text(history jsonb) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(string_agg(elem->>'content', E'\\n'), '')
+  FROM jsonb_array_elements(CASE WHEN jsonb_typeof(history) = 'array' THEN history ELSE '[]'::jsonb END) AS elem
+  WHERE elem->>'role' IN ('user', 'assistant') AND jsonb_typeof(elem->'content') = 'string'
+$$;
+`;
+
+const SEARCH_DOCUMENT = `to_tsvector('${SEARCH_LANGUAGE}', coalesce(c.title, '') || ' ' || conversation_search_text(c.chat_history))`;
+
+let searchFunctionReady = false;
+
+/**
+ * Make sure conversation_search_text() exists
+ * Production relies on the migration; development creates it on demand, like model sync does for tables.
+ */
+async function ensureSearchFunction() {
+  if (searchFunctionReady) return;
+  if (config.env !== 'production') {
+    await models.sequelize.query(SEARCH_FUNCTION_SQL);
+    console.log('[SEARCH] Ensured conversation_search_text() exists');
+  }
+  searchFunctionReady = true;
+}
+
+/**
+ * Split a ts_headline result into plain and highlighted segments
+ * @param {string} headline - Headline containing highlight sentinels
+ * @returns {Array<Object>} - [{ text, highlight }]
+ */
+function toSegments(headline) {
+  const segments = [];
+  let rest = headline || '';
+
+  while (rest.length > 0) {
+    const start = rest.indexOf(HIGHLIGHT_START);
+    if (start === -1) {
+      segments.push({ text: rest, highlight: false });
+      break;
+    }
+    if (start > 0) {
+      segments.push({ text: rest.slice(0, start), highlight: false });
+    }
+    const end = rest.indexOf(HIGHLIGHT_END, start);
+    const stop = end === -1 ? rest.length : end;
+    segments.push({ text: rest.slice(start + HIGHLIGHT_START.length, stop), highlight: true });
+    rest = end === -1 ? '' : rest.slice(end + HIGHLIGHT_END.length);
+  }
+
+  return segments;
+}
+
+/**
+ * Search a user's saved conversations
+ * @param {number} userId - User whose conversations are searched
+ * @param {string} query - Search text (web search syntax: quoted phrases, OR, -exclusions)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of conversations
+ * @returns {Promise<Array<Object>>} - [{ conversation_id, title, updated_at, rank, matches: [{ messageIndex, role, snippet }] }]
+ */
+async function searchConversations(userId, query, { limit = DEFAULT_LIMIT } = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  await ensureSearchFunction();
+
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
+
+  const conversations = await models.sequelize.query(`
+    SELECT c.conversation_id, c.title, c.updated_at, ts_rank(${SEARCH_DOCUMENT}, q) AS rank
+    FROM conversations c, websearch_to_tsquery('${SEARCH_LANGUAGE}', :query) q
+    WHERE c.user_id = :userId
+      AND c.is_temporary = false
+      AND c.deleted_at IS NULL
+      AND ${SEARCH_DOCUMENT} @@ q
+    ORDER BY rank DESC, c.updated_at DESC
+    LIMIT :limit
+  `, {
+    replacements: { query, userId, limit: safeLimit },
+    type: QueryTypes.SELECT
+  });
+
+  if (conversations.length === 0) {
+    return [];
+  }
+
+  // Matching messages, numbered the way the chat view shows them (system messages are hidden)
+  const matches = await models.sequelize.query(`
+    SELECT conversation_id, display_index, role, headline FROM (
+      SELECT c.conversation_id, m.display_index, m.msg->>'role' AS role,
+        ts_headline('${SEARCH_LANGUAGE}', m.msg->>'content', q, :headlineOptions) AS headline,
+        row_number() OVER (PARTITION BY c.conversation_id ORDER BY m.display_index) AS match_number
+      FROM conversations c
+      CROSS JOIN websearch_to_tsquery('${SEARCH_LANGUAGE}', :query) q
+      CROSS JOIN LATERAL (
+        SELECT e.msg, row_number() OVER (ORDER BY e.idx) - 1 AS display_index
+        FROM jsonb_array_elements(c.chat_history) WITH ORDINALITY AS e(msg, idx)
+        WHERE e.msg->>'role' IN ('user', 'assistant') AND jsonb_typeof(e.msg->'content') = 'string'
+      ) m
+      WHERE c.conversation_id IN (:conversationIds)
+        AND to_tsvector('${SEARCH_LANGUAGE}', m.msg->>'content') @@ q
+    ) ranked
+    WHERE match_number <= :perConversation
+    ORDER BY conversation_id, display_index
+  `, {
+    replacements: {
+      query,
+      headlineOptions,
+      conversationIds: conversations.map(conv => conv.conversation_id),
+      perConversation: MATCHES_PER_CONVERSATION
+    },
+    type: QueryTypes.SELECT
+  });
+
+  return conversations.map(conv => ({
+    conversation_id: conv.conversation_id,
+    title: conv.title,
+    updated_at: conv.updated_at,
+    rank: Number(conv.rank),
+    matches: matches
+      .filter(match => match.conversation_id === conv.conversation_id)
+      .map(match => ({
+        messageIndex: Number(match.display_index),
+        role: match.role,
+        snippet: toSegments(match.headline)
+      }))
+  }));
+}
+
+module.exports = {
+  ensureSearchFunction,
+  searchConversations
+};
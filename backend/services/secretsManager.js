@@ -25,7 +25,8 @@ async function getSecret(secretName, region = config.aws.region, secretType = 'p
       console.log(`Using cross-account role: ${process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN}`);
       clientOptions.credentials = new AWS.ChainableTemporaryCredentials({
         params: {
-          RoleArn: process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN
+          RoleArn: process.env.CUSTOMER_CROSS_ACCOUNT_ROLE_ARN,
+          ...(config.aws.customerCrossAccountExternalId ? { ExternalId: config.aws.customerCrossAccountExternalId } : {})
         }
       });
     } else {
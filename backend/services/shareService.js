@@ -0,0 +1,142 @@
+/**
+ * Share Service
+ * Public read-only links to conversation snapshots.
+ *
+ * A share stores the active branch's user/assistant text at the moment the link is created, so
+ * messages added later, tool results and usage details are never exposed. Links stay valid until
+ * revoked by their owner or an admin who manages the owner (see organizationService.canManageUser).
+ */
+const crypto = require('crypto');
+const models = require('../models');
+const exportService = require('./exportService');
+const organizationService = require('./organizationService');
+
+const TOKEN_BYTES = 24;
+
+/**
+ * Generate an unguessable URL token
+ * @returns {string}
+ */
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Create a share link for a conversation snapshot
+ * @param {Object} params - Share parameters
+ * @param {Object} params.conversation - Conversation model instance (must be stored in the database)
+ * @param {Array} params.chatHistory - Current chat history (active branch)
+ * @param {number} params.userId - User creating the link
+ * @returns {Promise<Object>} - The created ConversationShare
+ */
+async function createShare({ conversation, chatHistory, userId }) {
+  const exported = exportService.toExportObject(conversation, chatHistory);
+  const snapshot = exported.messages.map(msg => ({ role: msg.role, content: msg.content }));
+
+  const share = await models.ConversationShare.create({
+    token: generateToken(),
+    conversation_id: conversation.conversation_id,
+    user_id: userId,
+    title: conversation.title || null,
+    snapshot
+  });
+
+  console.log(`[SHARE] User ${userId} shared conversation ${conversation.conversation_id} (${snapshot.length} messages)`);
+  return share;
+}
+
+/**
+ * List the active share links of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array>}
+ */
+async function listConversationShares(conversationId) {
+  return models.ConversationShare.findAll({
+    where: { conversation_id: conversationId, revoked_at: null },
+    attributes: ['token', 'title', 'view_count', 'created_at'],
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * List the active share links a user has created, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function listUserShares(userId) {
+  return models.ConversationShare.findAll({
+    where: { user_id: userId, revoked_at: null },
+    attributes: ['token', 'conversation_id', 'title', 'view_count', 'created_at'],
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * List the active share links of the users an admin manages, newest first (admin view)
+ * @param {Object} admin - Current user
+ * @returns {Promise<Array>}
+ */
+async function listActiveShares(admin) {
+  return models.ConversationShare.findAll({
+    where: { revoked_at: null },
+    attributes: ['token', 'conversation_id', 'title', 'view_count', 'created_at'],
+    include: [{ model: models.User, attributes: ['id', 'email'], where: organizationService.userScope(admin) }],
+    order: [['created_at', 'DESC']]
+  });
+}
+
+/**
+ * Revoke a share link
+ * @param {string} token - Share token
+ * @param {Object} requester - User revoking the link
+ * @returns {Promise<Object>} - { status: 200|403|404 }
+ */
+async function revokeShare(token, requester) {
+  const share = await models.ConversationShare.findOne({
+    where: { token, revoked_at: null },
+    include: [{ model: models.User, attributes: ['id', 'organizationId'] }]
+  });
+  if (!share) {
+    return { status: 404 };
+  }
+
+  if (share.user_id !== requester.id && !organizationService.canManageUser(requester, share.User)) {
+    console.warn(`[SHARE] User ${requester.id} attempted to revoke share owned by user ${share.user_id}`);
+    return { status: 403 };
+  }
+
+  share.revoked_at = new Date();
+  await share.save();
+  console.log(`[SHARE] Share for conversation ${share.conversation_id} revoked by user ${requester.id}`);
+  return { status: 200 };
+}
+
+/**
+ * Look up an active share for public viewing and count the view
+ * Shares of a conversation in the trash stop working, and work again if it is restored.
+ * @param {string} token - Share token
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveShare(token) {
+  if (typeof token !== 'string' || token.length > 64) {
+    return null;
+  }
+
+  const share = await models.ConversationShare.findOne({
+    where: { token, revoked_at: null },
+    include: [{ model: models.Conversation, attributes: [], where: { deleted_at: null } }]
+  });
+  if (share) {
+    await share.increment('view_count');
+  }
+  return share;
+}
+
+module.exports = {
+  createShare,
+  listConversationShares,
+  listUserShares,
+  listActiveShares,
+  revokeShare,
+  getActiveShare
+};
@@ -0,0 +1,88 @@
+/**
+ * Title Service
+ * Names conversations from their first exchange using the conversation's model
+ */
+const models = require('../models');
+const llmService = require('./llmService');
+const usageService = require('./usageService');
+
+const MAX_TITLE_LENGTH = 80;
+const EXCHANGE_EXCERPT_LENGTH = 1500;
+
+/**
+ * Clean up a model-written title: single line, no wrapping quotes or trailing period
+ * @param {string} text - Raw model output
+ * @returns {string}
+ */
+function sanitizeTitle(text) {
+  let title = (text || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+  title = title.replace(/^(title:\s*)/i, '').replace(/^["'*#\s]+|["'*\s]+$/g, '').replace(/\.$/, '');
+  if (title.length > MAX_TITLE_LENGTH) {
+    title = `${title.slice(0, MAX_TITLE_LENGTH - 1).trim()}…`;
+  }
+  return title;
+}
+
+/**
+ * Generate and store a title for a conversation that does not have one yet
+ * A title set by the user in the meantime is never overwritten.
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} chatHistory - Chat history containing the first exchange
+ * @param {Object} options - Options
+ * @param {string} options.modelId - Model to write the title with
+ * @param {Object|null} options.organization - Organization the conversation's owner belongs to
+ * @param {number|null} options.userId - Owner, whose quota the title's tokens count against
+ * @returns {Promise<string|null>} - The new title, or null if none was stored
+ */
+async function generateTitle(conversationId, chatHistory, { modelId, organization, userId = null } = {}) {
+  try {
+    const firstUser = chatHistory.find(msg => msg.role === 'user');
+    const firstAssistant = chatHistory.find(msg => msg.role === 'assistant');
+    if (!firstUser || !firstAssistant) {
+      return null;
+    }
+
+    const response = await llmService.complete([{
+      role: 'user',
+      content: [
+        'Write a short title (at most 6 words) for the conversation below.',
+        'Reply with the title only: no quotes, no trailing punctuation.',
+        `User: ${String(firstUser.content).slice(0, EXCHANGE_EXCERPT_LENGTH)}`,
+        `Assistant: ${String(firstAssistant.content).slice(0, EXCHANGE_EXCERPT_LENGTH)}`
+      ].join('\n\n')
+    }], { modelId, organization });
+    await usageService.recordUsage({
+      userId,
+      conversationId,
+      inputTokens: response.usage?.inputTokens || 0,
+      outputTokens: response.usage?.outputTokens || 0,
+      countRequest: false
+    });
+
+    const title = sanitizeTitle(response.text);
+    if (!title) {
+      return null;
+    }
+
+    const [updatedCount] = await models.Conversation.update(
+      { title },
+      { where: { conversation_id: conversationId, title: null } }
+    );
+    if (updatedCount === 0) {
+      console.log(`[TITLE] Conversation ${conversationId} already has a title, keeping it`);
+      return null;
+    }
+
+    console.log(`[TITLE] Titled conversation ${conversationId}: "${title}"`);
+    return title;
+  } catch (error) {
+    console.error(`[TITLE] Failed to generate title for ${conversationId}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  generateTitle,
+  sanitizeTitle,
+  MAX_TITLE_LENGTH
+};
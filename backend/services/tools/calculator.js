@@ -0,0 +1,195 @@
+/**
+ * Calculator Tool
+ * Evaluates arithmetic expressions with a small recursive-descent parser (no eval)
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * Split an expression into number, identifier and operator tokens
+ * @param {string} expression - Arithmetic expression
+ * @returns {Array<Object>} - Tokens ({ type, value })
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z]+)|(\*\*|[-+*/%^(),]))/giy;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(start).trim() === '') break;
+      throw new Error(`Unexpected character at position ${start + 1}`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2].toLowerCase() });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * Supports + - * / % ^ (or **), parentheses, unary minus, pi, e and common math functions.
+ * @param {string} expression - Arithmetic expression
+ * @returns {number} - Result
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expectOperator = (value) => {
+    const token = next();
+    if (!token || token.type !== 'operator' || token.value !== value) {
+      throw new Error(`Expected "${value}"`);
+    }
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek()?.type === 'operator' && (peek().value === '+' || peek().value === '-')) {
+      const operator = next().value;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek()?.type === 'operator' && ['*', '/', '%'].includes(peek().value)) {
+      const operator = next().value;
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  // unary := ('-' | '+') unary | power
+  function parseUnary() {
+    if (peek()?.type === 'operator' && (peek().value === '-' || peek().value === '+')) {
+      const operator = next().value;
+      const value = parseUnary();
+      return operator === '-' ? -value : value;
+    }
+    return parsePower();
+  }
+
+  // power := primary ('^' unary)?   (right-associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek()?.type === 'operator' && peek().value === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  // primary := number | constant | function '(' expression ')' | '(' expression ')'
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return token.value;
+    }
+
+    if (token.type === 'identifier') {
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        expectOperator('(');
+        const argument = parseExpression();
+        expectOperator(')');
+        return FUNCTIONS[token.value](argument);
+      }
+      throw new Error(`Unknown identifier "${token.value}"`);
+    }
+
+    if (token.value === '(') {
+      const value = parseExpression();
+      expectOperator(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, abs, round, floor, ceil, ln, log, exp, sin, cos and tan.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(12.5 * 4) / sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+
+  /**
+   * @param {Object} input - Tool input
+   * @param {string} input.expression - Expression to evaluate
+   * @returns {Promise<Object>} - { expression, result }
+   */
+  async execute({ expression }) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('expression is required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+
+    return { expression, result };
+  },
+
+  evaluate
+};
@@ -0,0 +1,101 @@
+/**
+ * Conversation Search Tool
+ * Lets the assistant look up the user's earlier saved conversations
+ */
+const { Op } = require('sequelize');
+const models = require('../../models');
+const searchService = require('../searchService');
+
+const MAX_RESULTS = 5;
+const SNIPPETS_PER_CONVERSATION = 2;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Cut a snippet of text around the first occurrence of the query
+ * @param {string} text - Message text
+ * @param {number} index - Position of the match
+ * @param {number} length - Length of the match
+ * @returns {string}
+ */
+function snippetAround(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+  name: 'search_conversations',
+  description: 'Search the user\'s previous saved conversations for a word or phrase. Returns matching snippets with the date of each conversation.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Word or phrase to look for'
+      }
+    },
+    required: ['query']
+  },
+
+  /**
+   * @param {Object} input - Tool input
+   * @param {string} input.query - Text to search for
+   * @param {Object} context - Execution context
+   * @param {Object} context.user - User whose conversations are searched
+   * @param {string} context.conversationId - Current conversation (excluded from results)
+   * @returns {Promise<Object>} - { query, results: [{ conversationId, startedAt, snippets }] }
+   */
+  async execute({ query }, { user, conversationId } = {}) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new Error('query is required');
+    }
+    if (!user) {
+      throw new Error('Conversation search is only available to signed-in users');
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      await models.initializeDatabase();
+    }
+
+    await searchService.ensureSearchFunction();
+
+    const needle = query.trim();
+    const escaped = needle.replace(/[\\%_]/g, char => `\\${char}`);
+    const { sequelize, Conversation } = models;
+
+    const conversations = await Conversation.findAll({
+      where: {
+        user_id: user.id,
+        is_temporary: false,
+        deleted_at: null,
+        conversation_id: { [Op.ne]: conversationId || '' },
+        // Only the message text, not the JSON keys and metadata around it
+        [Op.and]: [
+          sequelize.where(sequelize.fn('conversation_search_text', sequelize.col('chat_history')), { [Op.iLike]: `%${escaped}%` })
+        ]
+      },
+      order: [['updated_at', 'DESC']],
+      limit: MAX_RESULTS
+    });
+
+    const lowerNeedle = needle.toLowerCase();
+    const results = conversations.map(conversation => {
+      const snippets = [];
+      for (const message of conversation.chat_history || []) {
+        if (message.role === 'system' || typeof message.content !== 'string') continue;
+        const index = message.content.toLowerCase().indexOf(lowerNeedle);
+        if (index === -1) continue;
+        snippets.push({ role: message.role, text: snippetAround(message.content, index, needle.length) });
+        if (snippets.length >= SNIPPETS_PER_CONVERSATION) break;
+      }
+      return {
+        conversationId: conversation.conversation_id,
+        startedAt: conversation.started_at,
+        snippets
+      };
+    });
+
+    console.log(`[TOOLS] Conversation search for "${needle}" found ${results.length} conversations`);
+    return { query: needle, results };
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Current Time Tool
+ * Reports the server's NTP-synchronized time, optionally in a given time zone
+ */
+const { getSyncedTime, isSynced } = require('../../utils/timeSync');
+
+module.exports = {
+  name: 'current_time',
+  description: 'Get the current date and time. Use this whenever the answer depends on today\'s date or the current time.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone name such as "Europe/London" or "America/New_York". Defaults to UTC.'
+      }
+    }
+  },
+
+  /**
+   * @param {Object} input - Tool input
+   * @param {string} input.timeZone - IANA time zone
+   * @returns {Promise<Object>} - { iso, unix, timeZone, local, ntpSynced }
+   */
+  async execute({ timeZone = 'UTC' } = {}) {
+    const unix = getSyncedTime();
+    const now = new Date(unix * 1000);
+
+    let local;
+    try {
+      local = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      }).format(now);
+    } catch (error) {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+
+    return {
+      iso: now.toISOString(),
+      unix,
+      timeZone,
+      local,
+      ntpSynced: isSynced()
+    };
+  }
+};
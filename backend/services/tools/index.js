@@ -0,0 +1,57 @@
+/**
+ * Tool Registry
+ * Tools the assistant can call during a chat. Each tool module exports:
+ * - name: identifier sent to the model
+ * - description: when the model should use it
+ * - inputSchema: JSON schema for the tool input
+ * - execute(input, context): async function returning a JSON-serializable object
+ *
+ * Tools run server-side; the chat controller executes tool_use blocks and feeds the results back.
+ */
+const config = require('../../config');
+const calculator = require('./calculator');
+const currentTime = require('./currentTime');
+const conversationSearch = require('./conversationSearch');
+
+const TOOLS = [calculator, currentTime, conversationSearch];
+
+/**
+ * Get the tool definitions to declare to Bedrock
+ * @returns {Array<Object>} - Tool definitions ({ name, description, inputSchema }), empty when tools are disabled
+ */
+function getToolDefinitions() {
+  if (!config.tools.enabled) {
+    return [];
+  }
+  return TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+/**
+ * Execute a tool requested by the model
+ * Failures are returned to the model as error results instead of being thrown.
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input from the tool_use block
+ * @param {Object} context - Execution context ({ user, conversationId })
+ * @returns {Promise<Object>} - { result, isError }
+ */
+async function executeTool(name, input, context = {}) {
+  const tool = TOOLS.find(candidate => candidate.name === name);
+  if (!tool) {
+    console.warn(`[TOOLS] Model requested unknown tool: ${name}`);
+    return { result: { error: `Unknown tool: ${name}` }, isError: true };
+  }
+
+  try {
+    console.log(`[TOOLS] Executing ${name} with input: ${JSON.stringify(input)}`);
+    const result = await tool.execute(input || {}, context);
+    return { result, isError: false };
+  } catch (error) {
+    console.error(`[TOOLS] ${name} failed: ${error.message}`);
+    return { result: { error: error.message }, isError: true };
+  }
+}
+
+module.exports = {
+  getToolDefinitions,
+  executeTool
+};
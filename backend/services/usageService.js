@@ -0,0 +1,192 @@
+/**
+ * Usage Service
+ * Records Bedrock token usage per conversation and per user per day, and enforces token quotas
+ *
+ * Background calls made on a user's behalf (conversation titles, rolling summaries) count against
+ * the user's quota too; they are recorded without counting as a request.
+ */
+const { Op } = require('sequelize');
+const models = require('../models');
+const organizationService = require('./organizationService');
+
+// Rough token estimate for replies cancelled before Bedrock reported output usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Ensure database models are initialized (production initializes lazily)
+ * @returns {Promise<Object>} - Models
+ */
+async function getModels() {
+  if (process.env.NODE_ENV === 'production') {
+    await models.initializeDatabase();
+  }
+  return models;
+}
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * First day of the current UTC month as YYYY-MM-DD
+ * @returns {string}
+ */
+function startOfMonth() {
+  return `${today().slice(0, 7)}-01`;
+}
+
+/**
+ * Estimate output tokens from reply text
+ * @param {string} text - Generated text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Record the tokens used by one assistant reply
+ * @param {Object} params - Usage parameters
+ * @param {number|null} params.userId - User the reply was generated for
+ * @param {string} params.conversationId - Conversation ID
+ * @param {boolean} params.persistConversation - Whether the conversation has a database row to update
+ * @param {number} params.inputTokens - Input tokens
+ * @param {number} params.outputTokens - Output tokens
+ * @param {boolean} params.countRequest - Whether the call counts towards the day's request count
+ */
+async function recordUsage({ userId, conversationId, persistConversation = true, inputTokens = 0, outputTokens = 0, countRequest = true }) {
+  try {
+    const { Conversation, sequelize } = await getModels();
+    
+    if (persistConversation) {
+      await Conversation.increment(
+        { input_tokens: inputTokens, output_tokens: outputTokens },
+        { where: { conversation_id: conversationId } }
+      );
+    }
+    
+    if (userId) {
+      // A single upsert, so replies finishing together on a new day cannot race to create the row
+      await sequelize.query(
+        `INSERT INTO user_daily_usage
+           (user_id, usage_date, input_tokens, output_tokens, request_count, created_at, updated_at)
+         VALUES (:userId, :usageDate, :inputTokens, :outputTokens, :requests, NOW(), NOW())
+         ON CONFLICT (user_id, usage_date) DO UPDATE SET
+           input_tokens = user_daily_usage.input_tokens + EXCLUDED.input_tokens,
+           output_tokens = user_daily_usage.output_tokens + EXCLUDED.output_tokens,
+           request_count = user_daily_usage.request_count + EXCLUDED.request_count,
+           updated_at = NOW()`,
+        { replacements: { userId, usageDate: today(), inputTokens, outputTokens, requests: countRequest ? 1 : 0 } }
+      );
+    }
+    
+    console.log(`[USAGE] Recorded ${inputTokens} input / ${outputTokens} output tokens for user ${userId}, conversation ${conversationId}`);
+  } catch (error) {
+    // Usage accounting must never break a chat reply
+    console.error(`[USAGE] Failed to record usage: ${error.message}`);
+  }
+}
+
+/**
+ * Sum a user's tokens since a given day
+ * @param {number} userId - User ID
+ * @param {string} fromDate - First day included (YYYY-MM-DD)
+ * @returns {Promise<number>} - Input + output tokens
+ */
+async function sumTokensSince(userId, fromDate) {
+  const { UserDailyUsage } = await getModels();
+  const rows = await UserDailyUsage.findAll({
+    where: { user_id: userId, usage_date: { [Op.gte]: fromDate } },
+    attributes: ['input_tokens', 'output_tokens']
+  });
+  return rows.reduce((total, row) => total + Number(row.input_tokens) + Number(row.output_tokens), 0);
+}
+
+/**
+ * Check a user's token usage against the configured quotas, or their organization's
+ * @param {number} userId - User ID
+ * @param {Object|null} organization - User's organization (see organizationService.getUserOrganization)
+ * @returns {Promise<Object>} - { exceeded, period, limit, used, message }
+ */
+async function checkQuota(userId, organization = null) {
+  const { dailyTokens, monthlyTokens } = organizationService.getQuotaLimits(organization);
+  if (!userId || (!dailyTokens && !monthlyTokens)) {
+    return { exceeded: false };
+  }
+  
+  try {
+    if (dailyTokens) {
+      const used = await sumTokensSince(userId, today());
+      if (used >= dailyTokens) {
+        return {
+          exceeded: true,
+          period: 'daily',
+          limit: dailyTokens,
+          used,
+          message: `You have reached your daily limit of ${dailyTokens.toLocaleString('en-US')} tokens. It resets at midnight UTC.`
+        };
+      }
+    }
+    
+    if (monthlyTokens) {
+      const used = await sumTokensSince(userId, startOfMonth());
+      if (used >= monthlyTokens) {
+        return {
+          exceeded: true,
+          period: 'monthly',
+          limit: monthlyTokens,
+          used,
+          message: `You have reached your monthly limit of ${monthlyTokens.toLocaleString('en-US')} tokens. It resets on the first day of next month (UTC).`
+        };
+      }
+    }
+  } catch (error) {
+    // Fail open: a usage lookup problem should not lock users out of chat
+    console.error(`[USAGE] Quota check failed for user ${userId}: ${error.message}`);
+  }
+  
+  return { exceeded: false };
+}
+
+/**
+ * Get a user's daily usage for the admin panel
+ * @param {number} userId - User ID
+ * @param {number} days - Number of days to include
+ * @returns {Promise<Object>} - { days: [...], totals: { inputTokens, outputTokens, requests } }
+ */
+async function getUsageHistory(userId, days = 30) {
+  const { UserDailyUsage } = await getModels();
+  const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  
+  const rows = await UserDailyUsage.findAll({
+    where: { user_id: userId, usage_date: { [Op.gte]: from } },
+    order: [['usage_date', 'DESC']]
+  });
+  
+  const history = rows.map(row => ({
+    date: row.usage_date,
+    inputTokens: Number(row.input_tokens),
+    outputTokens: Number(row.output_tokens),
+    requests: row.request_count
+  }));
+  
+  return {
+    days: history,
+    totals: history.reduce((totals, day) => ({
+      inputTokens: totals.inputTokens + day.inputTokens,
+      outputTokens: totals.outputTokens + day.outputTokens,
+      requests: totals.requests + day.requests
+    }), { inputTokens: 0, outputTokens: 0, requests: 0 })
+  };
+}
+
+module.exports = {
+  recordUsage,
+  checkQuota,
+  getUsageHistory,
+  estimateTokens
+};
@@ -1,29 +1,8 @@
 // frontend/src/chat.js
 import './styles.css';
-import { marked } from 'marked';
-import DOMPurify from 'dompurify';
+import { marked, purify, purifyOptions } from './markdown';
 import { initMFA } from './mfa';
 
-// Pre-compile marked options
-marked.setOptions({
-    breaks: true,
-    gfm: true,
-    headerIds: false,
-    mangle: false
-});
-
-// Initialize DOMPurify
-const purify = DOMPurify(window);
-
-// Configure DOMPurify options
-const purifyOptions = {
-    ALLOWED_TAGS: [
-        'p', 'br', 'b', 'i', 'em', 'strong', 'a', 'ul', 'ol', 'li',
-        'code', 'pre', 'h1', 'h2', 'h3', 'blockquote', 'span'
-    ],
-    ALLOWED_ATTR: ['href', 'target', 'rel', 'class']
-};
-
 // Make marked and DOMPurify available globally for mobile-nav.js
 window.marked = marked;
 window.DOMPurify = purify;
@@ -42,6 +21,11 @@ function initChat() {
             currentEventSource.close();
             currentEventSource = null;
         }
+        if (socketStreaming) {
+            // Stop the server-side generation for a socket stream we are abandoning
+            sendSocketMessage({ type: 'stop' });
+            socketStreaming = false;
+        }
         if (currentAssistantMessage) {
             currentAssistantMessage = null;
         }
@@ -58,10 +42,44 @@ function initChat() {
     }
 
     const messageInput = document.getElementById('message-input');
+    const sendButton = document.getElementById('send-btn');
     const clearButton = document.getElementById('clear-btn');
     const stopButton = document.getElementById('stop-btn');
+    const regenerateButton = document.getElementById('regenerate-btn');
+    const modelSelect = document.getElementById('model-select');
+    const searchInput = document.getElementById('conversation-search');
+    const SEARCH_DEBOUNCE_MS = 300;
     const newChatButton = document.getElementById('new-chat-btn');
     const tempChatToggle = document.getElementById('temp-chat-toggle');
+    const attachButton = document.getElementById('attach-btn');
+    const attachmentInput = document.getElementById('attachment-input');
+    const attachmentList = document.getElementById('attachment-list');
+    const personaSelect = document.getElementById('persona-select');
+    const advancedSettings = document.getElementById('advanced-settings');
+    const advancedSettingsButton = document.getElementById('advanced-settings-btn');
+    const stopSequencesInput = document.getElementById('stop-sequences-input');
+    const knowledgePicker = document.getElementById('knowledge-picker');
+    const knowledgePickerCount = document.getElementById('knowledge-picker-count');
+    const conversationViewButtons = document.querySelectorAll('.conversation-view-btn');
+    const selectToggle = document.getElementById('conversation-select-toggle');
+    const bulkBar = document.getElementById('conversation-bulk-bar');
+    const bulkCount = document.getElementById('conversation-bulk-count');
+    const trashNotice = document.getElementById('trash-notice');
+    const emptyTrashButton = document.getElementById('empty-trash-btn');
+    // Sidebar list being shown ('chats', 'archived' or 'trash') and the conversations ticked for a bulk action
+    let conversationView = 'chats';
+    const selectedConversations = new Set();
+    const tagBar = document.getElementById('conversation-tag-bar');
+    const tagList = document.getElementById('conversation-tag-list');
+    const tagCreateButton = document.getElementById('tag-create-btn');
+    const tagRenameButton = document.getElementById('tag-rename-btn');
+    const tagColorButton = document.getElementById('tag-color-btn');
+    const tagDeleteButton = document.getElementById('tag-delete-btn');
+    // The user's tags, the colors they can use, the tag the list is filtered to and each listed conversation's tags
+    let conversationTags = [];
+    let tagColors = [];
+    let activeTagId = null;
+    const conversationTagIds = new Map();
     
     // Add hamburger menu functionality
     const menuButton = document.querySelector('.menu-button');
@@ -76,8 +94,392 @@ function initChat() {
     let currentEventSource = null;
     let currentAssistantMessage = null;
     let isTemporaryChat = false;
+    let accumulatedResponse = '';
+    // Files uploaded for the next message: { name, attachment } (attachment is null while uploading)
+    let pendingAttachments = [];
+
+    // WebSocket transport state - preferred over EventSource when connected
+    let chatSocket = null;
+    let socketReady = false;
+    let socketStreaming = false;
+    const SOCKET_RECONNECT_DELAY_MS = 5000;
+
+    function sendSocketMessage(payload) {
+        if (chatSocket && chatSocket.readyState === WebSocket.OPEN) {
+            chatSocket.send(JSON.stringify(payload));
+            return true;
+        }
+        return false;
+    }
+
+    function updateRegenerateButton() {
+        if (!regenerateButton) return;
+        const hasAssistantReply = !!chatContainer.querySelector('.assistant-message');
+        regenerateButton.disabled = !socketReady || socketStreaming || !!currentEventSource || !hasAssistantReply;
+    }
+
+    // Open the chat socket; on failure the EventSource path keeps working
+    function connectChatSocket() {
+        if (!('WebSocket' in window)) {
+            console.log('WebSocket not supported, using EventSource streaming');
+            return;
+        }
+
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const socket = new WebSocket(`${protocol}://${window.location.host}/ws/chat`);
+        chatSocket = socket;
+
+        socket.onmessage = (event) => {
+            let msg;
+            try {
+                msg = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Invalid socket message:', event.data);
+                return;
+            }
+
+            switch (msg.type) {
+                case 'ready':
+                    console.log('Chat socket ready');
+                    socketReady = true;
+                    updateRegenerateButton();
+                    break;
+                case 'started':
+                    window.currentConversationId = msg.conversationId;
+                    break;
+                case 'stream':
+                    handleStreamData(msg.data);
+                    break;
+                case 'error':
+                    console.error('Chat socket error:', msg.error);
+                    if (socketStreaming) {
+                        handleStreamData({ error: msg.error, code: msg.code });
+                    } else {
+                        appendMessage('System', msg.error);
+                    }
+                    break;
+            }
+        };
+
+        socket.onclose = () => {
+            console.log('Chat socket closed, falling back to EventSource until reconnected');
+            if (socketStreaming) {
+                handleStreamData({ error: 'Connection lost' });
+            }
+            chatSocket = null;
+            socketReady = false;
+            updateRegenerateButton();
+            setTimeout(connectChatSocket, SOCKET_RECONNECT_DELAY_MS);
+        };
+
+        socket.onerror = (event) => {
+            console.error('Chat socket error event:', event);
+        };
+    }
+
+    // Handle one stream payload, whether it came over the socket or EventSource
+    function handleStreamData(data) {
+        // Re-enable the send button and input field
+        sendButton.disabled = false;
+        messageInput.disabled = false;
+
+        // Handle special end marker
+        if (data.content === '[DONE]') {
+            console.log('Stream completed with DONE marker');
+            if (data.truncated && currentAssistantMessage) {
+                const note = document.createElement('div');
+                note.className = 'truncated-note';
+                note.textContent = 'Response stopped';
+                currentAssistantMessage.appendChild(note);
+            } else if (data.stopReason === 'max_tokens' && currentAssistantMessage) {
+                const note = document.createElement('div');
+                note.className = 'truncated-note';
+                note.textContent = 'Response reached the length limit';
+                currentAssistantMessage.appendChild(note);
+            }
+            if (Array.isArray(data.sources) && data.sources.length > 0 && currentAssistantMessage) {
+                currentAssistantMessage.appendChild(renderSources(data.sources));
+            }
+            if (data.message && currentAssistantMessage) {
+                addMessageControls(currentAssistantMessage, { ...data.message, role: 'assistant' });
+                
+                // A freshly sent prompt only learns its ID from the reply's parent
+                const userMessages = chatContainer.querySelectorAll('.user-message');
+                const lastUserMessage = userMessages[userMessages.length - 1];
+                if (lastUserMessage && !lastUserMessage.dataset.messageId && data.message.parentId) {
+                    addMessageControls(lastUserMessage, { id: data.message.parentId, role: 'user' });
+                }
+            }
+            stopButton.disabled = true;
+            socketStreaming = false;
+            cleanupStream();
+            updateRegenerateButton();
+            return;
+        }
+
+        // Handle error response
+        if (data.error) {
+            console.error('Stream error:', data.error);
+            if (currentAssistantMessage) {
+                if (data.code === 'quota_exceeded') {
+                    const notice = document.createElement('div');
+                    notice.className = 'quota-message';
+                    notice.textContent = data.error;
+                    currentAssistantMessage.replaceChildren(notice);
+                } else {
+                    currentAssistantMessage.replaceChildren(replyError(currentAssistantMessage, data));
+                }
+            }
+            stopButton.disabled = true;
+            socketStreaming = false;
+            cleanupStream();
+            updateRegenerateButton();
+            return;
+        }
+
+        // Title generated after the first reply (only arrives over the socket)
+        if (data.type === 'title') {
+            setConversationTitle(data.conversationId, data.title);
+            return;
+        }
+
+        // Normalized model events that carry no text
+        if (data.type === 'stop') {
+            console.log('Model stop reason:', data.reason);
+            return;
+        }
+        if (data.type === 'usage') {
+            console.log(`Token usage: ${data.inputTokens} input, ${data.outputTokens} output`);
+            return;
+        }
+        if (data.type === 'retry') {
+            // Nothing has been shown yet; the first text replaces the note
+            console.log(`Model request failed (${data.code}), starting attempt ${data.attempt}`);
+            if (currentAssistantMessage) {
+                const note = document.createElement('div');
+                note.className = 'retry-note';
+                note.textContent = data.fallback
+                    ? 'The model is busy. Switching to a backup…'
+                    : 'The model is busy. Retrying…';
+                currentAssistantMessage.replaceChildren(note);
+            }
+            return;
+        }
+        if (data.type === 'tool_use') {
+            console.log('Model requested tool:', data.name);
+            if (currentAssistantMessage) {
+                toolCallsContainerFor(currentAssistantMessage).appendChild(createToolCallCard(data));
+            }
+            return;
+        }
+        if (data.type === 'tool_result') {
+            const card = chatContainer.querySelector(`.tool-call[data-tool-use-id="${CSS.escape(data.id)}"]`);
+            if (card) {
+                setToolCallResult(card, data);
+            }
+            return;
+        }
+
+        // Handle content chunks
+        if (data.content && currentAssistantMessage) {
+            accumulatedResponse += data.content;
+            console.log('Accumulated response length:', accumulatedResponse.length);
+
+            // Update the assistant message with the accumulating content
+            const parsedMarkdown = marked.parse(accumulatedResponse);
+            const cleanHtml = purify.sanitize(parsedMarkdown, purifyOptions);
+            currentAssistantMessage.innerHTML = cleanHtml;
+
+            // Scroll to bottom as content comes in
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+        }
+    }
+
+    // Error shown in place of a failed reply, with a retry button when trying again may help
+    function replyError(messageDiv, data) {
+        const notice = document.createElement('div');
+        notice.className = 'error-message reply-error';
+        const text = document.createElement('span');
+        text.textContent = `Error: ${data.error}`;
+        notice.appendChild(text);
+
+        if (data.retryable) {
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'btn btn-sm btn-outline-secondary';
+            retryButton.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Retry';
+            retryButton.addEventListener('click', () => retryFailedReply(messageDiv));
+            notice.appendChild(retryButton);
+        }
+        return notice;
+    }
 
-    function appendMessage(role, content) {
+    // Ask for a failed reply again; nothing was saved, so the history still ends with the user message
+    function retryFailedReply(messageDiv) {
+        if (socketStreaming || currentEventSource || !window.currentConversationId) return;
+
+        let roleLabel = messageDiv.previousElementSibling;
+        if (roleLabel && roleLabel.classList.contains('tool-calls')) {
+            const toolCalls = roleLabel;
+            roleLabel = toolCalls.previousElementSibling;
+            toolCalls.remove();
+        }
+        if (roleLabel && roleLabel.classList.contains('message-role')) {
+            roleLabel.remove();
+        }
+        messageDiv.remove();
+
+        if (socketReady && sendSocketMessage({ type: 'regenerate' })) {
+            socketStreaming = true;
+            beginAssistantReply();
+        } else {
+            beginAssistantReply();
+            openEventStream(window.currentConversationId);
+        }
+    }
+
+    // Labelled JSON block inside a tool call card
+    function toolCallSection(label, value) {
+        const section = document.createElement('div');
+        const heading = document.createElement('div');
+        heading.className = 'tool-call-label';
+        heading.textContent = label;
+        const pre = document.createElement('pre');
+        pre.textContent = JSON.stringify(value, null, 2);
+        section.append(heading, pre);
+        return section;
+    }
+
+    // Collapsible card showing one tool invocation (input now, result once it arrives)
+    function createToolCallCard(call) {
+        const card = document.createElement('details');
+        card.className = 'tool-call';
+        card.dataset.toolUseId = call.id;
+
+        const summary = document.createElement('summary');
+        const icon = document.createElement('i');
+        icon.className = 'bi bi-tools';
+        const name = document.createElement('span');
+        name.className = 'tool-call-name';
+        name.textContent = call.name;
+        const status = document.createElement('span');
+        status.className = 'tool-call-status';
+        status.textContent = 'Running…';
+        summary.append(icon, name, status);
+
+        const body = document.createElement('div');
+        body.className = 'tool-call-body';
+        body.appendChild(toolCallSection('Input', call.input || {}));
+
+        card.append(summary, body);
+        if (call.result !== undefined) {
+            setToolCallResult(card, call);
+        }
+        return card;
+    }
+
+    function setToolCallResult(card, call) {
+        card.querySelector('.tool-call-status').textContent = call.isError ? 'Failed' : 'Done';
+        card.classList.toggle('error', !!call.isError);
+        card.querySelector('.tool-call-body').appendChild(toolCallSection('Result', call.result));
+    }
+
+    // Tool cards sit between the "Assistant" label and the reply text, which is re-rendered while streaming
+    function toolCallsContainerFor(messageDiv) {
+        let container = messageDiv.previousElementSibling;
+        if (!container || !container.classList.contains('tool-calls')) {
+            container = document.createElement('div');
+            container.className = 'tool-calls';
+            chatContainer.insertBefore(container, messageDiv);
+        }
+        return container;
+    }
+
+    // Model chosen in the picker, if the page offers one
+    function selectedModelId() {
+        return modelSelect ? modelSelect.value : undefined;
+    }
+
+    // Sampling parameters from the advanced settings drawer; blank fields are left to the server defaults
+    function generationSettings() {
+        const settings = {};
+        if (!advancedSettings) return settings;
+        advancedSettings.querySelectorAll('.generation-param').forEach(input => {
+            if (input.value !== '') {
+                settings[input.dataset.param] = Number(input.value);
+            }
+        });
+        const stopSequences = stopSequencesInput.value.split('\n').filter(sequence => sequence.trim() !== '');
+        if (stopSequences.length > 0) {
+            settings.stop_sequences = stopSequences;
+        }
+        return settings;
+    }
+
+    if (advancedSettings && advancedSettingsButton) {
+        advancedSettingsButton.addEventListener('click', () => {
+            advancedSettings.hidden = !advancedSettings.hidden;
+            advancedSettingsButton.setAttribute('aria-expanded', String(!advancedSettings.hidden));
+        });
+        document.getElementById('advanced-settings-reset').addEventListener('click', () => {
+            advancedSettings.querySelectorAll('.generation-param').forEach(input => { input.value = ''; });
+            stopSequencesInput.value = '';
+        });
+    } else if (advancedSettingsButton) {
+        advancedSettingsButton.hidden = true;
+    }
+
+    // Persona chosen in the picker: null for the default assistant, undefined when the page offers none
+    function selectedPersonaId() {
+        if (!personaSelect) return undefined;
+        return personaSelect.value ? Number(personaSelect.value) : null;
+    }
+
+    // Picking a persona switches the model picker to the persona's model, if it has one
+    if (personaSelect) {
+        personaSelect.addEventListener('change', () => {
+            const option = personaSelect.selectedOptions[0];
+            if (modelSelect && option && option.dataset.modelId) {
+                modelSelect.value = option.dataset.modelId;
+            }
+        });
+    }
+
+    // Knowledge bases ticked in the picker; undefined when the page offers none, so the server keeps its selection
+    function selectedKnowledgeBaseIds() {
+        if (!knowledgePicker) return undefined;
+        return Array.from(knowledgePicker.querySelectorAll('.knowledge-base-checkbox:checked'))
+            .map(checkbox => Number(checkbox.value));
+    }
+
+    function setSelectedKnowledgeBases(ids) {
+        if (!knowledgePicker) return;
+        const selected = new Set((ids || []).map(String));
+        knowledgePicker.querySelectorAll('.knowledge-base-checkbox').forEach(checkbox => {
+            checkbox.checked = selected.has(checkbox.value);
+        });
+        updateKnowledgePickerCount();
+    }
+
+    function updateKnowledgePickerCount() {
+        if (!knowledgePickerCount) return;
+        const count = selectedKnowledgeBaseIds().length;
+        knowledgePickerCount.textContent = count > 0 ? `(${count})` : '';
+    }
+
+    if (knowledgePicker) {
+        knowledgePicker.addEventListener('change', updateKnowledgePickerCount);
+    }
+
+    // Prepare the UI for a new streamed assistant reply
+    function beginAssistantReply() {
+        stopButton.disabled = false;
+        accumulatedResponse = '';
+        currentAssistantMessage = appendMessage('Assistant', '');
+        updateRegenerateButton();
+    }
+
+    function appendMessage(role, content, attachments) {
         console.log(`Appending message - Role: ${role}, Content length: ${content.length}`);
         
         const roleDiv = document.createElement('div');
@@ -99,19 +501,145 @@ function initChat() {
         } else {
             messageDiv.textContent = content;
         }
+        
+        if (Array.isArray(attachments) && attachments.length > 0) {
+            messageDiv.appendChild(renderAttachments(attachments));
+        }
 
         chatContainer.appendChild(roleDiv);
         chatContainer.appendChild(messageDiv);
         return messageDiv;
     }
 
+    // Thumbnails (images) and file links (documents) for the attachments of a message
+    function renderAttachments(attachments) {
+        const container = document.createElement('div');
+        container.className = 'message-attachments';
+        
+        attachments.forEach(attachment => {
+            const url = `/api/attachments/${encodeURIComponent(attachment.id)}`;
+            const link = document.createElement('a');
+            link.className = `message-attachment ${attachment.kind}`;
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.title = attachment.name;
+            
+            if (attachment.kind === 'image') {
+                const image = document.createElement('img');
+                image.src = `${url}/thumbnail`;
+                image.alt = attachment.name;
+                image.loading = 'lazy';
+                link.appendChild(image);
+            } else {
+                const icon = document.createElement('i');
+                icon.className = 'bi bi-file-earmark-text';
+                const name = document.createElement('span');
+                name.textContent = attachment.name;
+                link.append(icon, name);
+            }
+            container.appendChild(link);
+        });
+        return container;
+    }
+
+    // Numbered knowledge base excerpts the reply was grounded in; the excerpt itself is the tooltip
+    function renderSources(sources) {
+        const container = document.createElement('div');
+        container.className = 'message-sources';
+        
+        const heading = document.createElement('div');
+        heading.className = 'message-sources-heading';
+        heading.textContent = 'Sources';
+        container.appendChild(heading);
+        
+        sources.forEach(source => {
+            const item = document.createElement('div');
+            item.className = 'message-source';
+            item.title = source.excerpt;
+            item.textContent = `[${source.index}] ${source.fileName} — ${source.knowledgeBaseName}`;
+            container.appendChild(item);
+        });
+        return container;
+    }
+
+    // Show the files waiting to be sent with the next message
+    function renderPendingAttachments() {
+        if (!attachmentList) return;
+        attachmentList.innerHTML = '';
+        attachmentList.hidden = pendingAttachments.length === 0;
+        
+        pendingAttachments.forEach(item => {
+            const chip = document.createElement('div');
+            chip.className = `attachment-chip${item.attachment ? '' : ' uploading'}`;
+            
+            if (item.attachment && item.attachment.thumbnailUrl) {
+                const image = document.createElement('img');
+                image.src = item.attachment.thumbnailUrl;
+                image.alt = '';
+                chip.appendChild(image);
+            } else {
+                const icon = document.createElement('i');
+                icon.className = item.attachment ? 'bi bi-file-earmark-text' : 'bi bi-hourglass-split';
+                chip.appendChild(icon);
+            }
+            
+            const name = document.createElement('span');
+            name.textContent = item.name;
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'attachment-remove-btn';
+            removeButton.title = 'Remove';
+            removeButton.innerHTML = '<i class="bi bi-x"></i>';
+            removeButton.addEventListener('click', () => {
+                pendingAttachments = pendingAttachments.filter(pending => pending !== item);
+                renderPendingAttachments();
+            });
+            
+            chip.append(name, removeButton);
+            attachmentList.appendChild(chip);
+        });
+    }
+
+    // Upload picked files one at a time; the server checks type and size
+    async function uploadAttachments(files) {
+        for (const file of files) {
+            const item = { name: file.name, attachment: null };
+            pendingAttachments.push(item);
+            renderPendingAttachments();
+            
+            try {
+                const formData = new FormData();
+                formData.append('file', file);
+                const response = await fetch('/api/attachments', { method: 'POST', body: formData });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+                }
+                item.attachment = data.attachment;
+            } catch (error) {
+                console.error('Error uploading attachment:', error);
+                pendingAttachments = pendingAttachments.filter(pending => pending !== item);
+                appendMessage('System', `Could not attach ${file.name}: ${error.message}`);
+            }
+            renderPendingAttachments();
+        }
+    }
+
+    if (attachButton && attachmentInput) {
+        attachButton.addEventListener('click', () => attachmentInput.click());
+        attachmentInput.addEventListener('change', () => {
+            const files = Array.from(attachmentInput.files);
+            attachmentInput.value = '';
+            uploadAttachments(files);
+        });
+    }
+
     // Shared reset chat function
     async function resetChat() {
         // Clean up any existing stream connection
-        if (currentEventSource) {
-            currentEventSource.close();
-            currentEventSource = null;
-        }
+        cleanupStream();
         
         try {
             // Show loading indicator to provide visual feedback
@@ -163,12 +691,57 @@ function initChat() {
     
     // Simplified stop button handler
     stopButton.addEventListener('click', function() {
-        if (currentEventSource) {
+        if (socketStreaming) {
+            // The server stops generating and replies with a final [DONE] event
+            sendSocketMessage({ type: 'stop' });
+            stopButton.disabled = true;
+        } else if (currentEventSource) {
             currentEventSource.close();
             currentEventSource = null;
             stopButton.disabled = true;
+            sendButton.disabled = false;
+            messageInput.disabled = false;
+
+            // Closing the EventSource alone leaves Bedrock generating; cancel it server-side
+            fetch('/api/chat/cancel', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ conversationId: window.currentConversationId })
+            }).catch(error => console.error('Error cancelling generation:', error));
         }
     });
+
+    // Regenerate the last assistant reply (socket transport only)
+    if (regenerateButton) {
+        regenerateButton.addEventListener('click', function() {
+            if (!socketReady || socketStreaming) return;
+
+            // Remove the last assistant reply and its role label from the transcript
+            const replies = chatContainer.querySelectorAll('.assistant-message');
+            const lastReply = replies[replies.length - 1];
+            if (!lastReply) return;
+            let roleLabel = lastReply.previousElementSibling;
+            if (roleLabel && roleLabel.classList.contains('tool-calls')) {
+                const toolCalls = roleLabel;
+                roleLabel = toolCalls.previousElementSibling;
+                toolCalls.remove();
+            }
+            if (roleLabel && roleLabel.classList.contains('message-role')) {
+                roleLabel.remove();
+            }
+            const controls = lastReply.nextElementSibling;
+            if (controls && controls.classList.contains('message-actions')) {
+                controls.remove();
+            }
+            lastReply.remove();
+
+            socketStreaming = true;
+            beginAssistantReply();
+            sendSocketMessage({ type: 'regenerate' });
+        });
+    }
     
     // Use shared resetChat function for both buttons
     clearButton.addEventListener('click', resetChat);
@@ -192,10 +765,16 @@ function initChat() {
         const message = messageInput.value.trim();
         
         if (!message) return;
+        
+        if (pendingAttachments.some(item => !item.attachment)) {
+            alert('Please wait for your attachments to finish uploading.');
+            return;
+        }
+        const attachments = pendingAttachments.map(item => item.attachment);
+        const attachmentIds = attachments.map(attachment => attachment.id);
 
         try {
             // Disable the send button and input field while processing
-            const sendButton = document.getElementById('send-btn');
             sendButton.disabled = true;
             messageInput.disabled = true;
             
@@ -205,6 +784,27 @@ function initChat() {
             // Clean up any existing stream connection
             cleanupStream();
             
+            // Prefer the WebSocket: one round trip for the message and the streamed reply
+            const sentOverSocket = socketReady && sendSocketMessage({
+                type: 'send',
+                message,
+                conversationId: window.currentConversationId,
+                isTemporary: isTemporaryChat,
+                modelId: selectedModelId(),
+                attachmentIds,
+                knowledgeBaseIds: selectedKnowledgeBaseIds(),
+                personaId: selectedPersonaId(),
+                ...generationSettings()
+            });
+            if (sentOverSocket) {
+                appendMessage('User', message, attachments);
+                pendingAttachments = [];
+                renderPendingAttachments();
+                socketStreaming = true;
+                beginAssistantReply();
+                return;
+            }
+            
             console.log('Sending chat message:', message);
             const response = await fetch('/api/chat/message', {
                 method: 'POST',
@@ -213,10 +813,25 @@ function initChat() {
                 },
                 body: JSON.stringify({ 
                     message,
-                    isTemporary: isTemporaryChat 
+                    isTemporary: isTemporaryChat,
+                    modelId: selectedModelId(),
+                    attachmentIds,
+                    knowledgeBaseIds: selectedKnowledgeBaseIds(),
+                    personaId: selectedPersonaId(),
+                    ...generationSettings()
                 })
             });
 
+            if (response.status === 429 || response.status === 400 || response.status === 404) {
+                // Token quota reached or message rejected (e.g. attachments the model cannot read) -
+                // show the server's explanation instead of a generic error
+                const quotaData = await response.json();
+                appendMessage('System', quotaData.error);
+                sendButton.disabled = false;
+                messageInput.disabled = false;
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -226,81 +841,18 @@ function initChat() {
             
             // Add the user message to the chat AFTER successful API response
             // This prevents duplicate messages if the conversation is loaded later
-            appendMessage('User', message);
+            appendMessage('User', message, attachments);
+            pendingAttachments = [];
+            renderPendingAttachments();
             
             // Get the conversation ID from the response
             const conversationId = data.conversationId;
             console.log('Using conversation ID for streaming:', conversationId);
+            window.currentConversationId = conversationId;
             
-            // Setup streaming response
-            stopButton.disabled = false;
-            let accumulatedResponse = '';
-            
-            // Create placeholder for assistant response
-            currentAssistantMessage = appendMessage('Assistant', '');
-            
-            // Start streaming connection
-            const streamUrl = `/api/chat/stream?conversationId=${conversationId}`;
-            console.log('Connecting to stream URL:', streamUrl);
-            currentEventSource = new EventSource(streamUrl);
-
-            // Add event handlers for the EventSource
-            currentEventSource.onopen = (event) => {
-                console.log('EventSource connection opened:', event);
-            };
-            
-            currentEventSource.onerror = (event) => {
-                console.error('EventSource error:', event);
-                if (event.target.readyState === EventSource.CLOSED) {
-                    console.log('EventSource connection closed');
-                    // Re-enable input when connection closes due to error
-                    sendButton.disabled = false;
-                    messageInput.disabled = false;
-                    stopButton.disabled = true;
-                }
-            };
-            
-            currentEventSource.onmessage = (event) => {
-                // Re-enable the send button and input field
-                sendButton.disabled = false;
-                messageInput.disabled = false;
-                
-                console.log('Received stream event:', event.data);
-                const data = JSON.parse(event.data);
-                
-                // Handle special end marker
-                if (data.content === '[DONE]') {
-                    console.log('Stream completed with DONE marker');
-                    stopButton.disabled = true;
-                    cleanupStream();
-                    return;
-                }
-                
-                // Handle error response
-                if (data.error) {
-                    console.error('Stream error:', data.error);
-                    if (currentAssistantMessage) {
-                        currentAssistantMessage.innerHTML = `<div class="error-message">Error: ${data.error}</div>`;
-                    }
-                    stopButton.disabled = true;
-                    cleanupStream();
-                    return;
-                }
-                
-                // Handle content chunks
-                if (data.content) {
-                    accumulatedResponse += data.content;
-                    console.log('Accumulated response length:', accumulatedResponse.length);
-                    
-                    // Update the assistant message with the accumulating content
-                    const parsedMarkdown = marked.parse(accumulatedResponse);
-                    const cleanHtml = purify.sanitize(parsedMarkdown, purifyOptions);
-                    currentAssistantMessage.innerHTML = cleanHtml;
-                    
-                    // Scroll to bottom as content comes in
-                    chatContainer.scrollTop = chatContainer.scrollHeight;
-                }
-            };
+            // Setup streaming response and create placeholder for assistant response
+            beginAssistantReply();
+            openEventStream(conversationId);
 
         } catch (error) {
             console.error('Error:', error);
@@ -308,6 +860,34 @@ function initChat() {
         }
     });
 
+    // Stream the reply for a conversation over EventSource (used when the socket is unavailable)
+    function openEventStream(conversationId) {
+        const streamUrl = `/api/chat/stream?conversationId=${conversationId}`;
+        console.log('Connecting to stream URL:', streamUrl);
+        currentEventSource = new EventSource(streamUrl);
+
+        // Add event handlers for the EventSource
+        currentEventSource.onopen = (event) => {
+            console.log('EventSource connection opened:', event);
+        };
+        
+        currentEventSource.onerror = (event) => {
+            console.error('EventSource error:', event);
+            if (event.target.readyState === EventSource.CLOSED) {
+                console.log('EventSource connection closed');
+                // Re-enable input when connection closes due to error
+                sendButton.disabled = false;
+                messageInput.disabled = false;
+                stopButton.disabled = true;
+            }
+        };
+        
+        currentEventSource.onmessage = (event) => {
+            console.log('Received stream event:', event.data);
+            handleStreamData(JSON.parse(event.data));
+        };
+    }
+
     // Add event listener for sign out
     document.querySelectorAll('[href*="logout"]').forEach(link => {
         link.addEventListener('click', function(event) {
@@ -321,7 +901,11 @@ function initChat() {
     });
 
     function loadConversationHistory() {
-        fetch("/conversation_history")
+        if (conversationView !== 'chats') {
+            loadConversationView(conversationView);
+            return;
+        }
+        fetch(activeTagId ? `/conversation_history?tag=${activeTagId}` : "/conversation_history")
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
@@ -334,6 +918,7 @@ function initChat() {
                     if (!conversationList) return;
                     
                     conversationList.innerHTML = '';
+                    conversationTagIds.clear();
                     
                     const groups = data.history;
                     
@@ -343,6 +928,10 @@ function initChat() {
                             const header = document.createElement('div');
                             header.className = 'conversation-group-header';
                             header.textContent = groupName;
+                            // Dropping a conversation on the pinned header pins it
+                            if (groupName === 'Pinned') {
+                                makeDropTarget(header, conversationId => applyConversationAction('pin', [conversationId]));
+                            }
                             conversationList.appendChild(header);
                             
                             groupConversations.forEach(conv => {
@@ -350,15 +939,60 @@ function initChat() {
                                 item.className = 'conversation-item';
                                 item.dataset.conversationId = conv.id;
                                 
-                                // Format the preview text to ensure it's not too long
-                                const previewText = conv.preview || 'Empty conversation';
+                                // Prefer the conversation title; fall back to the first message
+                                const previewText = conv.title || conv.preview || 'Empty conversation';
                                 const truncatedPreview = previewText.length > 40 ? 
                                     previewText.substring(0, 37) + '...' : 
                                     previewText;
                                 
-                                item.innerHTML = `
-                                    <div class="conversation-preview">${truncatedPreview}</div>
-                                `;
+                                const preview = document.createElement('div');
+                                preview.className = 'conversation-preview';
+                                preview.textContent = truncatedPreview;
+                                preview.title = previewText;
+                                
+                                const renameButton = document.createElement('button');
+                                renameButton.type = 'button';
+                                renameButton.className = 'conversation-rename-btn';
+                                renameButton.title = 'Rename';
+                                renameButton.innerHTML = '<i class="bi bi-pencil"></i>';
+                                renameButton.addEventListener('click', (event) => {
+                                    event.stopPropagation();
+                                    startRename(item, previewText);
+                                });
+                                
+                                const exportLink = document.createElement('a');
+                                exportLink.className = 'conversation-export-btn';
+                                exportLink.title = 'Export as Markdown';
+                                exportLink.href = `/conversations/${encodeURIComponent(conv.id)}/export?format=md`;
+                                exportLink.innerHTML = '<i class="bi bi-download"></i>';
+                                exportLink.addEventListener('click', (event) => event.stopPropagation());
+                                
+                                const shareButton = document.createElement('button');
+                                shareButton.type = 'button';
+                                shareButton.className = 'conversation-share-btn';
+                                shareButton.title = 'Share read-only link';
+                                shareButton.innerHTML = '<i class="bi bi-share"></i>';
+                                shareButton.addEventListener('click', (event) => {
+                                    event.stopPropagation();
+                                    shareConversation(conv.id);
+                                });
+                                
+                                const pinButton = conv.pinned ?
+                                    conversationActionButton('bi-pin-angle-fill', 'Unpin', () => applyConversationAction('unpin', [conv.id])) :
+                                    conversationActionButton('bi-pin-angle', 'Pin', () => applyConversationAction('pin', [conv.id]));
+                                const archiveButton = conversationActionButton('bi-archive', 'Archive', () => applyConversationAction('archive', [conv.id]));
+                                const deleteButton = conversationActionButton('bi-trash', 'Move to trash', () => applyConversationAction('delete', [conv.id]));
+                                
+                                conversationTagIds.set(conv.id, conv.tagIds || []);
+                                item.draggable = true;
+                                item.addEventListener('dragstart', (event) => {
+                                    event.dataTransfer.setData('application/x-conversation-id', conv.id);
+                                    event.dataTransfer.effectAllowed = 'move';
+                                    item.classList.add('dragging');
+                                });
+                                item.addEventListener('dragend', () => item.classList.remove('dragging'));
+                                
+                                item.append(selectCheckbox(conv.id), preview, conversationTagDots(conv.tagIds || []), renameButton, exportLink, shareButton, pinButton, archiveButton, deleteButton);
                                 
                                 // Handle current conversation selection
                                 if (conv.id === window.currentConversationId) {
@@ -382,13 +1016,632 @@ function initChat() {
             });
     }
 
-    async function loadConversation(conversationId) {
+    // Swap a sidebar label for an input; Enter saves, Escape or an unchanged value cancels
+    function startRename(item, currentTitle) {
+        if (item.querySelector('.conversation-rename-input')) return;
+
+        const preview = item.querySelector('.conversation-preview');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'conversation-rename-input';
+        input.value = currentTitle;
+        input.maxLength = 80;
+        preview.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            const newTitle = input.value.trim();
+            if (!save || !newTitle || newTitle === currentTitle) {
+                input.replaceWith(preview);
+                return;
+            }
+
+            try {
+                const response = await fetch(`/api/conversations/${encodeURIComponent(item.dataset.conversationId)}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ title: newTitle })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error || 'Rename failed');
+                }
+                setConversationTitle(data.conversation_id, data.title);
+            } catch (error) {
+                console.error('Error renaming conversation:', error);
+            }
+            input.replaceWith(preview);
+        };
+
+        input.addEventListener('click', (event) => event.stopPropagation());
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // Update a conversation's label in the sidebar, if it is listed
+    function setConversationTitle(conversationId, title) {
+        const item = document.querySelector(`.conversation-item[data-conversation-id="${CSS.escape(conversationId)}"]`);
+        const preview = item && item.querySelector('.conversation-preview');
+        if (!preview) return;
+        preview.textContent = title.length > 40 ? title.substring(0, 37) + '...' : title;
+        preview.title = title;
+    }
+
+    // Colored dots for the tags on a sidebar item
+    function conversationTagDots(tagIds) {
+        const dots = document.createElement('span');
+        dots.className = 'conversation-tag-dots';
+        tagIds.forEach(tagId => {
+            const tag = conversationTags.find(candidate => candidate.id === tagId);
+            if (!tag) return;
+            const dot = document.createElement('span');
+            dot.className = `conversation-tag-dot tag-color-${tag.color}`;
+            dot.title = tag.name;
+            dots.appendChild(dot);
+        });
+        return dots;
+    }
+
+    // Accept conversations dragged from the sidebar list
+    function makeDropTarget(element, onDrop) {
+        element.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes('application/x-conversation-id')) return;
+            event.preventDefault();
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('drop-target');
+            const conversationId = event.dataTransfer.getData('application/x-conversation-id');
+            if (conversationId) onDrop(conversationId);
+        });
+    }
+
+    // Save a conversation's tags and refresh the list
+    async function saveConversationTags(conversationId, tagIds) {
         try {
-            // Close any existing stream
-            if (currentEventSource) {
-                currentEventSource.close();
-                currentEventSource = null;
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}/tags`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tagIds })
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Tagging failed');
+            }
+            loadConversationHistory();
+        } catch (error) {
+            console.error('Error tagging conversation:', error);
+            alert(error.message || 'The tags could not be updated. Please try again.');
+        }
+    }
+
+    // Dropping on a tag adds it; while filtered by another tag, the conversation moves from that tag to this one
+    function dropOnTag(conversationId, tagId) {
+        const current = conversationTagIds.get(conversationId) || [];
+        let next = current.filter(id => id !== activeTagId || activeTagId === tagId);
+        if (!next.includes(tagId)) next = [...next, tagId];
+        if (next.length === current.length && next.every(id => current.includes(id))) return;
+        saveConversationTags(conversationId, next);
+    }
+
+    // Tag filter chips above the list
+    function renderTagBar() {
+        if (!tagList) return;
+        tagList.querySelectorAll('[data-tag-id]:not([data-tag-id=""])').forEach(chip => chip.remove());
+        conversationTags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'conversation-tag-chip';
+            chip.dataset.tagId = tag.id;
+            chip.title = `Show conversations tagged ${tag.name}; drop a conversation here to tag it`;
+            chip.innerHTML = `<span class="conversation-tag-dot tag-color-${tag.color}"></span>`;
+            chip.append(tag.name);
+            chip.addEventListener('click', () => setTagFilter(tag.id));
+            makeDropTarget(chip, conversationId => dropOnTag(conversationId, tag.id));
+            tagList.appendChild(chip);
+        });
+        tagList.querySelectorAll('[data-tag-id]').forEach(chip => {
+            chip.classList.toggle('active', String(activeTagId || '') === chip.dataset.tagId);
+        });
+        [tagRenameButton, tagColorButton, tagDeleteButton].forEach(button => {
+            if (button) button.hidden = activeTagId === null;
+        });
+    }
+
+    function setTagFilter(tagId) {
+        activeTagId = tagId;
+        renderTagBar();
+        loadConversationHistory();
+    }
+
+    async function loadConversationTags() {
+        try {
+            const response = await fetch('/api/conversation-tags');
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Could not load tags');
+            }
+            conversationTags = data.tags;
+            tagColors = data.colors;
+            if (activeTagId !== null && !conversationTags.some(tag => tag.id === activeTagId)) {
+                activeTagId = null;
+            }
+            renderTagBar();
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+    }
+
+    // Create, rename, recolor or delete a tag, then refresh the tags and the list
+    async function saveTag(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Saving the tag failed');
+            }
+            await loadConversationTags();
+            loadConversationHistory();
+            return data;
+        } catch (error) {
+            console.error('Error saving tag:', error);
+            alert(error.message || 'The tag could not be saved. Please try again.');
+            return null;
+        }
+    }
+
+    // Small icon button shown on a sidebar item
+    function conversationActionButton(iconClass, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'conversation-action-btn';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="bi ${iconClass}"></i>`;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    // Checkbox used in select mode to pick conversations for a bulk action
+    function selectCheckbox(conversationId) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'conversation-select-checkbox';
+        checkbox.setAttribute('aria-label', 'Select conversation');
+        checkbox.checked = selectedConversations.has(conversationId);
+        checkbox.addEventListener('click', (event) => event.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedConversations.add(conversationId);
+            } else {
+                selectedConversations.delete(conversationId);
+            }
+            updateBulkBar();
+        });
+        return checkbox;
+    }
+
+    function clearConversationSelection() {
+        selectedConversations.clear();
+        updateBulkBar();
+    }
+
+    // Show the bulk actions that apply to the current list, enabled once something is ticked
+    function updateBulkBar() {
+        if (!bulkBar) return;
+        bulkCount.textContent = `${selectedConversations.size} selected`;
+        bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+            button.hidden = !button.dataset.views.split(' ').includes(conversationView);
+            button.disabled = selectedConversations.size === 0;
+        });
+    }
+
+    function setSelectMode(enabled) {
+        const conversationList = document.querySelector('.conversation-list');
+        if (conversationList) conversationList.classList.toggle('selecting', enabled);
+        if (bulkBar) bulkBar.hidden = !enabled;
+        if (selectToggle) {
+            selectToggle.classList.toggle('active', enabled);
+            selectToggle.setAttribute('aria-pressed', String(enabled));
+        }
+        if (!enabled) {
+            document.querySelectorAll('.conversation-select-checkbox').forEach(checkbox => { checkbox.checked = false; });
+            clearConversationSelection();
+        }
+    }
+
+    // Switch the sidebar between the main list, the archive and the trash
+    function setConversationView(view) {
+        conversationView = view;
+        conversationViewButtons.forEach(button => {
+            const active = button.dataset.view === view;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-selected', String(active));
+        });
+        if (trashNotice) trashNotice.hidden = view !== 'trash';
+        if (tagBar) tagBar.hidden = view !== 'chats';
+        if (searchInput) {
+            searchInput.value = '';
+            searchInput.disabled = view !== 'chats';
+        }
+        clearConversationSelection();
+        loadConversationHistory();
+    }
+
+    // Render the archived conversations or the trash
+    async function loadConversationView(view) {
+        const conversationList = document.querySelector('.conversation-list');
+        if (!conversationList) return;
+
+        try {
+            const response = await fetch(`/api/conversations?view=${encodeURIComponent(view)}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Could not load conversations');
+            }
+            // Ignore a response for a list the user has already left
+            if (view !== conversationView) return;
+
+            conversationList.innerHTML = '';
+
+            if (data.conversations.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'conversation-empty';
+                empty.textContent = view === 'trash' ? 'The trash is empty.' : 'No archived conversations.';
+                conversationList.appendChild(empty);
+                return;
+            }
+
+            data.conversations.forEach(conv => {
+                const item = document.createElement('div');
+                item.className = 'conversation-item';
+                item.dataset.conversationId = conv.id;
+
+                const previewText = conv.title || conv.preview || 'Empty conversation';
+                const preview = document.createElement('div');
+                preview.className = 'conversation-preview';
+                preview.textContent = previewText.length > 40 ? previewText.substring(0, 37) + '...' : previewText;
+                preview.title = view === 'trash' && conv.purge_at ?
+                    `${previewText} (deleted permanently on ${new Date(conv.purge_at).toLocaleDateString()})` :
+                    previewText;
+
+                const restoreButton = conversationActionButton('bi-arrow-counterclockwise', 'Restore', () => applyConversationAction('restore', [conv.id]));
+                const removeButton = view === 'trash' ?
+                    conversationActionButton('bi-x-circle', 'Delete forever', () => applyConversationAction('purge', [conv.id])) :
+                    conversationActionButton('bi-trash', 'Move to trash', () => applyConversationAction('delete', [conv.id]));
+
+                item.append(selectCheckbox(conv.id), preview, restoreButton, removeButton);
+
+                // Archived conversations can still be read and continued; trashed ones must be restored first
+                if (view === 'archived') {
+                    if (conv.id === window.currentConversationId) {
+                        item.classList.add('selected');
+                    }
+                    item.addEventListener('click', () => loadConversation(conv.id));
+                } else {
+                    item.classList.add('trashed');
+                }
+                conversationList.appendChild(item);
+            });
+        } catch (error) {
+            console.error(`Error loading ${view} conversations:`, error);
+            conversationList.innerHTML = '<div class="error-message">Unable to load conversations</div>';
+        }
+    }
+
+    // Archive, delete, restore or purge conversations, then refresh the list
+    async function applyConversationAction(action, conversationIds) {
+        if (conversationIds.length === 0) return;
+        if (action === 'purge' && !window.confirm(`Permanently delete ${conversationIds.length === 1 ? 'this conversation' : `${conversationIds.length} conversations`}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/conversations/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, conversationIds })
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Update failed');
+            }
+
+            // Leave a conversation that has just been thrown away
+            if ((action === 'delete' || action === 'purge') && conversationIds.includes(window.currentConversationId)) {
+                resetChat();
+            }
+            clearConversationSelection();
+            loadConversationHistory();
+        } catch (error) {
+            console.error(`Error applying ${action} to conversations:`, error);
+            alert('The conversations could not be updated. Please try again.');
+        }
+    }
+
+    // Scroll to a message in the loaded conversation and flash it
+    function jumpToMessage(messageIndex) {
+        const target = chatContainer.querySelector(`[data-message-index="${messageIndex}"]`);
+        if (!target) return;
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.add('search-hit');
+        setTimeout(() => target.classList.remove('search-hit'), 2500);
+    }
+
+    // Render search results in place of the conversation list
+    function renderSearchResults(query, results) {
+        const conversationList = document.querySelector('.conversation-list');
+        if (!conversationList) return;
+        conversationList.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'conversation-group-header';
+        header.textContent = results.length > 0 ? `Results for "${query}"` : `No results for "${query}"`;
+        conversationList.appendChild(header);
+
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'conversation-item search-result';
+            item.dataset.conversationId = result.conversation_id;
+
+            const title = document.createElement('div');
+            title.className = 'conversation-preview';
+            title.textContent = result.title || new Date(result.updated_at).toLocaleString();
+            item.appendChild(title);
+
+            result.matches.forEach(match => {
+                const snippet = document.createElement('div');
+                snippet.className = 'search-snippet';
+                match.snippet.forEach(segment => {
+                    if (segment.highlight) {
+                        const mark = document.createElement('mark');
+                        mark.textContent = segment.text;
+                        snippet.appendChild(mark);
+                    } else {
+                        snippet.appendChild(document.createTextNode(segment.text));
+                    }
+                });
+                snippet.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    loadConversation(result.conversation_id, match.messageIndex);
+                });
+                item.appendChild(snippet);
+            });
+
+            const firstMatch = result.matches[0];
+            item.addEventListener('click', () => loadConversation(result.conversation_id, firstMatch ? firstMatch.messageIndex : undefined));
+            conversationList.appendChild(item);
+        });
+    }
+
+    async function searchConversations(query) {
+        try {
+            const response = await fetch(`/api/conversations/search?q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Search failed');
+            }
+            // Ignore responses for a query the user has already changed
+            if (searchInput && searchInput.value.trim() === query) {
+                renderSearchResults(query, data.results);
+            }
+        } catch (error) {
+            console.error('Error searching conversations:', error);
+        }
+    }
+
+    // Create a public read-only link to a snapshot of the conversation and offer it for copying
+    async function shareConversation(conversationId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}/shares`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                alert(data.error || 'Could not create a share link.');
+                return;
+            }
+            
+            const shareUrl = `${window.location.origin}${data.url}`;
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(shareUrl).catch(() => {});
+            }
+            window.prompt('Anyone with this link can view a read-only snapshot of this conversation. Manage your links on the Account page.', shareUrl);
+        } catch (error) {
+            console.error('Error sharing conversation:', error);
+            alert('Could not create a share link.');
+        }
+    }
+
+    // Render the active branch of a conversation
+    function renderHistory(chatHistory) {
+        chatContainer.innerHTML = '';
+        currentAssistantMessage = null;
+        if (!Array.isArray(chatHistory)) return;
+        
+        chatHistory.forEach((msg, index) => {
+            // Skip system messages
+            if (msg.role === 'system') return;
+            
+            const messageDiv = appendMessage(
+                msg.role.charAt(0).toUpperCase() + msg.role.slice(1),
+                msg.content,
+                msg.attachments
+            );
+            
+            // Position in the displayed history, used by search results to jump here
+            messageDiv.dataset.messageIndex = index;
+            
+            if (Array.isArray(msg.toolCalls) && msg.toolCalls.length > 0) {
+                const container = toolCallsContainerFor(messageDiv);
+                msg.toolCalls.forEach(call => container.appendChild(createToolCallCard(call)));
+            }
+            
+            if (Array.isArray(msg.sources) && msg.sources.length > 0) {
+                messageDiv.appendChild(renderSources(msg.sources));
+            }
+            
+            addMessageControls(messageDiv, msg);
+        });
+    }
+
+    // Edit/regenerate buttons and sibling branch arrows shown under a stored message
+    function addMessageControls(messageDiv, msg) {
+        if (!msg.id) return;
+        messageDiv.dataset.messageId = msg.id;
+        
+        const existing = messageDiv.nextElementSibling;
+        if (existing && existing.classList.contains('message-actions')) {
+            existing.remove();
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = `message-actions ${msg.role}`;
+        
+        const siblings = Array.isArray(msg.siblingIds) && msg.siblingIds.length > 0 ? msg.siblingIds : [msg.id];
+        if (siblings.length > 1) {
+            const position = siblings.indexOf(msg.id);
+            const label = document.createElement('span');
+            label.className = 'branch-position';
+            label.textContent = `${position + 1} / ${siblings.length}`;
+            actions.append(
+                messageActionButton('bi-chevron-left', 'Previous version', siblings[position - 1],
+                    () => branchAction(siblings[position - 1], 'select')),
+                label,
+                messageActionButton('bi-chevron-right', 'Next version', siblings[position + 1],
+                    () => branchAction(siblings[position + 1], 'select'))
+            );
+        }
+        
+        if (msg.role === 'user') {
+            actions.appendChild(messageActionButton('bi-pencil', 'Edit and resend', true,
+                () => startEdit(messageDiv, msg.id)));
+        } else {
+            actions.appendChild(messageActionButton('bi-arrow-repeat', 'Regenerate this reply', true,
+                () => branchAction(msg.id, 'regenerate')));
+        }
+        
+        messageDiv.after(actions);
+    }
+
+    function messageActionButton(iconClass, label, enabled, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action-btn';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="bi ${iconClass}"></i>`;
+        button.disabled = !enabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Replace a user message with an inline editor; saving starts a new branch
+    function startEdit(messageDiv, messageId) {
+        if (socketStreaming || currentEventSource || messageDiv.querySelector('.message-edit')) return;
+        
+        const originalText = messageDiv.textContent;
+        const editor = document.createElement('div');
+        editor.className = 'message-edit';
+        const textarea = document.createElement('textarea');
+        textarea.value = originalText;
+        textarea.rows = Math.min(10, Math.max(2, originalText.split('\n').length));
+        
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'btn btn-primary btn-sm';
+        saveButton.textContent = 'Save & Submit';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-outline-secondary btn-sm';
+        cancelButton.textContent = 'Cancel';
+        
+        cancelButton.addEventListener('click', () => {
+            messageDiv.textContent = originalText;
+        });
+        saveButton.addEventListener('click', () => {
+            const text = textarea.value.trim();
+            if (!text || text === originalText.trim()) {
+                messageDiv.textContent = originalText;
+                return;
             }
+            branchAction(messageId, 'edit', { message: text });
+        });
+        
+        editor.append(textarea, saveButton, cancelButton);
+        messageDiv.replaceChildren(editor);
+        textarea.focus();
+    }
+
+    // Regenerate, edit or switch branches at a message, then stream the new reply if one is needed
+    async function branchAction(messageId, action, body = {}) {
+        if (!messageId || socketStreaming || currentEventSource) return;
+        
+        try {
+            const conversationId = window.currentConversationId;
+            const response = await fetch(
+                `/api/conversations/${encodeURIComponent(conversationId)}/messages/${encodeURIComponent(messageId)}/${action}`,
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                }
+            );
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                appendMessage('System', data.error || 'Could not update the conversation.');
+                return;
+            }
+            
+            renderHistory(data.chat_history);
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+            
+            if (data.needs_reply) {
+                // The history now ends with a user message; the socket's regenerate answers it as-is
+                if (socketReady && sendSocketMessage({ type: 'regenerate' })) {
+                    socketStreaming = true;
+                    beginAssistantReply();
+                } else {
+                    beginAssistantReply();
+                    openEventStream(data.conversation_id);
+                }
+            }
+            updateRegenerateButton();
+        } catch (error) {
+            console.error(`Error during ${action}:`, error);
+            appendMessage('System', 'An error occurred. Please try again.');
+        }
+    }
+
+    async function loadConversation(conversationId, focusMessageIndex) {
+        try {
+            // Close any existing stream
+            cleanupStream();
 
             // Show loading indicator
             chatContainer.innerHTML = '<div class="loading-indicator">Loading conversation...</div>';
@@ -397,26 +1650,21 @@ function initChat() {
             const data = await response.json();
             
             if (data.success) {
-                // Clear existing chat completely
-                chatContainer.innerHTML = '';
-                currentAssistantMessage = null;
-                
-                // Load chat history, skipping system messages
-                if (data.chat_history && Array.isArray(data.chat_history)) {
-                    data.chat_history.forEach(msg => {
-                        // Skip system messages
-                        if (msg.role === 'system') return;
-                        
-                        appendMessage(
-                            msg.role.charAt(0).toUpperCase() + msg.role.slice(1),
-                            msg.content
-                        );
-                    });
-                }
+                // Replace the transcript with the conversation's active branch
+                renderHistory(data.chat_history);
                 
                 // Update conversation ID
                 window.currentConversationId = data.conversation_id;
                 
+                // Reopened chats keep the model they were using
+                if (modelSelect && data.model_id) {
+                    modelSelect.value = data.model_id;
+                }
+                setSelectedKnowledgeBases(data.knowledge_base_ids);
+                if (personaSelect) {
+                    personaSelect.value = data.persona_id ? String(data.persona_id) : '';
+                }
+                
                 // Update sidebar selection
                 document.querySelectorAll('.conversation-item').forEach(item => {
                     if (item.dataset.conversationId === data.conversation_id) {
@@ -426,8 +1674,12 @@ function initChat() {
                     }
                 });
                 
-                // Scroll to bottom
-                chatContainer.scrollTop = chatContainer.scrollHeight;
+                // Scroll to the searched message, or to the bottom
+                if (focusMessageIndex !== undefined) {
+                    jumpToMessage(focusMessageIndex);
+                } else {
+                    chatContainer.scrollTop = chatContainer.scrollHeight;
+                }
                 
                 console.log('Successfully loaded conversation:', data.conversation_id);
             } else {
@@ -447,8 +1699,103 @@ function initChat() {
             `;
         }    }
 
-    // Initial load of conversation history
-    loadConversationHistory();
+    // Initial load of the tags (the list shows their colors) and conversation history
+    loadConversationTags().then(() => loadConversationHistory());
+
+    // Chats / Archived / Trash tabs, select mode and bulk actions
+    conversationViewButtons.forEach(button => {
+        button.addEventListener('click', () => setConversationView(button.dataset.view));
+    });
+    if (selectToggle) {
+        selectToggle.addEventListener('click', () => setSelectMode(!selectToggle.classList.contains('active')));
+    }
+    if (bulkBar) {
+        bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+            button.addEventListener('click', () => applyConversationAction(button.dataset.bulkAction, [...selectedConversations]));
+        });
+        updateBulkBar();
+    }
+    // Tags: filter chips, drag-and-drop targets and tag management
+    const allTagsChip = tagList && tagList.querySelector('[data-tag-id=""]');
+    if (allTagsChip) {
+        allTagsChip.addEventListener('click', () => setTagFilter(null));
+        // Dropping on "All" while filtered takes the conversation out of the current tag
+        makeDropTarget(allTagsChip, conversationId => {
+            if (activeTagId === null) return;
+            const current = conversationTagIds.get(conversationId) || [];
+            saveConversationTags(conversationId, current.filter(id => id !== activeTagId));
+        });
+    }
+    if (tagCreateButton) {
+        tagCreateButton.addEventListener('click', async () => {
+            const name = window.prompt('Name for the new tag:');
+            if (!name || !name.trim()) return;
+            const color = tagColors.length > 0 ? tagColors[conversationTags.length % tagColors.length] : undefined;
+            const data = await saveTag('/api/conversation-tags', 'POST', { name: name.trim(), color });
+            if (data) setTagFilter(data.tag.id);
+        });
+    }
+    if (tagRenameButton) {
+        tagRenameButton.addEventListener('click', () => {
+            const tag = conversationTags.find(candidate => candidate.id === activeTagId);
+            if (!tag) return;
+            const name = window.prompt('Rename tag:', tag.name);
+            if (!name || !name.trim() || name.trim() === tag.name) return;
+            saveTag(`/api/conversation-tags/${tag.id}`, 'PATCH', { name: name.trim() });
+        });
+    }
+    if (tagColorButton) {
+        tagColorButton.addEventListener('click', () => {
+            const tag = conversationTags.find(candidate => candidate.id === activeTagId);
+            if (!tag || tagColors.length === 0) return;
+            const color = tagColors[(tagColors.indexOf(tag.color) + 1) % tagColors.length];
+            saveTag(`/api/conversation-tags/${tag.id}`, 'PATCH', { color });
+        });
+    }
+    if (tagDeleteButton) {
+        tagDeleteButton.addEventListener('click', async () => {
+            const tag = conversationTags.find(candidate => candidate.id === activeTagId);
+            if (!tag || !window.confirm(`Delete the tag "${tag.name}"? Its conversations are kept.`)) return;
+            activeTagId = null;
+            await saveTag(`/api/conversation-tags/${tag.id}`, 'DELETE');
+        });
+    }
+
+    if (emptyTrashButton) {
+        emptyTrashButton.addEventListener('click', async () => {
+            if (!window.confirm('Permanently delete every conversation in the trash? This cannot be undone.')) return;
+            try {
+                const response = await fetch('/api/conversations/trash/empty', { method: 'POST' });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Emptying the trash failed');
+                }
+                loadConversationHistory();
+            } catch (error) {
+                console.error('Error emptying trash:', error);
+                alert('The trash could not be emptied. Please try again.');
+            }
+        });
+    }
+
+    // Sidebar search: results replace the list while there is a query
+    if (searchInput) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            const query = searchInput.value.trim();
+            searchTimer = setTimeout(() => {
+                if (query) {
+                    searchConversations(query);
+                } else {
+                    loadConversationHistory();
+                }
+            }, SEARCH_DEBOUNCE_MS);
+        });
+    }
+
+    // Connect the chat socket; sends use EventSource until it reports ready
+    connectChatSocket();
 }
 
 // Mobile Navigation Handler
@@ -637,6 +1984,76 @@ const systemStyles = `
         font-size: 14px;
     }
 
+    .truncated-note {
+        margin-top: 6px;
+        font-size: 12px;
+        font-style: italic;
+        color: #6B7280;
+    }
+
+    .tool-calls {
+        margin-bottom: 6px;
+    }
+
+    .tool-call {
+        border: 1px solid #E5E7EB;
+        border-radius: 8px;
+        margin: 4px 0;
+        font-size: 13px;
+        background-color: #F9FAFB;
+    }
+
+    .tool-call.error {
+        border-color: #FCA5A5;
+    }
+
+    .tool-call summary {
+        cursor: pointer;
+        padding: 6px 10px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+    }
+
+    .tool-call-name {
+        font-family: monospace;
+        font-weight: 600;
+    }
+
+    .tool-call-status {
+        margin-left: auto;
+        color: #6B7280;
+    }
+
+    .tool-call-body {
+        padding: 0 10px 8px;
+    }
+
+    .tool-call-label {
+        font-size: 12px;
+        font-weight: 600;
+        color: #6B7280;
+        margin-top: 6px;
+    }
+
+    .tool-call-body pre {
+        margin: 2px 0 0;
+        padding: 6px 8px;
+        background-color: #FFFFFF;
+        border-radius: 4px;
+        white-space: pre-wrap;
+        word-break: break-word;
+    }
+
+    .quota-message {
+        padding: 10px 14px;
+        border-radius: 8px;
+        background-color: #FEF3C7;
+        color: #92400E;
+        border: 1px solid #FCD34D;
+        font-size: 14px;
+    }
+
     .system-message.error {
         background-color: #FEE2E2;
         color: #991B1B;
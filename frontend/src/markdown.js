@@ -0,0 +1,31 @@
+// frontend/src/markdown.js
+// Markdown pipeline shared by the chat page and public share pages
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+// Pre-compile marked options
+marked.setOptions({
+    breaks: true,
+    gfm: true,
+    headerIds: false,
+    mangle: false
+});
+
+// Initialize DOMPurify
+const purify = DOMPurify(window);
+
+// Configure DOMPurify options
+const purifyOptions = {
+    ALLOWED_TAGS: [
+        'p', 'br', 'b', 'i', 'em', 'strong', 'a', 'ul', 'ol', 'li',
+        'code', 'pre', 'h1', 'h2', 'h3', 'blockquote', 'span'
+    ],
+    ALLOWED_ATTR: ['href', 'target', 'rel', 'class']
+};
+
+// Render model output as sanitized HTML
+function renderMarkdown(text) {
+    return purify.sanitize(marked.parse(text || ''), purifyOptions);
+}
+
+export { marked, purify, purifyOptions, renderMarkdown };
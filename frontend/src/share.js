@@ -0,0 +1,39 @@
+// frontend/src/share.js
+// Public read-only view of a shared conversation snapshot
+import { renderMarkdown } from './markdown';
+
+function renderSharedConversation() {
+    const dataElement = document.getElementById('share-data');
+    const container = document.querySelector('.chat-container');
+    if (!dataElement || !container) return;
+
+    let messages;
+    try {
+        messages = JSON.parse(dataElement.textContent);
+    } catch (error) {
+        console.error('Invalid share data:', error);
+        return;
+    }
+
+    messages.forEach(msg => {
+        const roleDiv = document.createElement('div');
+        roleDiv.className = `message-role ${msg.role}`;
+        roleDiv.textContent = msg.role === 'user' ? 'User' : 'Assistant';
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `${msg.role}-message`;
+        if (msg.role === 'assistant') {
+            messageDiv.innerHTML = renderMarkdown(msg.content);
+        } else {
+            messageDiv.textContent = msg.content;
+        }
+
+        container.append(roleDiv, messageDiv);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderSharedConversation);
+} else {
+    renderSharedConversation();
+}
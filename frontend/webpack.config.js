@@ -6,7 +6,8 @@ module.exports = {
     entry: {
         bundle: ['./src/chat.js', './src/styles.css'],
         mfa: ['./src/mfa.js', './src/mfa.css'],
-        account: ['./src/account.js', './src/account.css']
+        account: ['./src/account.js', './src/account.css'],
+        share: ['./src/share.js']
     },
     output: {
         filename: '[name].js',